@@ -22,7 +22,12 @@ export {
   CustomEndpoint,
   DataStore,
   DataStoreType,
+  DataStoreEvent,
+  ChangeSource,
   SyncOperation,
+  ConflictResolutionStrategy,
+  ReadPolicy,
+  StorageEvictionPolicy,
   LiveService,
   Log,
   Metadata,
@@ -37,6 +42,7 @@ export {
   BLError,
   CORSDisabledError,
   DuplicateEndUsersError,
+  EncryptionError,
   FeatureUnavailableError,
   IncompleteRequestBodyError,
   IndirectCollectionAccessDisallowedError,
@@ -61,9 +67,11 @@ export {
   QueryError,
   ServerError,
   StaleRequestError,
+  StorageQuotaError,
   SyncError,
   TimeoutError,
   UserAlreadyExistsError,
+  ValidationError,
   WritesToCollectionDisallowedError
 } from '../../../src/core';
 export * from '../../../src/html5';
@@ -23,7 +23,12 @@ export {
   CustomEndpoint,
   DataStore,
   DataStoreType,
+  DataStoreEvent,
+  ChangeSource,
   SyncOperation,
+  ConflictResolutionStrategy,
+  ReadPolicy,
+  StorageEvictionPolicy,
   LiveService,
   Log,
   Metadata,
@@ -38,6 +43,7 @@ export {
   BLError,
   CORSDisabledError,
   DuplicateEndUsersError,
+  EncryptionError,
   FeatureUnavailableError,
   IncompleteRequestBodyError,
   IndirectCollectionAccessDisallowedError,
@@ -62,9 +68,11 @@ export {
   QueryError,
   ServerError,
   StaleRequestError,
+  StorageQuotaError,
   SyncError,
   TimeoutError,
   UserAlreadyExistsError,
+  ValidationError,
   WritesToCollectionDisallowedError
 } from '../../../src/core';
 export * from '../../../src/html5';
@@ -24,7 +24,12 @@ export {
   CustomEndpoint,
   DataStore,
   DataStoreType,
+  DataStoreEvent,
+  ChangeSource,
   SyncOperation,
+  ConflictResolutionStrategy,
+  ReadPolicy,
+  StorageEvictionPolicy,
   LiveService,
   Log,
   Metadata,
@@ -43,6 +48,7 @@ export {
   BLError,
   CORSDisabledError,
   DuplicateEndUsersError,
+  EncryptionError,
   FeatureUnavailableError,
   IncompleteRequestBodyError,
   IndirectCollectionAccessDisallowedError,
@@ -67,9 +73,11 @@ export {
   QueryError,
   ServerError,
   StaleRequestError,
+  StorageQuotaError,
   SyncError,
   TimeoutError,
   UserAlreadyExistsError,
+  ValidationError,
   WritesToCollectionDisallowedError
 } from '../../../src/core';
 export * from '../../../src/nativescript';
@@ -7,3 +7,4 @@ import pkg from '../package.json';
 NetworkRack.useHttpMiddleware(new NodeHttpMiddleware(pkg));
 
 export * from '../../../src/core';
+export * from '../../../src/node';
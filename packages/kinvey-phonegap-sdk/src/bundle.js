@@ -25,7 +25,12 @@ export {
   CustomEndpoint,
   DataStore,
   DataStoreType,
+  DataStoreEvent,
+  ChangeSource,
   SyncOperation,
+  ConflictResolutionStrategy,
+  ReadPolicy,
+  StorageEvictionPolicy,
   LiveService,
   Log,
   Metadata,
@@ -40,6 +45,7 @@ export {
   BLError,
   CORSDisabledError,
   DuplicateEndUsersError,
+  EncryptionError,
   FeatureUnavailableError,
   IncompleteRequestBodyError,
   IndirectCollectionAccessDisallowedError,
@@ -64,9 +70,11 @@ export {
   QueryError,
   ServerError,
   StaleRequestError,
+  StorageQuotaError,
   SyncError,
   TimeoutError,
   UserAlreadyExistsError,
+  ValidationError,
   WritesToCollectionDisallowedError
 } from '../../../src/core';
 export * from '../../../src/html5';
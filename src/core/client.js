@@ -63,6 +63,10 @@ export class Client {
    * @param {string}    [options.appSecret]                                App Secret
    * @param {string}    [options.masterSecret]                             App Master Secret
    * @param {string}    [options.encryptionKey]                            App Encryption Key
+   * @param {string[]}  [options.previousEncryptionKeys]                   Previous App Encryption Keys, which the
+   *                                                                       offline data can still be decrypted with
+   * @param {string}    [options.storagePath='~/.kinvey']                  Directory of the FileSystem storage provider
+   *                                                                       (Node.js)
    * @param {string}    [options.appVersion]                               App Version
    * @return {Client}                                                      An instance of the Client class.
    */
@@ -138,6 +142,11 @@ export class Client {
      */
     this.encryptionKey = config.encryptionKey;
 
+    /**
+     * @type {string[]}
+     */
+    this.previousEncryptionKeys = config.previousEncryptionKeys || [];
+
     /**
      * @type {?string}
      */
@@ -154,6 +163,11 @@ export class Client {
     this.activeUserStorage = new ActiveUserStorage();
 
     this.storage = config.storage || StorageProvider.Memory;
+
+    /**
+     * @type {?string}
+     */
+    this.storagePath = config.storagePath;
   }
 
   /**
@@ -261,8 +275,10 @@ export class Client {
       appSecret: this.appSecret,
       masterSecret: this.masterSecret,
       encryptionKey: this.encryptionKey,
+      previousEncryptionKeys: this.previousEncryptionKeys,
       appVersion: this.appVersion,
-      storage: this.storage
+      storage: this.storage,
+      storagePath: this.storagePath
     };
   }
 
@@ -278,6 +294,10 @@ export class Client {
    * @param {string}    [options.appSecret]                                App Secret
    * @param {string}    [options.masterSecret]                             App Master Secret
    * @param {string}    [options.encryptionKey]                            App Encryption Key
+   * @param {string[]}  [options.previousEncryptionKeys]                   Previous App Encryption Keys, which the
+   *                                                                       offline data can still be decrypted with
+   * @param {string}    [options.storagePath='~/.kinvey']                  Directory of the FileSystem storage provider
+   *                                                                       (Node.js)
    * @param {string}    [options.appVersion]                               App Version
    * @return {Promise}                                                     A promise.
    */
@@ -297,6 +317,10 @@ export class Client {
    * @param {string}    [options.appSecret]                                App Secret
    * @param {string}    [options.masterSecret]                             App Master Secret
    * @param {string}    [options.encryptionKey]                            App Encryption Key
+   * @param {string[]}  [options.previousEncryptionKeys]                   Previous App Encryption Keys, which the
+   *                                                                       offline data can still be decrypted with
+   * @param {string}    [options.storagePath='~/.kinvey']                  Directory of the FileSystem storage provider
+   *                                                                       (Node.js)
    * @param {string}    [options.appVersion]                               App Version
    * @return {Client}                                                     A promise.
    */
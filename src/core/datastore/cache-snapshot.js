@@ -0,0 +1,158 @@
+import { Promise } from 'es6-promise';
+import isPlainObject from 'lodash/isPlainObject';
+import isString from 'lodash/isString';
+import cloneDeep from 'lodash/cloneDeep';
+import unset from 'lodash/unset';
+
+import { Client } from '../client';
+import { ValidationError } from '../errors';
+import { activeUserKey, isDefined } from '../utils';
+import { repositoryProvider } from './repositories';
+import { testSupportCollection } from './repositories/utils';
+import { browserStorageCollectionsMaster } from './persisters/utils';
+import { syncCollectionName } from './sync/utils';
+import { stripTagFromCollectionName } from './utils';
+
+/**
+ * @private
+ */
+export const cacheSnapshotVersion = 1;
+
+// kept by the offline repository for its own use, so they are not part of a snapshot
+const internalCollections = [testSupportCollection, activeUserKey, browserStorageCollectionsMaster];
+
+// the credentials of a user, which a snapshot shouldn't carry to another device
+const authFields = ['_kmd.authtoken', '_socialIdentity', 'password'];
+
+function scrubAuthFields(collection, entities) {
+  const isSyncCollection = stripTagFromCollectionName(collection) === syncCollectionName;
+  return entities.map((entity) => {
+    const scrubbedEntity = cloneDeep(entity);
+    authFields.forEach((field) => {
+      unset(scrubbedEntity, field);
+      // the changes of a patch are pushed from its sync item
+      if (isSyncCollection) {
+        unset(scrubbedEntity, `state.changes.${field}`);
+      }
+    });
+    return scrubbedEntity;
+  });
+}
+
+function scrubSnapshotCollections(entitiesByCollection) {
+  const scrubbedCollections = {};
+  Object.keys(entitiesByCollection).forEach((collection) => {
+    scrubbedCollections[collection] = scrubAuthFields(collection, entitiesByCollection[collection]);
+  });
+  return scrubbedCollections;
+}
+
+function getEntityErrors(collection, entities) {
+  const errors = [];
+  const ids = {};
+
+  if (!Array.isArray(entities)) {
+    return [{ field: `collections.${collection}`, message: 'must be an array of entities' }];
+  }
+
+  entities.forEach((entity, index) => {
+    const field = `collections.${collection}[${index}]`;
+    if (!isPlainObject(entity)) {
+      errors.push({ field, message: 'must be an object' });
+    } else if (!isDefined(entity._id)) {
+      errors.push({ field: `${field}._id`, message: 'is required' });
+    } else if (ids[entity._id]) {
+      errors.push({ field: `${field}._id`, message: `is the same as the _id of another entity: ${entity._id}` });
+    } else {
+      ids[entity._id] = true;
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * @private
+ * Returns the problems of a snapshot, which prevent it from being imported.
+ * @param {Object} snapshot
+ * @returns {FieldError[]} Empty, if the snapshot is valid.
+ */
+export function getCacheSnapshotErrors(snapshot) {
+  if (!isPlainObject(snapshot)) {
+    return [{ field: '', message: 'must be an object' }];
+  }
+
+  if (snapshot.version !== cacheSnapshotVersion) {
+    return [{ field: 'version', message: `must be ${cacheSnapshotVersion}, but it is ${snapshot.version}` }];
+  }
+
+  if (!isPlainObject(snapshot.collections)) {
+    return [{ field: 'collections', message: 'must be an object, with the entities of each collection' }];
+  }
+
+  return Object.keys(snapshot.collections).reduce((errors, collection) => {
+    if (internalCollections.indexOf(collection) > -1) {
+      const message = 'is used by the SDK, and can\'t be imported';
+      return errors.concat({ field: `collections.${collection}`, message });
+    }
+    return errors.concat(getEntityErrors(collection, snapshot.collections[collection]));
+  }, []);
+}
+
+/**
+ * @private
+ * Reads all collections of the offline repository - with the sync queue and the query cache.
+ * @param {Object} [options]
+ * @param {boolean} [options.scrubAuthFields=false] Removes the authtoken, the social identities and the passwords.
+ * @returns {Promise<Object>}
+ */
+export function exportCacheSnapshot(options = {}) {
+  return repositoryProvider.getOfflineRepository()
+    .then(repo => repo.exportCollections(internalCollections))
+    .then(entitiesByCollection => ({
+      version: cacheSnapshotVersion,
+      appKey: Client.sharedInstance().appKey,
+      createdAt: new Date().toISOString(),
+      collections: options.scrubAuthFields ? scrubSnapshotCollections(entitiesByCollection) : entitiesByCollection
+    }));
+}
+
+/**
+ * @private
+ * Replaces all collections of the offline repository with the ones of the snapshot.
+ * @param {Object|string} snapshot The snapshot, or its JSON
+ * @param {Object} [options]
+ * @param {boolean} [options.scrubAuthFields=false] Removes the authtoken, the social identities and the passwords.
+ * @returns {Promise<Object>} The count of the imported entities by collection
+ */
+export function importCacheSnapshot(snapshot, options = {}) {
+  return Promise.resolve()
+    .then(() => {
+      let parsedSnapshot = snapshot;
+      if (isString(snapshot)) {
+        try {
+          parsedSnapshot = JSON.parse(snapshot);
+        } catch (err) {
+          return Promise.reject(new ValidationError(`Invalid cache snapshot: ${err.message}.`));
+        }
+      }
+
+      const errors = getCacheSnapshotErrors(parsedSnapshot);
+      if (errors.length) {
+        const details = errors.map(({ field, message }) => `${field || 'the snapshot'} ${message}`).join(', ');
+        return Promise.reject(new ValidationError(`Invalid cache snapshot: ${details}.`, errors));
+      }
+
+      const { collections } = parsedSnapshot;
+      const entitiesByCollection = options.scrubAuthFields ? scrubSnapshotCollections(collections) : collections;
+      return repositoryProvider.getOfflineRepository()
+        .then(repo => repo.importCollections(entitiesByCollection, internalCollections))
+        .then(() => {
+          const counts = {};
+          Object.keys(entitiesByCollection).forEach((collection) => {
+            counts[collection] = entitiesByCollection[collection].length;
+          });
+          return counts;
+        });
+    });
+}
@@ -0,0 +1,132 @@
+import { Promise } from 'es6-promise';
+
+import { Query } from '../query';
+import { KinveyError } from '../errors';
+import { ensureArray, isDefined, isNumber } from '../utils';
+
+const ttlsByCollection = {};
+const lastSweepByCollection = {};
+
+/**
+ * @private
+ * Sets how long, in milliseconds, the entities of the collection are kept in the cache.
+ * Passing no ttl turns the expiration off.
+ * @param {string} collection
+ * @param {number} [ttl]
+ */
+export function setCollectionTtl(collection, ttl) {
+  if (!isDefined(ttl)) {
+    delete ttlsByCollection[collection];
+    return;
+  }
+
+  if (!isNumber(ttl) || ttl <= 0) {
+    throw new KinveyError('Invalid ttl. It must be a number of milliseconds greater than 0.');
+  }
+
+  ttlsByCollection[collection] = ttl;
+}
+
+/**
+ * @private
+ */
+export function getCollectionTtl(collection) {
+  return ttlsByCollection[collection];
+}
+
+/**
+ * @private
+ * The times the entities of the collections with a ttl were cached. They are kept apart from the entities,
+ * so they are neither returned to the app nor pushed to the backend.
+ */
+export const cacheTimesCollectionName = '_CacheTimes';
+
+function getCacheTimeId(collection, entityId) {
+  return JSON.stringify([collection, entityId]);
+}
+
+/**
+ * @private
+ * Returns the records of the time the entities are written to the cache - none, if the collection has no ttl.
+ * @param {string} collection
+ * @param {Object|Object[]} entities
+ * @returns {Object[]} {_id, collectionName, entityId, cachedAt} for each entity.
+ */
+export function getCacheTimeRecords(collection, entities) {
+  if (!ttlsByCollection[collection]) {
+    return [];
+  }
+
+  const cachedAt = new Date().toISOString();
+  return ensureArray(entities)
+    .filter(entity => isDefined(entity) && isDefined(entity._id))
+    .map(entity => ({
+      _id: getCacheTimeId(collection, entity._id),
+      collectionName: collection,
+      entityId: entity._id,
+      cachedAt
+    }));
+}
+
+/**
+ * @private
+ * Entities cached before the collection had a ttl have no cache time, so they do not expire.
+ * @param {string} [cachedAt]
+ */
+export function isCacheExpired(cachedAt, ttl, now = Date.now()) {
+  const cacheTime = isDefined(cachedAt) ? Date.parse(cachedAt) : NaN;
+  return isNumber(ttl) && isNumber(cacheTime) && now - cacheTime > ttl;
+}
+
+/**
+ * @private
+ * @param {OfflineRepository} repo
+ * @param {string} collection
+ * @param {string[]} entityIds
+ * @returns {Promise<string[]>} The ids of the entities, which expired, according to the ttl of the collection.
+ */
+export function getExpiredEntityIds(repo, collection, entityIds) {
+  const ttl = ttlsByCollection[collection];
+  if (!ttl || !entityIds.length) {
+    return Promise.resolve([]);
+  }
+
+  const query = new Query().contains('_id', entityIds.map(entityId => getCacheTimeId(collection, entityId)));
+  return repo.read(cacheTimesCollectionName, query)
+    .then((records) => {
+      const now = Date.now();
+      return records
+        .filter(record => isCacheExpired(record.cachedAt, ttl, now))
+        .map(record => record.entityId);
+    });
+}
+
+/**
+ * @private
+ * Removes the cache times of the entities, which were removed from the cache.
+ */
+export function deleteCacheTimes(repo, collection, entityIds) {
+  if (!entityIds.length) {
+    return Promise.resolve(0);
+  }
+
+  const query = new Query().contains('_id', entityIds.map(entityId => getCacheTimeId(collection, entityId)));
+  return repo.delete(cacheTimesCollectionName, query);
+}
+
+/**
+ * @private
+ * The expired entities of a collection are swept at most once per ttl.
+ */
+export function isCacheSweepDue(collection) {
+  const ttl = ttlsByCollection[collection];
+  const lastSweep = lastSweepByCollection[collection];
+  return !!ttl && (!isDefined(lastSweep) || Date.now() - lastSweep >= ttl);
+}
+
+/**
+ * @private
+ */
+export function markCacheSwept(collection) {
+  lastSweepByCollection[collection] = Date.now();
+}
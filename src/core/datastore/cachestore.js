@@ -1,13 +1,30 @@
 import { Promise } from 'es6-promise';
 import assign from 'lodash/assign';
 
+import { Log } from '../log';
+import { KinveyError } from '../errors';
 import { isDefined } from '../utils';
+import { Query } from '../query';
+import { wrapInObservable } from '../observable';
 import { NetworkStore } from './networkstore';
 
 import { OperationType } from './operations';
 import { processorFactory } from './processors';
-import { syncManagerProvider } from './sync';
-import { formTaggedCollectionName, getEntitiesPendingPushError } from './utils';
+import { repositoryProvider } from './repositories';
+import { watchOfflineCollection } from './query-watcher';
+import { resolveReferences } from './reference-resolver';
+import { setQueryCacheLimits, getCachedQueries, evictCachedQuery, getQueryCacheStats } from './querycache';
+import { setCollectionTtl } from './cache-ttl';
+import { setCollectionIndexes } from './collection-indexes';
+import { isReadPolicy } from './read-policy';
+import {
+  syncManagerProvider,
+  setConflictResolver,
+  enableSyncScheduler,
+  disableSyncScheduler,
+  SyncProgress
+} from './sync';
+import { formTaggedCollectionName, getTagFromCollectionName, getEntitiesPendingPushError } from './utils';
 
 /**
  * @private
@@ -21,15 +38,160 @@ export class CacheStore extends NetworkStore {
     super(collection, proc, options);
 
     /**
+     * How long, in milliseconds, the entities are kept in the cache.
      * @type {number|undefined}
      */
     this.ttl = options.ttl || undefined;
+    if (isDefined(this.ttl)) {
+      setCollectionTtl(this.collection, this.ttl);
+    }
     this.syncManager = syncManagerProvider.getSyncManager();
 
     /**
      * @type {boolean}
      */
     this.useDeltaSet = options.useDeltaSet === true;
+
+    if (isDefined(options.readPolicy) && !isReadPolicy(options.readPolicy)) {
+      throw new KinveyError('Invalid read policy. It must be one of the ReadPolicy values.');
+    }
+
+    /**
+     * The default ReadPolicy of find() and findById().
+     * @type {string|undefined}
+     */
+    this.readPolicy = options.readPolicy;
+
+    if (isDefined(options.conflictResolver)) {
+      this.setConflictResolver(options.conflictResolver);
+    }
+
+    if (isDefined(options.queryCacheLimits)) {
+      this.setQueryCacheLimits(options.queryCacheLimits);
+    }
+
+    if (isDefined(options.indexes)) {
+      setCollectionIndexes(this.collection, options.indexes);
+    }
+  }
+
+  /**
+   * Find all entities in the data store. The cached entities and the entities from the backend
+   * are emitted, as the read policy tells.
+   *
+   * @param   {Query}                 [query]                             Query used to filter entities.
+   * @param   {Object}                [options]                           Options
+   * @param   {ReadPolicy}            [options.readPolicy]                Overrides the read policy of the store.
+   * @param   {Boolean}               [options.useDeltaSet]               Turn on or off the use of delta fetch.
+   * @return  {Observable}                                                Observable.
+   */
+  find(query, options = {}) {
+    const errPromise = this._validateReadPolicy(options.readPolicy);
+    if (errPromise) {
+      return wrapInObservable(errPromise);
+    }
+    return super.find(query, this._withReadPolicy(options));
+  }
+
+  /**
+   * Find a single entity in the data store by id. The cached entity and the entity from the backend
+   * are emitted, as the read policy tells.
+   *
+   * @param   {string}                id                                  Entity by id to find.
+   * @param   {Object}                [options]                           Options
+   * @param   {ReadPolicy}            [options.readPolicy]                Overrides the read policy of the store.
+   * @return  {Observable}                                                Observable.
+   */
+  findById(id, options = {}) {
+    const errPromise = this._validateReadPolicy(options.readPolicy);
+    if (errPromise) {
+      return wrapInObservable(errPromise);
+    }
+    return super.findById(id, this._withReadPolicy(options));
+  }
+
+  /**
+   * Sets how conflicts are resolved when pushing entities for the collection. A conflict is detected when
+   * the entity on the backend was modified since it was last synced. The resolver can be a
+   * ConflictResolutionStrategy or a function which receives the conflict and returns a strategy,
+   * the entity to push, or nothing, to leave the conflict unresolved. Pass null to turn off conflict detection.
+   * The resolver is shared by the stores of the collection with the same tag.
+   *
+   * @param   {ConflictResolutionStrategy|Function}   resolver                  Conflict resolver.
+   */
+  setConflictResolver(resolver) {
+    setConflictResolver(this.collection, resolver);
+  }
+
+  /**
+   * Limits the queries cached for delta set requests. The limits are applied every time a query is refreshed.
+   * Evicting a query does not remove its entities from the cache - the next request of the query fetches
+   * all of them again. Pass null to remove the limits.
+   *
+   * @param   {Object}                [limits]                                  Limits.
+   * @param   {number}                [limits.maxEntries]                       Number of queries to keep. The least
+   *                                                                            recently used ones are evicted.
+   * @param   {number}                [limits.maxAge]                           Milliseconds after which a query,
+   *                                                                            which was not used, is evicted.
+   */
+  setQueryCacheLimits(limits) {
+    setQueryCacheLimits(this.collection, limits);
+  }
+
+  /**
+   * Lists the queries cached for delta set requests, the most recently used first. Each of them has the query,
+   * without skip and limit, the lastRequest and lastUsed timestamps, and the number of deltaSetRequests and
+   * fullRequests made for it.
+   *
+   * @return  {Promise<Object[]>}                                               Cached queries.
+   */
+  getCachedQueries() {
+    return getCachedQueries(this.collection);
+  }
+
+  /**
+   * Evicts a query from the query cache, so its next request fetches all the entities again,
+   * instead of a delta set. The entities are not removed from the cache.
+   *
+   * @param   {Query}                 [query]                                   Query to evict.
+   * @return  {Promise<number>}                                                 1 if the query was cached, 0 otherwise.
+   */
+  evictCachedQuery(query) {
+    const errPromise = this._validateQuery(query);
+    if (errPromise) {
+      return errPromise;
+    }
+
+    return evictCachedQuery(this.collection, query);
+  }
+
+  /**
+   * Counts the delta set requests and the requests for the whole result of the cached queries,
+   * which shows how often the delta set is used instead of fetching all the entities again.
+   *
+   * @return  {Promise<Object>}                                                 {cachedQueries, deltaSetRequests,
+   *                                                                            fullRequests}
+   */
+  getQueryCacheStats() {
+    return getQueryCacheStats(this.collection);
+  }
+
+  /**
+   * Watch the entities in the local cache, which match a query. The returned observable emits them
+   * right away and again every time the collection changes locally - after entities are saved or removed,
+   * after a pull or sync, or when an entity is received from the live service. It does not complete,
+   * so unsubscribe from it to stop watching.
+   *
+   * @param   {Query}                 [query]                           Query used to filter entities.
+   * @return  {Observable}                                              Observable.
+   */
+  watch(query) {
+    const errPromise = this._validateQuery(query);
+    if (errPromise) {
+      return wrapInObservable(errPromise);
+    }
+
+    return watchOfflineCollection(this.collection, () => this._readOffline(query));
   }
 
   /**
@@ -71,6 +233,17 @@ export class CacheStore extends NetworkStore {
       .then(count => ({ count }));
   }
 
+  /**
+   * Remove the entities, which were cached longer than the ttl of the store, from the cache.
+   * Entities with local changes, which are pending push, are kept. The expired entities are also
+   * removed regularly, after the entities of the collection are fetched.
+   *
+   * @return  {Promise<number>}                                                 Number of entities removed.
+   */
+  purgeExpiredEntities() {
+    return this.syncManager.purgeExpiredEntities(this.collection);
+  }
+
   /**
    * Count the number of entities waiting to be pushed to the network. A promise will be
    * returned with the count of entities or rejected with an error.
@@ -88,16 +261,21 @@ export class CacheStore extends NetworkStore {
 
   /**
    * Push sync items for the data store to the network. A promise will be returned that will be
-   * resolved with the result of the push or rejected with an error.
+   * resolved with the result of the push or rejected with an error. When a conflict resolver is set,
+   * each result for a conflicting entity contains a conflict property, which tells if the conflict
+   * was resolved automatically or still needs a decision.
    *
    * @param   {Object}                options                                   Options
    * @param   {Properties}            [options.properties]                      Custom properties to send with
    *                                                                            the request.
    * @param   {Number}                [options.timeout]                         Timeout for the request.
+   * @param   {Object}                [options.observer]                        Observer, whose next() is called with
+   *                                                                            the progress of the push. Each progress
+   *                                                                            object has a cancel() function.
    * @return  {Promise}                                                         Promise
    */
   push(options) {
-    return this.syncManager.push(this.collection, options);
+    return this.syncManager.push(this.collection, this._withSyncProgress(options));
   }
 
   /**
@@ -105,17 +283,24 @@ export class CacheStore extends NetworkStore {
    * returned that will be resolved with the result of the pull or rejected with an error.
    *
    * IMPORTANT: This method is not intended to be used to make concurrent requests.
-   * If you wish to pull multiple pages, please use the autoPagination option
+   * If you wish to pull multiple pages, please use the autoPagination option.
+   * With both useDeltaSet and autoPagination, the first pull fetches all the pages, and the later pulls
+   * request the delta set page by page, when there are too many changes for a single response.
    *
    * @param   {Query}                 [query]                                   Query to pull a subset of items.
    * @param   {Object}                options                                   Options
+   * @param   {Boolean|Object}        [options.autoPagination]                  Pull the entities in pages.
+   * @param   {Number}                [options.autoPagination.pageSize]         Number of entities in a page.
    * @param   {Properties}            [options.properties]                      Custom properties to send with
    *                                                                            the request.
    * @param   {Number}                [options.timeout]                         Timeout for the request.
+   * @param   {Object}                [options.observer]                        Observer, whose next() is called with
+   *                                                                            the progress of the pull. Each progress
+   *                                                                            object has a cancel() function.
    * @return  {Promise.<number>}                                                Promise
    */
   pull(query, options = {}) {
-    options = assign({ useDeltaSet: this.useDeltaSet }, options);
+    options = this._withSyncProgress(assign({ useDeltaSet: this.useDeltaSet }, options));
     return this.syncManager.getSyncItemCountByEntityQuery(this.collection, query)
       .then((count) => {
         if (count > 0) {
@@ -136,14 +321,21 @@ export class CacheStore extends NetworkStore {
    * @param   {Object}                options                                   Options
    * @param   {Properties}            [options.properties]                      Custom properties to send with the request.
    * @param   {Number}                [options.timeout]                         Timeout for the request.
+   * @param   {Object}                [options.observer]                        Observer, whose next() is called with
+   *                                                                            the progress of the push and the pull. Each progress
+   *                                                                            object has a cancel() function.
+   *                                                                            If the push is cancelled, nothing is pulled.
    * @return  {Promise.<{push: [], pull: number}>}                              Promise
    */
   sync(query, options) {
-    options = assign({ useDeltaSet: this.useDeltaSet }, options);
+    options = this._withSyncProgress(assign({ useDeltaSet: this.useDeltaSet }, options));
     const result = {};
     return this.push(options)
       .then((pushResult) => {
         result.push = pushResult;
+        if (options.progress && options.progress.isCancelled) {
+          return 0;
+        }
         return this.pull(query, options);
       })
       .then((pullResult) => {
@@ -155,4 +347,116 @@ export class CacheStore extends NetworkStore {
   clearSync(query) {
     return this.syncManager.clearSync(this.collection, query);
   }
+
+  /**
+   * Sync the collection in the background. Pending sync items are pushed and entities are pulled
+   * on an interval, after a number of local changes are pending push, or when the connectivity comes back.
+   * Retries after a network error or a timeout are delayed with an exponential backoff. A sync is skipped
+   * while a push for the collection is in progress. Calling this again replaces the previous settings.
+   *
+   * @param   {Object}                [options]                                 Options
+   * @param   {Number}                [options.interval]                        Sync every given number of milliseconds.
+   * @param   {Number}                [options.pendingChangesThreshold]         Sync when this many local changes are
+   *                                                                            pending push.
+   * @param   {Boolean}               [options.syncOnReconnect=true]            Sync when the connectivity comes back.
+   * @param   {Object}                [options.connectivityDetector]            Detects if the device is online.
+   * @param   {Query}                 [options.query]                           Query to pull a subset of items.
+   * @param   {Object}                [options.syncOptions]                     Options used to push and pull.
+   * @param   {Number}                [options.initialBackoff=1000]             The first retry delay in milliseconds.
+   * @param   {Number}                [options.maxBackoff=300000]               The longest retry delay in milliseconds.
+   * @return  {SyncScheduler}                                                   The scheduler, which emits progress events.
+   */
+  enableAutoSync(options) {
+    return enableSyncScheduler(this, options);
+  }
+
+  /**
+   * Stop syncing the collection in the background.
+   */
+  disableAutoSync() {
+    disableSyncScheduler(this.collection);
+  }
+
+  /**
+   * @private
+   * Creates the object, which tracks the progress of a push or pull, if an observer is provided.
+   */
+  _withSyncProgress(options) {
+    if (!options || !options.observer || options.progress) {
+      return options;
+    }
+    return assign({}, options, { progress: new SyncProgress(options.observer) });
+  }
+
+  /**
+   * @private
+   */
+  _withReadPolicy(options) {
+    return isDefined(this.readPolicy) ? assign({ readPolicy: this.readPolicy }, options) : options;
+  }
+
+  /**
+   * @private
+   */
+  _validateReadPolicy(readPolicy) {
+    if (isDefined(readPolicy) && !isReadPolicy(readPolicy)) {
+      return Promise.reject(new KinveyError('Invalid read policy. It must be one of the ReadPolicy values.'));
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _readOffline(query) {
+    return repositoryProvider.getOfflineRepository()
+      .then(repo => repo.read(this.collection, query))
+      .then((entities) => {
+        if (!query || !query.resolveFields.length) {
+          return entities;
+        }
+        return resolveReferences(entities, query.resolveFields, (c, ids) => this._fetchReferencedEntities(c, ids));
+      });
+  }
+
+  /**
+   * @private
+   * The entities received from the live service are also saved in the local cache,
+   * unless they have local changes, which are pending push.
+   */
+  _handleLiveEntity(entity) {
+    return this._saveLiveEntityOffline(entity)
+      .catch(err => Log.error('Unable to save the entity received from the live service', err))
+      .then(() => super._handleLiveEntity(entity));
+  }
+
+  /**
+   * @private
+   */
+  _saveLiveEntityOffline(entity) {
+    if (!entity || !isDefined(entity._id)) {
+      return Promise.resolve(null);
+    }
+
+    const query = new Query().equalTo('_id', entity._id);
+    return this.syncManager.getSyncItemCountByEntityQuery(this.collection, query)
+      .then((pendingCount) => {
+        if (pendingCount > 0) {
+          return null;
+        }
+        return repositoryProvider.getOfflineRepository()
+          .then(repo => repo.update(this.collection, entity));
+      });
+  }
+
+  /**
+   * @private
+   * References are resolved from the entities stored locally, so they can be resolved offline too.
+   */
+  _fetchReferencedEntities(collection, ids) {
+    const taggedCollection = formTaggedCollectionName(collection, getTagFromCollectionName(this.collection));
+    const query = new Query().contains('_id', ids);
+    return repositoryProvider.getOfflineRepository()
+      .then(repo => repo.read(taggedCollection, query));
+  }
 }
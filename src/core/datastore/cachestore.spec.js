@@ -2,15 +2,16 @@ import nock from 'nock';
 import expect from 'expect';
 import { CacheStore } from './cachestore';
 import { SyncStore } from './syncstore';
-import { SyncOperation } from './sync';
+import { SyncOperation, ConflictResolutionStrategy, getConflictResolver } from './sync';
 import { init } from '../kinvey';
 import { Query } from '../query';
 import { Aggregation } from '../aggregation';
-import { KinveyError, NotFoundError, ServerError, BadRequestError } from '../errors';
+import { KinveyError, NotFoundError, ServerError } from '../errors';
 import { randomString } from '../utils';
 import { NetworkRack } from '../request';
 import { NodeHttpMiddleware } from '../../node/http';
 import { User } from '../user';
+import { getCachedQuery } from './querycache';
 
 const collection = 'Books';
 const pendingPushEntitiesErrMsg = 'There is 1 entity, matching the provided query or id, pending push to the backend.';
@@ -318,7 +319,7 @@ describe('CacheStore', () => {
           .catch(done);
       });
 
-      it('should not send a delta set request if skip is used', (done) => {
+      it('should not send a delta set request for a page, if the pages before it were not fetched', (done) => {
         const entity1 = { _id: randomString() };
         const store = new CacheStore(collection, null, { useDeltaSet: true });
         const onNextSpy = expect.createSpy();
@@ -355,7 +356,7 @@ describe('CacheStore', () => {
           .catch(done);
       });
 
-      it('should not send a delta set request if limit is used', (done) => {
+      it('should send a delta set request for a page, which was fetched before', (done) => {
         const entity1 = { _id: randomString() };
         const store = new CacheStore(collection, null, { useDeltaSet: true });
         const onNextSpy = expect.createSpy();
@@ -372,10 +373,12 @@ describe('CacheStore', () => {
 
         store.pull(query)
           .then(() => {
+            const changedEntity1 = Object.assign({}, entity1, { title: 'test' });
+            // the changes are requested for the whole result, without the skip and limit
             nock(client.apiHostname)
-              .get(`/appdata/${store.client.appKey}/${collection}`)
-              .query(query.toQueryString())
-              .reply(200, [entity1], {
+              .get(`/appdata/${store.client.appKey}/${collection}/_deltaset`)
+              .query({ since: lastRequestDate.toISOString() })
+              .reply(200, { changed: [changedEntity1], deleted: [] }, {
                 'X-Kinvey-Request-Start': new Date().toISOString()
               });
 
@@ -383,6 +386,67 @@ describe('CacheStore', () => {
               .subscribe(onNextSpy, done, () => {
                 try {
                   expect(onNextSpy.calls.length).toEqual(2);
+                  expect(onNextSpy.calls[0].arguments).toEqual([[entity1]]);
+                  expect(onNextSpy.calls[1].arguments).toEqual([[changedEntity1]]);
+                  done();
+                } catch (error) {
+                  done(error);
+                }
+              });
+          })
+          .catch(done);
+      });
+
+      it('should fetch a page again, when an entity was deleted after the pages before it were fetched', (done) => {
+        const entity1 = { _id: randomString() };
+        const entity2 = { _id: randomString() };
+        const entity3 = { _id: randomString() };
+        const store = new CacheStore(collection, null, { useDeltaSet: true });
+        const onNextSpy = expect.createSpy();
+        const firstRequestDate = new Date(Date.now() - 2000);
+        const firstPage = new Query();
+        firstPage.limit = 1;
+        const secondPage = new Query();
+        secondPage.skip = 1;
+        secondPage.limit = 1;
+
+        nock(store.client.apiHostname)
+          .get(`/appdata/${store.client.appKey}/${collection}`)
+          .query(firstPage.toQueryString())
+          .reply(200, [entity1], {
+            'X-Kinvey-Request-Start': firstRequestDate.toISOString()
+          });
+
+        // entity2 moved to the first page, after it was fetched, so neither page has it
+        nock(store.client.apiHostname)
+          .get(`/appdata/${store.client.appKey}/${collection}`)
+          .query(secondPage.toQueryString())
+          .reply(200, [entity3], {
+            'X-Kinvey-Request-Start': new Date(Date.now() - 1000).toISOString()
+          });
+
+        store.pull(firstPage)
+          .then(() => store.pull(secondPage))
+          .then(() => {
+            nock(client.apiHostname)
+              .get(`/appdata/${store.client.appKey}/${collection}/_deltaset`)
+              .query({ since: firstRequestDate.toISOString() })
+              .reply(200, { changed: [], deleted: [{ _id: entity1._id }] }, {
+                'X-Kinvey-Request-Start': new Date().toISOString()
+              });
+            const pageScope = nock(client.apiHostname)
+              .get(`/appdata/${store.client.appKey}/${collection}`)
+              .query(firstPage.toQueryString())
+              .reply(200, [entity2], {
+                'X-Kinvey-Request-Start': new Date().toISOString()
+              });
+
+            store.find(firstPage)
+              .subscribe(onNextSpy, done, () => {
+                try {
+                  expect(pageScope.isDone()).toBe(true);
+                  expect(onNextSpy.calls.length).toEqual(2);
+                  expect(onNextSpy.calls[1].arguments).toEqual([[entity2]]);
                   done();
                 } catch (error) {
                   done(error);
@@ -519,41 +583,141 @@ describe('CacheStore', () => {
             .catch(done);
       });
 
-      it('should return error if more than 10000 items are changed', function (done){
+      it('should fetch the whole result, if more than 10000 items are changed', () => {
         const entity1 = { _id: randomString() };
         const entity2 = { _id: randomString() };
-        const store = new CacheStore(collection, null, { useDeltaSet: true});
+        const store = new CacheStore(collection, null, { useDeltaSet: true });
         const onNextSpy = expect.createSpy();
-        const lastRequestDate = new Date();
+        const lastRequestDate = new Date().toISOString();
 
         nock(store.client.apiHostname)
-        .get(`/appdata/${store.client.appKey}/${collection}`)
-        .reply(200, [entity1, entity2], {
-          'X-Kinvey-Request-Start': lastRequestDate.toISOString()
-        });
+          .get(`/appdata/${store.client.appKey}/${collection}`)
+          .reply(200, [entity1, entity2], { 'X-Kinvey-Request-Start': lastRequestDate });
 
-          store.pull()
-            .then(()=>{
-              nock(store.client.apiHostname)
-                .get(`/appdata/${store.client.appKey}/${collection}/_deltaset`)
-                .query({ since: lastRequestDate.toISOString() })
-                .reply(400, {
-                  error: "BadRequest",
-                  description: "Unable to understand request",
-                  debug: "ResultSetSizeExceeded"
+        return store.pull()
+          .then(() => {
+            nock(store.client.apiHostname)
+              .get(`/appdata/${store.client.appKey}/${collection}/_deltaset`)
+              .query({ since: lastRequestDate })
+              .reply(400, {
+                error: 'BadRequest',
+                description: 'Unable to understand request',
+                debug: 'ResultSetSizeExceeded'
               });
-              store.find()
-                .subscribe(null, (error)=>{
-                  try{
-                    expect(error).toBeA(BadRequestError);
-                    expect(error.debug).toEqual('ResultSetSizeExceeded')
-                    done();
-                  } catch (e) {
-                    done(e);
-                  }
-                })
-            })
-            .catch(done);
+            nock(store.client.apiHostname)
+              .get(`/appdata/${store.client.appKey}/${collection}`)
+              .reply(200, [entity1], { 'X-Kinvey-Request-Start': new Date().toISOString() });
+            return store.find().forEach(onNextSpy);
+          })
+          .then(() => {
+            expect(nock.isDone()).toEqual(true);
+            expect(onNextSpy.calls.length).toEqual(2);
+            expect(onNextSpy.calls[1].arguments).toEqual([[entity1]]);
+          });
+      });
+
+      it('should pull the whole result, if more than 10000 items are changed and autoPagination is not set', () => {
+        const entity1 = { _id: randomString() };
+        const entity2 = { _id: randomString() };
+        const store = new CacheStore(collection, null, { useDeltaSet: true });
+        const lastRequestDate = new Date().toISOString();
+
+        nock(store.client.apiHostname)
+          .get(`/appdata/${store.client.appKey}/${collection}`)
+          .reply(200, [entity1, entity2], { 'X-Kinvey-Request-Start': lastRequestDate });
+
+        return store.pull()
+          .then(() => {
+            nock(store.client.apiHostname)
+              .get(`/appdata/${store.client.appKey}/${collection}/_deltaset`)
+              .query({ since: lastRequestDate })
+              .reply(400, {
+                error: 'BadRequest',
+                description: 'Unable to understand request',
+                debug: 'ResultSetSizeExceeded'
+              });
+            nock(store.client.apiHostname)
+              .get(`/appdata/${store.client.appKey}/${collection}`)
+              .reply(200, [entity2], { 'X-Kinvey-Request-Start': new Date().toISOString() });
+            return store.pull();
+          })
+          .then((count) => {
+            expect(count).toEqual(1);
+            expect(nock.isDone()).toEqual(true);
+            return new SyncStore(collection).find().toPromise();
+          })
+          .then((entities) => {
+            expect(entities).toEqual([entity2]);
+          });
+      });
+
+      it('should request the delta set in pages if more than 10000 items are changed and autoPagination is set', () => {
+        const entity1 = { _id: randomString() };
+        const entity2 = { _id: randomString() };
+        const updatedEntity1 = Object.assign({ title: randomString() }, entity1);
+        const store = new CacheStore(collection, null, { useDeltaSet: true });
+        const options = { autoPagination: { pageSize: 1 } };
+        const lastRequestDate = new Date().toISOString();
+        const deltaSetRequestDate = new Date(Date.now() + 1000).toISOString();
+        // a skip of 0 is not sent
+        const isPage = skip => query => (query.skip || '0') === `${skip}`;
+        const isDeltaSetPage = skip => query => query.since === lastRequestDate && query.limit === '1'
+          && isPage(skip)(query);
+
+        nock(store.client.apiHostname)
+          .get(`/appdata/${store.client.appKey}/${collection}/_count`)
+          .reply(200, { count: 2 }, { 'X-Kinvey-Request-Start': lastRequestDate });
+        nock(store.client.apiHostname)
+          .get(`/appdata/${store.client.appKey}/${collection}`)
+          .query(isPage(0))
+          .reply(200, [entity1]);
+        nock(store.client.apiHostname)
+          .get(`/appdata/${store.client.appKey}/${collection}`)
+          .query(isPage(1))
+          .reply(200, [entity2]);
+
+        return store.pull(null, options)
+          .then((count) => {
+            expect(count).toEqual(2);
+            expect(nock.isDone()).toEqual(true);
+
+            nock(store.client.apiHostname)
+              .get(`/appdata/${store.client.appKey}/${collection}/_deltaset`)
+              .query({ since: lastRequestDate })
+              .reply(400, {
+                error: 'BadRequest',
+                description: 'Unable to understand request',
+                debug: 'ResultSetSizeExceeded'
+              });
+            nock(store.client.apiHostname)
+              .get(`/appdata/${store.client.appKey}/${collection}/_deltaset`)
+              .query(isDeltaSetPage(0))
+              .reply(200, { changed: [updatedEntity1], deleted: [] }, {
+                'X-Kinvey-Request-Start': deltaSetRequestDate
+              });
+            nock(store.client.apiHostname)
+              .get(`/appdata/${store.client.appKey}/${collection}/_deltaset`)
+              .query(isDeltaSetPage(1))
+              .reply(200, { changed: [], deleted: [{ _id: entity2._id }] });
+            nock(store.client.apiHostname)
+              .get(`/appdata/${store.client.appKey}/${collection}/_deltaset`)
+              .query(isDeltaSetPage(2))
+              .reply(200, { changed: [], deleted: [] });
+
+            return store.pull(null, options);
+          })
+          .then((count) => {
+            expect(count).toEqual(1);
+            expect(nock.isDone()).toEqual(true);
+            return new SyncStore(collection).find().toPromise();
+          })
+          .then((entities) => {
+            expect(entities).toEqual([updatedEntity1]);
+            return getCachedQuery(collection, null);
+          })
+          .then((cachedQuery) => {
+            expect(cachedQuery.lastRequest).toEqual(deltaSetRequestDate);
+          });
       });
     });
 
@@ -1505,6 +1669,20 @@ describe('CacheStore', () => {
           expect(count).toEqual(0);
         });
     });
+
+    it('should keep a conflict resolver for each tag of the collection', () => {
+      const store = new CacheStore(collection, null, { conflictResolver: ConflictResolutionStrategy.Merge });
+      const taggedStore = new CacheStore(collection, null, {
+        tag: randomString(),
+        conflictResolver: ConflictResolutionStrategy.ServerWins
+      });
+      const otherTaggedStore = new CacheStore(collection, null, { tag: randomString() });
+      expect(getConflictResolver(store.collection)).toBe(ConflictResolutionStrategy.Merge);
+      expect(getConflictResolver(taggedStore.collection)).toBe(ConflictResolutionStrategy.ServerWins);
+      expect(getConflictResolver(otherTaggedStore.collection)).toNotExist();
+      store.setConflictResolver(null);
+      taggedStore.setConflictResolver(null);
+    });
   });
 
   describe('pull()', () => {
@@ -0,0 +1,179 @@
+import isPlainObject from 'lodash/isPlainObject';
+import isString from 'lodash/isString';
+import uniq from 'lodash/uniq';
+
+import { KinveyError } from '../errors';
+import { isDefined, isNumber } from '../utils';
+import { stripTagFromCollectionName } from './utils';
+
+const RANGE_OPERATORS = ['$gt', '$gte', '$lt', '$lte'];
+const indexesByCollection = {};
+
+/**
+ * @private
+ * @typedef {Object} IndexPlan
+ * @property {string} field         The indexed field, which the candidate entities are read by.
+ * @property {Array} [values]       The entities with any of these values are read - for equality and $in filters.
+ * @property {*} [lower]            The lower bound of the values - for range filters.
+ * @property {boolean} [lowerOpen]  True, if the lower bound is excluded.
+ * @property {*} [upper]            The upper bound of the values - for range filters.
+ * @property {boolean} [upperOpen]  True, if the upper bound is excluded.
+ */
+
+/**
+ * @private
+ * Sets the fields of the collection, which the offline persisters keep an index for, like ['status', 'owner._id'].
+ * Tagged stores of a collection share its indexes. Passing no indexes removes them.
+ * @param {string} collection
+ * @param {string[]} [indexes]
+ */
+export function setCollectionIndexes(collection, indexes) {
+  const key = stripTagFromCollectionName(collection);
+
+  if (!isDefined(indexes)) {
+    delete indexesByCollection[key];
+    return;
+  }
+
+  if (!Array.isArray(indexes) || indexes.some(field => !isString(field) || field.length === 0)) {
+    throw new KinveyError('Invalid indexes. They must be an array of field names.');
+  }
+
+  indexesByCollection[key] = uniq(indexes);
+}
+
+/**
+ * @private
+ * @param {string} collection
+ * @returns {string[]}
+ */
+export function getCollectionIndexes(collection) {
+  return indexesByCollection[stripTagFromCollectionName(collection)] || [];
+}
+
+function isIndexableValue(value) {
+  return isString(value) || isNumber(value);
+}
+
+function collectValues(value, path, values) {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectValues(item, path, values));
+  } else if (path.length === 0) {
+    if (isIndexableValue(value)) {
+      values.push(value);
+    }
+  } else if (isPlainObject(value)) {
+    collectValues(value[path[0]], path.slice(1), values);
+  }
+}
+
+/**
+ * @private
+ * Returns the values of a field, which are kept in its index. Like the filters,
+ * arrays along the path of the field are searched, so an entity can have several values.
+ * Only strings and numbers are indexed.
+ * @param {Object} entity
+ * @param {string} field
+ * @returns {Array}
+ */
+export function getIndexValues(entity, field) {
+  const values = [];
+  collectValues(entity, field.split('.'), values);
+  return uniq(values);
+}
+
+function getEqualityValues(condition) {
+  if (isIndexableValue(condition)) {
+    return [condition];
+  }
+
+  if (!isPlainObject(condition)) {
+    return null;
+  }
+
+  if (isIndexableValue(condition.$eq)) {
+    return [condition.$eq];
+  }
+
+  if (Array.isArray(condition.$in) && condition.$in.length > 0 && condition.$in.every(isIndexableValue)) {
+    return uniq(condition.$in);
+  }
+
+  return null;
+}
+
+function getRange(condition) {
+  if (!isPlainObject(condition)) {
+    return null;
+  }
+
+  const bounds = RANGE_OPERATORS
+    .filter(operator => isIndexableValue(condition[operator]))
+    .map(operator => ({ operator, value: condition[operator] }));
+
+  // a range between a string and a number can't be read from the index
+  if (bounds.length === 0 || bounds.some(bound => typeof bound.value !== typeof bounds[0].value)) {
+    return null;
+  }
+
+  return bounds.reduce((range, { operator, value }) => {
+    if (operator === '$gt' || operator === '$gte') {
+      if (!isDefined(range.lower) || value > range.lower || (value === range.lower && operator === '$gt')) {
+        range.lower = value;
+        range.lowerOpen = operator === '$gt';
+      }
+    } else if (!isDefined(range.upper) || value < range.upper || (value === range.upper && operator === '$lt')) {
+      range.upper = value;
+      range.upperOpen = operator === '$lt';
+    }
+    return range;
+  }, {});
+}
+
+function getConditions(filter) {
+  const conditions = [];
+  Object.keys(filter).forEach((key) => {
+    if (key === '$and' && Array.isArray(filter.$and)) {
+      filter.$and
+        .filter(isPlainObject)
+        .forEach(subFilter => getConditions(subFilter).forEach(condition => conditions.push(condition)));
+    } else if (key.charAt(0) !== '$') {
+      conditions.push({ field: key, condition: filter[key] });
+    }
+  });
+  return conditions;
+}
+
+/**
+ * @private
+ * Chooses the index to read the candidate entities for a query by. Equality and $in filters,
+ * with the fewest values, are preferred over range filters. The candidates are a superset
+ * of the matching entities, so the query still has to be applied to them.
+ * @param {Query} query
+ * @param {string[]} indexes
+ * @returns {IndexPlan|null} Null, if no index can be used for the query.
+ */
+export function getIndexPlan(query, indexes) {
+  const filter = query ? query.toPlainObject().filter : null;
+  if (!isPlainObject(filter) || indexes.length === 0) {
+    return null;
+  }
+
+  const conditions = getConditions(filter)
+    .filter(({ field }) => indexes.indexOf(field) !== -1);
+
+  const equalityPlans = conditions
+    .map(({ field, condition }) => ({ field, values: getEqualityValues(condition) }))
+    .filter(plan => plan.values !== null)
+    .sort((a, b) => a.values.length - b.values.length);
+
+  if (equalityPlans.length > 0) {
+    return equalityPlans[0];
+  }
+
+  const rangePlan = conditions
+    .map(({ field, condition }) => ({ field, range: getRange(condition) }))
+    .find(plan => plan.range !== null);
+
+  return rangePlan ? Object.assign({ field: rangePlan.field }, rangePlan.range) : null;
+}
@@ -9,6 +9,27 @@ export class DataStore {
   *
   * @param  {string}           [collection]                  Name of the collection.
   * @param  {DataStoreType}    [type=DataStoreType.Cache]    Type of store to return.
+  * @param  {Object}           [options]                     Options
+  * @param  {Object}           [options.schema]              JSON Schema of the entities in the collection. Entities
+  *                                                          are validated against it before they are saved, and a
+  *                                                          ValidationError is returned for invalid ones.
+  * @param  {boolean}          [options.validatePulledData]  Validate the entities pulled from the backend, too.
+  * @param  {number}           [options.ttl]                 Milliseconds the entities are kept in the cache. Older
+  *                                                          entities are not emitted from the cache by find() and
+  *                                                          findById(), and are removed from it, unless they have
+  *                                                          local changes pending push.
+  * @param  {ReadPolicy}       [options.readPolicy]          When find() and findById() emit the cached and the
+  *                                                          network results. ReadPolicy.CacheFirst uses a cached
+  *                                                          result fetched within the ttl of the store.
+  * @param  {Object}           [options.queryCacheLimits]    Limits of the queries cached for delta set requests,
+  *                                                          as in setQueryCacheLimits().
+  * @param  {string[]}         [options.indexes]             Fields, like ['status', 'owner._id'], which the
+  *                                                          IndexedDB and SQLite caches keep an index for. Queries
+  *                                                          with an equality, $in or range filter on one of them
+  *                                                          read only the matching entities from the cache.
+  *                                                          IndexedDB indexes the top level fields only.
+  * @param  {number}           [options.historySize]         Number of local versions of each entity, which a
+  *                                                          SyncStore keeps, as in history() and revert().
   * @return {DataStore}                                      DataStore instance.
   */
   static collection(collection, type = DataStoreType.Cache, options) {}
@@ -20,6 +41,65 @@ export class DataStore {
    */
   static clearCache() {}
 
+  /**
+   * Encrypts all data in the cache with the encryptionKey of the client. The data, which was encrypted
+   * with one of its previousEncryptionKeys, is encrypted again - so those keys can be removed afterwards.
+   *
+   * @return {Promise<boolean>} Resolves with true, once all data is encrypted with the encryptionKey.
+   */
+  static reencryptCache() {}
+
+  /**
+   * Moves the cache to another storage provider, including the entities waiting to be synced.
+   * The storage of the client is switched to it, once all data is copied, and the cache of the
+   * previous storage provider is cleared. If the migration fails, the previous storage provider is kept.
+   *
+   * @param {StorageProvider} storageProvider The storage provider to move the cache to.
+   * @return {Promise<Object>} The count of the migrated entities by collection.
+   */
+  static migrateCache(storageProvider) {}
+
+  /**
+   * Exports all data in the cache as a snapshot, which can be serialized with JSON.stringify().
+   * It includes the entities waiting to be synced, and the cached queries.
+   *
+   * @param {Object} [options] Options
+   * @param {boolean} [options.scrubAuthFields=false] Leave out the authtoken, the social identities and the
+   *                                                  passwords of the cached users.
+   * @return {Promise<Object>} The snapshot, with its version and all collections.
+   */
+  static exportCache(options) {}
+
+  /**
+   * Replaces all data in the cache with the data of a snapshot created by exportCache(). The snapshot is
+   * validated first, and nothing is imported, if it is not valid.
+   *
+   * @param {Object|string} snapshot The snapshot, or its JSON.
+   * @param {Object} [options] Options
+   * @param {boolean} [options.scrubAuthFields=false] Leave out the authtoken, the social identities and the
+   *                                                  passwords of the cached users.
+   * @return {Promise<Object>} The count of the imported entities by collection.
+   */
+  static importCache(snapshot, options) {}
+
+  /**
+   * Reports the approximate size of the data in the cache, as the bytes of its JSON.
+   *
+   * @return {Promise<Object>} {totalBytes, collections} - the collections hold the bytes of each collection.
+   */
+  static getStorageUsage() {}
+
+  /**
+   * Sets the quota of the cache. Once the cache grows above it, entities are evicted as the eviction
+   * policy tells. The entities waiting to be synced are never evicted. Passing no quota removes it.
+   *
+   * @param {Object} [quota] Quota
+   * @param {number} [quota.maxBytes] The approximate size of the cache, in bytes, to stay within.
+   * @param {StorageEvictionPolicy} [quota.evictionPolicy=StorageEvictionPolicy.LeastRecentlyUsedCollection]
+   *                                 Which entities are evicted first.
+   */
+  static setStorageQuota(quota) {}
+
   /**
    * Find all entities in the collection. A query can be optionally provided to return
    * a subset of all entities in a collection or omitted to return all entities in
@@ -29,6 +109,9 @@ export class DataStore {
    * @param   {Query}                 [query]                             Query used to filter entities.
    * @param   {Object}                [options]                           Options
    * @param   {Boolean}               [options.useDeltaSet]               Turn on or off the use of delta set.
+   * @param   {ReadPolicy}            [options.readPolicy]                When the cached and the network results
+   *                                                                      are emitted. Overrides the read policy of
+   *                                                                      the store.
    * @return  {Observable}                                                Observable.
    */
   find(query, options = {}) { }
@@ -39,6 +122,8 @@ export class DataStore {
    * @param   {string}                id                               Entity by id to find.
    * @param   {Object}                [options]                        Options
    * @param   {Boolean}               [options.useDeltaSet]            Turn on or off the use of delta set.
+   * @param   {ReadPolicy}            [options.readPolicy]             When the cached and the network entity are
+   *                                                                   emitted. Overrides the read policy of the store.
    * @return  {Observable}                                             Observable.
    */
   findById(id, options = {}) { }
@@ -87,6 +172,20 @@ export class DataStore {
    */
   update(entity, options = {}) { }
 
+  /**
+   * Update only the given fields of an entity. The other fields are not sent, so changes
+   * made to them by someone else are kept. On a sync store, the changed fields of all patches
+   * made before a push are combined and sent at once. If the backend does not accept
+   * partial updates, the whole entity is sent instead.
+   *
+   * @param   {string}                id                                Id of the entity.
+   * @param   {Object}                changes                           The fields to change and their new values.
+   * @return  {Promise}                                                 Updated entity.
+   *
+   * @throws {KinveyError} An _id is required to patch an entity.
+   */
+  patch(id, changes, options = {}) { }
+
   /**
    * Save a single entity on the data store.
    *
@@ -114,6 +213,74 @@ export class DataStore {
    */
   removeById(id, options = {}) { }
 
+  /**
+   * Create several entities. A failure to create one entity does not stop the others.
+   * On a network store, one request is made per entity and at most options.maxConcurrency of them run at once.
+   * On a sync store, the entities and their sync items are saved locally in one write.
+   *
+   * @param   {Object[]}              entities                          Entities to create.
+   * @param   {Object}                [options]                         Options
+   * @param   {Number}                [options.maxConcurrency]          How many requests can run at the same time.
+   * @return  {Promise}                                                 One result per entity, in the same order,
+   *                                                                    with _id, operation, entity and error,
+   *                                                                    if the operation failed for the entity.
+   */
+  createMany(entities, options = {}) { }
+
+  /**
+   * Update several entities. Works like createMany().
+   *
+   * @param   {Object[]}              entities                          Entities to update.
+   * @return  {Promise}                                                 One result per entity, in the same order.
+   */
+  updateMany(entities, options = {}) { }
+
+  /**
+   * Save several entities. Entities with an _id are updated and the rest are created. Works like createMany().
+   *
+   * @param   {Object[]}              entities                          Entities to save.
+   * @return  {Promise}                                                 One result per entity, in the same order.
+   */
+  saveMany(entities, options = {}) { }
+
+  /**
+   * Remove several entities by id. Works like createMany().
+   *
+   * @param   {string[]}              ids                               Ids of the entities to remove.
+   * @return  {Promise}                                                 One result per id, in the same order.
+   */
+  removeByIds(ids, options = {}) { }
+
+  /**
+   * Watch the entities in the local cache, which match a query. The returned observable emits them right away
+   * and again every time the collection changes locally - after entities are saved or removed, after a pull
+   * or sync, or when an entity is received from the live service. It does not complete, so unsubscribe from it
+   * to stop watching. Not available on network stores.
+   *
+   * @param   {Query}                 [query]                           Query used to filter entities.
+   * @return  {Observable}                                              Observable.
+   */
+  watch(query) {}
+
+  /**
+   * Register a handler, which is called after entities of the collection are created, updated or removed,
+   * and after they are pushed or pulled. The handler receives an object with the collection, the ids of
+   * the affected entities and the source of the change - local, push, pull, deltaset or live.
+   *
+   * @param   {DataStoreEvent}        event                             create, update, remove, push or pull.
+   * @param   {Function}              handler                           Called every time the event is emitted.
+   * @return  {Function}                                                Removes the handler.
+   */
+  on(event, handler) {}
+
+  /**
+   * Remove a handler, registered with on().
+   *
+   * @param   {DataStoreEvent}        event                             The event.
+   * @param   {Function}              handler                           The handler to remove.
+   */
+  off(event, handler) {}
+
   /**
    * Remove all entities in the collection that are stored in the local cache.
    *
@@ -122,6 +289,14 @@ export class DataStore {
    */
   clear(query, options = {}) {}
 
+  /**
+   * Remove the entities, which were cached longer than the ttl of the store, from the cache.
+   * Entities with local changes, which are pending push, are kept.
+   *
+   * @return  {Promise<number>}                                                 Number of entities removed.
+   */
+  purgeExpiredEntities() {}
+
   /**
    * Count the number of entities waiting to be pushed to the backend.
    *
@@ -138,6 +313,77 @@ export class DataStore {
    */
   pendingSyncEntities(query) {}
 
+  /**
+   * Set how conflicts are resolved when pushing entities to the backend. A conflict is detected
+   * when the entity on the backend was modified since it was last synced. The resolver is shared by
+   * the stores of the collection with the same tag.
+   *
+   * @param   {ConflictResolutionStrategy|Function}   resolver                  A strategy, or a function which receives
+   *                                                                            the conflict and returns a strategy, the
+   *                                                                            entity to push or nothing.
+   */
+  setConflictResolver(resolver) {}
+
+  /**
+   * Limit the queries cached for delta set requests. Evicting a query does not remove its entities
+   * from the cache - the next request of the query fetches all of them again.
+   *
+   * @param   {Object}                [limits]                                  Limits, or null to remove them.
+   * @param   {number}                [limits.maxEntries]                       Number of queries to keep. The least
+   *                                                                            recently used ones are evicted.
+   * @param   {number}                [limits.maxAge]                           Milliseconds after which a query,
+   *                                                                            which was not used, is evicted.
+   */
+  setQueryCacheLimits(limits) {}
+
+  /**
+   * List the queries cached for delta set requests, the most recently used first.
+   *
+   * @return  {Promise<Object[]>}                                               Cached queries, with their query,
+   *                                                                            lastRequest, lastUsed, deltaSetRequests
+   *                                                                            and fullRequests.
+   */
+  getCachedQueries() {}
+
+  /**
+   * Evict a query from the query cache, so its next request fetches all the entities again.
+   *
+   * @param   {Query}                 [query]                                   Query to evict.
+   * @return  {Promise<number>}                                                 1 if the query was cached, 0 otherwise.
+   */
+  evictCachedQuery(query) {}
+
+  /**
+   * Count how many times the cached queries were refreshed with a delta set, and how many times
+   * all their entities were fetched.
+   *
+   * @return  {Promise<Object>}                                                 {cachedQueries, deltaSetRequests,
+   *                                                                            fullRequests}
+   */
+  getQueryCacheStats() {}
+
+  /**
+   * List the local versions of an entity, the most recent first. Only a SyncStore created with
+   * the historySize option keeps them.
+   *
+   * @param   {string}                id                                        Id of the entity.
+   * @return  {Promise<Object[]>}                                               Versions, with their version number,
+   *                                                                            entity - null, if it was deleted -
+   *                                                                            and savedAt timestamp.
+   */
+  history(id) {}
+
+  /**
+   * Revert an entity to a version from its history. The pending sync item of the entity is replaced, so
+   * the next push creates, updates or deletes the entity on the backend, as the reverted version tells.
+   *
+   * @param   {string}                id                                        Id of the entity.
+   * @param   {number}                version                                   Version number from history().
+   * @return  {Promise<Object>}                                                 The reverted entity, or null,
+   *                                                                            if it was deleted.
+   */
+  revert(id, version) {}
+
   /**
    * Push pending sync items to the backend.
    *
@@ -145,6 +391,9 @@ export class DataStore {
    * @param   {Properties}            [options.properties]                      Custom properties to send with
    *                                                                            the request.
    * @param   {Number}                [options.timeout]                         Timeout for the request.
+   * @param   {Object}                [options.observer]                        Receives the progress of the push. Call
+   *                                                                            cancel() on a progress object to stop
+   *                                                                            pushing the remaining items.
    * @return  {Promise}                                                         Push result
    */
   push(options) {}
@@ -153,13 +402,20 @@ export class DataStore {
    * Pull entities from the backend and save them to the local cache
    *
    * IMPORTANT: This method is not intended to be used to make concurrent requests.
-   * If you wish to pull multiple pages, please use the autoPagination option
+   * If you wish to pull multiple pages, please use the autoPagination option.
+   * With both useDeltaSet and autoPagination, the first pull fetches all the pages, and the later pulls
+   * request the delta set page by page, when there are too many changes for a single response.
    *
    * @param   {Query}                 [query]                                   Query to pull a subset of items.
    * @param   {Object}                options                                   Options
+   * @param   {Boolean|Object}        [options.autoPagination]                  Pull the entities in pages.
+   * @param   {Number}                [options.autoPagination.pageSize]         Number of entities in a page.
    * @param   {Properties}            [options.properties]                      Custom properties to send with
    *                                                                            the request.
    * @param   {Number}                [options.timeout]                         Timeout for the request.
+   * @param   {Object}                [options.observer]                        Receives the progress of the pull, page
+   *                                                                            by page with autoPagination. Call cancel()
+   *                                                                            on a progress object to stop the pull.
    * @return  {Promise<number>}                                                 Number of entities pulled
    */
   pull(query, options = {}) {}
@@ -172,6 +428,9 @@ export class DataStore {
    * @param   {Object}                options                                   Options
    * @param   {Properties}            [options.properties]                      Custom properties to send with the request.
    * @param   {Number}                [options.timeout]                         Timeout for the request.
+   * @param   {Object}                [options.observer]                        Receives the progress of the push and
+   *                                                                            the pull, as {operation, done, total,
+   *                                                                            failed, cancelled, cancel}.
    * @return  {Promise<{push: [], pull: number}>}                               Sync result
    */
   sync(query, options) {}
@@ -185,4 +444,25 @@ export class DataStore {
   clearSync(query) {
     return this.syncManager.clearSync(this.collection, query);
   }
+
+  /**
+   * Sync the collection in the background. Pending sync items are pushed and entities are pulled
+   * on an interval, after a number of local changes are pending push, or when the connectivity comes back.
+   *
+   * @param   {Object}                [options]                                 Options
+   * @param   {Number}                [options.interval]                        Sync every given number of milliseconds.
+   * @param   {Number}                [options.pendingChangesThreshold]         Sync when this many local changes are
+   *                                                                            pending push.
+   * @param   {Boolean}               [options.syncOnReconnect=true]            Sync when the connectivity comes back.
+   * @param   {Query}                 [options.query]                           Query to pull a subset of items.
+   * @return  {SyncScheduler}                                                   The scheduler, which emits syncStart,
+   *                                                                            pushComplete, pullComplete, syncComplete,
+   *                                                                            syncSkipped and syncError events.
+   */
+  enableAutoSync(options) {}
+
+  /**
+   * Stop syncing the collection in the background.
+   */
+  disableAutoSync() {}
 }
@@ -8,6 +8,8 @@ import { SyncStore } from './syncstore';
 import { processorFactory } from './processors';
 import { repositoryProvider } from './repositories';
 import { isValidDataStoreTag } from './utils';
+import { exportCacheSnapshot, importCacheSnapshot } from './cache-snapshot';
+import { getStorageUsage, setStorageQuota } from './storage-quota';
 
 /**
  * @typedef   {Object}    DataStoreType
@@ -37,6 +39,17 @@ export class DataStore {
    *
    * @param  {string}           [collection]                  Name of the collection.
    * @param  {DataStoreType}    [type=DataStoreType.Cache]    Type of store to return.
+   * @param  {Object}           [options]                     Options
+   * @param  {Object}           [options.schema]              JSON Schema of the entities in the collection. Entities
+   *                                                          are validated against it before they are saved, and a
+   *                                                          ValidationError is returned for invalid ones.
+   * @param  {boolean}          [options.validatePulledData]  Validate the entities pulled from the backend, too.
+   * @param  {number}           [options.ttl]                 Milliseconds the entities are kept in the cache.
+   * @param  {ReadPolicy}       [options.readPolicy]          When find() and findById() emit the cached and the
+   *                                                          network results.
+   * @param  {Object}           [options.queryCacheLimits]    Limits of the queries cached for delta set requests.
+   * @param  {string[]}         [options.indexes]             Fields, which the offline persisters keep an index for.
+   * @param  {number}           [options.historySize]         Local versions of each entity a SyncStore keeps.
    * @return {DataStore}                                      DataStore instance.
    */
   static collection(collection, type = DataStoreType.Cache, options) {
@@ -92,4 +105,78 @@ export class DataStore {
       .then(repo => repo.clear())
       .then(() => null); // backwards compatibility
   }
+
+  /**
+   * Encrypts all data in the cache with the encryptionKey of the client. The data, which was encrypted
+   * with one of its previousEncryptionKeys, is encrypted again - so those keys can be removed afterwards.
+   *
+   * @return {Promise<boolean>} Resolves with true, once all data is encrypted with the encryptionKey.
+   */
+  static reencryptCache() {
+    return repositoryProvider.getOfflineRepository()
+      .then(repo => repo.reencrypt());
+  }
+
+  /**
+   * Moves the cache to another storage provider, including the entities waiting to be synced.
+   * The storage of the client is switched to it, once all data is copied, and the cache of the
+   * previous storage provider is cleared. If the migration fails, the previous storage provider is kept.
+   * The writes to the cache wait for the migration. A write, which still used the previous storage provider,
+   * fails then, and can be retried.
+   *
+   * @param {StorageProvider} storageProvider The storage provider to move the cache to.
+   * @return {Promise<Object>} The count of the migrated entities by collection.
+   */
+  static migrateCache(storageProvider) {
+    return repositoryProvider.migrateOfflineRepository(storageProvider);
+  }
+
+  /**
+   * Exports all data in the cache as a snapshot, which can be serialized with JSON.stringify().
+   * It includes the entities waiting to be synced, and the cached queries.
+   *
+   * @param {Object} [options] Options
+   * @param {boolean} [options.scrubAuthFields=false] Leave out the authtoken, the social identities and the
+   *                                                  passwords of the cached users.
+   * @return {Promise<Object>} The snapshot, with its version and all collections.
+   */
+  static exportCache(options) {
+    return exportCacheSnapshot(options);
+  }
+
+  /**
+   * Replaces all data in the cache with the data of a snapshot created by exportCache(). The snapshot is
+   * validated first, and nothing is imported, if it is not valid.
+   *
+   * @param {Object|string} snapshot The snapshot, or its JSON.
+   * @param {Object} [options] Options
+   * @param {boolean} [options.scrubAuthFields=false] Leave out the authtoken, the social identities and the
+   *                                                  passwords of the cached users.
+   * @return {Promise<Object>} The count of the imported entities by collection.
+   */
+  static importCache(snapshot, options) {
+    return importCacheSnapshot(snapshot, options);
+  }
+
+  /**
+   * Reports the approximate size of the data in the cache, as the bytes of its JSON.
+   *
+   * @return {Promise<Object>} {totalBytes, collections} - the collections hold the bytes of each collection.
+   */
+  static getStorageUsage() {
+    return getStorageUsage();
+  }
+
+  /**
+   * Sets the quota of the cache. Once the cache grows above it, entities are evicted as the eviction
+   * policy tells. The entities waiting to be synced are never evicted. Passing no quota removes it.
+   *
+   * @param {Object} [quota] Quota
+   * @param {number} [quota.maxBytes] The approximate size of the cache, in bytes, to stay within.
+   * @param {StorageEvictionPolicy} [quota.evictionPolicy=StorageEvictionPolicy.LeastRecentlyUsedCollection]
+   *                                 Which entities are evicted first.
+   */
+  static setStorageQuota(quota) {
+    setStorageQuota(quota);
+  }
 }
@@ -1,48 +1,119 @@
 import { format } from 'url';
+import isEmpty from 'lodash/isEmpty';
+
 import { KinveyRequest, RequestMethod, AuthType } from '../request';
 import { Client } from '../client';
+import { Query } from '../query';
 import {
+  BadRequestError,
   InvalidCachedQuery,
   ParameterValueOutOfRangeError,
   ResultSetSizeExceededError,
   MissingConfigurationError
 } from '../errors';
 import { buildCollectionUrl } from './utils';
-import { getCachedQuery } from './querycache';
+import { maxEntityLimit, defaultPullSortField } from './sync/utils';
+import { getCachedQuery, getQueryWindow, isQueryWindowMaterialized, canApplyDeltaSet } from './querycache';
+
+// the changes are requested for the whole result, as the entities can move between the pages
+function getDeltaSetQuery(query) {
+  if (!query || !getQueryWindow(query)) {
+    return query;
+  }
+
+  const { filter, sort, fields } = query;
+  return new Query({ filter, sort, fields });
+}
+
+function requestDeltaSet(collectionName, query, since, options) {
+  const client = Client.sharedInstance();
+  const request = new KinveyRequest({
+    authType: AuthType.Default,
+    method: RequestMethod.GET,
+    url: format({
+      protocol: client.apiProtocol,
+      host: client.apiHost,
+      pathname: buildCollectionUrl(collectionName, null, '_deltaset'),
+      query: { since }
+    }),
+    query,
+    timeout: options.timeout,
+    followRedirect: options.followRedirect,
+    cache: options.cache,
+    properties: options.properties,
+    skipBL: options.skipBL,
+    trace: options.trace,
+    client
+  });
+  return request.execute();
+}
+
+// the backend can also report it as a BadRequest error
+function isResultSetSizeExceeded(error) {
+  return error instanceof ResultSetSizeExceededError
+    || (error instanceof BadRequestError && error.debug === 'ResultSetSizeExceeded');
+}
+
+function isPageFull({ changed = [], deleted = [] }, pageSize) {
+  return changed.length >= pageSize || deleted.length >= pageSize;
+}
+
+// the pages are requested one after another, since the number of changes is not known in advance
+function requestDeltaSetPages(collectionName, query, since, options) {
+  const pageSize = (options.autoPagination && options.autoPagination.pageSize) || maxEntityLimit;
+  const pageQuery = new Query({ filter: query ? query.filter : {}, fields: query ? query.fields : [] });
+  pageQuery.sort = query && !isEmpty(query.sort) ? query.sort : { [defaultPullSortField]: 1 };
+  pageQuery.limit = pageSize;
+
+  const result = { headers: null, data: { changed: [], deleted: [] } };
+  const requestPage = (skip) => {
+    pageQuery.skip = skip;
+    return requestDeltaSet(collectionName, pageQuery, since, options)
+      .then((response) => {
+        // the first request started first, so the next delta set since then does not miss any change
+        result.headers = result.headers || response.headers;
+        result.data.changed = result.data.changed.concat(response.data.changed || []);
+        result.data.deleted = result.data.deleted.concat(response.data.deleted || []);
+        return isPageFull(response.data, pageSize) ? requestPage(skip + pageSize) : result;
+      });
+  };
+
+  return requestPage(0);
+}
 
 /**
  * @private
+ * Requests the entities, which were changed or deleted since the last request of the query.
+ * For a paged query, the delta set can be requested only after the page, and the pages before it, were fetched.
+ * The page is fetched again, when the delta set can't refresh it.
+ * When there are too many changes for a single response, they are requested page by page,
+ * if the autoPagination option is set. Otherwise, the whole result is fetched again.
  */
 export function deltaSet(collectionName, query, options) {
   return getCachedQuery(collectionName, query)
     .then((cachedQuery) => {
-      if (!cachedQuery || !cachedQuery.lastRequest) {
+      if (!isQueryWindowMaterialized(cachedQuery, getQueryWindow(query))) {
         throw new InvalidCachedQuery();
       }
 
-      const client = Client.sharedInstance();
-      const request = new KinveyRequest({
-        authType: AuthType.Default,
-        method: RequestMethod.GET,
-        url: format({
-          protocol: client.apiProtocol,
-          host: client.apiHost,
-          pathname: buildCollectionUrl(collectionName, null, '_deltaset'),
-          query: { since: cachedQuery.lastRequest }
-        }),
-        query,
-        timeout: options.timeout,
-        followRedirect: options.followRedirect,
-        cache: options.cache,
-        properties: options.properties,
-        skipBL: options.skipBL,
-        trace: options.trace,
-        client
-      });
-      return request.execute()
+      const deltaSetQuery = getDeltaSetQuery(query);
+      return requestDeltaSet(collectionName, deltaSetQuery, cachedQuery.lastRequest, options)
+        .catch((error) => {
+          if (options.autoPagination && isResultSetSizeExceeded(error)) {
+            return requestDeltaSetPages(collectionName, deltaSetQuery, cachedQuery.lastRequest, options);
+          }
+
+          throw error;
+        })
+        .then((response) => {
+          if (!canApplyDeltaSet(cachedQuery, response.data)) {
+            throw new InvalidCachedQuery();
+          }
+          return response;
+        })
         .catch((error) => {
           if (error instanceof ParameterValueOutOfRangeError
-          || error instanceof ResultSetSizeExceededError
+          || isResultSetSizeExceeded(error)
           || error instanceof MissingConfigurationError) {
             throw new InvalidCachedQuery();
           }
@@ -0,0 +1,148 @@
+import { Promise } from 'es6-promise';
+import assign from 'lodash/assign';
+import isEqual from 'lodash/isEqual';
+import keyBy from 'lodash/keyBy';
+
+import { Query } from '../query';
+import { KinveyError } from '../errors';
+import { isDefined, isNumber } from '../utils';
+import { repositoryProvider } from './repositories';
+import { generateEntityId } from './utils';
+
+/**
+ * @private
+ */
+export const entityHistoryCollectionName = '_EntityHistory';
+
+const historySizesByCollection = {};
+
+function getRepository(txn) {
+  return txn ? Promise.resolve(txn) : repositoryProvider.getOfflineRepository();
+}
+
+function getHistoryQuery(collection, entityIds) {
+  const query = new Query().equalTo('collectionName', collection);
+  if (entityIds) {
+    query.and().contains('entityId', entityIds);
+  }
+  return query;
+}
+
+/**
+ * @private
+ * Sets how many local versions of each entity of the collection are kept. Passing no size turns the history off.
+ * The versions recorded before are kept, until the entities are cleared.
+ * @param {string} collection
+ * @param {number} [size]
+ */
+export function setHistorySize(collection, size) {
+  if (!isDefined(size)) {
+    delete historySizesByCollection[collection];
+    return;
+  }
+
+  if (!isNumber(size) || size < 1) {
+    throw new KinveyError('Invalid history size. It must be a number greater than 0.');
+  }
+
+  historySizesByCollection[collection] = size;
+}
+
+/**
+ * @private
+ */
+export function isHistoryEnabled(collection) {
+  return !!historySizesByCollection[collection];
+}
+
+/**
+ * @private
+ * Appends the new state of the entities to their history - null, for a deleted entity. An entity without
+ * a history gets its state before the change as its first version, so the change can be reverted.
+ * @param {string} collection
+ * @param {Object[]} changes {entityId, previous, current} - previous is undefined for a new entity.
+ * @param {OfflineRepositoryTransaction} txn
+ */
+export function recordEntityVersions(collection, changes, txn) {
+  const historySize = historySizesByCollection[collection];
+  const actualChanges = changes
+    .filter(({ previous, current }) => !isEqual(isDefined(previous) ? previous : null, current));
+  if (!historySize || !actualChanges.length) {
+    return Promise.resolve();
+  }
+
+  const entityIds = actualChanges.map(change => change.entityId);
+  let offlineRepo;
+  return getRepository(txn)
+    .then((repo) => {
+      offlineRepo = repo;
+      return offlineRepo.read(entityHistoryCollectionName, getHistoryQuery(collection, entityIds));
+    })
+    .then((historyItems) => {
+      const historyItemsByEntityId = keyBy(historyItems, 'entityId');
+      const savedAt = new Date().toISOString();
+
+      const updatedItems = actualChanges.map(({ entityId, previous, current }) => {
+        const historyItem = historyItemsByEntityId[entityId]
+          || { _id: generateEntityId(), collectionName: collection, entityId, versions: [] };
+        const versions = historyItem.versions.slice();
+        if (!versions.length && isDefined(previous)) {
+          versions.push({ version: 1, entity: previous, savedAt });
+        }
+
+        const lastVersion = versions.length ? versions[versions.length - 1].version : 0;
+        versions.push({ version: lastVersion + 1, entity: current, savedAt });
+        return assign({}, historyItem, { versions: versions.slice(-historySize) });
+      });
+
+      return offlineRepo.update(entityHistoryCollectionName, updatedItems);
+    });
+}
+
+/**
+ * @private
+ * @returns {Promise<Object[]>} The versions of the entity, the oldest first. Each of them has the version number,
+ * the entity - null, if it was deleted - and the savedAt timestamp.
+ */
+export function readEntityVersions(collection, entityId, txn) {
+  return getRepository(txn)
+    .then(repo => repo.read(entityHistoryCollectionName, getHistoryQuery(collection, [entityId])))
+    .then(([historyItem]) => (historyItem ? historyItem.versions : []));
+}
+
+/**
+ * @private
+ * Lists the local versions of the entity, the most recent first.
+ */
+export function getEntityHistory(collection, entityId) {
+  return readEntityVersions(collection, entityId)
+    .then(versions => versions.slice().reverse());
+}
+
+/**
+ * @private
+ * Removes the history of the entities of the collection, which match the query - of all of them, without a query.
+ */
+export function clearEntityHistory(collection, query, txn) {
+  let offlineRepo;
+  return getRepository(txn)
+    .then((repo) => {
+      offlineRepo = repo;
+      return offlineRepo.read(entityHistoryCollectionName, getHistoryQuery(collection));
+    })
+    .then((historyItems) => {
+      if (!historyItems.length) {
+        return 0;
+      }
+
+      if (!query) {
+        return offlineRepo.delete(entityHistoryCollectionName, getHistoryQuery(collection));
+      }
+
+      return offlineRepo.read(collection, query)
+        .then((entities) => {
+          const entityIds = entities.map(entity => entity._id);
+          return offlineRepo.delete(entityHistoryCollectionName, getHistoryQuery(collection, entityIds));
+        });
+    });
+}
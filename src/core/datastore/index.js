@@ -7,3 +7,6 @@ export * from './persisters';
 export * from './processors';
 export * from './repositories';
 export * from './sync';
+export * from './store-events';
+export * from './read-policy';
+export * from './storage-quota';
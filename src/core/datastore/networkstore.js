@@ -2,17 +2,41 @@ import { Promise } from 'es6-promise';
 import isString from 'lodash/isString';
 import isArray from 'lodash/isArray';
 import assign from 'lodash/assign';
+import isPlainObject from 'lodash/isPlainObject';
+import isFunction from 'lodash/isFunction';
 
 import { KinveyError } from '../errors';
 import { Query } from '../query';
 import { Client } from '../client';
-import { isDefined, isPromiseLike, isObservable } from '../utils';
+import { isDefined, isPromiseLike, isObservable, forEachAsync } from '../utils';
 import { wrapInObservable } from '../observable';
 import { Aggregation } from '../aggregation';
 import { getLiveCollectionManager } from '../live';
+import { getPlatformConfig } from '../platform-configs';
 
 import { Operation, OperationType } from './operations';
 import { processorFactory } from './processors';
+import { repositoryProvider } from './repositories';
+import { SyncOperation } from './sync/sync-operation';
+import { resolveReferences } from './reference-resolver';
+import { setCollectionSchema } from './schema-validation';
+import {
+  DataStoreEvent,
+  ChangeSource,
+  isDataStoreEvent,
+  onDataStoreEvent,
+  offDataStoreEvent,
+  emitDataStoreEvent
+} from './store-events';
+
+/**
+ * @private
+ * @typedef BatchResult
+ * @property {string} _id             The id of the entity. Not set for a failed create.
+ * @property {string} operation       The operation, as a SyncOperation value.
+ * @property {Object} [entity]        The created or updated entity.
+ * @property {Error} [error]          Set, if the operation failed for this entity.
+ */
 
 /**
  * @private
@@ -34,6 +58,10 @@ export class NetworkStore {
      */
     this.collection = collection;
 
+    if ('schema' in options) {
+      setCollectionSchema(collection, options.schema, { validatePulledData: options.validatePulledData });
+    }
+
     /**
      * @type {Client}
      */
@@ -101,7 +129,12 @@ export class NetworkStore {
     options = assign({ useDeltaSet: this.useDeltaSet }, options);
     const operation = this._buildOperationObject(OperationType.Read, query);
     const opPromise = this._executeOperation(operation, options);
-    return this._ensureObservable(opPromise);
+    const stream = this._ensureObservable(opPromise);
+
+    if (query && query.resolveFields.length > 0) {
+      return this._resolveReferencesInStream(stream, query.resolveFields, options);
+    }
+    return stream;
   }
 
   /**
@@ -229,6 +262,34 @@ export class NetworkStore {
     return this._ensurePromise(opPromise);
   }
 
+  /**
+   * Update only some of the fields of an entity. Fields which are not in changes keep their value,
+   * even if they were changed by someone else in the meantime.
+   *
+   * @param   {string}                id                                Id of the entity.
+   * @param   {Object}                changes                           The fields to change and their new values.
+   * @param   {Object}                [options]                         Options
+   * @param   {Properties}            [options.properties]              Custom properties to send with
+   *                                                                    the request.
+   * @param   {Number}                [options.timeout]                 Timeout for the request.
+   * @return  {Promise}                                                 Promise.
+   */
+  patch(id, changes, options = {}) {
+    if (!isDefined(id)) {
+      return Promise.reject(new KinveyError('An _id is required to patch an entity.'));
+    }
+
+    if (!isPlainObject(changes)) {
+      return Promise.reject(new KinveyError('The changes to the entity must be an object.', changes));
+    }
+
+    const fieldChanges = assign({}, changes);
+    delete fieldChanges._id;
+    const operation = this._buildOperationObject(OperationType.Patch, null, fieldChanges, id);
+    const opPromise = this._executeOperation(operation, options);
+    return this._ensurePromise(opPromise);
+  }
+
   /**
    * Save a single entity on the data store.
    *
@@ -297,12 +358,63 @@ export class NetworkStore {
       .then(count => ({ count }));
   }
 
+  /**
+   * Create several entities on the data store. One request is made per entity and a limited
+   * number of them run at the same time. Failing to create an entity does not stop the others.
+   *
+   * @param   {Object[]}              entities                          Entities that you want to create.
+   * @param   {Object}                [options]                         Options
+   * @param   {Properties}            [options.properties]              Custom properties to send with
+   *                                                                    the request.
+   * @param   {Number}                [options.timeout]                 Timeout for the request.
+   * @param   {Number}                [options.maxConcurrency]          How many requests can run at the same time.
+   * @return  {Promise<BatchResult[]>}                                  One result per entity, in the same order.
+   */
+  createMany(entities, options = {}) {
+    return this._executeBatch(entities, () => SyncOperation.Create, options);
+  }
+
+  /**
+   * Update several entities on the data store. Entities without an _id fail with an error result.
+   *
+   * @param   {Object[]}              entities                          Entities that you want to update.
+   * @param   {Object}                [options]                         Options, the same as for createMany().
+   * @return  {Promise<BatchResult[]>}                                  One result per entity, in the same order.
+   */
+  updateMany(entities, options = {}) {
+    return this._executeBatch(entities, () => SyncOperation.Update, options);
+  }
+
+  /**
+   * Save several entities on the data store. Entities with an _id are updated, the rest are created.
+   *
+   * @param   {Object[]}              entities                          Entities that you want to save.
+   * @param   {Object}                [options]                         Options, the same as for createMany().
+   * @return  {Promise<BatchResult[]>}                                  One result per entity, in the same order.
+   */
+  saveMany(entities, options = {}) {
+    return this._executeBatch(entities, (entity) => {
+      return entity && isDefined(entity._id) ? SyncOperation.Update : SyncOperation.Create;
+    }, options);
+  }
+
+  /**
+   * Remove several entities in the data store by id.
+   *
+   * @param   {string[]}              ids                               Ids of the entities to remove.
+   * @param   {Object}                [options]                         Options, the same as for createMany().
+   * @return  {Promise<BatchResult[]>}                                  One result per id, in the same order.
+   */
+  removeByIds(ids, options = {}) {
+    return this._executeBatch(ids, () => SyncOperation.Delete, options);
+  }
+
   /**
    * Subscribes to the live stream for the collection
    */
   subscribe(receiver) {
     const manager = getLiveCollectionManager();
-    return manager.subscribeCollection(this.collection, receiver);
+    return manager.subscribeCollection(this.collection, this._wrapLiveReceiver(receiver));
   }
 
   /**
@@ -313,8 +425,63 @@ export class NetworkStore {
     return manager.unsubscribeCollection(this.collection);
   }
 
+  /**
+   * Registers a handler, which is called after entities of the collection are created, updated or removed,
+   * and after they are pushed or pulled. The handler receives an object with the collection, the ids
+   * of the affected entities and the source of the change, as a ChangeSource value.
+   *
+   * @param   {DataStoreEvent}        event                             The event to handle.
+   * @param   {Function}              handler                           Called every time the event is emitted.
+   * @return  {Function}                                                Removes the handler.
+   *
+   * @throws {KinveyError} Invalid event.
+   * @throws {KinveyError} The handler must be a function.
+   */
+  on(event, handler) {
+    if (!isDataStoreEvent(event)) {
+      throw new KinveyError(`Invalid event: ${event}. It must be a DataStoreEvent value.`);
+    }
+
+    if (!isFunction(handler)) {
+      throw new KinveyError('The handler must be a function.');
+    }
+
+    return onDataStoreEvent(this.collection, event, handler);
+  }
+
+  /**
+   * Removes a handler, registered with on().
+   *
+   * @param   {DataStoreEvent}        event                             The event.
+   * @param   {Function}              handler                           The handler to remove.
+   */
+  off(event, handler) {
+    offDataStoreEvent(this.collection, event, handler);
+  }
+
   // protected
 
+  _wrapLiveReceiver(receiver) {
+    if (!receiver || !isFunction(receiver.onMessage)) {
+      return receiver;
+    }
+
+    return assign({}, receiver, {
+      onMessage: (entity) => {
+        this._handleLiveEntity(entity);
+        receiver.onMessage(entity);
+      }
+    });
+  }
+
+  // called for every entity received from the live service, before it is passed to the receiver
+  _handleLiveEntity(entity) {
+    if (entity && isDefined(entity._id)) {
+      emitDataStoreEvent(this.collection, DataStoreEvent.Update, [entity._id], ChangeSource.Live);
+    }
+    return Promise.resolve();
+  }
+
   _validateQuery(query) {
     if (query && !(query instanceof Query)) {
       return Promise.reject(new KinveyError('Invalid query. It must be an instance of the Query class.'));
@@ -337,8 +504,96 @@ export class NetworkStore {
     return this._processor.process(operation, options);
   }
 
+  // each item of a batch is an entity, or an entity id for a delete
+  _executeBatch(items, getItemOperation, options) {
+    if (!isArray(items)) {
+      return Promise.reject(new KinveyError('Invalid or missing array of entities or ids.'));
+    }
+
+    const batch = items.map((item, index) => ({ index, item, operation: getItemOperation(item) }));
+    return this._processBatch(batch, options)
+      .then((resultsByIndex) => {
+        return batch.map(({ index }) => resultsByIndex[index]);
+      });
+  }
+
+  _processBatch(batch, options) {
+    const resultsByIndex = {};
+    const maxConcurrency = options.maxConcurrency || getPlatformConfig().maxConcurrentBatchRequests;
+
+    return forEachAsync(batch, ({ index, item, operation }) => {
+      return this._executeBatchItem(item, operation, options)
+        .then((entity) => {
+          resultsByIndex[index] = this._buildBatchResult(item, operation, entity);
+        })
+        .catch((error) => {
+          resultsByIndex[index] = this._buildBatchResult(item, operation, null, error);
+        });
+    }, maxConcurrency)
+      .then(() => resultsByIndex);
+  }
+
+  _executeBatchItem(item, operation, options) {
+    switch (operation) {
+      case SyncOperation.Create:
+        return this.create(item, options);
+      case SyncOperation.Update:
+        return this.update(item, options);
+      default:
+        return this.removeById(item, options)
+          .then(() => null);
+    }
+  }
+
+  _buildBatchResult(item, operation, entity, error) {
+    const result = { operation };
+
+    if (operation === SyncOperation.Delete) {
+      result._id = item;
+    } else {
+      result._id = entity ? entity._id : item && item._id;
+      result.entity = entity || item;
+    }
+
+    if (error) {
+      result.error = error;
+    }
+
+    return result;
+  }
+
+  // protected
+
+  // called with the ids of entities, referenced by the entities which were found
+  _fetchReferencedEntities(collection, ids, options) {
+    const query = new Query().contains('_id', ids);
+    const { timeout, properties, trace, skipBL } = options;
+    return repositoryProvider.getNetworkRepository()
+      .read(collection, query, { timeout, properties, trace, skipBL });
+  }
+
   // private
 
+  // every emitted array of entities is emitted with its references resolved, in the same order
+  _resolveReferencesInStream(stream, fields, options) {
+    const fetchByIds = (collection, ids) => this._fetchReferencedEntities(collection, ids, options);
+
+    return wrapInObservable((observer) => {
+      let lastResolvePromise = Promise.resolve();
+      return new Promise((resolve, reject) => {
+        stream.subscribe(
+          (entities) => {
+            lastResolvePromise = lastResolvePromise
+              .then(() => resolveReferences(entities, fields, fetchByIds))
+              .then(resolvedEntities => observer.next(resolvedEntities));
+          },
+          err => lastResolvePromise.then(() => reject(err), reject),
+          () => lastResolvePromise.then(resolve, reject)
+        );
+      });
+    });
+  }
+
   _ensureObservable(promiseOrObservable) {
     if (isPromiseLike(promiseOrObservable)) {
       return wrapInObservable(promiseOrObservable);
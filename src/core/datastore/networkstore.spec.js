@@ -574,9 +574,15 @@ describe('NetworkStore', () => {
     describe('subscribe()', () => {
       it('should call subscribeCollection() method of LiveCollectionManager class', () => {
         const spy = expect.spyOn(managerMock, 'subscribeCollection');
-        const handler = { onMessage: () => { } };
+        const handler = { onMessage: expect.createSpy() };
+        const entity = { _id: randomString() };
         proxiedStore.subscribe(handler);
-        expect(spy).toHaveBeenCalledWith(collection, handler);
+        expect(spy.calls.length).toBe(1);
+        const [subscribedCollection, receiver] = spy.calls[0].arguments;
+        expect(subscribedCollection).toBe(collection);
+        // the receiver is wrapped, to emit the change events of the store
+        receiver.onMessage(entity);
+        expect(handler.onMessage).toHaveBeenCalledWith(entity);
       });
     });
 
@@ -6,9 +6,11 @@ export const OperationType = {
   Read: 'read',
   ReadById: 'readById',
   Update: 'update',
+  Patch: 'patch',
   Delete: 'delete',
   DeleteById: 'deleteById',
   Count: 'count',
   Clear: 'clear',
+  Revert: 'revert',
   Group: 'group'
 };
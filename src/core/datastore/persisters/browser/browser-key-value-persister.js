@@ -3,7 +3,7 @@ import { Promise } from 'es6-promise';
 import { Client } from '../../../client';
 
 import { KeyValuePersister } from '../key-value-persister';
-import { browserStorageCollectionsMaster } from '../utils';
+import { browserStorageCollectionsMaster, getStorageQuotaError } from '../utils';
 
 /**
  * @private
@@ -64,7 +64,14 @@ export class BrowserKeyValuePersister extends KeyValuePersister {
 
   _serializeAndSet(collection, entities) {
     return this._serialize(entities)
-      .then(serialized => this._store.setItem(collection, serialized));
+      .then((serialized) => {
+        try {
+          return this._store.setItem(collection, serialized);
+        } catch (err) {
+          const storageName = `the ${collection} collection in the browser storage`;
+          return Promise.reject(getStorageQuotaError(err, storageName) || err);
+        }
+      });
   }
 
   _serialize(obj) {
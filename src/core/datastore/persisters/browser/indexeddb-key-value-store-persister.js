@@ -1,12 +1,71 @@
 import { Promise } from 'es6-promise';
+import sift from 'sift';
 import { KinveyError, NotFoundError } from '../../../errors';
 
 import { KeyValueStorePersister } from '../key-value-store-persister';
-import { isDefined, ensureArray } from '../../../utils';
-import { domStringListToStringArray, inedxedDbTransctionMode } from '../utils';
+import { isDefined, isNumber, ensureArray } from '../../../utils';
+import { prepareFilter, getNearSphere } from '../../../query-operators';
+import { domStringListToStringArray, inedxedDbTransctionMode, getStorageQuotaError } from '../utils';
+import { getCollectionIndexes, getIndexPlan } from '../../collection-indexes';
 
 const dbCache = {}; // TODO: see what can be done about this
 
+function containsName(domStringList, name) {
+  return typeof domStringList.contains === 'function' ?
+    domStringList.contains(name) : domStringList.indexOf(name) !== -1;
+}
+
+// a key path doesn't step into arrays, like the filters and getIndexValues() do,
+// so IndexedDB keeps an index for the top level fields only
+function isKeyPathIndexable(field) {
+  return field.indexOf('.') === -1;
+}
+
+function getIndexes(collection) {
+  return getCollectionIndexes(collection).filter(isKeyPathIndexable);
+}
+
+function getMissingIndexes(store, collection) {
+  return getIndexes(collection).filter(field => !containsName(store.indexNames, field));
+}
+
+// IndexedDB orders the number keys before the string keys - the values of an index plan are one of them
+function compareKeys(a, b) {
+  if (typeof a !== typeof b) {
+    return isNumber(a) ? -1 : 1;
+  }
+
+  if (a === b) {
+    return 0;
+  }
+
+  return a < b ? -1 : 1;
+}
+
+// the ranges are in the order of the index, or in the reverse order, when it is read descending
+function getKeyRanges(indexPlan, descending = false) {
+  const KeyRange = global.IDBKeyRange || global.webkitIDBKeyRange || global.msIDBKeyRange;
+  const {
+    values,
+    lower,
+    lowerOpen,
+    upper,
+    upperOpen
+  } = indexPlan;
+
+  if (values) {
+    const sortedValues = values.slice().sort(compareKeys);
+    return (descending ? sortedValues.reverse() : sortedValues).map(value => KeyRange.only(value));
+  }
+
+  if (isDefined(lower) && isDefined(upper)) {
+    // IDBKeyRange.bound() throws for an empty range
+    return lower > upper ? [] : [KeyRange.bound(lower, upper, lowerOpen, upperOpen)];
+  }
+
+  return isDefined(lower) ? [KeyRange.lowerBound(lower, lowerOpen)] : [KeyRange.upperBound(upper, upperOpen)];
+}
+
 // TODO: all key/value stores are being reused as is, they need to be refactored
 /**
  * @private
@@ -78,6 +137,63 @@ export class IndexedDbKeyValueStorePersister extends KeyValueStorePersister {
     });
   }
 
+  // the indexes are created with a version change, when the object store is opened for writing
+  _readEntitiesByIndexFromPersistance(collection, indexPlan) {
+    const entities = [];
+    return this._iterateEntities(collection, indexPlan, false, () => (entity) => {
+      entities.push(entity);
+    })
+      .then(() => entities);
+  }
+
+  // The filter is evaluated on each entity, which the cursor reads, so only the matching ones are kept.
+  // The cursor reads the index of the query, if it can use one. When it reads the entities in the order
+  // of the sort, the skip and limit are applied while reading, and the cursor stops at the limit.
+  _readEntitiesByQueryFromPersistance(collection, query) {
+    if (!query.isSupportedOffline()) {
+      return Promise.resolve(null);
+    }
+
+    return Promise.resolve()
+      .then(() => {
+        const {
+          filter = {},
+          sort,
+          skip,
+          limit
+        } = query.toPlainObject();
+        const matches = sift(prepareFilter(filter));
+        const indexPlan = getIndexPlan(query, getIndexes(collection));
+        const sortFields = Object.keys(sort || {});
+        // entities without a value in the index can be left out of the sort, only if the filter excludes them
+        const sortsByIndex = isDefined(indexPlan) && sortFields.length === 1 && sortFields[0] === indexPlan.field;
+        const descending = sortsByIndex && sort[indexPlan.field] === -1;
+        const entities = [];
+        let ordered = false;
+        let matchCount = 0;
+
+        return this._iterateEntities(collection, indexPlan, descending, (useIndex) => {
+          // without a sort, the entities are in the order of the cursor, unless $nearSphere sorts them
+          ordered = sortFields.length === 0 ? !isDefined(getNearSphere(filter)) : sortsByIndex && useIndex;
+          const start = ordered && isNumber(skip) ? skip : 0;
+          const end = ordered && isNumber(limit) && limit > 0 ? start + limit : Infinity;
+
+          return (entity) => {
+            if (!matches(entity)) {
+              return true;
+            }
+
+            matchCount += 1;
+            if (matchCount > start) {
+              entities.push(entity);
+            }
+            return matchCount < end;
+          };
+        })
+          .then(() => ({ entities, complete: ordered }));
+      });
+  }
+
   _readEntityFromPersistance(collection, entityId) {
     return new Promise((resolve, reject) => {
       this._openTransaction(collection, false, (txn) => {
@@ -122,26 +238,145 @@ export class IndexedDbKeyValueStorePersister extends KeyValueStorePersister {
     });
   }
 
+  _commitChangesToPersistance(changesByCollection) {
+    const collections = Object.keys(changesByCollection);
+
+    if (collections.length === 0) {
+      return Promise.resolve(null);
+    }
+
+    // object stores are created with a version change, so they have to exist before the transaction is opened
+    return collections.reduce((prev, collection) => {
+      return prev.then(() => this._ensureObjectStore(collection));
+    }, Promise.resolve())
+      .then(() => {
+        return new Promise((resolve, reject) => {
+          const db = dbCache[this._storeName];
+
+          if (!isDefined(db)) {
+            reject(new KinveyError(`Unable to open a transaction on the ${this._storeName} IndexedDB database.`));
+            return;
+          }
+
+          const txn = db.transaction(collections, inedxedDbTransctionMode.readWrite);
+
+          collections.forEach((collection) => {
+            const store = txn.objectStore(collection);
+            const { upserts = [], deletedIds = [] } = changesByCollection[collection];
+            deletedIds.forEach(id => store.delete(id));
+            upserts.forEach(entity => store.put(entity));
+          });
+
+          txn.oncomplete = () => resolve(true);
+
+          txn.onerror = (e) => {
+            const { error } = e.target;
+            reject(getStorageQuotaError(error, `the ${this._storeName} IndexedDB database`)
+              || new KinveyError('An error occurred while committing the transaction'
+                + ` on the ${this._storeName} IndexedDB database. ${error.message}.`));
+          };
+
+          // a full storage aborts the transaction, when it is committed
+          txn.onabort = () => {
+            reject(getStorageQuotaError(txn.error, `the ${this._storeName} IndexedDB database`)
+              || new KinveyError(`The transaction on the ${this._storeName} IndexedDB database was aborted.`));
+          };
+        });
+      });
+  }
+
   // private methods
 
+  // Reads the entities with a cursor - over the index of the plan, if the object store has it. A read doesn't
+  // create a missing index, as it takes a version change - the whole object store is read instead. The callback
+  // for the entities is created once the cursor's source is known, and reading stops when it returns false.
+  _iterateEntities(collection, indexPlan, descending, createCallback) {
+    return new Promise((resolve, reject) => {
+      this._openTransaction(collection, false, (txn) => {
+        const store = txn.objectStore(collection);
+        const useIndex = isDefined(indexPlan) && isKeyPathIndexable(indexPlan.field)
+          && containsName(store.indexNames, indexPlan.field);
+        const source = useIndex ? store.index(indexPlan.field) : store;
+        const ranges = useIndex ? getKeyRanges(indexPlan, descending) : [undefined];
+        const direction = useIndex && descending ? 'prev' : 'next';
+        const callback = createCallback(useIndex);
+        const readIds = {};
+
+        // the ranges are read one after another, to keep the order of the index
+        const readRange = (index) => {
+          if (index === ranges.length) {
+            return resolve();
+          }
+
+          const request = source.openCursor(ranges[index], direction);
+
+          request.onsuccess = (e) => {
+            const cursor = e.target.result;
+
+            if (!isDefined(cursor)) {
+              return readRange(index + 1);
+            }
+
+            // an entity is read for each of its values in a multi entry index
+            if (!readIds[cursor.primaryKey]) {
+              readIds[cursor.primaryKey] = true;
+
+              try {
+                if (callback(cursor.value) === false) {
+                  return resolve();
+                }
+              } catch (error) {
+                return reject(error);
+              }
+            }
+
+            return cursor.continue();
+          };
+
+          request.onerror = (e) => {
+            reject(e.target.error);
+          };
+
+          return null;
+        };
+
+        readRange(0);
+      }, (error) => {
+        if (error instanceof NotFoundError) {
+          return resolve();
+        }
+
+        return reject(error);
+      });
+    });
+  }
+
+  _ensureObjectStore(collection) {
+    return new Promise((resolve, reject) => {
+      this._openTransaction(collection, true, () => resolve(), reject);
+    });
+  }
+
   _openTransaction(collection, write = false, success, error, force = false) {
     let db = dbCache[this._storeName];
 
     if (isDefined(db)) {
-      const containsCollection = typeof db.objectStoreNames.contains === 'function' ?
-        db.objectStoreNames.contains(collection) : db.objectStoreNames.indexOf(collection) !== -1;
+      const containsCollection = containsName(db.objectStoreNames, collection);
 
       if (containsCollection) {
         try {
           const mode = write ? inedxedDbTransctionMode.readWrite : inedxedDbTransctionMode.readOnly;
           const txn = db.transaction(collection, mode);
 
-          if (isDefined(txn)) {
-            return success(txn);
+          if (!isDefined(txn)) {
+            throw new KinveyError(`Unable to open a transaction for ${collection}`
+              + ` collection on the ${this._storeName} IndexedDB database.`);
           }
 
-          throw new KinveyError(`Unable to open a transaction for ${collection}`
-            + ` collection on the ${this._storeName} IndexedDB database.`);
+          // missing indexes are created by the version change below
+          if (write === false || getMissingIndexes(txn.objectStore(collection), collection).length === 0) {
+            return success(txn);
+          }
         } catch (e) {
           return error(e);
         }
@@ -169,13 +404,16 @@ export class IndexedDbKeyValueStorePersister extends KeyValueStorePersister {
 
     // If the database is opened with an higher version than its current, the
     // `upgradeneeded` event is fired. Save the handle to the database, and
-    // create the collection.
+    // create the collection and its indexes.
     request.onupgradeneeded = (e) => {
       db = e.target.result;
       dbCache[this._storeName] = db;
 
       if (write === true) {
-        db.createObjectStore(collection, { keyPath: '_id' });
+        const store = containsName(db.objectStoreNames, collection) ?
+          e.target.transaction.objectStore(collection) : db.createObjectStore(collection, { keyPath: '_id' });
+        getMissingIndexes(store, collection)
+          .forEach(field => store.createIndex(field, field, { multiEntry: true }));
       }
     };
 
@@ -257,9 +495,17 @@ export class IndexedDbKeyValueStorePersister extends KeyValueStorePersister {
           resolve(singular ? entities[0] : entities);
         };
 
+        const storageName = `the ${collection} collection on the ${this._storeName} IndexedDB database`;
+
         txn.onerror = (e) => {
-          reject(new KinveyError(`An error occurred while saving the entities to the ${collection}`
-            + ` collection on the ${this._storeName} IndexedDB database. ${e.target.error.message}.`));
+          const { error } = e.target;
+          reject(getStorageQuotaError(error, storageName)
+            || new KinveyError(`An error occurred while saving the entities to ${storageName}. ${error.message}.`));
+        };
+
+        txn.onabort = () => {
+          reject(getStorageQuotaError(txn.error, storageName)
+            || new KinveyError(`The transaction on ${storageName} was aborted.`));
         };
       }, reject);
     });
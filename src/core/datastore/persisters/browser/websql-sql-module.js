@@ -1,9 +1,12 @@
 import { Promise } from 'es6-promise';
+import uniq from 'lodash/uniq';
 
 import { KinveyError } from '../../../errors';
 
-import { webSqlCollectionsMaster, webSqlDatabaseSize } from '../utils';
+import { webSqlCollectionsMaster, webSqlDatabaseSize, getStorageQuotaError } from '../utils';
 const dbCache = {};
+// the code of SQLError.QUOTA_ERR
+const quotaErrorCode = 4;
 
 /**
  * @private
@@ -26,8 +29,7 @@ export class WebSqlSqlModule {
     return new Promise((resolve, reject) => {
       try {
         if (!db) {
-          db = global.openDatabase(this._databaseName, 1, 'Kinvey Cache', webSqlDatabaseSize);
-          dbCache[this._databaseName] = db;
+          db = this._openDatabase();
         }
         const writeTxn = write || typeof db.readTransaction !== 'function';
 
@@ -73,6 +75,12 @@ export class WebSqlSqlModule {
             });
           }
         }, (error) => {
+          const quotaError = getStorageQuotaError(error, `the ${collection} collection on the ${this._databaseName}`
+            + ' WebSQL database', !!error && error.code === quotaErrorCode);
+          if (quotaError) {
+            return reject(quotaError);
+          }
+
           error = typeof error === 'string' ? error : error.message;
 
           if (error && error.indexOf('no such table') === -1) {
@@ -97,4 +105,45 @@ export class WebSqlSqlModule {
       }
     });
   }
+
+  /**
+   * Executes write statements for several collections in a single transaction.
+   * If any of the statements fails, the transaction is rolled back.
+   * @param {Array[]} statements Each statement is an array of the collection, the sql and its parameters
+   */
+  openMultiCollectionTransaction(statements) {
+    const collections = uniq(statements.map(statement => statement[0]));
+
+    return new Promise((resolve, reject) => {
+      try {
+        const db = dbCache[this._databaseName] || this._openDatabase();
+
+        db.transaction((tx) => {
+          collections.forEach((collection) => {
+            tx.executeSql(`CREATE TABLE IF NOT EXISTS "${collection}" ` +
+              '(key BLOB PRIMARY KEY NOT NULL, value BLOB NOT NULL)');
+          });
+
+          statements.forEach(([collection, sql, parameters]) => {
+            tx.executeSql(sql.replace('#{collection}', `"${collection}"`), parameters);
+          });
+        }, (error) => {
+          const message = typeof error === 'string' ? error : error.message;
+          const storageName = `the ${this._databaseName} WebSQL database`;
+          reject(getStorageQuotaError(error, storageName, !!error && error.code === quotaErrorCode)
+            || new KinveyError(`Unable to commit the transaction on ${storageName}. ${message}`));
+        }, () => resolve(true));
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  // private methods
+
+  _openDatabase() {
+    const db = global.openDatabase(this._databaseName, 1, 'Kinvey Cache', webSqlDatabaseSize);
+    dbCache[this._databaseName] = db;
+    return db;
+  }
 }
@@ -0,0 +1,216 @@
+import { Promise } from 'es6-promise';
+import isPlainObject from 'lodash/isPlainObject';
+
+import { Client } from '../../client';
+import { EncryptionError } from '../../errors';
+
+const cipherVersion = 1;
+const keyLength = 32;
+const keyIdLength = 6;
+const ivLength = 12;
+const pbkdf2Iterations = 100000;
+const derivedKeys = {};
+let sharedCipher = null;
+
+/**
+ * @private
+ * The field of an encrypted entity, which holds its encrypted value. Only the _id of the entity is stored as is,
+ * so it can still be used as the key of the entity.
+ */
+export const encryptedEntityField = '_encrypted';
+
+function getCrypto() {
+  const crypto = global.crypto || global.msCrypto;
+
+  if (!crypto || !crypto.subtle) {
+    throw new EncryptionError('Encrypting the offline data requires the Web Cryptography API.');
+  }
+
+  return crypto;
+}
+
+function toBytes(text) {
+  return new global.TextEncoder().encode(text);
+}
+
+function fromBytes(buffer) {
+  return new global.TextDecoder().decode(buffer);
+}
+
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 1) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return global.btoa(binary);
+}
+
+function fromBase64(text) {
+  const binary = global.atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// The AES key and the id of the key are derived together with PBKDF2. The id tells the key,
+// which an entity was encrypted with, and can't be computed without the encryption key.
+function deriveKey(encryptionKey, salt) {
+  const cacheKey = `${salt}\u0000${encryptionKey}`;
+
+  if (!derivedKeys[cacheKey]) {
+    derivedKeys[cacheKey] = Promise.resolve()
+      .then(() => {
+        const { subtle } = getCrypto();
+        return subtle.importKey('raw', toBytes(encryptionKey), { name: 'PBKDF2' }, false, ['deriveBits'])
+          .then((baseKey) => {
+            const params = {
+              name: 'PBKDF2',
+              salt: toBytes(salt),
+              iterations: pbkdf2Iterations,
+              hash: 'SHA-256'
+            };
+            return subtle.deriveBits(params, baseKey, (keyLength + keyIdLength) * 8);
+          })
+          .then((bits) => {
+            const bytes = new Uint8Array(bits);
+            const usages = ['encrypt', 'decrypt'];
+            return subtle.importKey('raw', bytes.slice(0, keyLength), { name: 'AES-GCM' }, false, usages)
+              .then(key => ({ id: toBase64(bytes.slice(keyLength)), key }));
+          });
+      })
+      .catch((error) => {
+        delete derivedKeys[cacheKey];
+        return Promise.reject(error);
+      });
+  }
+
+  return derivedKeys[cacheKey];
+}
+
+/**
+ * @private
+ * Returns true, if the stored entity is encrypted.
+ * @param {Object} entity
+ * @returns {boolean}
+ */
+export function isEncryptedEntity(entity) {
+  return isPlainObject(entity) && isPlainObject(entity[encryptedEntityField]);
+}
+
+/**
+ * @private
+ * Encrypts entities with AES-GCM, using a key derived from an encryption key. The entities are encrypted
+ * with the current key, and the ones encrypted with a previous key can still be decrypted - which allows
+ * the key to be rotated, without losing the offline data.
+ */
+export class EntityCipher {
+  /**
+   * @param {string} encryptionKey
+   * @param {string[]} [previousEncryptionKeys]
+   * @param {string} [salt]
+   */
+  constructor(encryptionKey, previousEncryptionKeys = [], salt = '') {
+    this._encryptionKey = encryptionKey;
+    this._previousEncryptionKeys = previousEncryptionKeys;
+    this._salt = `kinvey.${salt}`;
+  }
+
+  /**
+   * @param {Object} entity
+   * @returns {Promise<Object>} The entity to store: its _id and its encrypted value.
+   */
+  encrypt(entity) {
+    return deriveKey(this._encryptionKey, this._salt)
+      .then(({ id, key }) => {
+        const iv = getCrypto().getRandomValues(new Uint8Array(ivLength));
+        const params = { name: 'AES-GCM', iv, additionalData: toBytes(`${entity._id}`) };
+        return Promise.resolve(getCrypto().subtle.encrypt(params, key, toBytes(JSON.stringify(entity))))
+          .then(data => ({
+            _id: entity._id,
+            [encryptedEntityField]: {
+              version: cipherVersion,
+              keyId: id,
+              iv: toBase64(iv),
+              data: toBase64(data)
+            }
+          }));
+      });
+  }
+
+  /**
+   * Decrypts a stored entity. Entities, which are not encrypted, are returned as they are.
+   * @param {Object} storedEntity
+   * @returns {Promise<Object>}
+   * @throws {EncryptionError} If the entity was encrypted with another key, or it was modified.
+   */
+  decrypt(storedEntity) {
+    if (!isEncryptedEntity(storedEntity)) {
+      return Promise.resolve(storedEntity);
+    }
+
+    const {
+      version,
+      keyId,
+      iv,
+      data
+    } = storedEntity[encryptedEntityField];
+
+    if (version !== cipherVersion) {
+      return Promise.reject(new EncryptionError(`The version ${version} of the encrypted offline data`
+        + ' is not supported.'));
+    }
+
+    return this._getKey(keyId)
+      .then((key) => {
+        const params = { name: 'AES-GCM', iv: fromBase64(iv), additionalData: toBytes(`${storedEntity._id}`) };
+        return Promise.resolve(getCrypto().subtle.decrypt(params, key, fromBase64(data)))
+          .catch(() => Promise.reject(new EncryptionError(`The entity with _id = ${storedEntity._id}`
+            + ' could not be decrypted. The offline data has been modified or corrupted.')));
+      })
+      .then(decrypted => JSON.parse(fromBytes(decrypted)));
+  }
+
+  _getKey(keyId) {
+    const encryptionKeys = [this._encryptionKey].concat(this._previousEncryptionKeys);
+
+    // the keys are derived one by one, as the data is usually encrypted with the current key
+    return encryptionKeys.reduce((result, encryptionKey) => {
+      return result.then((key) => {
+        if (key) {
+          return key;
+        }
+        return deriveKey(encryptionKey, this._salt)
+          .then(derivedKey => (derivedKey.id === keyId ? derivedKey.key : null));
+      });
+    }, Promise.resolve(null))
+      .then((key) => {
+        if (!key) {
+          return Promise.reject(new EncryptionError('The offline data could not be decrypted.'
+            + ' It was encrypted with a different encryption key.'));
+        }
+        return key;
+      });
+  }
+}
+
+/**
+ * @private
+ * Returns the cipher for the encryptionKey and previousEncryptionKeys of the client.
+ * @returns {EntityCipher|null} Null, if the client has no encryptionKey.
+ */
+export function getClientEntityCipher() {
+  const { appKey, encryptionKey, previousEncryptionKeys = [] } = Client.sharedInstance();
+
+  if (!encryptionKey) {
+    return null;
+  }
+
+  const signature = JSON.stringify([appKey, encryptionKey, previousEncryptionKeys]);
+  if (!sharedCipher || sharedCipher.signature !== signature) {
+    sharedCipher = { signature, cipher: new EntityCipher(encryptionKey, previousEncryptionKeys, appKey) };
+  }
+  return sharedCipher.cipher;
+}
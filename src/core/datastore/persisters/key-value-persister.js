@@ -1,3 +1,10 @@
+import { Promise } from 'es6-promise';
+import isPlainObject from 'lodash/isPlainObject';
+
+import { Log } from '../../log';
+import { EncryptionError } from '../../errors';
+import { getClientEntityCipher, isEncryptedEntity } from './entity-cipher';
+
 const _cache = {};
 
 /**
@@ -8,8 +15,11 @@ export class KeyValuePersister {
   _cacheEnabled;
   /** @type {Number} */
   _ttl;
+  /** @type {Boolean} */
+  _encryptionEnabled = false;
 
-  // TODO: implement TTL, make _cache a constructor argument?
+  // the ttl only invalidates the in-memory cache of a key - the entities expire as set by the ttl of a CacheStore
+  // TODO: make _cache a constructor argument?
   constructor(cacheEnabled = false, ttl = Infinity) {
     this._cacheEnabled = cacheEnabled;
     this._ttl = ttl;
@@ -21,6 +31,7 @@ export class KeyValuePersister {
     }
 
     return this._readFromPersistance(key)
+      .then(entities => this._decryptEntities(entities))
       .then((entities) => {
         if (this._cacheEnabled) {
           _cache[key] = entities;
@@ -31,7 +42,8 @@ export class KeyValuePersister {
 
   write(key, value) {
     this._invalidateCache(key);
-    return this._writeToPersistance(key, value)
+    return this._encryptEntities(value)
+      .then(encryptedValue => this._writeToPersistance(key, encryptedValue))
       .then((result) => {
         if (this._cacheEnabled && this._ttl < Infinity) {
           setTimeout(() => {
@@ -42,6 +54,26 @@ export class KeyValuePersister {
       });
   }
 
+  /**
+   * Writes the values of several keys, so that either all or none of them are persisted.
+   * @param {Object} valuesByKey
+   */
+  writeMany(valuesByKey) {
+    const keys = Object.keys(valuesByKey);
+    const encryptedValuesByKey = {};
+    keys.forEach(key => this._invalidateCache(key));
+
+    const encryptPromises = keys.map((key) => {
+      return this._encryptEntities(valuesByKey[key])
+        .then((encryptedValue) => {
+          encryptedValuesByKey[key] = encryptedValue;
+        });
+    });
+
+    return Promise.all(encryptPromises)
+      .then(() => this._writeManyToPersistance(encryptedValuesByKey));
+  }
+
   delete(key) {
     return this._deleteFromPersistance(key)
       .then((result) => {
@@ -54,6 +86,16 @@ export class KeyValuePersister {
     this._throwNotImplementedError();
   }
 
+  /**
+   * Encrypts the entities at rest with AES-GCM, with a key derived from the encryptionKey of the client.
+   * Without an encryptionKey, the entities are stored as they are.
+   * @returns {KeyValuePersister} The persister.
+   */
+  enableEncryption() {
+    this._encryptionEnabled = true;
+    return this;
+  }
+
   _throwNotImplementedError() {
     throw new Error('Abstract method not implemented');
   }
@@ -70,6 +112,74 @@ export class KeyValuePersister {
     this._throwNotImplementedError(key);
   }
 
+  // the keys are written one by one, so if a write fails, the keys written before it are restored
+  _writeManyToPersistance(valuesByKey) {
+    const keys = Object.keys(valuesByKey);
+    const previousValues = {};
+    const writtenKeys = [];
+
+    const readPromises = keys.map((key) => {
+      return this._readFromPersistance(key)
+        .then((value) => {
+          previousValues[key] = value;
+        });
+    });
+
+    return Promise.all(readPromises)
+      .then(() => {
+        return keys.reduce((prev, key) => {
+          return prev
+            .then(() => this._writeToPersistance(key, valuesByKey[key]))
+            .then(() => writtenKeys.push(key));
+        }, Promise.resolve());
+      })
+      .then(() => true)
+      .catch((err) => {
+        return this._restorePreviousValues(writtenKeys, previousValues)
+          .then(() => Promise.reject(err));
+      });
+  }
+
+  _restorePreviousValues(keys, previousValues) {
+    const promises = keys.map((key) => {
+      const value = previousValues[key];
+      const restorePromise = value ? this._writeToPersistance(key, value) : this._deleteFromPersistance(key);
+      return restorePromise
+        .catch(err => Log.error(`Unable to restore the value of ${key}, after a failed write`, err));
+    });
+    return Promise.all(promises);
+  }
+
+  /**
+   * @returns {EntityCipher|null} Null, if the entities are not encrypted.
+   */
+  _getCipher() {
+    return this._encryptionEnabled ? getClientEntityCipher() : null;
+  }
+
+  _encryptEntities(entities) {
+    const cipher = this._getCipher();
+    if (!cipher || !Array.isArray(entities)) {
+      return Promise.resolve(entities);
+    }
+    // values, which are not entities, like the names of the collections, are not encrypted
+    return Promise.all(entities.map(entity => (isPlainObject(entity) ? cipher.encrypt(entity) : entity)));
+  }
+
+  // entities, which were stored before the encryption was enabled, are returned as they are
+  _decryptEntities(entities) {
+    if (!Array.isArray(entities) || !entities.some(isEncryptedEntity)) {
+      return Promise.resolve(entities);
+    }
+
+    const cipher = this._getCipher();
+    if (!cipher) {
+      return Promise.reject(new EncryptionError('The offline data is encrypted,'
+        + ' but the client has no encryptionKey to decrypt it with.'));
+    }
+    return Promise.all(entities.map(entity => cipher.decrypt(entity)));
+  }
+
   _invalidateCache(key) {
     if (this._cacheEnabled) {
       delete _cache[key];
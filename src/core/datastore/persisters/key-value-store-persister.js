@@ -20,12 +20,14 @@ export class KeyValueStorePersister extends KeyValuePersister {
         if (!entity) {
           return Promise.reject(this._getEntityNotFoundError(collection, entityId));
         }
-        return entity;
-      });
+        return this._decryptEntities([entity]);
+      })
+      .then(([entity]) => entity);
   }
 
   writeEntities(collection, entities) {
-    return this._writeEntitiesToPersistance(collection, entities)
+    return this._encryptEntities(entities)
+      .then(encryptedEntities => this._writeEntitiesToPersistance(collection, encryptedEntities))
       .then(() => {
         this._invalidateCache(collection);
         return true;
@@ -47,8 +49,69 @@ export class KeyValueStorePersister extends KeyValuePersister {
       });
   }
 
+  /**
+   * Upserts and deletes entities in several collections, in a single transaction.
+   * @param {Object} changesByCollection  Maps collection names to {upserts: [], deletedIds: []}
+   */
+  commitChanges(changesByCollection) {
+    const collections = Object.keys(changesByCollection);
+    const encryptedChangesByCollection = {};
+
+    const encryptPromises = collections.map((collection) => {
+      const changes = changesByCollection[collection];
+      return this._encryptEntities(changes.upserts)
+        .then((upserts) => {
+          encryptedChangesByCollection[collection] = Object.assign({}, changes, { upserts });
+        });
+    });
+
+    return Promise.all(encryptPromises)
+      .then(() => this._commitChangesToPersistance(encryptedChangesByCollection))
+      .then(() => {
+        Object.keys(changesByCollection).forEach(collection => this._invalidateCache(collection));
+        return true;
+      });
+  }
+
+  /**
+   * Reads the entities of the collection, which are candidates for the index plan of a query.
+   * They are a superset of the entities matching the query.
+   * @param {string} collection
+   * @param {IndexPlan} indexPlan
+   */
+  readEntitiesByIndex(collection, indexPlan) {
+    // the values of encrypted entities can't be indexed
+    if (this._getCipher()) {
+      return this.read(collection);
+    }
+    return this._readEntitiesByIndexFromPersistance(collection, indexPlan);
+  }
+
+  /**
+   * Applies the query, or a part of it, to the entities of the collection in the database.
+   * @param {string} collection
+   * @param {Query} query
+   * @returns {Promise<{entities: Object[], complete: boolean}|null>} Null, if the query can't be applied.
+   * When complete is false, the entities are a superset of the entities matching the query.
+   */
+  readEntitiesByQuery(collection, query) {
+    if (this._getCipher()) {
+      return Promise.resolve(null);
+    }
+    return this._readEntitiesByQueryFromPersistance(collection, query);
+  }
+
   // protected
 
+  _readEntitiesByQueryFromPersistance() {
+    return Promise.resolve(null);
+  }
+
+  // persisters, which don't keep indexes, read all entities
+  _readEntitiesByIndexFromPersistance(collection) {
+    return this.read(collection);
+  }
+
   _readEntityFromPersistance(collection, entityIds) {
     this._throwNotImplementedError(entityIds);
   }
@@ -61,6 +124,10 @@ export class KeyValueStorePersister extends KeyValuePersister {
     this._throwNotImplementedError(entityIds);
   }
 
+  _commitChangesToPersistance(changesByCollection) {
+    this._throwNotImplementedError(changesByCollection);
+  }
+
   _getEntityNotFoundError(collection, id) {
     return new NotFoundError(`An entity with _id = ${id} was not found in the ${collection}`
       + ` collection on the ${this._storeName} database.`);
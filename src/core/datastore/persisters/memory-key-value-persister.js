@@ -22,6 +22,13 @@ export class MemoryKeyValuePersister extends KeyValuePersister {
     return Promise.resolve(true);
   }
 
+  _writeManyToPersistance(valuesByKey) {
+    Object.keys(valuesByKey).forEach((key) => {
+      _storage[key] = valuesByKey[key].slice(0);
+    });
+    return Promise.resolve(true);
+  }
+
   _deleteFromPersistance(key) {
     delete _storage[key];
     return Promise.resolve(true);
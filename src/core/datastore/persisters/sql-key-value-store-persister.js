@@ -3,14 +3,47 @@ import { Promise } from 'es6-promise';
 import { KinveyError } from '../../errors';
 
 import { KeyValueStorePersister } from './key-value-store-persister';
-import { sqliteCollectionsMaster } from './utils';
-import { ensureArray } from '../../utils';
+import { sqliteCollectionsMaster, sqliteIndexTableSuffix } from './utils';
+import { ensureArray, isDefined } from '../../utils';
+import { getCollectionIndexes, getIndexValues } from '../collection-indexes';
+import { translateQuery } from './sql-query-translator';
+import { Log } from '../../log';
+
+function getIndexTable(collection) {
+  return `"${collection}${sqliteIndexTableSuffix}"`;
+}
+
+function getIndexCondition(indexPlan) {
+  if (indexPlan.values) {
+    return {
+      sql: `value IN (${indexPlan.values.map(() => '?').join(', ')})`,
+      parameters: indexPlan.values
+    };
+  }
+
+  const conditions = [];
+  const parameters = [];
+  if (isDefined(indexPlan.lower)) {
+    conditions.push(indexPlan.lowerOpen ? 'value > ?' : 'value >= ?');
+    parameters.push(indexPlan.lower);
+  }
+  if (isDefined(indexPlan.upper)) {
+    conditions.push(indexPlan.upperOpen ? 'value < ?' : 'value <= ?');
+    parameters.push(indexPlan.upper);
+  }
+  return { sql: conditions.join(' AND '), parameters };
+}
 
 /**
  * @private
+ * The values of the indexed fields of a collection are kept in a table named like the collection,
+ * with the "#index" suffix, which has a row per entity id, field and value.
  */
 export class SqlKeyValueStorePersister extends KeyValueStorePersister {
   _sqlModule;
+  // maps collections to the fields and the promise of the index build
+  _indexBuilds = {};
+  _jsonSupportPromise;
 
   constructor(sqlModule, cacheEnabled, ttl) {
     super(cacheEnabled, ttl);
@@ -26,6 +59,10 @@ export class SqlKeyValueStorePersister extends KeyValueStorePersister {
             return true;
           }
 
+          if (table.indexOf(sqliteIndexTableSuffix) !== -1) {
+            return false;
+          }
+
           return /^[a-zA-Z0-9-]{1,128}/.test(table)
         });
       });
@@ -50,8 +87,18 @@ export class SqlKeyValueStorePersister extends KeyValueStorePersister {
 
   _deleteFromPersistance(collection) {
     // TODO: this should drop the table, instead of deleting all rows
-    return this._sqlModule.openTransaction(collection, 'DELETE FROM #{collection}', undefined, true)
-      .then((response) => ({ count: response }));
+    if (getCollectionIndexes(collection).length === 0) {
+      return this._sqlModule.openTransaction(collection, 'DELETE FROM #{collection}', undefined, true)
+        .then((response) => ({ count: response }));
+    }
+
+    return this._afterIndexBuild(collection, () => {
+      const queries = [['DELETE FROM #{collection}', []]]
+        .concat(this._getIndexTableQueries(collection))
+        .concat([[`DELETE FROM ${getIndexTable(collection)}`, []]]);
+      return this._sqlModule.openTransaction(collection, queries, null, true)
+        .then(responses => ({ count: responses[0] }));
+    });
   }
 
   _readEntityFromPersistance(collection, entityId) {
@@ -66,7 +113,69 @@ export class SqlKeyValueStorePersister extends KeyValueStorePersister {
 
   _deleteEntityFromPersistance(collection, entityId) {
     const query = 'DELETE FROM #{collection} WHERE key = ?';
-    return this._sqlModule.openTransaction(collection, query, [entityId], true);
+    if (getCollectionIndexes(collection).length === 0) {
+      return this._sqlModule.openTransaction(collection, query, [entityId], true);
+    }
+
+    return this._afterIndexBuild(collection, () => {
+      const queries = [[query, [entityId]]]
+        .concat(this._getIndexTableQueries(collection))
+        .concat([[`DELETE FROM ${getIndexTable(collection)} WHERE key = ?`, [entityId]]]);
+      return this._sqlModule.openTransaction(collection, queries, null, true)
+        .then(responses => responses[0]);
+    });
+  }
+
+  // queries are translated to SQL, if the JSON functions of SQLite are available - they aren't in WebSQL
+  _readEntitiesByQueryFromPersistance(collection, query) {
+    return this._isJsonSupported()
+      .then((isJsonSupported) => {
+        const translation = isJsonSupported ? translateQuery(query) : null;
+        if (!translation) {
+          return null;
+        }
+
+        return this._sqlModule.openTransaction(collection, translation.sql, translation.parameters)
+          .then(entities => ({ entities: Array.isArray(entities) ? entities : [], complete: translation.complete }))
+          .catch((err) => {
+            Log.debug(`Unable to apply the query to the ${collection} collection in the database`, err);
+            return null;
+          });
+      });
+  }
+
+  _readEntitiesByIndexFromPersistance(collection, indexPlan) {
+    return this._buildIndexes(collection)
+      .then(() => {
+        const { sql, parameters } = getIndexCondition(indexPlan);
+        const query = 'SELECT value FROM #{collection} WHERE key IN'
+          + ` (SELECT key FROM ${getIndexTable(collection)} WHERE field = ? AND ${sql})`;
+        return this._sqlModule.openTransaction(collection, query, [indexPlan.field].concat(parameters));
+      })
+      .then(entities => (Array.isArray(entities) ? entities : []));
+  }
+
+  _commitChangesToPersistance(changesByCollection) {
+    const collections = Object.keys(changesByCollection);
+    const statements = [];
+    collections.forEach((collection) => {
+      const { upserts = [], deletedIds = [] } = changesByCollection[collection];
+      deletedIds.forEach((id) => {
+        statements.push([collection, 'DELETE FROM #{collection} WHERE key = ?', [id]]);
+      });
+      upserts.forEach((entity) => {
+        statements.push([collection, 'REPLACE INTO #{collection} (key, value) VALUES (?, ?)',
+          [entity._id, JSON.stringify(entity)]]);
+      });
+      this._getIndexQueries(collection, upserts, deletedIds)
+        .forEach(([sql, parameters]) => statements.push([collection, sql, parameters]));
+    });
+
+    if (statements.length === 0) {
+      return Promise.resolve(null);
+    }
+
+    return this._afterIndexBuild(collections, () => this._sqlModule.openMultiCollectionTransaction(statements));
   }
 
   // private methods
@@ -86,7 +195,94 @@ export class SqlKeyValueStorePersister extends KeyValueStorePersister {
       ];
     });
 
-    return this._sqlModule.openTransaction(collection, queries, null, true)
+    return this._afterIndexBuild(collection, () => {
+      const allQueries = queries.concat(this._getIndexQueries(collection, entities));
+      return this._sqlModule.openTransaction(collection, allQueries, null, true);
+    })
       .then(() => (singular ? entities[0] : entities));
   }
+
+  _isJsonSupported() {
+    if (!this._jsonSupportPromise) {
+      const sql = 'SELECT json_extract(\'{"supported":1}\', \'$.supported\') AS value';
+      this._jsonSupportPromise = this._sqlModule.openTransaction(sqliteCollectionsMaster, sql, [])
+        .then(response => Array.isArray(response) && response[0] === 1)
+        .catch(() => false);
+    }
+    return this._jsonSupportPromise;
+  }
+
+  _getIndexTableQueries(collection) {
+    const table = getIndexTable(collection);
+    return [
+      [`CREATE TABLE IF NOT EXISTS ${table} (key BLOB NOT NULL, field TEXT NOT NULL, value)`, []],
+      [`CREATE INDEX IF NOT EXISTS "${collection}${sqliteIndexTableSuffix}_value" ON ${table} (field, value)`, []],
+      [`CREATE INDEX IF NOT EXISTS "${collection}${sqliteIndexTableSuffix}_key" ON ${table} (key)`, []]
+    ];
+  }
+
+  // replaces the index rows of the upserted entities and removes the ones of the deleted entities
+  _getIndexQueries(collection, upsertedEntities, deletedIds = []) {
+    const fields = getCollectionIndexes(collection);
+    if (fields.length === 0 || upsertedEntities.length + deletedIds.length === 0) {
+      return [];
+    }
+
+    const table = getIndexTable(collection);
+    return this._getIndexTableQueries(collection)
+      .concat(deletedIds.concat(upsertedEntities.map(entity => entity._id))
+        .map(id => [`DELETE FROM ${table} WHERE key = ?`, [id]]))
+      .concat(this._getIndexRowQueries(collection, upsertedEntities));
+  }
+
+  _getIndexRowQueries(collection, entities) {
+    const table = getIndexTable(collection);
+    const fields = getCollectionIndexes(collection);
+    const queries = [];
+    entities.forEach((entity) => {
+      fields.forEach((field) => {
+        getIndexValues(entity, field).forEach((value) => {
+          queries.push([`INSERT INTO ${table} (key, field, value) VALUES (?, ?, ?)`, [entity._id, field, value]]);
+        });
+      });
+    });
+    return queries;
+  }
+
+  // The index rows are written along with the entities, but the indexes may have been declared after the entities
+  // were saved, so they are built from all entities of the collection, once per instance and set of indexed fields.
+  _buildIndexes(collection) {
+    const fields = getCollectionIndexes(collection).join(',');
+    const build = this._indexBuilds[collection];
+
+    if (build && build.fields === fields) {
+      return build.promise;
+    }
+
+    const promise = this._readFromPersistance(collection)
+      .then((entities) => {
+        entities = Array.isArray(entities) ? entities : [];
+        const queries = this._getIndexTableQueries(collection)
+          .concat([[`DELETE FROM ${getIndexTable(collection)}`, []]])
+          .concat(this._getIndexRowQueries(collection, entities));
+        return this._sqlModule.openTransaction(collection, queries, null, true);
+      })
+      .catch((err) => {
+        delete this._indexBuilds[collection];
+        return Promise.reject(err);
+      });
+
+    this._indexBuilds[collection] = { fields, promise };
+    return promise;
+  }
+
+  // writes wait for a running index build, so that the build doesn't overwrite their index rows
+  _afterIndexBuild(collections, operation) {
+    const builds = ensureArray(collections)
+      .map(collection => this._indexBuilds[collection])
+      .filter(build => !!build)
+      .map(build => build.promise.catch(() => null));
+    return Promise.all(builds)
+      .then(() => operation());
+  }
 }
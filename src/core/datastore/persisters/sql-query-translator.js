@@ -0,0 +1,228 @@
+import isPlainObject from 'lodash/isPlainObject';
+import isString from 'lodash/isString';
+import isBoolean from 'lodash/isBoolean';
+
+import { isNumber } from '../../utils';
+
+const COMPARISON_OPERATORS = {
+  $eq: '=',
+  $gt: '>',
+  $gte: '>=',
+  $lt: '<',
+  $lte: '<='
+};
+
+/**
+ * @private
+ * @typedef {Object} SqlTranslation
+ * @property {string} sql           A SELECT statement, which reads the value column of the #{collection} table.
+ * @property {Array} parameters     The parameters of the statement.
+ * @property {boolean} complete     True, if the statement applies the whole query, except its fields.
+ *                                  Otherwise it only applies a part of the filter, and returns a superset of the
+ *                                  matching entities, which the query has to be applied to.
+ */
+
+function isScalar(value) {
+  return isString(value) || isNumber(value);
+}
+
+// the path is passed as a parameter, so only the double quote has to be kept out of it
+function toJsonPath(field) {
+  return `$${field.split('.').map(part => `."${part}"`).join('')}`;
+}
+
+function isSupportedField(field, allowNested = false) {
+  return field.length > 0 && field.indexOf('"') === -1 && (allowNested || field.indexOf('.') === -1);
+}
+
+function combine(parts, operator) {
+  return {
+    sql: parts.map(part => `(${part.sql})`).join(` ${operator} `),
+    parameters: parts.reduce((parameters, part) => parameters.concat(part.parameters), []),
+    complete: parts.every(part => part.complete)
+  };
+}
+
+// sift compares values of the same type only, so the type of the value is checked, too
+function compareTo(operator, values) {
+  const parts = [
+    { type: 'item.type = \'text\'', typedValues: values.filter(isString) },
+    { type: 'item.type IN (\'integer\', \'real\')', typedValues: values.filter(isNumber) }
+  ]
+    .filter(({ typedValues }) => typedValues.length > 0)
+    .map(({ type, typedValues }) => {
+      const comparison = operator === 'IN' ? `IN (${typedValues.map(() => '?').join(', ')})` : `${operator} ?`;
+      return { sql: `${type} AND item.value ${comparison}`, parameters: typedValues, complete: true };
+    });
+  return combine(parts, 'OR');
+}
+
+// Like sift, a condition on a field matches, if it matches the value of the field
+// or any of the items of an array value. json_each() returns a row for a scalar value, or for each item
+// of an array, but also for each member of an object, which has a text key.
+function anyItem(path, condition) {
+  return {
+    sql: 'EXISTS (SELECT 1 FROM json_each(entity.value, ?) AS item'
+      + ` WHERE (item.key IS NULL OR typeof(item.key) = 'integer') AND (${condition.sql}))`,
+    parameters: [path].concat(condition.parameters),
+    complete: true
+  };
+}
+
+function negate(translation) {
+  return { sql: `NOT (${translation.sql})`, parameters: translation.parameters, complete: translation.complete };
+}
+
+function translateOperator(field, operator, operand) {
+  const path = toJsonPath(field);
+
+  if (COMPARISON_OPERATORS[operator] && isScalar(operand)) {
+    return anyItem(path, compareTo(COMPARISON_OPERATORS[operator], [operand]));
+  }
+
+  if (operator === '$ne' && isScalar(operand)) {
+    return negate(anyItem(path, compareTo('=', [operand])));
+  }
+
+  if ((operator === '$in' || operator === '$nin') && Array.isArray(operand) && operand.every(isScalar)) {
+    if (operand.length === 0) {
+      return { sql: operator === '$in' ? '0' : '1', parameters: [], complete: true };
+    }
+    const translation = anyItem(path, compareTo('IN', operand));
+    return operator === '$in' ? translation : negate(translation);
+  }
+
+  if (operator === '$exists' && isBoolean(operand)) {
+    return { sql: `json_type(entity.value, ?) IS ${operand ? 'NOT ' : ''}NULL`, parameters: [path], complete: true };
+  }
+
+  return null;
+}
+
+function translateFieldCondition(field, condition) {
+  if (!isSupportedField(field)) {
+    return null;
+  }
+
+  if (isScalar(condition)) {
+    return translateOperator(field, '$eq', condition);
+  }
+
+  const operators = isPlainObject(condition) ? Object.keys(condition) : [];
+  // a condition without operators is the equality to an object
+  if (operators.length === 0 || operators.some(operator => operator.charAt(0) !== '$')) {
+    return null;
+  }
+
+  const parts = operators.map(operator => translateOperator(field, operator, condition[operator]));
+  const supportedParts = parts.filter(part => part !== null);
+  if (supportedParts.length === 0) {
+    return null;
+  }
+
+  const translation = combine(supportedParts, 'AND');
+  translation.complete = translation.complete && supportedParts.length === parts.length;
+  return translation;
+}
+
+// Returns null, if no part of the filter can be translated. The conditions, which can't be translated,
+// are left out of an AND, which makes the translation a superset of the filter - and not complete.
+function translateFilter(filter) {
+  const keys = Object.keys(filter);
+  const parts = keys.map((key) => {
+    const value = filter[key];
+
+    if (key === '$and' && Array.isArray(value)) {
+      const subParts = value.map(subFilter => (isPlainObject(subFilter) ? translateFilter(subFilter) : null));
+      const supportedParts = subParts.filter(part => part !== null);
+      if (supportedParts.length === 0) {
+        return null;
+      }
+      const translation = combine(supportedParts, 'AND');
+      translation.complete = translation.complete && supportedParts.length === subParts.length;
+      return translation;
+    }
+
+    if ((key === '$or' || key === '$nor') && Array.isArray(value) && value.length > 0) {
+      const subParts = value.map(subFilter => (isPlainObject(subFilter) ? translateFilter(subFilter) : null));
+      if (subParts.some(part => part === null || !part.complete)) {
+        return null;
+      }
+      const translation = combine(subParts, 'OR');
+      return key === '$or' ? translation : negate(translation);
+    }
+
+    return key.charAt(0) === '$' ? null : translateFieldCondition(key, value);
+  });
+
+  const supportedParts = parts.filter(part => part !== null);
+  if (keys.length === 0) {
+    return { sql: '1', parameters: [], complete: true };
+  }
+  if (supportedParts.length === 0) {
+    return null;
+  }
+
+  const translation = combine(supportedParts, 'AND');
+  translation.complete = translation.complete && supportedParts.length === parts.length;
+  return translation;
+}
+
+function translateSort(sort) {
+  const fields = Object.keys(sort || {});
+  if (fields.some(field => !isSupportedField(field, true))) {
+    return null;
+  }
+
+  return {
+    sql: fields.map(field => `json_extract(entity.value, ?) ${sort[field] === -1 ? 'DESC' : 'ASC'}`).join(', '),
+    parameters: fields.map(toJsonPath)
+  };
+}
+
+/**
+ * @private
+ * Translates a query to a SELECT statement, which uses the JSON functions of SQLite. The fields of the query
+ * are not translated. The sort, skip and limit are only translated, if the whole filter can be translated.
+ * @param {Query} query
+ * @returns {SqlTranslation|null} Null, if no part of the query can be translated.
+ */
+export function translateQuery(query) {
+  const {
+    filter,
+    sort,
+    skip,
+    limit
+  } = query.toPlainObject();
+  const where = translateFilter(filter || {});
+
+  if (!where) {
+    return null;
+  }
+
+  let sql = 'SELECT value FROM #{collection} AS entity';
+  let { parameters } = where;
+  if (Object.keys(filter || {}).length > 0) {
+    sql += ` WHERE ${where.sql}`;
+  }
+
+  const orderBy = where.complete ? translateSort(sort) : null;
+  const complete = where.complete && orderBy !== null;
+
+  if (complete) {
+    if (orderBy.sql.length > 0) {
+      sql += ` ORDER BY ${orderBy.sql}`;
+      parameters = parameters.concat(orderBy.parameters);
+    }
+
+    const hasLimit = isNumber(limit) && limit > 0;
+    const hasSkip = isNumber(skip) && skip > 0;
+    if (hasLimit || hasSkip) {
+      // SQLite requires a LIMIT for an OFFSET, and -1 means no limit
+      sql += ' LIMIT ? OFFSET ?';
+      parameters = parameters.concat([hasLimit ? limit : -1, hasSkip ? skip : 0]);
+    }
+  }
+
+  return { sql, parameters, complete };
+}
@@ -1,5 +1,7 @@
 import times from 'lodash/times';
 
+import { StorageQuotaError } from '../../errors';
+
 /**
  * @private
  */
@@ -38,3 +40,32 @@ export const webSqlCollectionsMaster = 'sqlite_master'; // wat? check it
  * @private
  */
 export const webSqlDatabaseSize = 2 * 1024 * 1024;
+
+/**
+ * @private
+ */
+export const sqliteIndexTableSuffix = '#index';
+
+// the browsers report a full storage with different names and codes
+const quotaExceededErrorNames = ['QuotaExceededError', 'NS_ERROR_DOM_QUOTA_REACHED'];
+const quotaExceededErrorCodes = [22, 1014];
+
+function isQuotaExceededError(err) {
+  return !!err && (quotaExceededErrorNames.indexOf(err.name) > -1 || quotaExceededErrorCodes.indexOf(err.code) > -1);
+}
+
+/**
+ * @private
+ * Returns a StorageQuotaError, if the error of a storage reports that it is full.
+ * @param {Error} err
+ * @param {string} storageName Like "the books collection on the kid_xyz IndexedDB database"
+ * @param {boolean} [isQuotaExceeded] For the storages, which report a full quota in their own way.
+ * @returns {StorageQuotaError|null}
+ */
+export function getStorageQuotaError(err, storageName, isQuotaExceeded = isQuotaExceededError(err)) {
+  if (!isQuotaExceeded) {
+    return null;
+  }
+  const message = `The entities could not be saved to ${storageName}, because its quota is exceeded.`;
+  return new StorageQuotaError(message, err && err.message);
+}
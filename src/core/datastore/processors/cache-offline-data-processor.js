@@ -1,15 +1,33 @@
 import { Promise } from 'es6-promise';
 import clone from 'lodash/clone';
 
+import { Log } from '../../log';
 import { Query } from '../../query';
-import { NotFoundError, InvalidCachedQuery } from '../../errors';
+import { NotFoundError, InvalidCachedQuery, NetworkConnectionError, TimeoutError } from '../../errors';
 
 import { OfflineDataProcessor } from './offline-data-processor';
-import { ensureArray } from '../../utils';
+import { ensureArray, isDefined } from '../../utils';
 import { wrapInObservable } from '../../observable';
 import { isLocalEntity, isNotEmpty, isEmpty, getEntitiesPendingPushError } from '../utils';
 import { deltaSet } from '../deltaset';
-import { getCachedQuery, updateCachedQuery, deleteCachedQuery } from '../querycache';
+import {
+  getCachedQuery,
+  updateCachedQuery,
+  invalidateCachedQuery,
+  getQueryWindow,
+  markQueryWindowMaterialized,
+  markQueryDeltaSetApplied,
+  isCachedQueryFresh
+} from '../querycache';
+import { DataStoreEvent, ChangeSource, emitDataStoreEvent, getEntityIds } from '../store-events';
+import { getCollectionTtl, isCacheSweepDue } from '../cache-ttl';
+import { ReadPolicy } from '../read-policy';
+import { enforceStorageQuota } from '../storage-quota';
+
+// the cached result is used instead, with the NetworkFirst read policy
+function isNetworkError(err) {
+  return err instanceof NetworkConnectionError || err instanceof TimeoutError;
+}
 
 // imported for type info
 // import { NetworkRepository } from '../repositories';
@@ -34,13 +52,14 @@ export class CacheOfflineDataProcessor extends OfflineDataProcessor {
     return this._attemptDeleteByIdOverNetwork(collection, entity._id, options)
       .then((didDelete) => {
         deleteSucceeded = didDelete;
-        if (deleteSucceeded) {
-          return this._syncManager.removeSyncItemForEntityId(collection, entity._id)
-            .then(() => this._getRepository())
-            .then(repo => repo.deleteById(collection, entity._id, options));
-        }
-        return this._syncManager.addDeleteEvent(collection, entity)
-          .then(() => 0);
+        return this._runInTransaction((txn) => {
+          if (deleteSucceeded) {
+            return this._syncManager.removeSyncItemForEntityId(collection, entity._id, txn)
+              .then(() => txn.deleteById(collection, entity._id, options));
+          }
+          return this._syncManager.addDeleteEvent(collection, entity, txn)
+            .then(() => 0);
+        });
       });
   }
 
@@ -56,11 +75,14 @@ export class CacheOfflineDataProcessor extends OfflineDataProcessor {
         if (isEmpty(offlineEntities)) {
           return 0;
         }
-        if (deleteSucceeded) {
-          return this._deleteEntitiesOffline(collection, query, offlineEntities, options);
-        }
-        return this._syncManager.addDeleteEvent(collection, offlineEntities)
-          .then(() => 0);
+        return this._runInTransaction((txn) => {
+          if (deleteSucceeded) {
+            return this._deleteEntitiesOffline(collection, query, offlineEntities, options, txn);
+          }
+          return this._syncManager.addDeleteEvent(collection, offlineEntities, txn)
+            .then(() => 0);
+        })
+          .then(count => this._emitRemoveIfDeleted(collection, offlineEntities, count));
       });
   }
 
@@ -68,123 +90,208 @@ export class CacheOfflineDataProcessor extends OfflineDataProcessor {
     let offlineEntity;
     data = clone(data);
 
-    return super._processCreate(collection, data, options)
+    return this._createOffline(collection, data, options)
       .then((createdEntity) => {
         offlineEntity = createdEntity;
         return this._networkRepository.create(collection, data, options);
       })
       .then((networkEntity) => { // cause of temp id, this is a delete and create
-        return this._replaceNetworkEntityOffline(collection, offlineEntity._id, networkEntity)
-          .then(() => this._syncManager.removeSyncItemForEntityId(collection, offlineEntity._id))
-          .then(() => networkEntity);
-      });
+        return this._runInTransaction((txn) => {
+          return this._replaceNetworkEntityOffline(collection, offlineEntity._id, networkEntity, txn)
+            .then(() => this._syncManager.removeSyncItemForEntityId(collection, offlineEntity._id, txn))
+            .then(() => networkEntity);
+        });
+      })
+      .then(networkEntity => this._emitLocalChange(collection, DataStoreEvent.Create, networkEntity));
   }
 
   _processRead(collection, query, options = {}) {
+    const readPolicy = options.readPolicy || ReadPolicy.CacheThenNetwork;
     let offlineEntities;
-    let { useDeltaSet } = options;
 
     return wrapInObservable((observer) => {
+      const fetchEntities = () => {
+        return this._fetchEntities(collection, query, options, offlineEntities)
+          .then(entities => observer.next(entities));
+      };
+
       return super._processRead(collection, query, options)
         .then((entities) => {
           offlineEntities = entities;
-          observer.next(offlineEntities);
-          return this._ensureCountBeforeRead(collection, 'fetch the entities', query);
+          return this._excludeExpiredEntities(collection, offlineEntities);
         })
-        .then(() => {
-          if (useDeltaSet) {
-            return deltaSet(collection, query, options)
-              .catch((error) => {
-                if (error instanceof InvalidCachedQuery) {
-                  useDeltaSet = false;
-                  return getCachedQuery(collection, query)
-                    .then((cachedQuery) => deleteCachedQuery(cachedQuery))
-                    .catch((error) => {
-                      if (error instanceof NotFoundError) {
-                        return null;
-                      }
-
-                      throw error;
-                    })
-                    .then(() => this._networkRepository.read(collection, query, Object.assign(options, { dataOnly: false })));
-                }
-
-                throw error;
-              });
-          }
+        .then((cachedEntities) => {
+          return this._readWithPolicy(readPolicy, fetchEntities, () => observer.next(cachedEntities), () => {
+            return getCachedQuery(collection, query)
+              .then(cachedQuery => isCachedQueryFresh(cachedQuery, query, getCollectionTtl(collection)));
+          });
+        });
+    });
+  }
 
-          return this._networkRepository.read(collection, query, Object.assign(options, { dataOnly: false }));
+  _processReadById(collection, entityId, options = {}) {
+    const readPolicy = options.readPolicy || ReadPolicy.CacheThenNetwork;
+    let offlineEntity;
+
+    return wrapInObservable((observer) => {
+      const fetchEntity = () => {
+        return this._fetchEntity(collection, entityId, options, offlineEntity)
+          .then(entity => observer.next(entity));
+      };
+
+      return super._processReadById(collection, entityId, options)
+        .catch(err => this._catchNotFoundError(err)) // backwards compatibility
+        .then((entity) => {
+          offlineEntity = entity;
+          return this._excludeExpiredEntities(collection, ensureArray(entity));
         })
-        .then((response) => {
-          return getCachedQuery(collection, query)
-            .then((cachedQuery) => {
-              if (cachedQuery && response.headers) {
-                cachedQuery.lastRequest = response.headers.requestStart;
-                return updateCachedQuery(cachedQuery);
+        .then(([cachedEntity]) => {
+          return this._readWithPolicy(readPolicy, fetchEntity, () => observer.next(cachedEntity), () => {
+            return Promise.resolve(isDefined(cachedEntity));
+          });
+        });
+    });
+  }
+
+  /**
+   * Emits the cached result and/or fetches the result from the backend, as the read policy tells.
+   * @param {string} readPolicy
+   * @param {Function} fetchResult Fetches the result, saves it in the cache and emits it.
+   * @param {Function} emitCached Emits the cached result.
+   * @param {Function} isCacheFresh Resolves with true, if the cached result can be used without fetching it.
+   */
+  _readWithPolicy(readPolicy, fetchResult, emitCached, isCacheFresh) {
+    switch (readPolicy) {
+      case ReadPolicy.CacheOnly:
+        emitCached();
+        return Promise.resolve();
+      case ReadPolicy.NetworkOnlyThenCache:
+        return fetchResult();
+      case ReadPolicy.CacheFirst:
+        return isCacheFresh()
+          .then(isFresh => (isFresh ? emitCached() : fetchResult()));
+      case ReadPolicy.NetworkFirst:
+        return fetchResult()
+          .catch((err) => {
+            if (isNetworkError(err)) {
+              return emitCached();
+            }
+            return Promise.reject(err);
+          });
+      default:
+        emitCached();
+        return fetchResult();
+    }
+  }
+
+  // the result of the query is fetched, saved in the cache and returned
+  _fetchEntities(collection, query, options, offlineEntities) {
+    let { useDeltaSet } = options;
+
+    return this._ensureCountBeforeRead(collection, 'fetch the entities', query)
+      .then(() => {
+        if (useDeltaSet) {
+          return deltaSet(collection, query, options)
+            .catch((error) => {
+              if (error instanceof InvalidCachedQuery) {
+                useDeltaSet = false;
+                return invalidateCachedQuery(collection, query)
+                  .catch((error) => {
+                    if (error instanceof NotFoundError) {
+                      return null;
+                    }
+
+                    throw error;
+                  })
+                  .then(() => this._networkRepository.read(collection, query, Object.assign(options, { dataOnly: false })));
               }
 
-              return null;
-            })
-            .then(() => {
-              return response.data ? response.data : response;
+              throw error;
             });
-        })
-        .then((data) => {
-          if (useDeltaSet) {
+        }
+
+        return this._networkRepository.read(collection, query, Object.assign(options, { dataOnly: false }));
+      })
+      .then((response) => {
+        return getCachedQuery(collection, query)
+          .then((cachedQuery) => {
+            if (cachedQuery && response.headers) {
+              if (useDeltaSet) {
+                markQueryDeltaSetApplied(cachedQuery, response.headers.requestStart);
+              } else {
+                markQueryWindowMaterialized(cachedQuery, response.headers.requestStart, getQueryWindow(query));
+              }
+              return updateCachedQuery(cachedQuery);
+            }
+
+            return null;
+          })
+          .then(() => {
+            return response.data ? response.data : response;
+          });
+      })
+      .then((data) => {
+        if (useDeltaSet) {
+          return this._runInTransaction((txn) => {
             const promises = [];
 
             if (data.deleted.length > 0) {
               const deleteQuery = new Query();
               deleteQuery.contains('_id', data.deleted.map((entity) => entity._id));
-              promises.push(this._deleteEntitiesOffline(collection, deleteQuery, data.deleted));
+              promises.push(this._deleteEntitiesOffline(collection, deleteQuery, data.deleted, undefined, txn));
             }
 
             if (data.changed.length > 0) {
-              promises.push(this._replaceOfflineEntities(collection, data.changed, data.changed));
+              promises.push(this._replaceOfflineEntities(collection, data.changed, data.changed, txn));
             }
 
-            return Promise.all(promises)
-              .then(() => super._processRead(collection, query, options));
-          }
+            return Promise.all(promises);
+          })
+            .then(() => this._emitDeltaSetChanges(collection, data))
+            .then(() => super._processRead(collection, query, options));
+        }
 
-          return this._replaceOfflineEntities(collection, offlineEntities, data)
-            .then(() => data);
-        })
-        .then((entities) => {
-          observer.next(entities);
-          return entities;
-        });
-    });
+        return this._runInTransaction(txn => this._replaceOfflineEntities(collection, offlineEntities, data, txn))
+          .then(() => this._emitPull(collection, data, ChangeSource.Pull))
+          .then(() => data);
+      })
+      .then((entities) => {
+        return this._sweepExpiredEntities(collection)
+          .then(() => enforceStorageQuota())
+          .then(() => entities);
+      });
   }
 
-  _processReadById(collection, entityId, options) {
-    let offlineEntity;
-    return wrapInObservable((observer) => {
-      const query = new Query().equalTo('_id', entityId);
-      return super._processReadById(collection, entityId, options)
-        .catch(err => this._catchNotFoundError(err)) // backwards compatibility
-        .then((entity) => {
-          observer.next(entity);
-          offlineEntity = entity;
-          return this._ensureCountBeforeRead(collection, 'find the entity', query);
-        })
-        .then(() => this._networkRepository.readById(collection, entityId, options))
-        .then((entity) => {
-          observer.next(entity);
-          return this._replaceOfflineEntities(collection, offlineEntity, ensureArray(entity));
+  _fetchEntity(collection, entityId, options, offlineEntity) {
+    const query = new Query().equalTo('_id', entityId);
+    let networkEntity;
+
+    return this._ensureCountBeforeRead(collection, 'find the entity', query)
+      .then(() => this._networkRepository.readById(collection, entityId, options))
+      .then((entity) => {
+        networkEntity = entity;
+        return this._runInTransaction((txn) => {
+          return this._replaceOfflineEntities(collection, offlineEntity, ensureArray(entity), txn);
         });
-    });
+      })
+      .then(() => this._emitPull(collection, networkEntity, ChangeSource.Pull))
+      .then(() => this._sweepExpiredEntities(collection))
+      .then(() => enforceStorageQuota())
+      .then(() => networkEntity);
   }
 
   _processUpdate(collection, data, options) {
-    return super._processUpdate(collection, data, options)
+    return this._updateOffline(collection, data, options)
       .then(() => this._networkRepository.update(collection, data, options))
-      .then((networkEntity) => {
-        return this._getRepository()
-          .then(repo => repo.update(collection, networkEntity, options))
-          .then(() => this._syncManager.removeSyncItemForEntityId(collection, networkEntity._id))
-          .then(() => networkEntity);
-      });
+      .then(networkEntity => this._replaceUpdatedEntityOffline(collection, networkEntity, options))
+      .then(networkEntity => this._emitLocalChange(collection, DataStoreEvent.Update, networkEntity));
+  }
+
+  _processPatch(collection, entityId, changes, options) {
+    return this._patchOffline(collection, entityId, changes, options)
+      .then(patchedEntity => this._networkRepository.patchOrUpdate(collection, patchedEntity, changes, options))
+      .then(networkEntity => this._replaceUpdatedEntityOffline(collection, networkEntity, options))
+      .then(networkEntity => this._emitLocalChange(collection, DataStoreEvent.Update, networkEntity));
   }
 
   _processCount(collection, query, options) {
@@ -212,32 +319,48 @@ export class CacheOfflineDataProcessor extends OfflineDataProcessor {
 
   // private methods
 
+  _replaceUpdatedEntityOffline(collection, networkEntity, options) {
+    return this._runInTransaction((txn) => {
+      return txn.update(collection, networkEntity, options)
+        .then(() => this._syncManager.removeSyncItemForEntityId(collection, networkEntity._id, txn))
+        .then(() => networkEntity);
+    });
+  }
+
+  _emitPull(collection, entities, source) {
+    emitDataStoreEvent(collection, DataStoreEvent.Pull, getEntityIds(entities), source);
+  }
+
+  _emitDeltaSetChanges(collection, { changed, deleted }) {
+    if (deleted.length > 0) {
+      emitDataStoreEvent(collection, DataStoreEvent.Remove, getEntityIds(deleted), ChangeSource.DeltaSet);
+    }
+    this._emitPull(collection, changed, ChangeSource.DeltaSet);
+  }
+
+  // the following methods write through the passed transaction
+
   // much of our filtering is done inmemory, so this is worth doing, instead of using _replaceOfflineEntities()
-  _replaceNetworkEntityOffline(collection, offlineEntityId, networkEntity) {
-    return this._getRepository()
-      .then((repo) => {
-        let deletePromise = Promise.resolve();
-        if (offlineEntityId) {
-          deletePromise = repo.deleteById(collection, offlineEntityId);
-        }
-        return deletePromise
-          .then(() => repo.create(collection, networkEntity));
-      });
+  _replaceNetworkEntityOffline(collection, offlineEntityId, networkEntity, txn) {
+    let deletePromise = Promise.resolve();
+    if (offlineEntityId) {
+      deletePromise = txn.deleteById(collection, offlineEntityId);
+    }
+    return deletePromise
+      .then(() => txn.create(collection, networkEntity));
   }
 
-  _replaceOfflineEntities(collection, offlineEntities, networkEntities) {
+  _replaceOfflineEntities(collection, offlineEntities, networkEntities, txn) {
     let promise = Promise.resolve();
     const offlineEntitiesArray = ensureArray(offlineEntities);
 
     if (offlineEntities && isNotEmpty(offlineEntitiesArray)) {
       const query = new Query().contains('_id', offlineEntitiesArray.map(e => e._id));
-      promise = this._getRepository() // this is cheap, so doing it twice
-        .then(repo => repo.delete(collection, query));
+      promise = txn.delete(collection, query);
     }
 
     return promise
-      .then(() => this._getRepository())
-      .then(repo => repo.create(collection, networkEntities));
+      .then(() => txn.create(collection, networkEntities));
   }
 
   _attemptDeleteByIdOverNetwork(collection, entityId, options) {
@@ -262,11 +385,10 @@ export class CacheOfflineDataProcessor extends OfflineDataProcessor {
     });
   }
 
-  _deleteEntitiesOffline(collection, deleteQuery, offlineEntities, options) {
-    return this._getRepository()
-      .then(repo => repo.delete(collection, deleteQuery, options))
+  _deleteEntitiesOffline(collection, deleteQuery, offlineEntities, options, txn) {
+    return txn.delete(collection, deleteQuery, options)
       .then((deletedCount) => {
-        return this._syncManager.removeSyncItemsForIds(collection, offlineEntities.map(e => e._id))
+        return this._syncManager.removeSyncItemsForIds(collection, offlineEntities.map(e => e._id), txn)
           .then(() => deletedCount);
       });
   }
@@ -281,6 +403,21 @@ export class CacheOfflineDataProcessor extends OfflineDataProcessor {
       });
   }
 
+  // the entities, which expired in the cache, are not emitted before they are fetched again
+  _excludeExpiredEntities(collection, entities) {
+    if (!getCollectionTtl(collection)) {
+      return Promise.resolve(entities);
+    }
+    return this._syncManager.excludeExpiredEntities(collection, entities);
+  }
+
+  // the result of the read is already saved, so it is not failed by the sweep
+  _sweepExpiredEntities(collection) {
+    return Promise.resolve()
+      .then(() => (isCacheSweepDue(collection) ? this._syncManager.purgeExpiredEntities(collection) : 0))
+      .catch(err => Log.error(`Unable to remove the expired entities of the collection ${collection}`, err));
+  }
+
   _catchNotFoundError(err) {
     if (err instanceof NotFoundError) {
       return undefined;
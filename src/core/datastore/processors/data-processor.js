@@ -4,6 +4,8 @@ import { KinveyError } from '../../errors';
 
 import { OperationType } from '../operations';
 import { ensureArray } from '../../utils';
+import { ChangeSource, emitDataStoreEvent, getEntityIds } from '../store-events';
+import { validateEntities } from '../schema-validation';
 
 // imported for type definition
 // import { Repository } from '../repositories';
@@ -21,6 +23,11 @@ export class DataProcessor {
 
   process(operation, options) {
     const { collection, data, query, entityId } = operation;
+    const validationError = this._validateOperationData(operation);
+
+    if (validationError) {
+      return Promise.reject(validationError);
+    }
 
     switch (operation.type) {
       case OperationType.Create:
@@ -31,6 +38,8 @@ export class DataProcessor {
         return this._processReadById(collection, entityId, options);
       case OperationType.Update:
         return this._processUpdate(collection, data, options);
+      case OperationType.Patch:
+        return this._processPatch(collection, entityId, data, options);
       case OperationType.Delete:
         return this._processDelete(collection, query, options);
       case OperationType.DeleteById:
@@ -66,6 +75,11 @@ export class DataProcessor {
       .then(repo => repo.update(collection, data, options));
   }
 
+  _processPatch(collection, entityId, changes, options) {
+    return this._getRepository()
+      .then(repo => repo.patch(collection, entityId, changes, options));
+  }
+
   _processDelete(collection, query, options) {
     return this._getRepository()
       .then(repo => repo.delete(collection, query, options));
@@ -85,4 +99,23 @@ export class DataProcessor {
     return this._getRepository()
       .then(repo => repo.group(collection, aggregationQuery, options));
   }
+
+  // entities are validated against the schema of the collection before they are written anywhere
+  _validateOperationData(operation) {
+    switch (operation.type) {
+      case OperationType.Create:
+      case OperationType.Update:
+        return validateEntities(operation.collection, operation.data);
+      case OperationType.Patch:
+        return validateEntities(operation.collection, operation.data, true);
+      default:
+        return null;
+    }
+  }
+
+  // resolves with the passed result, so it can be chained after the write
+  _emitLocalChange(collection, event, entities, result = entities) {
+    emitDataStoreEvent(collection, event, getEntityIds(entities), ChangeSource.Local);
+    return result;
+  }
 }
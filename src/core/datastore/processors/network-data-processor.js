@@ -2,6 +2,7 @@ import { Promise } from 'es6-promise';
 
 import { DataProcessor } from './data-processor';
 import { repositoryProvider } from '../repositories';
+import { DataStoreEvent, ChangeSource, emitDataStoreEvent } from '../store-events';
 
 /**
  * @private
@@ -14,4 +15,40 @@ export class NetworkDataProcessor extends DataProcessor {
     }
     return this._repoPromise;
   }
+
+  _processCreate(collection, data, options) {
+    return super._processCreate(collection, data, options)
+      .then(created => this._emitLocalChange(collection, DataStoreEvent.Create, created));
+  }
+
+  _processUpdate(collection, data, options) {
+    return super._processUpdate(collection, data, options)
+      .then(updated => this._emitLocalChange(collection, DataStoreEvent.Update, updated));
+  }
+
+  _processPatch(collection, entityId, changes, options) {
+    return super._processPatch(collection, entityId, changes, options)
+      .then(patched => this._emitLocalChange(collection, DataStoreEvent.Update, patched));
+  }
+
+  _processDeleteById(collection, entityId, options) {
+    return super._processDeleteById(collection, entityId, options)
+      .then((count) => {
+        if (!count) {
+          return count;
+        }
+        return this._emitLocalChange(collection, DataStoreEvent.Remove, { _id: entityId }, count);
+      });
+  }
+
+  // the ids of the entities removed by a query are not returned by the backend, so the event carries the query
+  _processDelete(collection, query, options) {
+    return super._processDelete(collection, query, options)
+      .then((count) => {
+        if (count) {
+          emitDataStoreEvent(collection, DataStoreEvent.Remove, [], ChangeSource.Local, { query });
+        }
+        return count;
+      });
+  }
 }
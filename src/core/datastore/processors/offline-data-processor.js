@@ -1,12 +1,21 @@
 import { Promise } from 'es6-promise';
 import clone from 'lodash/clone';
+import assign from 'lodash/assign';
+import keyBy from 'lodash/keyBy';
 
+import { KinveyError, NotFoundError } from '../../errors';
+import { Query } from '../../query';
 import { OperationType } from '../operations';
 import { repositoryProvider } from '../repositories';
 import { DataProcessor } from './data-processor';
 import { generateEntityId, isEmpty } from '../utils';
 import { ensureArray, isDefined } from '../../utils';
 import { clearQueryCache } from '../querycache';
+import { DataStoreEvent, getEntityIds } from '../store-events';
+import { markCollectionUsed, enforceStorageQuota, evictOnStorageQuotaError } from '../storage-quota';
+import { isHistoryEnabled, recordEntityVersions, readEntityVersions, clearEntityHistory } from '../entity-history';
+
+const growingOperations = [OperationType.Create, OperationType.Update, OperationType.Patch];
 
 // imported for typings
 // import { SyncManager } from '../sync';
@@ -24,53 +33,153 @@ export class OfflineDataProcessor extends DataProcessor {
   }
 
   process(operation, options) {
+    markCollectionUsed(operation.collection);
+
     if (operation.type === OperationType.Clear) {
       return this._processClear(operation.collection, operation.query, options);
     }
+
+    if (operation.type === OperationType.Revert) {
+      return this._processRevert(operation.collection, operation.entityId, operation.data);
+    }
+
+    // the cache is evicted after the writes, which make it grow above the storage quota
+    if (growingOperations.indexOf(operation.type) > -1) {
+      return super.process(operation, options)
+        .then(result => enforceStorageQuota().then(() => result));
+    }
+
     return super.process(operation, options);
   }
 
   // protected methods
 
+  // the repository isn't kept, as migrateOfflineRepository() can switch to another one
   _getRepository() {
-    if (!this._repoPromise) {
-      this._repoPromise = repositoryProvider.getOfflineRepository();
+    return repositoryProvider.getOfflineRepository();
+  }
+
+  // the entities and their sync items are written in the same transaction, so they can't get out of step
+  _runInTransaction(fn) {
+    return this._getRepository()
+      .then(repo => repo.transaction(fn))
+      .catch(err => evictOnStorageQuotaError(err));
+  }
+
+  // the state of the entities before and after the write is added to their history, if the collection keeps one
+  _writeWithHistory(collection, entityIds, txn, write) {
+    if (!isHistoryEnabled(collection)) {
+      return write();
     }
-    return this._repoPromise;
+
+    const query = new Query().contains('_id', entityIds);
+    let previousEntities;
+    let result;
+    return txn.read(collection, query)
+      .then((entities) => {
+        previousEntities = keyBy(entities, '_id');
+        return write();
+      })
+      .then((writeResult) => {
+        result = writeResult;
+        return txn.read(collection, query);
+      })
+      .then((entities) => {
+        const currentEntities = keyBy(entities, '_id');
+        const changes = entityIds.map(entityId => ({
+          entityId,
+          previous: previousEntities[entityId],
+          current: currentEntities[entityId] || null
+        }));
+        return recordEntityVersions(collection, changes, txn);
+      })
+      .then(() => result);
   }
 
   _deleteEntityAndHandleOfflineState(collection, entity, options) {
-    return super._processDeleteById(collection, entity._id, options)
-      .then((deletedCount) => {
-        if (!deletedCount) {
-          return deletedCount;
-        }
-        return this._syncManager.addDeleteEvent(collection, entity)
-          .then(() => deletedCount);
+    return this._runInTransaction((txn) => {
+      return this._writeWithHistory(collection, [entity._id], txn, () => {
+        return txn.deleteById(collection, entity._id, options)
+          .then((deletedCount) => {
+            if (!deletedCount) {
+              return deletedCount;
+            }
+            return this._syncManager.addDeleteEvent(collection, entity, txn)
+              .then(() => deletedCount);
+          });
       });
+    });
   }
 
   _deleteEntitiesAndHandleOfflineState(collection, entities, deleteQuery, options) {
-    return super._processDelete(collection, deleteQuery, options)
-      .then((delCount) => {
-        return this._syncManager.addDeleteEvent(collection, entities)
-          .then(() => delCount);
+    return this._runInTransaction((txn) => {
+      return this._writeWithHistory(collection, getEntityIds(entities), txn, () => {
+        return txn.delete(collection, deleteQuery, options)
+          .then((delCount) => {
+            return this._syncManager.addDeleteEvent(collection, entities, txn)
+              .then(() => delCount);
+          });
       });
+    });
   }
 
   _processUpdate(collection, data, options) {
-    return super._processUpdate(collection, data, options)
-      .then((updatedItems) => {
-        return this._syncManager.addUpdateEvent(collection, updatedItems)
-          .then(() => updatedItems);
-      });
+    return this._updateOffline(collection, data, options)
+      .then(updatedItems => this._emitLocalChange(collection, DataStoreEvent.Update, updatedItems));
+  }
+
+  _processPatch(collection, entityId, changes, options) {
+    return this._patchOffline(collection, entityId, changes, options)
+      .then(patchedEntity => this._emitLocalChange(collection, DataStoreEvent.Update, patchedEntity));
   }
 
   _processClear(collection, query, options) {
-    return this._syncManager.clearSync(collection, query)
-      .then(() => clearQueryCache(collection))
-      .then(() => this._getRepository())
-      .then(repo => repo.delete(collection, query, options));
+    return this._runInTransaction((txn) => {
+      return this._syncManager.clearSync(collection, query, txn)
+        .then(() => clearQueryCache(collection, txn))
+        .then(() => clearEntityHistory(collection, query, txn))
+        .then(() => txn.delete(collection, query, options));
+    });
+  }
+
+  // the reverted entity keeps the metadata of the cached one, so it is pushed as a change of it
+  _processRevert(collection, entityId, version) {
+    let cachedEntity;
+    return this._runInTransaction((txn) => {
+      return txn.read(collection, new Query().equalTo('_id', entityId))
+        .then(([entity]) => {
+          cachedEntity = entity;
+          return readEntityVersions(collection, entityId, txn);
+        })
+        .then((versions) => {
+          const entityVersion = versions.find(v => v.version === version);
+          if (!entityVersion) {
+            const errMsg = `Version ${version} of the entity with id ${entityId} is not in the history`
+              + ` of the collection "${collection}".`;
+            return Promise.reject(new NotFoundError(errMsg));
+          }
+
+          // an entity removed by a push or a purge, instead of a local delete, can't be restored
+          const lastVersion = versions[versions.length - 1];
+          if (!cachedEntity && lastVersion.entity) {
+            const errMsg = `The entity with id ${entityId} is not in the cache anymore, so it can't be reverted.`;
+            return Promise.reject(new KinveyError(errMsg));
+          }
+
+          const revertedEntity = entityVersion.entity && cachedEntity
+            ? assign({}, entityVersion.entity, { _kmd: cachedEntity._kmd })
+            : entityVersion.entity;
+          return this._writeWithHistory(collection, [entityId], txn, () => {
+            return this._writeRevertedEntity(collection, revertedEntity, cachedEntity, txn);
+          });
+        });
+    })
+      .then((revertedEntity) => {
+        if (revertedEntity) {
+          return this._emitLocalChange(collection, DataStoreEvent.Update, revertedEntity);
+        }
+        return cachedEntity ? this._emitLocalChange(collection, DataStoreEvent.Remove, cachedEntity, null) : null;
+      });
   }
 
   _processDelete(collection, query, options) {
@@ -80,23 +189,98 @@ export class OfflineDataProcessor extends DataProcessor {
         if (isEmpty(entities)) {
           return Promise.resolve(0);
         }
-        return this._deleteEntitiesAndHandleOfflineState(collection, entities, query, options);
+        return this._deleteEntitiesAndHandleOfflineState(collection, entities, query, options)
+          .then(count => this._emitRemoveIfDeleted(collection, entities, count));
       });
   }
 
   _processCreate(collection, data, options) {
-    data = this._addMetadataToEntities(data);
-    return super._processCreate(collection, data, options)
-      .then((createdItems) => {
-        return this._syncManager.addCreateEvent(collection, createdItems)
-          .then(() => createdItems);
-      });
+    return this._createOffline(collection, data, options)
+      .then(createdItems => this._emitLocalChange(collection, DataStoreEvent.Create, createdItems));
   }
 
   _processDeleteById(collection, entityId, options) {
     return this._getRepository()
       .then(repo => repo.readById(collection, entityId))
-      .then(entity => this._deleteEntityAndHandleOfflineState(collection, entity, options));
+      .then((entity) => {
+        return this._deleteEntityAndHandleOfflineState(collection, entity, options)
+          .then(count => this._emitRemoveIfDeleted(collection, entity, count));
+      });
+  }
+
+  _emitRemoveIfDeleted(collection, entities, deletedCount) {
+    if (!deletedCount) {
+      return deletedCount;
+    }
+    return this._emitLocalChange(collection, DataStoreEvent.Remove, entities, deletedCount);
+  }
+
+  // the following methods write the entities and their sync items, without emitting an event,
+  // so subclasses can emit it once the whole operation completes
+
+  _createOffline(collection, data, options) {
+    data = this._addMetadataToEntities(data);
+    return this._runInTransaction((txn) => {
+      return this._writeWithHistory(collection, getEntityIds(data), txn, () => {
+        return txn.create(collection, data, options)
+          .then((createdItems) => {
+            return this._syncManager.addCreateEvent(collection, createdItems, txn)
+              .then(() => createdItems);
+          });
+      });
+    });
+  }
+
+  // the entities before the update are passed with the sync event, as the base of a merge on a conflict
+  _updateOffline(collection, data, options) {
+    const entityIds = getEntityIds(data);
+    return this._runInTransaction((txn) => {
+      return this._writeWithHistory(collection, entityIds, txn, () => {
+        let previousEntities;
+        return txn.read(collection, new Query().contains('_id', entityIds))
+          .then((entities) => {
+            previousEntities = entities;
+            return txn.update(collection, data, options);
+          })
+          .then((updatedItems) => {
+            return this._syncManager.addUpdateEvent(collection, updatedItems, txn, previousEntities)
+              .then(() => updatedItems);
+          });
+      });
+    });
+  }
+
+  _patchOffline(collection, entityId, changes, options) {
+    return this._runInTransaction((txn) => {
+      return this._writeWithHistory(collection, [entityId], txn, () => {
+        let previousEntity;
+        return txn.readById(collection, entityId)
+          .then((entity) => {
+            previousEntity = entity;
+            return txn.update(collection, assign({}, entity, changes), options);
+          })
+          .then((patchedEntity) => {
+            return this._syncManager.addPatchEvent(collection, patchedEntity, changes, txn, previousEntity)
+              .then(() => patchedEntity);
+          });
+      });
+    });
+  }
+
+  // a deleted version removes the entity. The other versions replace the cached entity, or restore a deleted one
+  _writeRevertedEntity(collection, revertedEntity, cachedEntity, txn) {
+    if (revertedEntity) {
+      return txn.update(collection, revertedEntity)
+        .then(entity => this._syncManager.addRevertEvent(collection, entity, txn));
+    }
+
+    if (!cachedEntity) {
+      return Promise.resolve(null);
+    }
+
+    return txn.deleteById(collection, cachedEntity._id)
+      .then(() => this._syncManager.addDeleteEvent(collection, cachedEntity, txn))
+      .then(() => null);
   }
 
   // private methods
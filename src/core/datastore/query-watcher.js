@@ -0,0 +1,58 @@
+import { KinveyObservable } from '../observable';
+import { onOfflineCollectionChange } from './repositories';
+
+/**
+ * @private
+ * Creates an observable, which emits the result of readResult() when subscribed to, and again
+ * every time the collection changes in the offline repository. It never completes.
+ * The result is read at most once at a time. Changes made while it is being read are
+ * picked up by a single additional read, instead of one read per change.
+ * @param {string} collection
+ * @param {Function} readResult Returns a promise for the result to emit.
+ * @returns {KinveyObservable}
+ */
+export function watchOfflineCollection(collection, readResult) {
+  return KinveyObservable.create((observer) => {
+    let isClosed = false;
+    let isReading = false;
+    let hasUnreadChanges = false;
+
+    const read = () => {
+      isReading = true;
+      hasUnreadChanges = false;
+
+      readResult()
+        .then((result) => {
+          if (!isClosed) {
+            observer.next(result);
+          }
+        })
+        .then(() => {
+          isReading = false;
+          if (hasUnreadChanges && !isClosed) {
+            read();
+          }
+        })
+        .catch((err) => {
+          if (!isClosed) {
+            observer.error(err);
+          }
+        });
+    };
+
+    const removeChangeHandler = onOfflineCollectionChange(collection, () => {
+      if (isReading) {
+        hasUnreadChanges = true;
+      } else {
+        read();
+      }
+    });
+
+    read();
+
+    return () => {
+      isClosed = true;
+      removeChangeHandler();
+    };
+  });
+}
@@ -1,7 +1,13 @@
 import { Promise } from 'es6-promise';
 import isNumber from 'lodash/isNumber';
 import isEmpty from 'lodash/isEmpty';
+import omit from 'lodash/omit';
+import sortBy from 'lodash/sortBy';
+import isPlainObject from 'lodash/isPlainObject';
+import uniq from 'lodash/uniq';
 import { Query } from '../query';
+import { KinveyError } from '../errors';
+import { isDefined } from '../utils';
 import { repositoryProvider } from './repositories';
 import { generateEntityId } from './utils';
 
@@ -10,32 +16,177 @@ import { generateEntityId } from './utils';
  */
 export const queryCacheCollectionName = '_QueryCache';
 
+const limitsByCollection = {};
+
+// the pages of a query share its cached query, so skip and limit are not part of the key
 function serializeQuery(query) {
-  if (query && ((isNumber(query.skip) && query.skip > 0) || isNumber(query.limit))) {
+  const queryObject = query ? omit(query.toQueryString(), ['skip', 'limit']) : {};
+  return queryObject && !isEmpty(queryObject) ? JSON.stringify(queryObject) : '';
+}
+
+/**
+ * @private
+ * Returns the range of entities the query reads - {skip, limit}, or null if it reads all of them.
+ * The limit is null for a query with a skip and no limit, which reads up to the end of the result.
+ */
+export function getQueryWindow(query) {
+  const skip = query && isNumber(query.skip) && query.skip > 0 ? query.skip : 0;
+  const limit = query && isNumber(query.limit) ? query.limit : null;
+
+  if (skip === 0 && limit === null) {
     return null;
   }
 
-  const queryObject = query ? query.toQueryString() : {};
-  return queryObject && !isEmpty(queryObject) ? JSON.stringify(queryObject) : '';
+  return { skip, limit };
+}
+
+// the last time the query was refreshed, which is what the least recently used cached queries are evicted by
+function markQueryUsed(cachedQuery, requestCounter) {
+  cachedQuery.lastUsed = new Date().toISOString();
+  cachedQuery[requestCounter] = (cachedQuery[requestCounter] || 0) + 1;
+  return cachedQuery;
+}
+
+function getWindowEnd(window) {
+  return isNumber(window.limit) ? window.skip + window.limit : Infinity;
 }
 
 /**
  * @private
+ * Checks if the entities up to the end of the window were fetched since the last request of the cached query.
+ * Local reads apply the skip, so a window can be refreshed with a delta set only if all the pages before it
+ * are in the cache too.
  */
-export function getCachedQuery(collectionName, query) {
-  const serializedQuery = serializeQuery(query);
+export function isQueryWindowMaterialized(cachedQuery, window) {
+  if (!cachedQuery || !cachedQuery.lastRequest) {
+    return false;
+  }
 
-  if (!serializedQuery && serializedQuery !== '') {
-    return Promise.resolve(null);
+  // no pages are tracked, when the whole result was fetched
+  if (!cachedQuery.pages) {
+    return true;
+  }
+
+  const windowEnd = window ? getWindowEnd(window) : Infinity;
+  let materializedEnd = 0;
+  sortBy(cachedQuery.pages, 'skip')
+    .forEach((page) => {
+      if (page.skip <= materializedEnd) {
+        materializedEnd = Math.max(materializedEnd, getWindowEnd(page));
+      }
+    });
+  return materializedEnd >= windowEnd;
+}
+
+/**
+ * @private
+ * Checks if the cached result of the query can be used without fetching it again. It can,
+ * if the window of the query was fetched and, when a max age is given, refreshed within it.
+ * @param {Object} cachedQuery
+ * @param {Query} [query]
+ * @param {number} [maxAge] In milliseconds.
+ */
+export function isCachedQueryFresh(cachedQuery, query, maxAge) {
+  if (!isQueryWindowMaterialized(cachedQuery, getQueryWindow(query))) {
+    return false;
+  }
+
+  return !isDefined(maxAge) || Date.now() - Date.parse(cachedQuery.lastUsed) <= maxAge;
+}
+
+/**
+ * @private
+ * Records that the entities in the window were fetched, with a request which started at requestStart.
+ * The earliest request is kept, so a delta set since then refreshes all the pages in the cache.
+ * Each page keeps the start of its own request too.
+ * @param {Object} cachedQuery
+ * @param {string} requestStart
+ * @param {Object} [window] As returned by getQueryWindow(). The whole result was fetched, if it is not set.
+ * @returns {Object} The cached query.
+ */
+export function markQueryWindowMaterialized(cachedQuery, requestStart, window) {
+  if (!window) {
+    cachedQuery.lastRequest = requestStart;
+    delete cachedQuery.pages;
+  } else if (!cachedQuery.lastRequest) {
+    cachedQuery.lastRequest = requestStart;
+    cachedQuery.pages = [Object.assign({ requestStart }, window)];
+  } else if (cachedQuery.pages) {
+    cachedQuery.pages.push(Object.assign({ requestStart }, window));
+  }
+
+  return markQueryUsed(cachedQuery, 'fullRequests');
+}
+
+/**
+ * @private
+ * Records that the query was refreshed with a delta set request, which started at requestStart.
+ * @returns {Object} The cached query.
+ */
+export function markQueryDeltaSetApplied(cachedQuery, requestStart) {
+  cachedQuery.lastRequest = requestStart;
+  // the pages are up to date as of the same request now
+  (cachedQuery.pages || []).forEach((page) => {
+    page.requestStart = requestStart;
+  });
+  return markQueryUsed(cachedQuery, 'deltaSetRequests');
+}
+
+/**
+ * @private
+ * Checks if a delta set can refresh the pages of the cached query. Entities move between the pages,
+ * when an entity is deleted, or when an entity changes between the requests of two pages. The moved
+ * entities are not in the delta set, as they did not change, so the pages have to be fetched again.
+ * @param {Object} cachedQuery
+ * @param {Object} deltaSet {changed, deleted}
+ */
+export function canApplyDeltaSet(cachedQuery, { changed = [], deleted = [] }) {
+  if (!cachedQuery || !cachedQuery.pages) {
+    return true;
+  }
+
+  if (deleted.length > 0) {
+    return false;
   }
 
+  const requestStarts = uniq(cachedQuery.pages.map(page => page.requestStart || cachedQuery.lastRequest));
+  return changed.length === 0 || requestStarts.length === 1;
+}
+
+function getQueryCacheQuery(collectionName, serializedQuery) {
+  return new Query()
+    .equalTo('collectionName', collectionName)
+    .and()
+    .equalTo('query', serializedQuery);
+}
+
+/**
+ * @private
+ */
+export function deserializeQuery(serializedQuery) {
+  const queryString = serializedQuery ? JSON.parse(serializedQuery) : {};
+  return new Query({
+    filter: queryString.query ? JSON.parse(queryString.query) : {},
+    fields: queryString.fields ? queryString.fields.split(',') : [],
+    sort: queryString.sort ? JSON.parse(queryString.sort) : {}
+  });
+}
+
+/**
+ * @private
+ */
+export function getLastUseTime(cachedQuery) {
+  return Date.parse(cachedQuery.lastUsed || cachedQuery.lastRequest) || 0;
+}
+
+/**
+ * @private
+ */
+export function getCachedQuery(collectionName, query) {
+  const serializedQuery = serializeQuery(query);
   return repositoryProvider.getOfflineRepository()
     .then((offlineRepo) => {
-      const queryCacheQuery = new Query()
-        .equalTo('collectionName', collectionName)
-        .and()
-        .equalTo('query', serializedQuery);
-      return offlineRepo.read(queryCacheCollectionName, queryCacheQuery)
+      return offlineRepo.read(queryCacheCollectionName, getQueryCacheQuery(collectionName, serializedQuery))
         .then((cachedQueries = []) => {
           if (cachedQueries.length > 0) {
             return cachedQueries[0];
@@ -71,6 +222,50 @@ export function createCachedQuery(collectionName, query) {
     });
 }
 
+function readCachedQueries(collectionName) {
+  return repositoryProvider.getOfflineRepository()
+    .then((offlineRepo) => {
+      const query = new Query().equalTo('collectionName', collectionName);
+      return offlineRepo.read(queryCacheCollectionName, query);
+    });
+}
+
+function deleteCachedQueries(cachedQueries) {
+  if (!cachedQueries.length) {
+    return Promise.resolve(0);
+  }
+
+  return repositoryProvider.getOfflineRepository()
+    .then((offlineRepo) => {
+      const query = new Query().contains('_id', cachedQueries.map(cachedQuery => cachedQuery._id));
+      return offlineRepo.delete(queryCacheCollectionName, query);
+    });
+}
+
+/**
+ * @private
+ * Evicts the cached queries of the collection, which are over its limits.
+ * Only the delta set state is evicted - the next request of an evicted query fetches its whole result.
+ * @returns {Promise<number>} The number of evicted queries.
+ */
+export function evictCachedQueries(collectionName) {
+  const limits = limitsByCollection[collectionName];
+  if (!limits) {
+    return Promise.resolve(0);
+  }
+
+  return readCachedQueries(collectionName)
+    .then((cachedQueries = []) => {
+      const now = Date.now();
+      const evictedQueries = sortBy(cachedQueries, cachedQuery => -getLastUseTime(cachedQuery))
+        .filter((cachedQuery, index) => {
+          return (isDefined(limits.maxEntries) && index >= limits.maxEntries)
+            || (isDefined(limits.maxAge) && now - getLastUseTime(cachedQuery) > limits.maxAge);
+        });
+      return deleteCachedQueries(evictedQueries);
+    });
+}
+
 /**
  * @private
  */
@@ -82,6 +277,10 @@ export function updateCachedQuery(cachedQuery) {
   return repositoryProvider.getOfflineRepository()
     .then((offlineRepo) => {
       return offlineRepo.update(queryCacheCollectionName, cachedQuery);
+    })
+    .then((updatedQuery) => {
+      return evictCachedQueries(cachedQuery.collectionName)
+        .then(() => updatedQuery);
     });
 }
 
@@ -101,11 +300,123 @@ export function deleteCachedQuery(cachedQuery) {
 
 /**
  * @private
+ * Called when a delta set request can't be made for the query. The cached query is deleted,
+ * unless the window of the query was just not fetched yet - the other pages can still be refreshed then.
  */
-export function clearQueryCache(collectionName) {
-  return repositoryProvider.getOfflineRepository()
+export function invalidateCachedQuery(collectionName, query) {
+  return getCachedQuery(collectionName, query)
+    .then((cachedQuery) => {
+      if (cachedQuery && cachedQuery.lastRequest && !isQueryWindowMaterialized(cachedQuery, getQueryWindow(query))) {
+        return null;
+      }
+      return deleteCachedQuery(cachedQuery);
+    });
+}
+
+/**
+ * @private
+ * When a transaction is passed, the cached queries are deleted within it.
+ */
+export function clearQueryCache(collectionName, txn) {
+  const repoPromise = txn ? Promise.resolve(txn) : repositoryProvider.getOfflineRepository();
+  return repoPromise
     .then((offlineRepo) => {
       const query = new Query().equalTo('collectionName', collectionName);
       return offlineRepo.delete(queryCacheCollectionName, query);
     });
 }
+
+function validateLimit(limits, name) {
+  const value = limits[name];
+  if (isDefined(value) && (!isNumber(value) || value < 1)) {
+    throw new KinveyError(`Invalid ${name} query cache limit. It must be a number greater than 0.`);
+  }
+}
+
+/**
+ * @private
+ * Sets the limits of the cached queries of the collection, which are applied every time a query is refreshed.
+ * Passing no limits removes them.
+ * @param {string} collectionName
+ * @param {Object} [limits]
+ * @param {number} [limits.maxEntries] The least recently used cached queries above this number are evicted.
+ * @param {number} [limits.maxAge] The cached queries not used for longer than this, in milliseconds, are evicted.
+ */
+export function setQueryCacheLimits(collectionName, limits) {
+  if (!isDefined(limits)) {
+    delete limitsByCollection[collectionName];
+    return;
+  }
+
+  if (!isPlainObject(limits)) {
+    throw new KinveyError('Invalid query cache limits. They must be an object.');
+  }
+
+  validateLimit(limits, 'maxEntries');
+  validateLimit(limits, 'maxAge');
+  limitsByCollection[collectionName] = { maxEntries: limits.maxEntries, maxAge: limits.maxAge };
+}
+
+/**
+ * @private
+ */
+export function getQueryCacheLimits(collectionName) {
+  return limitsByCollection[collectionName];
+}
+
+/**
+ * @private
+ * @returns {Promise<number>} 1 if the query was cached, 0 otherwise.
+ */
+export function evictCachedQuery(collectionName, query) {
+  return repositoryProvider.getOfflineRepository()
+    .then((offlineRepo) => {
+      return offlineRepo.delete(queryCacheCollectionName, getQueryCacheQuery(collectionName, serializeQuery(query)));
+    });
+}
+
+/**
+ * @private
+ * @typedef {Object} CachedQueryInfo
+ * @property {Query}  query             The query, without skip and limit - all the pages of a query share it.
+ * @property {string} [lastRequest]     When the last request, which the next delta set is requested since, started.
+ * @property {string} [lastUsed]        When the query was last refreshed.
+ * @property {number} deltaSetRequests  How many times the query was refreshed with a delta set request.
+ * @property {number} fullRequests      How many times the whole result, or a page of it, was fetched.
+ */
+
+/**
+ * @private
+ * Lists the cached queries of the collection, the most recently used first.
+ * @returns {Promise<CachedQueryInfo[]>}
+ */
+export function getCachedQueries(collectionName) {
+  return evictCachedQueries(collectionName)
+    .then(() => readCachedQueries(collectionName))
+    .then((cachedQueries = []) => {
+      return sortBy(cachedQueries, cachedQuery => -getLastUseTime(cachedQuery))
+        .map(cachedQuery => ({
+          query: deserializeQuery(cachedQuery.query),
+          lastRequest: cachedQuery.lastRequest,
+          lastUsed: cachedQuery.lastUsed,
+          deltaSetRequests: cachedQuery.deltaSetRequests || 0,
+          fullRequests: cachedQuery.fullRequests || 0
+        }));
+    });
+}
+
+/**
+ * @private
+ * Sums up the requests of the cached queries of the collection. The requests of evicted queries are not counted.
+ * @returns {Promise<Object>} {cachedQueries, deltaSetRequests, fullRequests}
+ */
+export function getQueryCacheStats(collectionName) {
+  return getCachedQueries(collectionName)
+    .then((cachedQueries) => {
+      return cachedQueries.reduce((stats, cachedQuery) => {
+        stats.deltaSetRequests += cachedQuery.deltaSetRequests;
+        stats.fullRequests += cachedQuery.fullRequests;
+        return stats;
+      }, { cachedQueries: cachedQueries.length, deltaSetRequests: 0, fullRequests: 0 });
+    });
+}
@@ -0,0 +1,30 @@
+/**
+ * @typedef   {Object}    ReadPolicy
+ * @property  {string}    CacheThenNetwork      Emit the cached result, then fetch the result from the backend,
+ *                                              save it in the cache and emit it. This is the default.
+ * @property  {string}    CacheOnly             Emit the cached result only.
+ * @property  {string}    NetworkOnlyThenCache  Fetch the result from the backend, save it in the cache and emit it.
+ * @property  {string}    CacheFirst            Emit the cached result, if it is fresh. Otherwise, fetch the result
+ *                                              from the backend, save it in the cache and emit it. The result
+ *                                              of a query is fresh, if it was fetched or refreshed within
+ *                                              the ttl of the collection. Without a ttl, it is always fresh,
+ *                                              once it was fetched.
+ * @property  {string}    NetworkFirst          Fetch the result from the backend, save it in the cache and emit it.
+ *                                              Emit the cached result instead, if the backend can't be reached.
+ */
+export const ReadPolicy = {
+  CacheThenNetwork: 'cacheThenNetwork',
+  CacheOnly: 'cacheOnly',
+  NetworkOnlyThenCache: 'networkOnlyThenCache',
+  CacheFirst: 'cacheFirst',
+  NetworkFirst: 'networkFirst'
+};
+Object.freeze(ReadPolicy);
+
+/**
+ * @private
+ */
+export function isReadPolicy(value) {
+  return Object.keys(ReadPolicy)
+    .some(key => ReadPolicy[key] === value);
+}
@@ -0,0 +1,128 @@
+import { Promise } from 'es6-promise';
+import cloneDeep from 'lodash/cloneDeep';
+import isPlainObject from 'lodash/isPlainObject';
+
+import { Log } from '../log';
+import { isDefined, isNonemptyString } from '../utils';
+
+const kinveyRefType = 'KinveyRef';
+
+/**
+ * @private
+ */
+export function isKinveyRef(value) {
+  return isPlainObject(value)
+    && value._type === kinveyRefType
+    && isNonemptyString(value._collection)
+    && isDefined(value._id);
+}
+
+function getRefKey(collection, id) {
+  return `${collection}/${id}`;
+}
+
+// ['owner', 'items.product'] -> { owner: {}, items: { product: {} } }
+function buildFieldTree(fields) {
+  const tree = {};
+  fields.forEach((field) => {
+    let node = tree;
+    field.split('.').forEach((segment) => {
+      node[segment] = node[segment] || {};
+      node = node[segment];
+    });
+  });
+  return tree;
+}
+
+// a slot is a place holding a value, which can be replaced - a field of an object, or an array item
+function getSlots(holders, field) {
+  const slots = [];
+  holders.forEach((holder) => {
+    const value = holder[field];
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => slots.push({ container: value, key: index }));
+    } else if (isDefined(value)) {
+      slots.push({ container: holder, key: field });
+    }
+  });
+  return slots;
+}
+
+function fetchReferencedEntities(idsByCollection, fetchByIds) {
+  const entitiesByRefKey = {};
+  const promises = Object.keys(idsByCollection).map((collection) => {
+    return fetchByIds(collection, Object.keys(idsByCollection[collection]))
+      .then((entities) => {
+        entities.forEach((entity) => {
+          entitiesByRefKey[getRefKey(collection, entity._id)] = cloneDeep(entity);
+        });
+      });
+  });
+
+  return Promise.all(promises)
+    .then(() => entitiesByRefKey);
+}
+
+// all references at the same depth are fetched together, with a single request per collection
+function resolveLevel(holders, fieldTree, fetchByIds) {
+  const fields = Object.keys(fieldTree);
+  if (!holders.length || !fields.length) {
+    return Promise.resolve();
+  }
+
+  const slotsByField = {};
+  const idsByCollection = {};
+  fields.forEach((field) => {
+    slotsByField[field] = getSlots(holders, field);
+    slotsByField[field].forEach(({ container, key }) => {
+      const value = container[key];
+      if (isKinveyRef(value)) {
+        idsByCollection[value._collection] = idsByCollection[value._collection] || {};
+        idsByCollection[value._collection][value._id] = true;
+      }
+    });
+  });
+
+  return fetchReferencedEntities(idsByCollection, fetchByIds)
+    .then((entitiesByRefKey) => {
+      const promises = fields.map((field) => {
+        const nextHolders = [];
+        slotsByField[field].forEach(({ container, key }) => {
+          const value = container[key];
+          if (isKinveyRef(value)) {
+            const entity = entitiesByRefKey[getRefKey(value._collection, value._id)];
+            if (entity) {
+              container[key] = entity;
+              nextHolders.push(entity);
+            } else {
+              Log.debug(`Unable to resolve the reference in the field ${field}.`
+                + ` The entity with id ${value._id} was not found in the collection ${value._collection}`);
+            }
+          } else if (isPlainObject(value)) {
+            nextHolders.push(value);
+          }
+        });
+        return resolveLevel(nextHolders, fieldTree[field], fetchByIds);
+      });
+      return Promise.all(promises);
+    });
+}
+
+/**
+ * @private
+ * Replaces the references in the given fields of the entities with the referenced entities.
+ * The passed entities are not modified. References to entities which are not found are left as they are.
+ * @param {Object[]} entities
+ * @param {string[]} fields Fields with references. Nested fields are separated with dots.
+ * @param {Function} fetchByIds Called with a collection and an array of ids. Resolves with the found entities.
+ * @returns {Promise<Object[]>} Copies of the entities, with the references resolved.
+ */
+export function resolveReferences(entities, fields, fetchByIds) {
+  if (!Array.isArray(entities) || !entities.length || !fields || !fields.length) {
+    return Promise.resolve(entities);
+  }
+
+  const copies = cloneDeep(entities);
+  return resolveLevel(copies, buildFieldTree(fields), fetchByIds)
+    .then(() => copies);
+}
@@ -4,3 +4,4 @@ export * from './offline-repositories';
 export * from './network-repository';
 export * from './repository-provider';
 export * from './offline-repository';
+export * from './offline-repository-changes';
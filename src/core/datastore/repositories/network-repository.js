@@ -2,10 +2,16 @@ import { Promise } from 'es6-promise';
 
 import { KinveyRequest, RequestMethod } from '../../request';
 import { Aggregation } from '../../aggregation';
+import { FeatureUnavailableError } from '../../errors';
 import { Repository } from './repository';
 import { ensureArray } from '../../utils';
 import { buildCollectionUrl } from './utils';
 
+// the backend, or a proxy in front of it, does not accept PATCH requests for the collection
+function isPatchUnsupportedError(err) {
+  return err instanceof FeatureUnavailableError || (!!err && (err.code === 405 || err.code === 501));
+}
+
 /**
  * @private
  * @typedef RequestOptions
@@ -40,6 +46,29 @@ export class NetworkRepository extends Repository {
     return this._processBatch(collection, RequestMethod.PUT, entities, options);
   }
 
+  patch(collection, entityId, changes, options) {
+    const method = RequestMethod.PATCH;
+    const requestConfig = this._buildRequestConfig(collection, method, changes, null, entityId, null, options);
+    return this._makeHttpRequest(requestConfig);
+  }
+
+  /**
+   * Sends only the changes of the entity, or the whole entity, if the backend does not support PATCH.
+   * @param {String} collection
+   * @param {Object} entity The entity, with the changes applied.
+   * @param {Object} changes The changed fields.
+   * @param {Object} [options]
+   */
+  patchOrUpdate(collection, entity, changes, options) {
+    return this.patch(collection, entity._id, changes, options)
+      .catch((err) => {
+        if (isPatchUnsupportedError(err)) {
+          return this.update(collection, entity, options);
+        }
+        return Promise.reject(err);
+      });
+  }
+
   deleteById(collection, entityId, options) {
     const requestConfig = this._buildRequestConfig(collection, RequestMethod.DELETE, null, null, entityId, null, options);
     return this._makeHttpRequest(requestConfig)
@@ -1,2 +1,3 @@
 export * from './inmemory-offline-repository';
 export * from './key-value-store-offline-repository';
+export * from './offline-repository-transaction';
@@ -1,11 +1,15 @@
 import { Promise } from 'es6-promise';
 import keyBy from 'lodash/keyBy';
+import has from 'lodash/has';
 
-import { NotFoundError } from '../../../errors';
+import { NotFoundError, KinveyError } from '../../../errors';
+import { Log } from '../../../log';
 
 import { OfflineRepository } from '../offline-repository';
+import { OfflineRepositoryTransaction } from './offline-repository-transaction';
 import { applyQueryToDataset, applyAggregationToDataset } from '../utils';
 import { ensureArray, activeUserKey } from '../../../utils';
+import { cacheTimesCollectionName, getCacheTimeRecords } from '../../cache-ttl';
 
 // Imported for typings
 // import { KeyValuePersister } from '../../persisters';
@@ -17,6 +21,10 @@ export class InmemoryOfflineRepository extends OfflineRepository {
   _persister;
   /** @type {PromiseQueue} */
   _queue;
+  // the writes wait for it, while the data is moved to another repository
+  _movePromise = Promise.resolve();
+  // the writes fail with it, once the data was moved to another repository
+  _movedError = null;
 
   constructor(persister, promiseQueue) {
     super();
@@ -27,10 +35,11 @@ export class InmemoryOfflineRepository extends OfflineRepository {
   // ----- public methods
 
   create(collection, entitiesToSave) {
-    return this._enqueueCrudOperation(collection, () => {
+    const writePromise = this._enqueueCrudOperation(collection, () => {
       return this._create(collection, entitiesToSave)
         .then(() => entitiesToSave);
     });
+    return this._withCacheTimes(collection, this._withChangeNotification(collection, writePromise));
   }
 
   read(collection, query) {
@@ -61,22 +70,25 @@ export class InmemoryOfflineRepository extends OfflineRepository {
   }
 
   update(collection, entities) {
-    return this._enqueueCrudOperation(collection, () => {
+    const writePromise = this._enqueueCrudOperation(collection, () => {
       return this._update(collection, entities)
         .then(() => entities);
     });
+    return this._withCacheTimes(collection, this._withChangeNotification(collection, writePromise));
   }
 
   delete(collection, query) {
-    return this._enqueueCrudOperation(collection, () => {
+    const deletePromise = this._enqueueCrudOperation(collection, () => {
       return this._delete(collection, query);
     });
+    return this._withChangeNotification(collection, deletePromise);
   }
 
   deleteById(collection, id) {
-    return this._enqueueCrudOperation(collection, () => {
+    const deletePromise = this._enqueueCrudOperation(collection, () => {
       return this._deleteById(collection, id);
     });
+    return this._withChangeNotification(collection, deletePromise);
   }
 
   clear(collection) {
@@ -86,7 +98,175 @@ export class InmemoryOfflineRepository extends OfflineRepository {
     }
 
     return collectionsPromise
-      .then(collections => this._clearCollections(collections));
+      .then(collections => this._withChangeNotification(collections, this._clearCollections(collections)));
+  }
+
+  // the entities are written back as they are, and the persister encrypts them with the current key
+  reencrypt() {
+    return this._getAllCollections()
+      .then((collections) => {
+        const promises = collections.map((collection) => {
+          return this._enqueueCrudOperation(collection, () => {
+            return this._readAll(collection)
+              .then(entities => this._saveAll(collection, entities));
+          });
+        });
+        return Promise.all(promises);
+      })
+      .then(() => true);
+  }
+
+  /**
+   * Copies the entities of all collections to another offline repository, and replaces the ones it had.
+   * The collections are locked during the copy, and the count of each copied collection is verified.
+   * @param {InmemoryOfflineRepository} targetRepo
+   * @returns {Promise<{[collection: string]: number}>} The count of the copied entities by collection
+   */
+  copyTo(targetRepo) {
+    return this._movePromise
+      .then(() => this._getAllCollections())
+      .then((collections) => {
+        // the collections are locked in the same order as by a transaction
+        const sortedCollections = collections.slice().sort();
+        return this._lockCollections(sortedCollections, () => this._copyCollections(targetRepo, sortedCollections));
+      });
+  }
+
+  /**
+   * Moves the entities of all collections to another offline repository. The writes wait, until the copy
+   * is complete. Then the counts of all collections are verified again, and the entities are removed from
+   * this repository. The writes, which waited, fail then, as the data is in the target repository.
+   * If the copy fails, the repository is kept as it was.
+   * @param {InmemoryOfflineRepository} targetRepo
+   * @returns {Promise<{[collection: string]: number}>} The count of the moved entities by collection
+   */
+  moveTo(targetRepo) {
+    let completeMove;
+    this._movePromise = new Promise((resolve) => {
+      completeMove = resolve;
+    });
+
+    // the collections are listed, once the new writes wait for the move. A collection written
+    // by a write, which started before, is found, when the counts are verified
+    const movePromise = this._getAllCollections()
+      .then((collections) => {
+        const sortedCollections = collections.slice().sort();
+        return this._lockCollections(sortedCollections, () => {
+          return this._copyCollections(targetRepo, sortedCollections)
+            .then(counts => this._verifyCopiedCounts(targetRepo, counts))
+            .then((counts) => {
+              this._movedError = new KinveyError('The offline data was moved to another storage provider.'
+                + ' The operation should be started again.');
+              const deletePromise = Promise.all(sortedCollections.map(c => this._deleteAll(c)));
+              return this._withChangeNotification(sortedCollections, deletePromise)
+                .catch(err => Log.error('Unable to clear the offline data of the previous storage provider', err))
+                .then(() => counts);
+            });
+        });
+      });
+
+    return movePromise
+      .then((counts) => {
+        completeMove();
+        return counts;
+      }, (err) => {
+        completeMove();
+        return Promise.reject(err);
+      });
+  }
+
+  /**
+   * Reads the entities of all collections. The collections are locked while they are read,
+   * so the result is consistent.
+   * @param {string[]} [excludedCollections] The collections, which are not read
+   * @returns {Promise<{[collection: string]: Object[]}>}
+   */
+  exportCollections(excludedCollections = []) {
+    return this._getAllCollections()
+      .then((allCollections) => {
+        const collections = allCollections.filter(c => excludedCollections.indexOf(c) === -1).sort();
+        return this._enqueueForCollections(collections, () => {
+          const entitiesByCollection = {};
+          const promises = collections.map((collection) => {
+            return this._readAll(collection)
+              .then((entities) => {
+                entitiesByCollection[collection] = entities;
+              });
+          });
+          return Promise.all(promises)
+            .then(() => entitiesByCollection);
+        });
+      });
+  }
+
+  /**
+   * Replaces the entities of all collections with the given ones, so that either all or none
+   * of the changes are persisted. The collections, which are not given, are emptied.
+   * @param {{[collection: string]: Object[]}} entitiesByCollection
+   * @param {string[]} [excludedCollections] The collections, which are kept as they are
+   * @returns {Promise}
+   */
+  importCollections(entitiesByCollection, excludedCollections = []) {
+    return this._getAllCollections()
+      .then((allCollections) => {
+        const collections = allCollections
+          .concat(Object.keys(entitiesByCollection).filter(c => allCollections.indexOf(c) === -1))
+          .filter(c => excludedCollections.indexOf(c) === -1)
+          .sort();
+
+        const importPromise = this._enqueueForCollections(collections, () => {
+          const changesByCollection = {};
+          const promises = collections.map((collection) => {
+            return this._readAll(collection)
+              .then((existingEntities) => {
+                const changes = {};
+                existingEntities.forEach((entity) => {
+                  changes[entity._id] = null;
+                });
+                (entitiesByCollection[collection] || []).forEach((entity) => {
+                  changes[entity._id] = entity;
+                });
+                changesByCollection[collection] = changes;
+              });
+          });
+          return Promise.all(promises)
+            .then(() => this._commitChanges(changesByCollection));
+        });
+        return this._withChangeNotification(collections, importPromise);
+      });
+  }
+
+  /**
+   * Deletes the entities, which have no pending sync items. The collection and the sync collections are locked,
+   * so no sync item can be added for an entity, while it is deleted.
+   * @param {string} collection
+   * @param {string[]} entityIds
+   * @param {string[]} syncCollections The collections of the sync items, which reference entities by entityId.
+   * @returns {Promise<Object[]>} The deleted entities
+   */
+  evictEntities(collection, entityIds, syncCollections) {
+    const collections = [collection].concat(syncCollections.filter(c => c !== collection)).sort();
+    const evictPromise = this._enqueueForCollections(collections, () => {
+      const syncItemsPromises = syncCollections.map(c => this._readAll(c));
+      return Promise.all([this._readAll(collection)].concat(syncItemsPromises))
+        .then(([allEntities, ...syncItemsByCollection]) => {
+          const pendingEntityIds = {};
+          syncItemsByCollection.forEach((syncItems) => {
+            syncItems
+              .filter(syncItem => syncItem.collection === collection)
+              .forEach((syncItem) => {
+                pendingEntityIds[syncItem.entityId] = true;
+              });
+          });
+
+          const requestedIds = keyBy(entityIds);
+          const evictedEntities = allEntities
+            .filter(entity => has(requestedIds, entity._id) && !pendingEntityIds[entity._id]);
+          return this._deleteMatchingEntitiesFromPersistance(collection, allEntities, evictedEntities)
+            .then(() => evictedEntities);
+        });
+    });
+    return this._withChangeNotification(collection, evictPromise);
   }
 
   group(collection, aggregationQuery) {
@@ -94,6 +274,24 @@ export class InmemoryOfflineRepository extends OfflineRepository {
       .then(allEntities => applyAggregationToDataset(allEntities, aggregationQuery));
   }
 
+  /**
+   * Runs fn with a transaction, which has the same read and write methods as the repository.
+   * The writes made through the transaction are committed together, once the promise returned
+   * by fn resolves. If it rejects, none of them are persisted.
+   * @param {Function} fn
+   * @returns {Promise} Resolves with the result of fn
+   */
+  transaction(fn) {
+    const txn = new OfflineRepositoryTransaction(this);
+    return Promise.resolve()
+      .then(() => fn(txn))
+      .then(result => txn.commit().then(() => result))
+      .catch((err) => {
+        txn.rollback();
+        return Promise.reject(err);
+      });
+  }
+
   // protected methods
 
   _formCollectionKey(collection) {
@@ -173,8 +371,67 @@ export class InmemoryOfflineRepository extends OfflineRepository {
       });
   }
 
+  // all collections written by the transaction are locked, in the same order for every
+  // transaction, so the CRUD operations queued for them can't interleave with the commit
+  _commitTransaction(changesByCollection) {
+    const collections = Object.keys(changesByCollection).sort();
+    const commitPromise = this._enqueueForCollections(collections, () => {
+      return this._commitChanges(changesByCollection);
+    });
+    return this._withChangeNotification(collections, commitPromise);
+  }
+
+  _commitChanges(changesByCollection) {
+    const collections = Object.keys(changesByCollection);
+    const valuesByKey = {};
+    const promises = collections.map((collection) => {
+      return this._readAll(collection)
+        .then((allEntities) => {
+          const changes = changesByCollection[collection];
+          const remainingEntities = allEntities.filter(e => !has(changes, e._id));
+          const upsertedEntities = Object.keys(changes)
+            .map(id => changes[id])
+            .filter(entity => !!entity);
+          valuesByKey[this._formCollectionKey(collection)] = remainingEntities.concat(upsertedEntities);
+        });
+    });
+
+    return Promise.all(promises)
+      .then(() => this._persister.writeMany(valuesByKey));
+  }
+
+  // resolves with the result of the write, after the cache times of the written entities are recorded
+  _withCacheTimes(collection, writePromise) {
+    return writePromise
+      .then((result) => {
+        const records = getCacheTimeRecords(collection, result);
+        if (!records.length) {
+          return result;
+        }
+        return this.update(cacheTimesCollectionName, records)
+          .then(() => result);
+      });
+  }
+
   // ----- private methods
 
+  // the writes wait for a move of the data, and fail once it is moved, instead of being lost
+  _enqueueForCollections(collections, operation) {
+    return this._movePromise
+      .then(() => this._lockCollections(collections, () => {
+        return this._movedError ? Promise.reject(this._movedError) : operation();
+      }));
+  }
+
+  _lockCollections(collections, operation) {
+    if (collections.length === 0) {
+      return operation();
+    }
+    const [collection, ...rest] = collections;
+    const key = this._formCollectionKey(collection);
+    return this._queue.enqueue(key, () => this._lockCollections(rest, operation));
+  }
+
   _readAll(collection) {
     const key = this._formCollectionKey(collection);
     return this._persister.read(key)
@@ -199,8 +456,7 @@ export class InmemoryOfflineRepository extends OfflineRepository {
   }
 
   _enqueueCrudOperation(collection, operation) {
-    const key = this._formCollectionKey(collection);
-    return this._queue.enqueue(key, operation);
+    return this._enqueueForCollections([collection], operation);
   }
 
   _keyBelongsToApp(key) {
@@ -213,6 +469,64 @@ export class InmemoryOfflineRepository extends OfflineRepository {
     return key.substring(`${appKey}.`.length);
   }
 
+  // the target repository is written directly, as the collections are already locked.
+  // The collections, which are not copied, are removed from it
+  _copyCollections(targetRepo, collections) {
+    const counts = {};
+    const copyPromise = collections.reduce((prev, collection) => {
+      return prev
+        .then(() => this._copyCollection(targetRepo, collection))
+        .then((count) => {
+          counts[collection] = count;
+        });
+    }, Promise.resolve());
+
+    return copyPromise
+      .then(() => targetRepo._getAllCollections())
+      .then((targetCollections) => {
+        const staleCollections = targetCollections.filter(c => collections.indexOf(c) === -1);
+        return Promise.all(staleCollections.map(c => targetRepo._deleteAll(c)));
+      })
+      .then(() => counts);
+  }
+
+  // a collection, which was written during the copy, doesn't match the target one
+  _verifyCopiedCounts(targetRepo, counts) {
+    return this._getAllCollections()
+      .then((collections) => {
+        const promises = collections.map((collection) => {
+          return Promise.all([this._readAll(collection), targetRepo._readAll(collection)])
+            .then(([entities, targetEntities]) => {
+              if (entities.length !== targetEntities.length || entities.length !== counts[collection]) {
+                const errMsg = `The "${collection}" collection was changed, while it was moved.`
+                  + ` It has ${entities.length} entities, and ${targetEntities.length} in the target storage.`;
+                return Promise.reject(new KinveyError(errMsg));
+              }
+              return null;
+            });
+        });
+        return Promise.all(promises);
+      })
+      .then(() => counts);
+  }
+
+  // the target repository is written directly, as the collection is already locked
+  _copyCollection(targetRepo, collection) {
+    return this._readAll(collection)
+      .then((entities) => {
+        return targetRepo._saveAll(collection, entities)
+          .then(() => targetRepo._readAll(collection))
+          .then((copiedEntities) => {
+            if (copiedEntities.length !== entities.length) {
+              const errMsg = `The "${collection}" collection could not be copied.`
+                + ` ${copiedEntities.length} of its ${entities.length} entities are in the target storage.`;
+              return Promise.reject(new KinveyError(errMsg));
+            }
+            return entities.length;
+          });
+      });
+  }
+
   _clearCollections(collections) {
     const promises = ensureArray(collections)
       .map(c => this._enqueueCrudOperation(c, () => this._deleteAll(c)));
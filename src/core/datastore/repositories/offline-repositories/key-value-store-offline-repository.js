@@ -1,7 +1,11 @@
+import { Promise } from 'es6-promise';
+
 import { KinveyError } from '../../../errors';
 
 import { InmemoryOfflineRepository } from './inmemory-offline-repository';
 import { KeyValueStorePersister } from '../../persisters';
+import { getCollectionIndexes, getIndexPlan } from '../../collection-indexes';
+import { applyQueryToDataset, applyFieldsToDataset } from '../utils';
 
 /**
  * @private
@@ -28,13 +32,46 @@ export class KeyValueStoreOfflineRepository extends InmemoryOfflineRepository {
     return this._batchUpsert(collection, entities);
   }
 
+  // The query is applied by the database, if the persister can. Otherwise the candidate entities
+  // are read by an index, if the query can use one.
+  read(collection, query) {
+    if (!query) {
+      return super.read(collection, query);
+    }
+
+    return this._persister.readEntitiesByQuery(collection, query)
+      .then((result) => {
+        if (result) {
+          return result.complete
+            ? applyFieldsToDataset(result.entities, query)
+            : applyQueryToDataset(result.entities, query);
+        }
+
+        const indexPlan = getIndexPlan(query, getCollectionIndexes(collection));
+        if (!indexPlan) {
+          return super.read(collection, query);
+        }
+
+        return this._persister.readEntitiesByIndex(collection, indexPlan)
+          .then(entities => applyQueryToDataset(entities, query));
+      });
+  }
+
+  count(collection, query) {
+    return this.read(collection, query)
+      .then(entities => entities.length);
+  }
+
   readById(collection, entityId) {
     return this._persister.readEntity(collection, entityId);
   }
 
   deleteById(collection, entityId) {
-    return this._persister.deleteEntity(collection, entityId)
-      .then(didDelete => (didDelete ? 1 : 0));
+    const deletePromise = this._enqueueCrudOperation(collection, () => {
+      return this._persister.deleteEntity(collection, entityId)
+        .then(didDelete => (didDelete ? 1 : 0));
+    });
+    return this._withChangeNotification(collection, deletePromise);
   }
 
   // protected
@@ -48,10 +85,38 @@ export class KeyValueStoreOfflineRepository extends InmemoryOfflineRepository {
     return this._persister.getKeys();
   }
 
+  // only the matched entities are deleted by the persister, instead of saving the rest of the collection
+  // as it was read, which would drop the entities written meanwhile, by another process
+  _deleteMatchingEntitiesFromPersistance(collection, allEntities, entitiesMatchedByQuery) {
+    if (!entitiesMatchedByQuery.length) {
+      return Promise.resolve();
+    }
+
+    const deletedIds = entitiesMatchedByQuery.map(entity => entity._id);
+    return this._persister.commitChanges({ [collection]: { upserts: [], deletedIds } });
+  }
+
+  _commitChanges(changesByCollection) {
+    const changes = {};
+    Object.keys(changesByCollection).forEach((collection) => {
+      const changedEntities = changesByCollection[collection];
+      const ids = Object.keys(changedEntities);
+      changes[collection] = {
+        upserts: ids.filter(id => !!changedEntities[id]).map(id => changedEntities[id]),
+        deletedIds: ids.filter(id => !changedEntities[id])
+      };
+    });
+    return this._persister.commitChanges(changes);
+  }
+
   // private
 
+  // the writes are queued like the ones of the parent, so they can't interleave with a copy of the collection
   _batchUpsert(collection, entities) {
-    return this._persister.writeEntities(collection, entities)
-      .then(() => entities);
+    const writePromise = this._enqueueCrudOperation(collection, () => {
+      return this._persister.writeEntities(collection, entities)
+        .then(() => entities);
+    });
+    return this._withCacheTimes(collection, this._withChangeNotification(collection, writePromise));
   }
 }
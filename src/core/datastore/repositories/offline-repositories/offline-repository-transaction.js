@@ -0,0 +1,192 @@
+import { Promise } from 'es6-promise';
+import has from 'lodash/has';
+
+import { KinveyError, NotFoundError } from '../../../errors';
+
+import { applyQueryToDataset, applyAggregationToDataset } from '../utils';
+import { ensureArray } from '../../../utils';
+import { cacheTimesCollectionName, getCacheTimeRecords } from '../../cache-ttl';
+
+// Imported for typings
+// import { InmemoryOfflineRepository } from './inmemory-offline-repository';
+/**
+ * @private
+ * Stages the writes of a transaction. It has the read and write methods of an offline repository,
+ * so it can be passed anywhere a repository is expected. Reads see the staged writes.
+ * Nothing is persisted until the transaction is committed.
+ *
+ * Staged changes are kept per collection, as a map of entity ids to the new entity,
+ * or to null for deleted entities.
+ */
+export class OfflineRepositoryTransaction {
+  /** @type {InmemoryOfflineRepository} */
+  _repository;
+  _changesByCollection = {};
+  _commitCallbacks = [];
+  _finished = false;
+
+  constructor(repository) {
+    this._repository = repository;
+  }
+
+  get isFinished() {
+    return this._finished;
+  }
+
+  // ----- repository methods
+
+  create(collection, entities) {
+    return this._stageUpserts(collection, entities);
+  }
+
+  update(collection, entities) {
+    return this._stageUpserts(collection, entities);
+  }
+
+  read(collection, query) {
+    return this._readAll(collection)
+      .then(entities => applyQueryToDataset(entities, query));
+  }
+
+  readById(collection, id) {
+    return this._ensureActive()
+      .then(() => {
+        const changes = this._changesByCollection[collection];
+        if (changes && has(changes, id)) {
+          return changes[id] || Promise.reject(this._getNotFoundError(collection, id));
+        }
+        return this._repository.readById(collection, id);
+      });
+  }
+
+  count(collection, query) {
+    return this.read(collection, query)
+      .then(entities => entities.length);
+  }
+
+  group(collection, aggregationQuery) {
+    return this._readAll(collection)
+      .then(entities => applyAggregationToDataset(entities, aggregationQuery));
+  }
+
+  delete(collection, query) {
+    return this.read(collection, query)
+      .then((entities) => {
+        const changes = this._getChanges(collection);
+        entities.forEach((entity) => {
+          changes[entity._id] = null;
+        });
+        return entities.length;
+      });
+  }
+
+  deleteById(collection, id) {
+    return this.readById(collection, id)
+      .then(() => {
+        this._getChanges(collection)[id] = null;
+        return 1;
+      })
+      .catch((err) => {
+        if (err instanceof NotFoundError) {
+          return 0;
+        }
+        return Promise.reject(err);
+      });
+  }
+
+  // ----- transaction methods
+
+  /**
+   * Registers a function, which is called once the transaction is committed.
+   */
+  afterCommit(callback) {
+    this._commitCallbacks.push(callback);
+  }
+
+  commit() {
+    return this._ensureActive()
+      .then(() => {
+        this._finished = true;
+        return this._repository._commitTransaction(this._changesByCollection);
+      })
+      .then(() => {
+        this._commitCallbacks.forEach(callback => callback());
+        return true;
+      });
+  }
+
+  rollback() {
+    this._finished = true;
+    this._changesByCollection = {};
+    this._commitCallbacks = [];
+  }
+
+  // ----- private methods
+
+  _ensureActive() {
+    if (this._finished) {
+      return Promise.reject(new KinveyError('The transaction was already committed or rolled back.'));
+    }
+    return Promise.resolve();
+  }
+
+  _getChanges(collection) {
+    if (!this._changesByCollection[collection]) {
+      this._changesByCollection[collection] = {};
+    }
+    return this._changesByCollection[collection];
+  }
+
+  _stageUpserts(collection, entities) {
+    return this._ensureActive()
+      .then(() => {
+        const changes = this._getChanges(collection);
+        ensureArray(entities).forEach((entity) => {
+          if (!entity || !entity._id) {
+            throw new KinveyError('Entities written in a transaction must have an _id.');
+          }
+          changes[entity._id] = entity;
+        });
+
+        const cacheTimeChanges = this._getChanges(cacheTimesCollectionName);
+        getCacheTimeRecords(collection, entities).forEach((record) => {
+          cacheTimeChanges[record._id] = record;
+        });
+        return entities;
+      });
+  }
+
+  _readAll(collection) {
+    return this._ensureActive()
+      .then(() => this._repository.read(collection))
+      .then((persistedEntities) => {
+        const changes = this._changesByCollection[collection];
+        if (!changes) {
+          return persistedEntities;
+        }
+
+        const result = [];
+        const stagedIds = Object.keys(changes);
+        const persistedIds = {};
+        persistedEntities.forEach((entity) => {
+          persistedIds[entity._id] = true;
+          if (!has(changes, entity._id)) {
+            result.push(entity);
+          } else if (changes[entity._id]) {
+            result.push(changes[entity._id]);
+          }
+        });
+
+        stagedIds.forEach((id) => {
+          if (!persistedIds[id] && changes[id]) {
+            result.push(changes[id]);
+          }
+        });
+        return result;
+      });
+  }
+
+  _getNotFoundError(collection, id) {
+    return new NotFoundError(`An entity with id ${id} was not found in the collection "${collection}"`);
+  }
+}
@@ -0,0 +1,50 @@
+import { EventEmitter } from 'events';
+
+import { Log } from '../../log';
+import { ensureArray } from '../../utils';
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // any number of observers can watch a collection
+const anyCollectionEmitter = new EventEmitter();
+anyCollectionEmitter.setMaxListeners(0);
+
+/**
+ * @private
+ * Registers a handler, which is called after entities of the collection are written to
+ * or deleted from the offline repository.
+ * @param {string} collection
+ * @param {Function} handler
+ * @returns {Function} Removes the handler.
+ */
+export function onOfflineCollectionChange(collection, handler) {
+  emitter.on(collection, handler);
+  return () => emitter.removeListener(collection, handler);
+}
+
+/**
+ * @private
+ * Registers a handler, which is called with the name of each collection written to or deleted from
+ * the offline repository.
+ * @param {Function} handler
+ * @returns {Function} Removes the handler.
+ */
+export function onAnyOfflineCollectionChange(handler) {
+  anyCollectionEmitter.on('change', handler);
+  return () => anyCollectionEmitter.removeListener('change', handler);
+}
+
+/**
+ * @private
+ * Called by offline repositories, once a write to the collections is persisted.
+ * @param {string|string[]} collections
+ */
+export function notifyOfflineCollectionChange(collections) {
+  ensureArray(collections).forEach((collection) => {
+    try {
+      emitter.emit(collection, collection);
+      anyCollectionEmitter.emit('change', collection);
+    } catch (err) {
+      Log.error(`An error was thrown by a change handler for the collection ${collection}`, err);
+    }
+  });
+}
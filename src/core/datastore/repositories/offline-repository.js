@@ -1,6 +1,7 @@
 import { Client } from '../../client';
 
 import { Repository } from './repository';
+import { notifyOfflineCollectionChange } from './offline-repository-changes';
 
 /**
  * @private
@@ -10,6 +11,34 @@ export class OfflineRepository extends Repository {
     this._throwNotImplementedError();
   }
 
+  transaction(fn) {
+    this._throwNotImplementedError(fn);
+  }
+
+  reencrypt() {
+    this._throwNotImplementedError();
+  }
+
+  copyTo(targetRepo) {
+    this._throwNotImplementedError(targetRepo);
+  }
+
+  moveTo(targetRepo) {
+    this._throwNotImplementedError(targetRepo);
+  }
+
+  exportCollections(excludedCollections) {
+    this._throwNotImplementedError(excludedCollections);
+  }
+
+  importCollections(entitiesByCollection, excludedCollections) {
+    this._throwNotImplementedError(entitiesByCollection, excludedCollections);
+  }
+
+  evictEntities(collection, entityIds, syncCollections) {
+    this._throwNotImplementedError(collection, entityIds, syncCollections);
+  }
+
   _throwNotImplementedError() {
     throw new Error('Method of OfflineRepository not implemented');
   }
@@ -19,4 +48,18 @@ export class OfflineRepository extends Repository {
   _getAppKey() {
     return Client.sharedInstance().appKey;
   }
+
+  // called after the changes to the collections are persisted
+  _notifyChange(collections) {
+    notifyOfflineCollectionChange(collections);
+  }
+
+  // resolves with the result of the write, after the change is notified
+  _withChangeNotification(collections, writePromise) {
+    return writePromise
+      .then((result) => {
+        this._notifyChange(collections);
+        return result;
+      });
+  }
 }
@@ -19,6 +19,7 @@ const inmemoryRepoBuilder = (queue) => {
 // all inmemory instances should share the queue
 const queue = new PromiseQueueByKey();
 let _chosenRepoPromise;
+let _chosenStorageProvider;
 
 let _availableStorages = {
   [StorageProvider.Memory]: inmemoryRepoBuilder
@@ -52,7 +53,10 @@ function _getFirstSupportedRepo(storagePrecedence) {
     return result.catch(() => {
       const repo = _getRepoForStorageProvider(storageProvider);
       return _testRepoSupport(repo)
-        .then(() => repo);
+        .then(() => {
+          _chosenStorageProvider = storageProvider;
+          return repo;
+        });
     });
   }, Promise.reject());
 }
@@ -74,6 +78,43 @@ function getOfflineRepository() {
   return _chosenRepoPromise;
 }
 
+/**
+ * Moves the offline data to the repository of another storage provider, and switches to it,
+ * once the counts of all collections are verified. The offline data of the previous storage provider
+ * is cleared then, so its sync queue can't be pushed again. The operations started during
+ * the migration wait for it, and use the repository it switched to. The writes of the operations,
+ * which got the previous repository before, fail, instead of being lost.
+ * @param {string} storageProvider A value of the StorageProvider enum
+ * @returns {Promise<{[collection: string]: number}>} The count of the migrated entities by collection
+ */
+function migrateOfflineRepository(storageProvider) {
+  let sourceRepo;
+  let targetRepo;
+  const switchPromise = getOfflineRepository()
+    .then((repo) => {
+      sourceRepo = repo;
+      if (storageProvider === _chosenStorageProvider) {
+        targetRepo = sourceRepo;
+        return {};
+      }
+
+      targetRepo = _getRepoForStorageProvider(storageProvider);
+      return _testRepoSupport(targetRepo)
+        .then(() => sourceRepo.moveTo(targetRepo))
+        .then((counts) => {
+          Client.sharedInstance().storage = storageProvider;
+          _chosenStorageProvider = storageProvider;
+          return counts;
+        });
+    });
+
+  const previousRepoPromise = _chosenRepoPromise;
+  _chosenRepoPromise = switchPromise
+    .then(() => targetRepo, () => previousRepoPromise);
+
+  return switchPromise;
+}
+
 function getNetworkRepository() {
   return new NetworkRepository();
 }
@@ -92,6 +133,7 @@ function getSupportedStorages() {
 export const repositoryProvider = {
   getNetworkRepository,
   getOfflineRepository,
+  migrateOfflineRepository,
   setSupportedRepoBuilders,
   getSupportedStorages
 };
@@ -26,6 +26,10 @@ export class Repository {
     this._throwNotImplementedError(entities);
   }
 
+  patch(collection, id, changes) {
+    this._throwNotImplementedError(changes);
+  }
+
   delete(collection, query) {
     this._throwNotImplementedError(query);
   }
@@ -7,5 +7,6 @@ export const StorageProvider = {
   IndexedDB: 'IndexedDB',
   LocalStorage: 'LocalStorage',
   SessionStorage: 'SessionStorage',
-  SQLite: 'SQLite'
+  SQLite: 'SQLite',
+  FileSystem: 'FileSystem'
 };
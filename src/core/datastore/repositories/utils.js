@@ -1,4 +1,5 @@
 import { Client } from '../../client';
+import { Query } from '../../query';
 
 import { stripTagFromCollectionName } from '../utils';
 
@@ -32,6 +33,18 @@ export function applyQueryToDataset(dataset, query) {
   return query.process(dataset);
 }
 
+/**
+ * @private
+ * Removes the fields, which the query does not select, from the entities.
+ */
+export function applyFieldsToDataset(dataset, query) {
+  const { fields } = query.toPlainObject();
+  if (!Array.isArray(fields) || fields.length === 0) {
+    return dataset;
+  }
+  return new Query({ fields }).process(dataset);
+}
+
 /**
  * @private
  */
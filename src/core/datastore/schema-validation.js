@@ -0,0 +1,225 @@
+import isPlainObject from 'lodash/isPlainObject';
+import isString from 'lodash/isString';
+import isBoolean from 'lodash/isBoolean';
+import isEqual from 'lodash/isEqual';
+
+import { KinveyError, ValidationError } from '../errors';
+import { isDefined, isNumber } from '../utils';
+import { stripTagFromCollectionName } from './utils';
+
+// set by the backend, so they are allowed even if the schema does not list them
+const metadataFields = ['_id', '_acl', '_kmd', '_geoloc'];
+const schemasByCollection = {};
+
+/**
+ * @private
+ * @typedef {Object} FieldError
+ * @property {string} field       The path of the field, like "author.name" or "tags[1]". Empty for the entity itself.
+ * @property {string} message     What is wrong with the value of the field.
+ */
+
+function getTypeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (isNumber(value)) {
+    return value % 1 === 0 ? 'integer' : 'number';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actualType = getTypeOf(value);
+  return actualType === type || (type === 'number' && actualType === 'integer');
+}
+
+function joinPath(path, field) {
+  return path ? `${path}.${field}` : field;
+}
+
+function validateType(value, schema, path, errors) {
+  if (!isDefined(schema.type)) {
+    return true;
+  }
+
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (types.some(type => matchesType(value, type))) {
+    return true;
+  }
+
+  errors.push({ field: path, message: `must be of type ${types.join(' or ')}` });
+  return false;
+}
+
+function validateNumber(value, schema, path, errors) {
+  if (isDefined(schema.minimum) && value < schema.minimum) {
+    errors.push({ field: path, message: `must be at least ${schema.minimum}` });
+  }
+  if (isDefined(schema.maximum) && value > schema.maximum) {
+    errors.push({ field: path, message: `must be at most ${schema.maximum}` });
+  }
+}
+
+function validateString(value, schema, path, errors) {
+  if (isDefined(schema.minLength) && value.length < schema.minLength) {
+    errors.push({ field: path, message: `must be at least ${schema.minLength} characters long` });
+  }
+  if (isDefined(schema.maxLength) && value.length > schema.maxLength) {
+    errors.push({ field: path, message: `must be at most ${schema.maxLength} characters long` });
+  }
+  if (isDefined(schema.pattern) && !new RegExp(schema.pattern).test(value)) {
+    errors.push({ field: path, message: `must match the pattern ${schema.pattern}` });
+  }
+}
+
+// validateChild() is validateValue(), which validates the items and fields - it is defined below
+function validateArray(value, schema, path, errors, partial, validateChild) {
+  if (isDefined(schema.minItems) && value.length < schema.minItems) {
+    errors.push({ field: path, message: `must have at least ${schema.minItems} items` });
+  }
+  if (isDefined(schema.maxItems) && value.length > schema.maxItems) {
+    errors.push({ field: path, message: `must have at most ${schema.maxItems} items` });
+  }
+  if (isPlainObject(schema.items)) {
+    value.forEach((item, index) => validateChild(item, schema.items, `${path}[${index}]`, errors, partial));
+  }
+}
+
+function validateObject(value, schema, path, errors, partial, validateChild) {
+  const properties = schema.properties || {};
+
+  if (!partial && Array.isArray(schema.required)) {
+    schema.required
+      .filter(field => !isDefined(value[field]))
+      .forEach(field => errors.push({ field: joinPath(path, field), message: 'is required' }));
+  }
+
+  Object.keys(value).forEach((field) => {
+    const fieldPath = joinPath(path, field);
+    if (properties[field]) {
+      validateChild(value[field], properties[field], fieldPath, errors, false);
+    } else if (isPlainObject(schema.additionalProperties)) {
+      validateChild(value[field], schema.additionalProperties, fieldPath, errors, false);
+    } else if (schema.additionalProperties === false && !(path === '' && metadataFields.indexOf(field) > -1)) {
+      errors.push({ field: fieldPath, message: 'is not allowed' });
+    }
+  });
+}
+
+function validateValue(value, schema, path, errors, partial) {
+  if (!validateType(value, schema, path, errors)) {
+    return;
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some(allowed => isEqual(allowed, value))) {
+    errors.push({ field: path, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+    return;
+  }
+
+  if (isNumber(value)) {
+    validateNumber(value, schema, path, errors);
+  } else if (isString(value)) {
+    validateString(value, schema, path, errors);
+  } else if (Array.isArray(value)) {
+    validateArray(value, schema, path, errors, partial, validateValue);
+  } else if (isPlainObject(value)) {
+    validateObject(value, schema, path, errors, partial, validateValue);
+  }
+}
+
+/**
+ * @private
+ * Validates a value against a JSON Schema. The type, enum, required, properties, additionalProperties,
+ * items, minimum, maximum, minLength, maxLength, pattern, minItems and maxItems keywords are supported.
+ * @param {*} value
+ * @param {Object} schema
+ * @param {boolean} [partial=false] When true, required fields are not checked - used to validate patches.
+ * @returns {FieldError[]} Empty, if the value is valid.
+ */
+export function getSchemaErrors(value, schema, partial = false) {
+  const errors = [];
+  validateValue(value, schema, '', errors, partial);
+  return errors;
+}
+
+/**
+ * @private
+ * Sets the schema of the collection, which the entities are validated against before they are saved.
+ * Tagged stores of a collection share its schema. Passing no schema removes it.
+ * @param {string} collection
+ * @param {Object} [schema]
+ * @param {Object} [options]
+ * @param {boolean} [options.validatePulledData=false] Validate the entities pulled from the backend, too.
+ */
+export function setCollectionSchema(collection, schema, options = {}) {
+  const key = stripTagFromCollectionName(collection);
+
+  if (!isDefined(schema)) {
+    delete schemasByCollection[key];
+    return;
+  }
+
+  if (!isPlainObject(schema)) {
+    throw new KinveyError('Invalid schema. It must be an object.');
+  }
+
+  if (isDefined(options.validatePulledData) && !isBoolean(options.validatePulledData)) {
+    throw new KinveyError('Invalid validatePulledData option. It must be a boolean.');
+  }
+
+  schemasByCollection[key] = { schema, validatePulledData: options.validatePulledData === true };
+}
+
+/**
+ * @private
+ */
+export function getCollectionSchema(collection) {
+  const registration = schemasByCollection[stripTagFromCollectionName(collection)];
+  return registration ? registration.schema : undefined;
+}
+
+/**
+ * @private
+ */
+export function shouldValidatePulledData(collection) {
+  const registration = schemasByCollection[stripTagFromCollectionName(collection)];
+  return !!registration && registration.validatePulledData;
+}
+
+/**
+ * @private
+ * Validates the entities against the schema of the collection. When an array is passed,
+ * the fields in the errors are prefixed with the index of the entity, like "[2].title".
+ * @param {string} collection
+ * @param {Object|Object[]} entities
+ * @param {boolean} [partial=false] When true, required fields are not checked.
+ * @returns {ValidationError|null} Null, if the entities are valid or the collection has no schema.
+ */
+export function validateEntities(collection, entities, partial = false) {
+  const schema = getCollectionSchema(collection);
+  if (!schema) {
+    return null;
+  }
+
+  let errors;
+  if (Array.isArray(entities)) {
+    errors = [];
+    entities.forEach((entity, index) => {
+      getSchemaErrors(entity, schema, partial)
+        .forEach(({ field, message }) => errors.push({ field: `[${index}]${field ? '.' : ''}${field}`, message }));
+    });
+  } else {
+    errors = getSchemaErrors(entities, schema, partial);
+  }
+
+  if (!errors.length) {
+    return null;
+  }
+
+  const details = errors.map(({ field, message }) => `${field || 'the entity'} ${message}`).join(', ');
+  const message = `Invalid entity for the ${stripTagFromCollectionName(collection)} collection: ${details}.`;
+  return new ValidationError(message, errors);
+}
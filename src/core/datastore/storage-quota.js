@@ -0,0 +1,310 @@
+import { Promise } from 'es6-promise';
+import isPlainObject from 'lodash/isPlainObject';
+import sortBy from 'lodash/sortBy';
+
+import { Query } from '../query';
+import { Log } from '../log';
+import { KinveyError, StorageQuotaError } from '../errors';
+import { activeUserKey, isDefined, isNumber } from '../utils';
+import { repositoryProvider, onAnyOfflineCollectionChange } from './repositories';
+import { testSupportCollection, applyQueryToDataset } from './repositories/utils';
+import { browserStorageCollectionsMaster } from './persisters/utils';
+import { queryCacheCollectionName, deserializeQuery, getLastUseTime } from './querycache';
+import { entityHistoryCollectionName } from './entity-history';
+import { cacheTimesCollectionName } from './cache-ttl';
+import { syncCollectionName } from './sync/utils';
+import { stripTagFromCollectionName } from './utils';
+
+/**
+ * @typedef   {Object}    StorageEvictionPolicy
+ * @property  {string}    LeastRecentlyUsedCollection   The entities of the collection used the longest time ago
+ *                                                      are evicted first.
+ * @property  {string}    OldestCachedQuery             The entities of the cached query used the longest time ago
+ *                                                      are evicted first, unless another cached query has them.
+ */
+export const StorageEvictionPolicy = {
+  LeastRecentlyUsedCollection: 'LeastRecentlyUsedCollection',
+  OldestCachedQuery: 'OldestCachedQuery'
+};
+
+// kept by the offline repository for its own use, so they are never evicted
+const internalCollections = [testSupportCollection, activeUserKey, browserStorageCollectionsMaster];
+
+// the cached queries are evicted with the entities of their collection, the history of the entities
+// is kept, so they can still be reverted, and the cache times are needed as long as their entities are cached
+const nonEvictedCollections = [queryCacheCollectionName, entityHistoryCollectionName, cacheTimesCollectionName];
+
+const lastUseByCollection = {};
+let storageQuota = null;
+// the bytes of each collection of the offline repository, as they were last measured
+let trackedUsage = null;
+
+onAnyOfflineCollectionChange((collection) => {
+  if (trackedUsage) {
+    trackedUsage.changedCollections[collection] = true;
+  }
+});
+
+function isSyncCollection(collection) {
+  return stripTagFromCollectionName(collection) === syncCollectionName;
+}
+
+/**
+ * @private
+ * Returns the approximate size of the value, as the bytes of its JSON in UTF-8.
+ */
+export function getByteLength(value) {
+  const json = JSON.stringify(value) || '';
+  let byteLength = 0;
+  for (let i = 0; i < json.length; i += 1) {
+    const code = json.charCodeAt(i);
+    if (code < 0x80) {
+      byteLength += 1;
+    } else if (code < 0x800) {
+      byteLength += 2;
+    } else if (code >= 0xd800 && code < 0xdc00) {
+      // a surrogate pair
+      byteLength += 4;
+      i += 1;
+    } else {
+      byteLength += 3;
+    }
+  }
+  return byteLength;
+}
+
+/**
+ * @private
+ * Sets the quota of the offline storage, and how the cache is evicted to stay within it.
+ * Passing no quota removes it.
+ * @param {Object} [quota]
+ * @param {number} [quota.maxBytes] The cache is evicted after a write, which makes it grow above this size.
+ * @param {string} [quota.evictionPolicy=StorageEvictionPolicy.LeastRecentlyUsedCollection]
+ */
+export function setStorageQuota(quota) {
+  if (!isDefined(quota)) {
+    storageQuota = null;
+    return;
+  }
+
+  if (!isPlainObject(quota)) {
+    throw new KinveyError('Invalid storage quota. It must be an object.');
+  }
+
+  const { maxBytes, evictionPolicy = StorageEvictionPolicy.LeastRecentlyUsedCollection } = quota;
+  if (isDefined(maxBytes) && (!isNumber(maxBytes) || maxBytes <= 0)) {
+    throw new KinveyError('Invalid maxBytes of the storage quota. It must be a number greater than 0.');
+  }
+
+  if (Object.keys(StorageEvictionPolicy).map(key => StorageEvictionPolicy[key]).indexOf(evictionPolicy) === -1) {
+    throw new KinveyError(`Invalid eviction policy of the storage quota: ${evictionPolicy}.`);
+  }
+
+  storageQuota = { maxBytes, evictionPolicy };
+}
+
+/**
+ * @private
+ */
+export function getStorageQuota() {
+  return storageQuota;
+}
+
+/**
+ * @private
+ * Records that the collection is used, for the least recently used collection to be evicted first.
+ */
+export function markCollectionUsed(collection) {
+  lastUseByCollection[collection] = Date.now();
+}
+
+function computeStorageUsage(entitiesByCollection) {
+  const collections = {};
+  let totalBytes = 0;
+  Object.keys(entitiesByCollection).forEach((collection) => {
+    collections[collection] = getByteLength(entitiesByCollection[collection]);
+    totalBytes += collections[collection];
+  });
+  return { totalBytes, collections };
+}
+
+// the collections changed while the offline data is exported are measured again by the next check
+function measureStorageUsage(repo) {
+  const usage = { repo, collections: {}, changedCollections: {} };
+  trackedUsage = usage;
+  return repo.exportCollections()
+    .then((entitiesByCollection) => {
+      const result = computeStorageUsage(entitiesByCollection);
+      usage.collections = Object.assign({}, result.collections);
+      return result;
+    }, (err) => {
+      if (trackedUsage === usage) {
+        trackedUsage = null;
+      }
+      return Promise.reject(err);
+    });
+}
+
+/**
+ * @private
+ * Reports the approximate size of the offline data, as the bytes of its JSON.
+ * @returns {Promise<Object>} {totalBytes, collections} - the collections hold the bytes of each collection.
+ */
+export function getStorageUsage() {
+  return repositoryProvider.getOfflineRepository()
+    .then(repo => measureStorageUsage(repo));
+}
+
+// only the collections changed since they were measured are read again, instead of all the offline data
+function getTotalBytes(repo) {
+  const usage = trackedUsage;
+  if (!usage || usage.repo !== repo) {
+    return measureStorageUsage(repo)
+      .then(({ totalBytes }) => totalBytes);
+  }
+
+  const changedCollections = Object.keys(usage.changedCollections);
+  usage.changedCollections = {};
+  const promises = changedCollections.map((collection) => {
+    return repo.read(collection)
+      .then((entities) => {
+        usage.collections[collection] = getByteLength(entities);
+      });
+  });
+
+  return Promise.all(promises)
+    .then(() => {
+      return Object.keys(usage.collections)
+        .reduce((totalBytes, collection) => totalBytes + usage.collections[collection], 0);
+    }, (err) => {
+      changedCollections.forEach((collection) => {
+        usage.changedCollections[collection] = true;
+      });
+      return Promise.reject(err);
+    });
+}
+
+// the collections used the longest time ago come first - the ones not used since the app started, first of all
+function getCollectionEvictions(entitiesByCollection, cachedQueries) {
+  const collections = Object.keys(entitiesByCollection)
+    .filter(c => !isSyncCollection(c) && nonEvictedCollections.concat(internalCollections).indexOf(c) === -1);
+
+  return sortBy(collections, collection => lastUseByCollection[collection] || 0)
+    .map(collection => ({
+      collection,
+      entityIds: entitiesByCollection[collection].map(entity => entity._id),
+      cachedQueries: cachedQueries.filter(cachedQuery => cachedQuery.collectionName === collection)
+    }));
+}
+
+// the entities of an evicted query are kept, if a cached query used later has them
+function getCachedQueryEvictions(entitiesByCollection, cachedQueries) {
+  const sortedQueries = sortBy(cachedQueries, cachedQuery => getLastUseTime(cachedQuery));
+
+  return sortedQueries.map((cachedQuery, index) => {
+    const collection = cachedQuery.collectionName;
+    const entities = entitiesByCollection[collection] || [];
+    const getFilterQuery = serializedQuery => new Query({ filter: deserializeQuery(serializedQuery).filter });
+    const keptIds = {};
+
+    sortedQueries.slice(index + 1)
+      .filter(laterQuery => laterQuery.collectionName === collection)
+      .forEach((laterQuery) => {
+        applyQueryToDataset(entities, getFilterQuery(laterQuery.query))
+          .forEach((entity) => {
+            keptIds[entity._id] = true;
+          });
+      });
+
+    const entityIds = applyQueryToDataset(entities, getFilterQuery(cachedQuery.query))
+      .map(entity => entity._id)
+      .filter(id => !keptIds[id]);
+    return { collection, entityIds, cachedQueries: [cachedQuery] };
+  });
+}
+
+/**
+ * @private
+ * Evicts entities from the cache, as the eviction policy of the storage quota tells, until the bytes are freed.
+ * The entities with pending sync items are never evicted. The cached queries of a collection are evicted
+ * with its entities, so their next request fetches the whole result.
+ * @param {number} bytesToFree
+ * @returns {Promise<number>} The approximate number of freed bytes.
+ */
+export function evictCache(bytesToFree) {
+  const evictionPolicy = storageQuota ? storageQuota.evictionPolicy : null;
+  if (!evictionPolicy) {
+    return Promise.resolve(0);
+  }
+
+  let repo;
+  return repositoryProvider.getOfflineRepository()
+    .then((offlineRepo) => {
+      repo = offlineRepo;
+      return repo.exportCollections(internalCollections);
+    })
+    .then((entitiesByCollection) => {
+      const syncCollections = Object.keys(entitiesByCollection).filter(isSyncCollection);
+      const cachedQueries = entitiesByCollection[queryCacheCollectionName] || [];
+      const evictions = evictionPolicy === StorageEvictionPolicy.OldestCachedQuery
+        ? getCachedQueryEvictions(entitiesByCollection, cachedQueries)
+        : getCollectionEvictions(entitiesByCollection, cachedQueries);
+
+      return evictions.reduce((prev, { collection, entityIds, cachedQueries: evictedQueries }) => {
+        return prev.then((freedBytes) => {
+          if (freedBytes >= bytesToFree) {
+            return freedBytes;
+          }
+
+          const queryIds = evictedQueries.map(cachedQuery => cachedQuery._id);
+          return repo.evictEntities(collection, entityIds, syncCollections)
+            .then((evictedEntities) => {
+              if (!queryIds.length) {
+                return evictedEntities;
+              }
+              return repo.delete(queryCacheCollectionName, new Query().contains('_id', queryIds))
+                .then(() => evictedEntities);
+            })
+            .then(evictedEntities => freedBytes + getByteLength(evictedEntities) + getByteLength(evictedQueries));
+        });
+      }, Promise.resolve(0));
+    });
+}
+
+/**
+ * @private
+ * Evicts the cache, if the offline data is above the maxBytes of the storage quota. It never rejects,
+ * as it is called after writes, which succeeded. The offline data is measured once - after that,
+ * only the collections changed since the previous call are.
+ * @returns {Promise<number>} The approximate number of freed bytes.
+ */
+export function enforceStorageQuota() {
+  if (!storageQuota || !isDefined(storageQuota.maxBytes)) {
+    return Promise.resolve(0);
+  }
+
+  const { maxBytes } = storageQuota;
+  return repositoryProvider.getOfflineRepository()
+    .then(repo => getTotalBytes(repo))
+    .then(totalBytes => (totalBytes > maxBytes ? evictCache(totalBytes - maxBytes) : 0))
+    .catch((err) => {
+      Log.error('Unable to evict the cache to stay within the storage quota', err);
+      return 0;
+    });
+}
+
+/**
+ * @private
+ * Evicts the cache as the eviction policy tells, when a write fails, because the storage is full -
+ * so the write can be retried. Rejects with the error of the write.
+ * @param {Error} err
+ */
+export function evictOnStorageQuotaError(err) {
+  if (!(err instanceof StorageQuotaError)) {
+    return Promise.reject(err);
+  }
+
+  return evictCache(1)
+    .catch(evictionError => Log.error('Unable to evict the cache, after the storage quota was exceeded', evictionError))
+    .then(() => Promise.reject(err));
+}
@@ -0,0 +1,103 @@
+import { EventEmitter } from 'events';
+
+import { Log } from '../log';
+import { ensureArray, isDefined } from '../utils';
+
+/**
+ * @typedef   {Object}    DataStoreEvent
+ * @property  {string}    Create      Entities were created.
+ * @property  {string}    Update      Entities were updated.
+ * @property  {string}    Remove      Entities were removed.
+ * @property  {string}    Push        Entities were pushed to the backend.
+ * @property  {string}    Pull        Entities were pulled from the backend and saved in the local cache.
+ */
+export const DataStoreEvent = {
+  Create: 'create',
+  Update: 'update',
+  Remove: 'remove',
+  Push: 'push',
+  Pull: 'pull'
+};
+Object.freeze(DataStoreEvent);
+
+/**
+ * @typedef   {Object}    ChangeSource
+ * @property  {string}    Local       The change was made by the app, through a data store.
+ * @property  {string}    Push        The change was made by a push of pending sync items.
+ * @property  {string}    Pull        The change was made by a pull, or a find(), which saved entities locally.
+ * @property  {string}    DeltaSet    The change was received with a delta set request.
+ * @property  {string}    Live        The change was received from the live service.
+ * @property  {string}    Expiry      The entities were removed from the cache, because their ttl expired.
+ */
+export const ChangeSource = {
+  Local: 'local',
+  Push: 'push',
+  Pull: 'pull',
+  DeltaSet: 'deltaset',
+  Live: 'live',
+  Expiry: 'expiry'
+};
+Object.freeze(ChangeSource);
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // any number of stores can listen to a collection
+
+function getEventKey(collection, event) {
+  return `${collection}/${event}`;
+}
+
+/**
+ * @private
+ */
+export function isDataStoreEvent(event) {
+  return Object.keys(DataStoreEvent)
+    .some(key => DataStoreEvent[key] === event);
+}
+
+/**
+ * @private
+ */
+export function getEntityIds(entities) {
+  return ensureArray(entities)
+    .filter(entity => isDefined(entity) && isDefined(entity._id))
+    .map(entity => entity._id);
+}
+
+/**
+ * @private
+ * @param {string} collection
+ * @param {string} event A DataStoreEvent.
+ * @param {Function} handler
+ * @returns {Function} Removes the handler.
+ */
+export function onDataStoreEvent(collection, event, handler) {
+  const key = getEventKey(collection, event);
+  emitter.on(key, handler);
+  return () => emitter.removeListener(key, handler);
+}
+
+/**
+ * @private
+ */
+export function offDataStoreEvent(collection, event, handler) {
+  emitter.removeListener(getEventKey(collection, event), handler);
+}
+
+/**
+ * @private
+ * Calls the handlers of the event with {collection, ids, source}, and any additional details.
+ * An error thrown by a handler is logged, so it does not fail the operation which emitted the event.
+ * @param {string} collection
+ * @param {string} event A DataStoreEvent.
+ * @param {string[]} ids Ids of the affected entities.
+ * @param {string} source A ChangeSource.
+ * @param {Object} [details] Additional properties of the event, like the query of a removal by query.
+ */
+export function emitDataStoreEvent(collection, event, ids, source, details) {
+  const payload = Object.assign({ collection, ids, source }, details);
+  try {
+    emitter.emit(getEventKey(collection, event), payload);
+  } catch (err) {
+    Log.error(`An error was thrown by a handler of the ${event} event for the collection ${collection}`, err);
+  }
+}
@@ -0,0 +1,161 @@
+import { Promise } from 'es6-promise';
+import isFunction from 'lodash/isFunction';
+import isPlainObject from 'lodash/isPlainObject';
+import isEqual from 'lodash/isEqual';
+import assign from 'lodash/assign';
+import union from 'lodash/union';
+import has from 'lodash/has';
+
+import { KinveyError } from '../../errors';
+import { isDefined } from '../../utils';
+
+/**
+ * @typedef   {Object}    ConflictResolutionStrategy
+ * @property  {string}    ServerWins      Keep the entity from the backend and discard the local changes.
+ * @property  {string}    ClientWins      Overwrite the entity on the backend with the local changes.
+ * @property  {string}    Merge           Apply the fields changed locally on top of the entity from the backend.
+ */
+export const ConflictResolutionStrategy = {
+  ServerWins: 'serverWins',
+  ClientWins: 'clientWins',
+  Merge: 'merge'
+};
+Object.freeze(ConflictResolutionStrategy);
+
+// fields managed by the backend, which are always taken from the server copy when merging
+const serverManagedFields = ['_id', '_acl', '_kmd'];
+// keyed by the collection name with the tag of the store, as the tagged stores keep their own entities
+const resolversByCollection = {};
+
+function isStrategy(value) {
+  return Object.keys(ConflictResolutionStrategy)
+    .some(key => ConflictResolutionStrategy[key] === value);
+}
+
+/**
+ * @private
+ */
+export function isValidConflictResolver(resolver) {
+  return isStrategy(resolver) || isFunction(resolver);
+}
+
+/**
+ * @private
+ */
+export function setConflictResolver(collection, resolver) {
+  if (!isDefined(resolver)) {
+    delete resolversByCollection[collection];
+    return;
+  }
+
+  if (!isValidConflictResolver(resolver)) {
+    throw new KinveyError('Invalid conflict resolver. It must be a ConflictResolutionStrategy or a function.');
+  }
+
+  resolversByCollection[collection] = resolver;
+}
+
+/**
+ * @private
+ */
+export function getConflictResolver(collection) {
+  return resolversByCollection[collection];
+}
+
+/**
+ * @private
+ * Returns the last modified time of an entity, as set by the backend.
+ */
+export function getEntityLmt(entity) {
+  return entity && entity._kmd ? entity._kmd.lmt : undefined;
+}
+
+// the fields of a pending patch, or the fields which differ from the base version of the entity.
+// Without either, all local fields are taken as changed
+function getLocallyChangedFields(conflict) {
+  const { localEntity, baseEntity, localChanges } = conflict;
+  if (localChanges) {
+    return Object.keys(localChanges);
+  }
+
+  if (!baseEntity) {
+    return Object.keys(localEntity);
+  }
+
+  return union(Object.keys(baseEntity), Object.keys(localEntity))
+    .filter(field => !isEqual(baseEntity[field], localEntity[field]));
+}
+
+/**
+ * @private
+ * Applies the changed fields of the local entity on top of the server entity - a field removed locally
+ * is removed from the merged entity. Fields managed by the backend are always taken from the server entity.
+ */
+export function mergeEntities(serverEntity, localEntity, changedFields = Object.keys(localEntity)) {
+  const merged = assign({}, serverEntity);
+  changedFields.forEach((field) => {
+    if (has(localEntity, field)) {
+      merged[field] = localEntity[field];
+    } else {
+      delete merged[field];
+    }
+  });
+  serverManagedFields.forEach((field) => {
+    if (serverEntity && isDefined(serverEntity[field])) {
+      merged[field] = serverEntity[field];
+    }
+  });
+  return merged;
+}
+
+function resolveWithStrategy(strategy, conflict) {
+  switch (strategy) {
+    case ConflictResolutionStrategy.ServerWins:
+      return { strategy, keepServer: true };
+    case ConflictResolutionStrategy.ClientWins:
+      return { strategy, entity: conflict.localEntity };
+    case ConflictResolutionStrategy.Merge:
+      // there is nothing to merge a local delete with, so the newer server copy is kept
+      if (!conflict.localEntity || !conflict.serverEntity) {
+        return { strategy, keepServer: true };
+      }
+      return {
+        strategy,
+        entity: mergeEntities(conflict.serverEntity, conflict.localEntity, getLocallyChangedFields(conflict))
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * @private
+ * Resolves a conflict with the provided resolver. The returned promise resolves with
+ * the resolution, or with null, if the conflict still needs a decision.
+ *
+ * The conflict has the local and server entities, the base version of the entity, which the local changes
+ * were made to - if it is known, and the changes of a pending patch.
+ *
+ * A custom resolver function receives the conflict and can return (or resolve with)
+ * a ConflictResolutionStrategy, the entity which should be pushed to the backend,
+ * or nothing, in which case the conflict is left unresolved.
+ */
+export function resolveConflict(resolver, conflict) {
+  if (isStrategy(resolver)) {
+    return Promise.resolve(resolveWithStrategy(resolver, conflict));
+  }
+
+  return Promise.resolve()
+    .then(() => resolver(conflict))
+    .then((result) => {
+      if (isStrategy(result)) {
+        return resolveWithStrategy(result, conflict);
+      }
+
+      if (isPlainObject(result)) {
+        return { strategy: 'custom', entity: result };
+      }
+
+      return null;
+    });
+}
@@ -2,3 +2,6 @@ export * from './sync-manager';
 export * from './sync-operation';
 export * from './sync-state-manager';
 export * from './sync-manager-provider';
+export * from './conflict-resolution';
+export * from './sync-scheduler';
+export * from './sync-progress';
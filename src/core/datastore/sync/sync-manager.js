@@ -6,12 +6,26 @@ import { KinveyError, NotFoundError, SyncError, InvalidCachedQuery } from '../..
 import { getPlatformConfig } from '../../platform-configs';
 import { SyncOperation } from './sync-operation';
 import { maxEntityLimit, defaultPullSortField } from './utils';
-import { isEmpty } from '../utils';
+import { isEmpty, isLocalEntity } from '../utils';
 import { repositoryProvider } from '../repositories';
 import { Query } from '../../query';
 import { ensureArray, isNonemptyString, forEachAsync, splitQueryIntoPages } from '../../utils';
 import { deltaSet } from '../deltaset';
-import { getCachedQuery, updateCachedQuery, deleteCachedQuery } from '../querycache';
+import {
+  getCachedQuery,
+  updateCachedQuery,
+  deleteCachedQuery,
+  invalidateCachedQuery,
+  clearQueryCache,
+  getQueryWindow,
+  markQueryWindowMaterialized,
+  markQueryDeltaSetApplied
+} from '../querycache';
+import { getConflictResolver, resolveConflict, getEntityLmt } from './conflict-resolution';
+import { getSyncScheduler } from './sync-scheduler';
+import { DataStoreEvent, ChangeSource, emitDataStoreEvent, getEntityIds } from '../store-events';
+import { validateEntities, shouldValidatePulledData } from '../schema-validation';
+import { getExpiredEntityIds, deleteCacheTimes, markCacheSwept } from '../cache-ttl';
 
 const {
   maxConcurrentPullRequests: maxConcurrentPulls,
@@ -23,7 +37,6 @@ const pushTrackingByCollection = {};
  * @private
  */
 export class SyncManager {
-  _offlineRepoPromise;
   _networkRepo;
   /** @type {SyncStateManager} */
   _syncStateManager;
@@ -33,7 +46,7 @@ export class SyncManager {
     this._syncStateManager = syncStateManager;
   }
 
-  push(collection) {
+  push(collection, options = {}) {
     if (isEmpty(collection) || !isNonemptyString(collection)) {
       return Promise.reject(new KinveyError('Invalid or missing collection name'));
     }
@@ -46,9 +59,10 @@ export class SyncManager {
     this._markPushStart(collection);
 
     return this._syncStateManager.getSyncItems(collection)
-      .then((syncItems = []) => this._processSyncItems(collection, syncItems))
+      .then((syncItems = []) => this._processSyncItems(collection, syncItems, options.progress))
       .then((pushResult) => {
         this._markPushEnd(collection);
+        this._emitPush(collection, pushResult);
         return pushResult;
       })
       .catch((err) => {
@@ -58,6 +72,7 @@ export class SyncManager {
   }
 
   pull(collection, query, options = {}) {
+    const { progress } = options;
     return Promise.resolve()
       .then(() => {
         if (!isNonemptyString(collection)) {
@@ -65,13 +80,18 @@ export class SyncManager {
         }
       })
       .then(() => {
+        if (progress && progress.isCancelled) {
+          return 0;
+        }
+
         if (options.useDeltaSet) {
+          this._startSinglePagePull(progress);
           return deltaSet(collection, query, options)
             .then((response) => {
               return getCachedQuery(collection, query)
                 .then((cachedQuery) => {
                   if (cachedQuery) {
-                    cachedQuery.lastRequest = response.headers.requestStart;
+                    markQueryDeltaSetApplied(cachedQuery, response.headers.requestStart);
                     return updateCachedQuery(cachedQuery);
                   }
 
@@ -79,12 +99,17 @@ export class SyncManager {
                 })
                 .then(() => response.data);
             })
+            .then(data => this._validatePulledEntities(collection, data.changed).then(() => data))
             .then((data) => {
               if (data.deleted.length > 0) {
                 const deleteQuery = new Query();
                 deleteQuery.contains('_id', data.deleted.map((entity) => entity._id));
                 return this._deleteOfflineEntities(collection, deleteQuery)
-                  .then(() => data);
+                  .then(() => {
+                    const deletedIds = getEntityIds(data.deleted);
+                    emitDataStoreEvent(collection, DataStoreEvent.Remove, deletedIds, ChangeSource.DeltaSet);
+                    return data;
+                  });
               }
 
               return data;
@@ -93,21 +118,28 @@ export class SyncManager {
               if (data.changed.length > 0) {
                 return this._getOfflineRepo()
                   .then((offlineRepo) => offlineRepo.update(collection, data.changed))
+                  .then(() => this._emitPull(collection, data.changed, ChangeSource.DeltaSet))
                   .then(() => data.changed.length);
               }
 
+              this._emitPull(collection, [], ChangeSource.DeltaSet);
               return 0;
+            })
+            .then((count) => {
+              this._completeSinglePagePull(progress);
+              return count;
             });
         } else if (options.autoPagination) {
           return this._paginatedPull(collection, query, options);
         }
 
+        this._startSinglePagePull(progress);
         return this._fetchItemsFromServer(collection, query, options)
           .then((response) => {
             return getCachedQuery(collection, query)
               .then((cachedQuery) => {
                 if (cachedQuery && response.headers) {
-                  cachedQuery.lastRequest = response.headers.requestStart;
+                  markQueryWindowMaterialized(cachedQuery, response.headers.requestStart, getQueryWindow(query));
                   return updateCachedQuery(cachedQuery);
                 }
 
@@ -115,12 +147,20 @@ export class SyncManager {
               })
               .then(() => response.data ? response.data : response);
           })
-          .then((data) => this._replaceOfflineEntities(collection, query, data).then((data) => data.length));
+          .then(data => this._validatePulledEntities(collection, data))
+          .then((data) => this._replaceOfflineEntities(collection, query, data))
+          .then((data) => {
+            this._emitPull(collection, data, ChangeSource.Pull);
+            return data.length;
+          })
+          .then((count) => {
+            this._completeSinglePagePull(progress);
+            return count;
+          });
       })
       .catch((error) => {
         if (error instanceof InvalidCachedQuery) {
-          return getCachedQuery(collection, query)
-            .then((cachedQuery) => deleteCachedQuery(cachedQuery))
+          return invalidateCachedQuery(collection, query)
             .catch((error) => {
               if (error instanceof NotFoundError) {
                 return null;
@@ -135,6 +175,10 @@ export class SyncManager {
       });
   }
 
+  isPushInProgress(collection) {
+    return this._pushIsInProgress(collection);
+  }
+
   getSyncItemCount(collection) {
     if (!isNonemptyString(collection)) {
       return Promise.reject(new KinveyError('Invalid or missing collection name'));
@@ -166,34 +210,104 @@ export class SyncManager {
       });
   }
 
+  /**
+   * Leaves out the entities, which expired in the cache. The entities pending push never expire.
+   */
+  excludeExpiredEntities(collection, entities) {
+    return this._getExpiredEntityIds(collection, entities)
+      .then(expiredIds => entities.filter(entity => expiredIds.indexOf(entity._id) === -1));
+  }
+
+  /**
+   * Removes the entities, which expired in the cache, unless they are pending push. If any entity is removed,
+   * the query cache of the collection is cleared, as a delta set would not fetch the removed entities again.
+   */
+  purgeExpiredEntities(collection) {
+    return this._getOfflineRepo()
+      .then(repo => repo.read(collection))
+      .then(entities => this._getExpiredEntityIds(collection, entities))
+      .then((expiredIds) => {
+        if (!expiredIds.length) {
+          return 0;
+        }
+
+        const deleteQuery = new Query().contains('_id', expiredIds);
+        return this._deleteOfflineEntities(collection, deleteQuery)
+          .then(count => this._getOfflineRepo()
+            .then(repo => deleteCacheTimes(repo, collection, expiredIds))
+            .then(() => count))
+          .then(count => clearQueryCache(collection).then(() => count))
+          .then((count) => {
+            emitDataStoreEvent(collection, DataStoreEvent.Remove, expiredIds, ChangeSource.Expiry);
+            return count;
+          });
+      })
+      .then((count) => {
+        markCacheSwept(collection);
+        return count;
+      });
+  }
+
   // TODO: pending fix for MLIBZ-2177
-  clearSync(collection, query) {
+  clearSync(collection, query, txn) {
     if (query) {
-      return this._getEntityIdsForQuery(collection, query)
-        .then(entityIds => this._syncStateManager.removeSyncItemsForIds(collection, entityIds));
+      return this._getEntityIdsForQuery(collection, query, txn)
+        .then(entityIds => this._syncStateManager.removeSyncItemsForIds(collection, entityIds, txn));
     }
-    return this._syncStateManager.removeAllSyncItems(collection);
+    return this._syncStateManager.removeAllSyncItems(collection, txn);
   }
 
   // for SyncStateManager
-  addCreateEvent(collection, createdItems) {
-    return this._addEvent(collection, createdItems, SyncOperation.Create);
+  // the txn argument of the following methods is optional - when passed, the sync state
+  // is written within that offline repository transaction
+
+  addCreateEvent(collection, createdItems, txn) {
+    return this._addEvent(collection, createdItems, SyncOperation.Create, txn);
   }
 
-  addDeleteEvent(collection, deletedEntities) {
-    return this._addEvent(collection, deletedEntities, SyncOperation.Delete);
+  addDeleteEvent(collection, deletedEntities, txn) {
+    return this._addEvent(collection, deletedEntities, SyncOperation.Delete, txn);
   }
 
-  addUpdateEvent(collection, updatedEntities) {
-    return this._addEvent(collection, updatedEntities, SyncOperation.Update);
+  // the previous entities are kept as the base versions, which the local changes are merged from, on a conflict
+  addUpdateEvent(collection, updatedEntities, txn, previousEntities) {
+    return this._addEvent(collection, updatedEntities, SyncOperation.Update, txn, previousEntities);
+  }
+
+  addPatchEvent(collection, patchedEntity, changes, txn, previousEntity) {
+    const validationError = this._validateCrudEventEntities(patchedEntity);
+
+    if (validationError) {
+      return validationError;
+    }
+
+    return this._syncStateManager.addPatchEvent(collection, patchedEntity, changes, txn, previousEntity)
+      .then(() => {
+        this._notifySyncSchedulerAfterWrite(collection, txn);
+        return patchedEntity;
+      });
+  }
+
+  addRevertEvent(collection, revertedEntity, txn) {
+    const validationError = this._validateCrudEventEntities(revertedEntity);
+
+    if (validationError) {
+      return validationError;
+    }
+
+    return this._syncStateManager.addRevertEvent(collection, revertedEntity, txn)
+      .then(() => {
+        this._notifySyncSchedulerAfterWrite(collection, txn);
+        return revertedEntity;
+      });
   }
 
-  removeSyncItemForEntityId(collection, entityId) {
-    return this._syncStateManager.removeSyncItemForEntityId(collection, entityId);
+  removeSyncItemForEntityId(collection, entityId, txn) {
+    return this._syncStateManager.removeSyncItemForEntityId(collection, entityId, txn);
   }
 
-  removeSyncItemsForIds(collection, entityIds) {
-    return this._syncStateManager.removeSyncItemsForIds(collection, entityIds);
+  removeSyncItemsForIds(collection, entityIds, txn) {
+    return this._syncStateManager.removeSyncItemsForIds(collection, entityIds, txn);
   }
 
   _deleteOfflineEntities(collection, query) {
@@ -214,6 +328,22 @@ export class SyncManager {
       .then(repo => repo.update(collection, networkEntities));
   }
 
+  _getExpiredEntityIds(collection, entities) {
+    return this._getOfflineRepo()
+      .then(repo => getExpiredEntityIds(repo, collection, getEntityIds(entities)))
+      .then((expiredIds) => {
+        if (!expiredIds.length) {
+          return [];
+        }
+
+        return this._syncStateManager.getSyncItems(collection, expiredIds)
+          .then((syncItems = []) => {
+            const pendingIds = syncItems.map(syncItem => syncItem.entityId);
+            return expiredIds.filter(id => pendingIds.indexOf(id) === -1);
+          });
+      });
+  }
+
   _getPushOpResult(entityId, operation) {
     const result = {
       _id: entityId,
@@ -274,9 +404,13 @@ export class SyncManager {
       });
   }
 
-  _pushUpdate(collection, entity) {
+  // when the sync item has the changed fields of the entity, only they are sent
+  _pushUpdate(collection, entity, changes) {
     const result = this._getPushOpResult(entity._id, SyncOperation.Update);
-    return this._networkRepo.update(collection, entity)
+    const requestPromise = changes
+      ? this._networkRepo.patchOrUpdate(collection, entity, changes)
+      : this._networkRepo.update(collection, entity);
+    return requestPromise
       .then((updateResult) => {
         result.entity = updateResult;
         return this._getOfflineRepo();
@@ -291,6 +425,14 @@ export class SyncManager {
   }
 
   _handlePushOp(collection, syncItem, offlineEntity) {
+    const resolver = getConflictResolver(collection);
+    if (resolver) {
+      return this._pushWithConflictDetection(collection, syncItem, offlineEntity, resolver);
+    }
+    return this._executePushOp(collection, syncItem, offlineEntity);
+  }
+
+  _executePushOp(collection, syncItem, offlineEntity) {
     const { state, entityId } = syncItem;
     const syncOp = state.operation;
 
@@ -300,7 +442,7 @@ export class SyncManager {
       case SyncOperation.Delete:
         return this._pushDelete(collection, entityId);
       case SyncOperation.Update:
-        return this._pushUpdate(collection, offlineEntity);
+        return this._pushUpdate(collection, offlineEntity, state.changes);
       default: {
         const res = this._getPushOpResult(entityId, syncOp);
         res.error = new SyncError(`Unexpected sync operation: ${syncOp}`);
@@ -309,6 +451,132 @@ export class SyncManager {
     }
   }
 
+  _pushWithConflictDetection(collection, syncItem, offlineEntity, resolver) {
+    const { state, entityId } = syncItem;
+    const syncOp = state.operation;
+
+    // locally created entities do not exist on the backend yet, so they can't conflict
+    if (syncOp === SyncOperation.Create && isLocalEntity(offlineEntity)) {
+      return this._executePushOp(collection, syncItem, offlineEntity);
+    }
+
+    return this._fetchServerEntity(collection, entityId)
+      .then((serverEntity) => {
+        const conflict = this._getConflict(collection, syncItem, offlineEntity, serverEntity);
+        if (!conflict) {
+          return this._executePushOp(collection, syncItem, offlineEntity);
+        }
+
+        return resolveConflict(resolver, conflict)
+          .then(resolution => this._applyConflictResolution(collection, syncItem, conflict, resolution));
+      })
+      .catch((err) => {
+        const result = this._getPushOpResult(entityId, syncOp);
+        result.error = err;
+        return result;
+      });
+  }
+
+  _fetchServerEntity(collection, entityId) {
+    return this._networkRepo.readById(collection, entityId)
+      .catch((err) => {
+        if (err instanceof NotFoundError) {
+          return null;
+        }
+        return Promise.reject(err);
+      });
+  }
+
+  _getConflict(collection, syncItem, offlineEntity, serverEntity) {
+    const syncOp = syncItem.state.operation;
+    const localLmt = syncOp === SyncOperation.Delete ? syncItem.state.lmt : getEntityLmt(offlineEntity);
+    const conflict = {
+      collection,
+      operation: syncOp,
+      entityId: syncItem.entityId,
+      localEntity: offlineEntity || null,
+      serverEntity,
+      baseEntity: syncItem.state.base || null,
+      localChanges: syncItem.state.changes || null
+    };
+
+    switch (syncOp) {
+      case SyncOperation.Create:
+        return serverEntity ? conflict : null;
+      case SyncOperation.Update:
+        if (!localLmt) {
+          return null;
+        }
+        return !serverEntity || getEntityLmt(serverEntity) !== localLmt ? conflict : null;
+      case SyncOperation.Delete:
+        if (!localLmt || !serverEntity) {
+          return null;
+        }
+        return getEntityLmt(serverEntity) !== localLmt ? conflict : null;
+      default:
+        return null;
+    }
+  }
+
+  _applyConflictResolution(collection, syncItem, conflict, resolution) {
+    const { entityId } = syncItem;
+    const syncOp = syncItem.state.operation;
+    let resultPromise;
+
+    if (!resolution) {
+      const result = this._getPushOpResult(entityId, syncOp);
+      result.error = new SyncError(`The entity with _id ${entityId} was modified on the backend`
+        + ' since it was last synced. The conflict needs to be resolved before it can be pushed.', conflict);
+      result.conflict = { serverEntity: conflict.serverEntity, resolved: false };
+      return result;
+    }
+
+    if (resolution.keepServer) {
+      resultPromise = this._keepServerEntity(collection, entityId, conflict.serverEntity)
+        .then(() => {
+          const result = this._getPushOpResult(entityId, syncOp);
+          if (syncOp !== SyncOperation.Delete) {
+            result.entity = conflict.serverEntity;
+          }
+          return result;
+        });
+    } else if (resolution.entity) {
+      resultPromise = this._pushUpdate(collection, resolution.entity)
+        .then((result) => {
+          result.operation = syncOp;
+          return result;
+        });
+    } else {
+      resultPromise = this._pushDelete(collection, entityId);
+    }
+
+    return resultPromise
+      .then((result) => {
+        result.conflict = {
+          serverEntity: conflict.serverEntity,
+          resolved: !result.error,
+          strategy: resolution.strategy
+        };
+        return result;
+      });
+  }
+
+  _keepServerEntity(collection, entityId, serverEntity) {
+    return this._getOfflineRepo()
+      .then((repo) => {
+        if (serverEntity) {
+          return repo.update(collection, serverEntity);
+        }
+        return repo.deleteById(collection, entityId)
+          .catch((err) => {
+            if (err instanceof NotFoundError) {
+              return 0;
+            }
+            return Promise.reject(err);
+          });
+      });
+  }
+
   _pushItem(collection, syncItem) {
     const { entityId, state } = syncItem;
     return this._getOfflineRepo()
@@ -342,24 +610,48 @@ export class SyncManager {
       });
   }
 
-  _processSyncItems(collection, syncItems) {
+  _processSyncItems(collection, syncItems, progress) {
     const pushResults = [];
+
+    if (progress) {
+      progress.start('push', syncItems.length);
+    }
+
     return forEachAsync(syncItems, (syncItem) => {
       return this._processSyncItem(collection, syncItem) // never rejects
-        .then(pushResult => pushResults.push(pushResult));
-    }, maxConcurrentPushes)
+        .then((pushResult) => {
+          pushResults.push(pushResult);
+          if (progress) {
+            progress.itemDone(!!pushResult.error);
+          }
+        });
+    }, maxConcurrentPushes, () => this._isCancelled(progress))
       .then(() => pushResults);
   }
 
+  _isCancelled(progress) {
+    return !!progress && progress.isCancelled;
+  }
+
+  _startSinglePagePull(progress) {
+    if (progress) {
+      progress.start('pull', 1);
+    }
+  }
+
+  _completeSinglePagePull(progress) {
+    if (progress) {
+      progress.itemDone();
+    }
+  }
+
   _fetchItemsFromServer(collection, query, options) {
     return this._networkRepo.read(collection, query, Object.assign(options, { dataOnly: false }));
   }
 
+  // a migration to another storage provider replaces the repository
   _getOfflineRepo() {
-    if (!this._offlineRepoPromise) {
-      this._offlineRepoPromise = repositoryProvider.getOfflineRepository();
-    }
-    return this._offlineRepoPromise;
+    return repositoryProvider.getOfflineRepository();
   }
 
   _pushIsInProgress(collection) {
@@ -382,21 +674,63 @@ export class SyncManager {
     }
   }
 
-  _getEntityIdsForQuery(collection, query) {
-    return this._getOfflineRepo()
+  _getEntityIdsForQuery(collection, query, txn) {
+    const repoPromise = txn ? Promise.resolve(txn) : this._getOfflineRepo();
+    return repoPromise
       .then(repo => repo.read(collection, query))
       .then(entities => entities.map(e => e._id));
   }
 
-  _addEvent(collection, entities, syncOp) {
+  _addEvent(collection, entities, syncOp, txn, previousEntities) {
     const validationError = this._validateCrudEventEntities(entities);
 
     if (validationError) {
       return validationError;
     }
 
-    return this._setState(collection, entities, syncOp)
-      .then(() => entities);
+    return this._setState(collection, entities, syncOp, txn, previousEntities)
+      .then(() => {
+        this._notifySyncSchedulerAfterWrite(collection, txn);
+        return entities;
+      });
+  }
+
+  // nothing is saved locally, if a pulled entity does not match the schema of the collection
+  _validatePulledEntities(collection, entities) {
+    if (!shouldValidatePulledData(collection)) {
+      return Promise.resolve(entities);
+    }
+
+    const validationError = validateEntities(collection, entities);
+    return validationError ? Promise.reject(validationError) : Promise.resolve(entities);
+  }
+
+  _emitPull(collection, entities, source) {
+    emitDataStoreEvent(collection, DataStoreEvent.Pull, getEntityIds(entities), source);
+  }
+
+  // pushed creates get an id from the backend, which is the one passed to the handlers
+  _emitPush(collection, pushResults) {
+    const pushedIds = pushResults
+      .filter(result => !result.error)
+      .map(result => (result.entity ? result.entity._id : result._id));
+    emitDataStoreEvent(collection, DataStoreEvent.Push, pushedIds, ChangeSource.Push);
+  }
+
+  _notifySyncSchedulerAfterWrite(collection, txn) {
+    if (txn) {
+      // the scheduler counts the pending sync items, which are persisted only on commit
+      txn.afterCommit(() => this._notifySyncScheduler(collection));
+    } else {
+      this._notifySyncScheduler(collection);
+    }
+  }
+
+  _notifySyncScheduler(collection) {
+    const scheduler = getSyncScheduler(collection);
+    if (scheduler) {
+      scheduler.handleLocalChange(); // does not reject, and the local operation should not wait for it
+    }
   }
 
   _validateCrudEventEntities(entities) {
@@ -412,14 +746,14 @@ export class SyncManager {
     return null;
   }
 
-  _setState(collection, entities, syncOp) {
+  _setState(collection, entities, syncOp, txn, previousEntities) {
     switch (syncOp) {
       case SyncOperation.Create:
-        return this._syncStateManager.addCreateEvent(collection, entities);
+        return this._syncStateManager.addCreateEvent(collection, entities, txn);
       case SyncOperation.Update:
-        return this._syncStateManager.addUpdateEvent(collection, entities);
+        return this._syncStateManager.addUpdateEvent(collection, entities, txn, previousEntities);
       case SyncOperation.Delete:
-        return this._syncStateManager.addDeleteEvent(collection, entities);
+        return this._syncStateManager.addDeleteEvent(collection, entities, txn);
       default:
         return Promise.reject(new SyncError('Invalid sync event name'));
     }
@@ -437,22 +771,41 @@ export class SyncManager {
     return query;
   }
 
+  // the pull event is emitted for every page, as soon as it is saved
   _fetchAndUpdateEntities(collection, query, options) {
     return this._networkRepo.read(collection, query, options)
+      .then(entities => this._validatePulledEntities(collection, entities))
       .then((entities) => {
         return this._getOfflineRepo()
           .then(repo => repo.update(collection, entities));
+      })
+      .then((updatedEntities) => {
+        this._emitPull(collection, updatedEntities, ChangeSource.Pull);
+        return updatedEntities;
       });
   }
 
   _executePaginationQueries(collection, queries, options) {
+    const { progress } = options;
     let pulledEntityCount = 0;
+
+    if (progress) {
+      progress.start('pull', queries.length);
+    }
+
     return forEachAsync(queries, (query) => {
       return this._fetchAndUpdateEntities(collection, query, options)
         .then((updatedEntities) => {
           pulledEntityCount += updatedEntities.length;
+          this._completeSinglePagePull(progress);
+        })
+        .catch((err) => {
+          if (progress) {
+            progress.itemDone(true);
+          }
+          return Promise.reject(err);
         });
-    }, maxConcurrentPulls)
+    }, maxConcurrentPulls, () => this._isCancelled(progress))
       .then(() => pulledEntityCount);
   }
 
@@ -483,8 +836,15 @@ export class SyncManager {
           .then((result) => {
             return getCachedQuery(collection, userQuery)
               .then((cachedQuery) => {
+                // a cancelled pull leaves only some of the pages in the cache,
+                // so the next delta set request would miss the rest of them
+                if (this._isCancelled(options.progress)) {
+                  return deleteCachedQuery(cachedQuery);
+                }
+
                 if (cachedQuery) {
-                  cachedQuery.lastRequest = lastRequest;
+                  // all the pages were pulled, so any window of the query can be refreshed with a delta set
+                  markQueryWindowMaterialized(cachedQuery, lastRequest);
                   return updateCachedQuery(cachedQuery);
                 }
 
@@ -0,0 +1,66 @@
+import isFunction from 'lodash/isFunction';
+
+import { Log } from '../../log';
+
+/**
+ * @private
+ * Tracks the progress of a push, pull or sync and reports it to an observer.
+ * Every progress object passed to observer.next() has a cancel() function, which stops
+ * the operation from issuing new requests. Requests which are already in flight are completed.
+ */
+export class SyncProgress {
+  constructor(observer) {
+    this._observer = observer;
+    this._cancelled = false;
+    this.operation = null;
+    this.done = 0;
+    this.total = 0;
+    this.failed = 0;
+  }
+
+  get isCancelled() {
+    return this._cancelled;
+  }
+
+  cancel() {
+    if (!this._cancelled) {
+      this._cancelled = true;
+      this._notify();
+    }
+  }
+
+  start(operation, total) {
+    this.operation = operation;
+    this.total = total;
+    this.done = 0;
+    this.failed = 0;
+    this._notify();
+  }
+
+  itemDone(failed = false) {
+    this.done += 1;
+    if (failed) {
+      this.failed += 1;
+    }
+    this._notify();
+  }
+
+  _notify() {
+    if (!this._observer || !isFunction(this._observer.next)) {
+      return;
+    }
+
+    try {
+      this._observer.next({
+        operation: this.operation,
+        done: this.done,
+        total: this.total,
+        failed: this.failed,
+        cancelled: this._cancelled,
+        cancel: () => this.cancel()
+      });
+    } catch (err) {
+      Log.error('An error was thrown by the sync progress observer', err);
+    }
+  }
+}
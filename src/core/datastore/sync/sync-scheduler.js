@@ -0,0 +1,264 @@
+import { EventEmitter } from 'events';
+import { Promise } from 'es6-promise';
+import isFunction from 'lodash/isFunction';
+
+import { Log } from '../../log';
+import { NetworkConnectionError, TimeoutError } from '../../errors';
+import { isDefined, isNumber, wrapInPromise } from '../../utils';
+
+const defaultInitialBackoff = 1000;
+const defaultMaxBackoff = 5 * 60 * 1000;
+const schedulersByCollection = {};
+
+/**
+ * @private
+ * @typedef ConnectivityDetector
+ * @property {Function} isOnline    Returns (or resolves with) true, if the device is online.
+ * @property {Function} onChange    Registers a handler, called with true or false when the connectivity changes.
+ *                                  Returns a function which removes the handler.
+ */
+let defaultConnectivityDetector;
+
+/**
+ * @private
+ * Sets the connectivity detector, used by schedulers which are not given one explicitly.
+ * @param {ConnectivityDetector} detector
+ */
+export function setConnectivityDetector(detector) {
+  defaultConnectivityDetector = detector;
+}
+
+/**
+ * @private
+ */
+export function getSyncScheduler(collection) {
+  return schedulersByCollection[collection];
+}
+
+function isRetriableError(err) {
+  return err instanceof NetworkConnectionError || err instanceof TimeoutError;
+}
+
+/**
+ * @private
+ * The SyncScheduler pushes and then pulls the entities of a collection in the background.
+ * A sync is triggered on an interval, after a number of local changes are pending push, or
+ * when the connectivity comes back. The scheduler emits the following events:
+ * syncStart, pushComplete, pullComplete, syncComplete, syncSkipped and syncError.
+ */
+export class SyncScheduler extends EventEmitter {
+  /** @type {CacheStore} */
+  _store;
+
+  /**
+   * @param {CacheStore} store
+   * @param {Object} [options]
+   * @param {Number} [options.interval] Sync every given number of milliseconds.
+   * @param {Number} [options.pendingChangesThreshold] Sync when this many local changes are pending push.
+   * @param {Boolean} [options.syncOnReconnect=true] Sync when the connectivity comes back.
+   * @param {ConnectivityDetector} [options.connectivityDetector] Overrides the default connectivity detector.
+   * @param {Query} [options.query] Query used to pull a subset of entities.
+   * @param {Object} [options.syncOptions] Options passed to push() and pull().
+   * @param {Number} [options.initialBackoff=1000] The first retry delay, after a network error or timeout.
+   * @param {Number} [options.maxBackoff=300000] The longest retry delay.
+   */
+  constructor(store, options = {}) {
+    super();
+    this._store = store;
+    this._options = options;
+    this._running = false;
+    this._started = false;
+    this._failureCount = 0;
+    this._intervalId = null;
+    this._retryTimeoutId = null;
+    this._removeConnectivityHandler = null;
+  }
+
+  get collection() {
+    return this._store.collection;
+  }
+
+  get isStarted() {
+    return this._started;
+  }
+
+  start() {
+    if (this._started) {
+      return this;
+    }
+
+    const { interval } = this._options;
+    this._started = true;
+
+    if (isNumber(interval) && interval > 0) {
+      this._intervalId = setInterval(() => this._trigger('interval'), interval);
+    }
+
+    const detector = this._options.connectivityDetector || defaultConnectivityDetector;
+    if (this._options.syncOnReconnect !== false && detector && isFunction(detector.onChange)) {
+      this._removeConnectivityHandler = detector.onChange((isOnline) => {
+        if (isOnline) {
+          this._cancelRetry();
+          this._trigger('reconnect');
+        }
+      });
+    }
+
+    return this;
+  }
+
+  stop() {
+    this._started = false;
+
+    if (isDefined(this._intervalId)) {
+      clearInterval(this._intervalId);
+      this._intervalId = null;
+    }
+
+    this._cancelRetry();
+
+    if (isFunction(this._removeConnectivityHandler)) {
+      this._removeConnectivityHandler();
+      this._removeConnectivityHandler = null;
+    }
+
+    return this;
+  }
+
+  /**
+   * Called when a local change was added to the sync queue of the collection.
+   */
+  handleLocalChange() {
+    const { pendingChangesThreshold } = this._options;
+
+    if (!this._started || !isNumber(pendingChangesThreshold) || pendingChangesThreshold <= 0) {
+      return Promise.resolve();
+    }
+
+    return this._store.pendingSyncCount()
+      .then((count) => {
+        if (count >= pendingChangesThreshold) {
+          return this._trigger('pendingChanges');
+        }
+        return null;
+      })
+      .catch(err => Log.debug('Unable to count the entities pending push', err));
+  }
+
+  /**
+   * Runs a sync right away, unless one is already running.
+   */
+  syncNow() {
+    return this._trigger('manual');
+  }
+
+  // private
+
+  _trigger(reason) {
+    if (!this._started) {
+      return Promise.resolve(null);
+    }
+
+    // waiting for the backoff to pass, the retry will pick up the changes
+    if (isDefined(this._retryTimeoutId) && reason !== 'retry') {
+      return Promise.resolve(null);
+    }
+
+    if (this._running || this._store.syncManager.isPushInProgress(this.collection)) {
+      this.emit('syncSkipped', { collection: this.collection, reason });
+      return Promise.resolve(null);
+    }
+
+    return this._isOnline()
+      .then((isOnline) => {
+        if (!isOnline) {
+          this.emit('syncSkipped', { collection: this.collection, reason: 'offline' });
+          return null;
+        }
+        return this._sync(reason);
+      });
+  }
+
+  _isOnline() {
+    const detector = this._options.connectivityDetector || defaultConnectivityDetector;
+    if (!detector || !isFunction(detector.isOnline)) {
+      return Promise.resolve(true);
+    }
+    return wrapInPromise(detector.isOnline())
+      .catch(() => true);
+  }
+
+  _sync(reason) {
+    const { query, syncOptions } = this._options;
+    const result = {};
+    this._running = true;
+    this.emit('syncStart', { collection: this.collection, reason });
+
+    return this._store.push(syncOptions)
+      .then((pushResult) => {
+        result.push = pushResult;
+        this.emit('pushComplete', { collection: this.collection, result: pushResult });
+        return this._store.pull(query, syncOptions);
+      })
+      .then((pullResult) => {
+        result.pull = pullResult;
+        this.emit('pullComplete', { collection: this.collection, result: pullResult });
+        this._running = false;
+        this._failureCount = 0;
+        this.emit('syncComplete', { collection: this.collection, result });
+        return result;
+      })
+      .catch((error) => {
+        this._running = false;
+        const retryIn = isRetriableError(error) ? this._scheduleRetry() : undefined;
+        this.emit('syncError', { collection: this.collection, error, retryIn });
+        return null;
+      });
+  }
+
+  _scheduleRetry() {
+    const initialBackoff = this._options.initialBackoff || defaultInitialBackoff;
+    const maxBackoff = this._options.maxBackoff || defaultMaxBackoff;
+    const delay = Math.min(initialBackoff * (2 ** this._failureCount), maxBackoff);
+    this._failureCount += 1;
+    this._cancelRetry();
+
+    if (this._started) {
+      this._retryTimeoutId = setTimeout(() => {
+        this._retryTimeoutId = null;
+        this._trigger('retry');
+      }, delay);
+    }
+
+    return delay;
+  }
+
+  _cancelRetry() {
+    if (isDefined(this._retryTimeoutId)) {
+      clearTimeout(this._retryTimeoutId);
+      this._retryTimeoutId = null;
+    }
+  }
+}
+
+/**
+ * @private
+ */
+export function disableSyncScheduler(collection) {
+  const scheduler = schedulersByCollection[collection];
+  if (scheduler) {
+    scheduler.stop();
+    delete schedulersByCollection[collection];
+  }
+}
+
+/**
+ * @private
+ * Starts a scheduler for the collection of the store, replacing any scheduler the collection already has.
+ */
+export function enableSyncScheduler(store, options) {
+  disableSyncScheduler(store.collection);
+  const scheduler = new SyncScheduler(store, options);
+  schedulersByCollection[store.collection] = scheduler;
+  return scheduler.start();
+}
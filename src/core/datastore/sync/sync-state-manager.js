@@ -1,5 +1,6 @@
 import { Promise } from 'es6-promise';
 import clone from 'lodash/clone';
+import keyBy from 'lodash/keyBy';
 
 import { Query } from '../../query';
 
@@ -23,35 +24,72 @@ import {
  * @private
  */
 export class SyncStateManager {
-  _repoPromise;
+  // the optional txn is an OfflineRepositoryTransaction, used instead of the repository,
+  // so the sync items are committed together with the entities they are for
 
-  addCreateEvent(collection, entities) {
+  addCreateEvent(collection, entities, txn) {
     const syncItems = this._buildSyncItemsForEntities(collection, entities, SyncOperation.Create);
-    return this._createSyncItems(collection, syncItems);
+    return this._createSyncItems(collection, syncItems, txn);
   }
 
-  addUpdateEvent(collection, entities) {
+  // the entities before the update are kept as the base versions of the sync items, unless they have pending changes
+  addUpdateEvent(collection, entities, txn, previousEntities = []) {
     const syncItems = this._buildSyncItemsForEntities(collection, entities, SyncOperation.Update);
-    return this._upsertSyncItems(collection, syncItems);
+    const entityIds = syncItems.map(item => item.entityId);
+    const previousEntitiesById = keyBy(previousEntities, '_id');
+    return this._getRepository(txn)
+      .then(repo => repo.read(this._getSyncCollectionName(collection), this._getEntitiesFilter(collection, entityIds)))
+      .then((existingSyncItems) => {
+        const existingSyncItemsById = keyBy(existingSyncItems, 'entityId');
+        syncItems.forEach((item) => {
+          const base = this._getBaseVersion(existingSyncItemsById[item.entityId], previousEntitiesById[item.entityId]);
+          this._setBaseVersion(item, base);
+        });
+        return this._upsertSyncItems(collection, syncItems, entityIds, txn);
+      });
   }
 
-  addDeleteEvent(collection, entities) {
+  // consecutive patches of an entity are merged into one sync item, which holds all changed fields
+  addPatchEvent(collection, entity, changes, txn, previousEntity) {
+    const query = new Query().equalTo('entityId', entity._id);
+    return this._getRepository(txn)
+      .then(repo => repo.read(this._getSyncCollectionName(collection), query))
+      .then(([existingSyncItem]) => {
+        const syncItem = this._buildPatchSyncItem(collection, entity._id, changes, existingSyncItem);
+        if (!syncItem) {
+          return existingSyncItem;
+        }
+        this._setBaseVersion(syncItem, this._getBaseVersion(existingSyncItem, previousEntity));
+        return this._upsertSyncItems(collection, [syncItem], [entity._id], txn);
+      });
+  }
+
+  addDeleteEvent(collection, entities, txn) {
     const syncItemData = this._groupSyncItemDataForDeleteEvent(collection, entities);
 
     let delPrm = Promise.resolve();
     if (isNotEmpty(syncItemData.localEntityIds)) {
       const query = this._getEntitiesFilter(collection, syncItemData.localEntityIds);
-      delPrm = this._deleteSyncItems(collection, query);
+      delPrm = this._deleteSyncItems(collection, query, txn);
     }
 
     let upsertPrm = Promise.resolve();
     if (isNotEmpty(syncItemData.syncItemsToUpsert)) {
-      upsertPrm = this._upsertSyncItems(collection, syncItemData.syncItemsToUpsert, syncItemData.syncItemsToUpsertIds);
+      const { syncItemsToUpsert, syncItemsToUpsertIds } = syncItemData;
+      upsertPrm = this._upsertSyncItems(collection, syncItemsToUpsert, syncItemsToUpsertIds, txn);
     }
 
     return Promise.all([delPrm, upsertPrm]);
   }
 
+  // the sync item of a reverted entity replaces its pending one. An entity, which is not on the backend yet,
+  // is created. Any other is updated with all its fields, as the changes of a pending patch don't apply to it
+  addRevertEvent(collection, entity, txn) {
+    const syncOp = isLocalEntity(entity) ? SyncOperation.Create : SyncOperation.Update;
+    const syncItem = this._buildSyncItem(collection, syncOp, entity._id);
+    return this._upsertSyncItems(collection, [syncItem], [entity._id], txn);
+  }
+
   getSyncItems(collection, onlyTheseIds) {
     const query = this._getEntitiesFilter(collection, onlyTheseIds);
     return this._getRepository()
@@ -64,31 +102,32 @@ export class SyncStateManager {
       .then(repo => repo.count(this._getSyncCollectionName(collection), query));
   }
 
-  removeSyncItemForEntityId(collection, entityId) {
+  removeSyncItemForEntityId(collection, entityId, txn) {
     // this isn't using collection, because inmemory filtering is very slow
     const query = new Query().equalTo('entityId', entityId);
-    return this._deleteSyncItems(collection, query);
+    return this._deleteSyncItems(collection, query, txn);
   }
 
-  removeSyncItemsForIds(collection, entityIds = []) {
+  removeSyncItemsForIds(collection, entityIds = [], txn) {
     const query = this._getEntitiesFilter(collection, entityIds);
-    return this._deleteSyncItems(collection, query);
+    return this._deleteSyncItems(collection, query, txn);
   }
 
-  removeAllSyncItems(collection) {
+  removeAllSyncItems(collection, txn) {
     const query = this._getCollectionFilter(collection);
-    return this._deleteSyncItems(collection, query);
+    return this._deleteSyncItems(collection, query, txn);
   }
 
-  _getRepository() {
-    if (!this._repoPromise) {
-      this._repoPromise = repositoryProvider.getOfflineRepository();
+  _getRepository(txn) {
+    if (txn) {
+      return Promise.resolve(txn);
     }
-    return this._repoPromise;
+
+    return repositoryProvider.getOfflineRepository();
   }
 
-  _deleteSyncItems(collection, query) {
-    return this._getRepository()
+  _deleteSyncItems(collection, query, txn) {
+    return this._getRepository(txn)
       .then(repo => repo.delete(this._getSyncCollectionName(collection), query));
   }
 
@@ -105,12 +144,12 @@ export class SyncStateManager {
   }
 
   // entityIds are the ids of entities new sync items pertain to - optional optimization :))
-  _upsertSyncItems(collection, newSyncItems, entityIds) {
+  _upsertSyncItems(collection, newSyncItems, entityIds, txn) {
     if (!entityIds) {
       entityIds = newSyncItems.map(i => i.entityId);
     }
     const delQuery = new Query().contains('entityId', entityIds);
-    return this._getRepository()
+    return this._getRepository(txn)
       .then(repo => repo.delete(this._getSyncCollectionName(collection), delQuery).then(() => repo))
       .then(repo => repo.create(this._getSyncCollectionName(collection), newSyncItems));
   }
@@ -144,6 +183,42 @@ export class SyncStateManager {
     };
   }
 
+  // the last modified time of the deleted entity is kept, so conflicts can be detected on push
+  _buildDeleteSyncItem(collection, entity) {
+    const item = this._buildSyncItem(collection, SyncOperation.Delete, entity._id);
+    if (entity._kmd && entity._kmd.lmt) {
+      item.state.lmt = entity._kmd.lmt;
+    }
+    return item;
+  }
+
+  // a pending create or full update already sends the whole entity, so there is nothing to add to it
+  _buildPatchSyncItem(collection, entityId, changes, existingSyncItem) {
+    const existingChanges = existingSyncItem && existingSyncItem.state.changes;
+    if (existingSyncItem && !existingChanges) {
+      return null;
+    }
+
+    const item = this._buildSyncItem(collection, SyncOperation.Update, entityId);
+    item.state.changes = Object.assign({}, existingChanges, changes);
+    return item;
+  }
+
+  // the base version is the entity as it was last synced - the one before the first pending change.
+  // An entity, which is not on the backend yet, has none
+  _getBaseVersion(existingSyncItem, previousEntity) {
+    if (existingSyncItem) {
+      return existingSyncItem.state.base;
+    }
+    return previousEntity && !isLocalEntity(previousEntity) ? previousEntity : undefined;
+  }
+
+  _setBaseVersion(syncItem, base) {
+    if (base) {
+      syncItem.state.base = base;
+    }
+  }
+
   _buildSyncItemsForEntities(collection, entities, syncOp) {
     return ensureArray(entities)
       .map(e => this._buildSyncItem(collection, syncOp, e._id));
@@ -158,7 +233,7 @@ export class SyncStateManager {
       if (isLocalEntity(entity)) {
         localEntityIds.push(entity._id);
       } else {
-        const item = this._buildSyncItem(collection, SyncOperation.Delete, entity._id);
+        const item = this._buildDeleteSyncItem(collection, entity);
         syncItemsToUpsert.push(item);
         syncItemsToUpsertIds.push(entity._id);
       }
@@ -171,8 +246,8 @@ export class SyncStateManager {
     };
   }
 
-  _createSyncItems(collection, syncItems) {
-    return this._getRepository()
+  _createSyncItems(collection, syncItems, txn) {
+    return this._getRepository(txn)
       .then(repo => repo.create(this._getSyncCollectionName(collection), syncItems));
   }
 
@@ -1,6 +1,18 @@
-import { CacheStore } from './cachestore';
+import { Promise } from 'es6-promise';
+import isArray from 'lodash/isArray';
+import isObject from 'lodash/isObject';
+import isNumber from 'lodash/isNumber';
+
+import { KinveyError, NotFoundError } from '../errors';
+import { Query } from '../query';
+import { isDefined } from '../utils';
 
+import { CacheStore } from './cachestore';
+import { OperationType } from './operations';
 import { processorFactory } from './processors';
+import { SyncOperation } from './sync/sync-operation';
+import { validateEntities } from './schema-validation';
+import { setHistorySize, getEntityHistory } from './entity-history';
 
 /**
  * @private
@@ -11,5 +23,166 @@ export class SyncStore extends CacheStore {
   constructor(collection, processor, options = {}) {
     const proc = processor || processorFactory.getOfflineProcessor();
     super(collection, proc, options);
+
+    /**
+     * How many local versions of each entity are kept in its history.
+     * @type {number|undefined}
+     */
+    this.historySize = options.historySize || undefined;
+    if (isDefined(this.historySize)) {
+      setHistorySize(this.collection, this.historySize);
+    }
+  }
+
+  /**
+   * Lists the local versions of an entity, the most recent first. Each of them has the version number,
+   * the entity - null, if it was deleted - and the savedAt timestamp. The history is kept only with
+   * the historySize option of the store.
+   *
+   * @param   {string}                id                                        Id of the entity.
+   * @return  {Promise<Object[]>}                                               Versions of the entity.
+   */
+  history(id) {
+    if (!isDefined(id)) {
+      return Promise.reject(new KinveyError('Invalid or missing id.'));
+    }
+    return getEntityHistory(this.collection, id);
+  }
+
+  /**
+   * Reverts an entity to a version from its history. The pending sync item of the entity is replaced,
+   * so the next push sends the reverted entity - or deletes it, for a deleted version.
+   *
+   * @param   {string}                id                                        Id of the entity.
+   * @param   {number}                version                                   Version number from history().
+   * @return  {Promise<Object>}                                                 The reverted entity, or null,
+   *                                                                            if it was deleted.
+   */
+  revert(id, version) {
+    if (!isDefined(id)) {
+      return Promise.reject(new KinveyError('Invalid or missing id.'));
+    }
+
+    if (!isNumber(version)) {
+      return Promise.reject(new KinveyError('Invalid version. It must be a version number from the history.'));
+    }
+
+    const operation = this._buildOperationObject(OperationType.Revert, null, version, id);
+    return this._executeOperation(operation);
+  }
+
+  // protected methods
+
+  // Nothing goes over the network, so instead of one operation per entity, each kind of operation
+  // is done in a single processor operation. This writes the entities and their sync items at once.
+  _processBatch(batch, options) {
+    const resultsByIndex = {};
+    const itemsByOperation = {
+      [SyncOperation.Create]: [],
+      [SyncOperation.Update]: [],
+      [SyncOperation.Delete]: []
+    };
+
+    batch.forEach((batchItem) => {
+      const { index, item, operation } = batchItem;
+      const err = this._validateBatchItem(item, operation);
+      if (err) {
+        resultsByIndex[index] = this._buildBatchResult(item, operation, null, err);
+      } else {
+        itemsByOperation[operation].push(batchItem);
+      }
+    });
+
+    const creates = itemsByOperation[SyncOperation.Create];
+    const updates = itemsByOperation[SyncOperation.Update];
+    const deletes = itemsByOperation[SyncOperation.Delete];
+    return this._processEntityBatch(OperationType.Create, creates, resultsByIndex, options)
+      .then(() => this._processEntityBatch(OperationType.Update, updates, resultsByIndex, options))
+      .then(() => this._processDeleteBatch(deletes, resultsByIndex, options))
+      .then(() => resultsByIndex);
+  }
+
+  // private methods
+
+  _validateBatchItem(item, operation) {
+    if (operation === SyncOperation.Delete) {
+      return isDefined(item) ? null : new KinveyError('Invalid or missing id.');
+    }
+
+    if (!isObject(item) || isArray(item)) {
+      return new KinveyError('Invalid or missing entity.', item);
+    }
+
+    if (operation === SyncOperation.Update && !isDefined(item._id)) {
+      const errMsg = 'The entity provided does not contain an _id. An _id is required to update the entity.';
+      return new KinveyError(errMsg, item);
+    }
+
+    // validated here, so an invalid entity does not fail the whole batch
+    return validateEntities(this.collection, item);
+  }
+
+  _processEntityBatch(operationType, batchItems, resultsByIndex, options) {
+    if (!batchItems.length) {
+      return Promise.resolve();
+    }
+
+    const entities = batchItems.map(({ item }) => item);
+    const operation = this._buildOperationObject(operationType, null, entities);
+    return this._executeOperation(operation, options)
+      .then((processedEntities) => {
+        batchItems.forEach(({ index, item, operation: syncOp }, i) => {
+          resultsByIndex[index] = this._buildBatchResult(item, syncOp, processedEntities[i]);
+        });
+      })
+      .catch((err) => {
+        batchItems.forEach(({ index, item, operation: syncOp }) => {
+          resultsByIndex[index] = this._buildBatchResult(item, syncOp, null, err);
+        });
+      });
+  }
+
+  _processDeleteBatch(batchItems, resultsByIndex, options) {
+    if (!batchItems.length) {
+      return Promise.resolve();
+    }
+
+    const ids = batchItems.map(({ item }) => item);
+    const query = new Query().contains('_id', ids);
+    const readOperation = this._buildOperationObject(OperationType.Read, query);
+    return this._executeOperation(readOperation, options)
+      .then((existingEntities) => {
+        const existingIds = {};
+        existingEntities.forEach((entity) => {
+          existingIds[entity._id] = true;
+        });
+
+        batchItems.forEach(({ index, item, operation }) => {
+          if (!existingIds[item]) {
+            const errMsg = `An entity with id ${item} was not found in the collection "${this.collection}"`;
+            resultsByIndex[index] = this._buildBatchResult(item, operation, null, new NotFoundError(errMsg));
+          }
+        });
+
+        const existingItems = batchItems.filter(({ item }) => existingIds[item]);
+        if (!existingItems.length) {
+          return null;
+        }
+
+        const deleteOperation = this._buildOperationObject(OperationType.Delete, query);
+        return this._executeOperation(deleteOperation, options)
+          .then(() => {
+            existingItems.forEach(({ index, item, operation }) => {
+              resultsByIndex[index] = this._buildBatchResult(item, operation);
+            });
+          });
+      })
+      .catch((err) => {
+        batchItems.forEach(({ index, item, operation }) => {
+          if (!resultsByIndex[index]) {
+            resultsByIndex[index] = this._buildBatchResult(item, operation, null, err);
+          }
+        });
+      });
   }
 }
@@ -2,6 +2,7 @@ import nock from 'nock';
 import expect from 'expect';
 import { SyncOperation } from './sync';
 import { SyncStore } from './syncstore';
+import { setHistorySize } from './entity-history';
 import { DataStore, DataStoreType } from './datastore';
 import { Aggregation } from '../aggregation';
 import { Query } from '../query';
@@ -754,6 +755,138 @@ describe('SyncStore', () => {
     });
   });
 
+  describe('history()', () => {
+    afterEach(() => {
+      setHistorySize(collection);
+    });
+
+    it('should list the last local versions of the entity, the most recent first', () => {
+      const store = new SyncStore(collection, null, { historySize: 3 });
+      const entity = { _id: randomString(), title: 'a' };
+      return store.save(entity)
+        .then(() => store.save(Object.assign({}, entity, { title: 'b' })))
+        .then(() => store.save(Object.assign({}, entity, { title: 'c' })))
+        .then(() => store.removeById(entity._id))
+        .then(() => store.history(entity._id))
+        .then((versions) => {
+          expect(versions.map(v => v.version)).toEqual([4, 3, 2]);
+          expect(versions.map(v => v.entity && v.entity.title)).toEqual([null, 'c', 'b']);
+        });
+    });
+
+    it('should not keep a history without the historySize option', () => {
+      const store = new SyncStore(collection);
+      const entity = { _id: randomString(), title: 'a' };
+      return store.save(entity)
+        .then(() => store.history(entity._id))
+        .then((versions) => {
+          expect(versions).toEqual([]);
+        });
+    });
+
+    it('should remove the history of the cleared entities', () => {
+      const store = new SyncStore(collection, null, { historySize: 3 });
+      const entity = { _id: randomString(), title: 'a' };
+      return store.save(entity)
+        .then(() => store.clear())
+        .then(() => store.history(entity._id))
+        .then((versions) => {
+          expect(versions).toEqual([]);
+        });
+    });
+  });
+
+  describe('revert()', () => {
+    afterEach(() => {
+      setHistorySize(collection);
+    });
+
+    it('should revert the entity, and replace its pending patch with an update', () => {
+      const store = new SyncStore(collection, null, { historySize: 3 });
+      const entity = { _id: randomString(), title: 'a', _kmd: { lmt: new Date().toISOString() } };
+      return store.save(entity)
+        .then(() => store.save(Object.assign({}, entity, { title: 'b' })))
+        .then(() => store.revert(entity._id, 1))
+        .then((revertedEntity) => {
+          expect(revertedEntity.title).toEqual('a');
+          return store.pendingSyncEntities();
+        })
+        .then((syncItems) => {
+          expect(syncItems.length).toEqual(1);
+          expect(syncItems[0].state.operation).toEqual(SyncOperation.Update);
+          return store.history(entity._id);
+        })
+        .then((versions) => {
+          expect(versions.map(v => v.version)).toEqual([3, 2, 1]);
+        });
+    });
+
+    it('should queue a create for a reverted entity, which is not on the backend yet', () => {
+      const store = new SyncStore(collection, null, { historySize: 3 });
+      let entityId;
+      return store.save({ title: 'a' })
+        .then((entity) => {
+          entityId = entity._id;
+          return store.save(Object.assign({}, entity, { title: 'b' }));
+        })
+        .then(() => store.revert(entityId, 1))
+        .then(() => store.pendingSyncEntities())
+        .then((syncItems) => {
+          expect(syncItems.length).toEqual(1);
+          expect(syncItems[0].state.operation).toEqual(SyncOperation.Create);
+        });
+    });
+
+    it('should restore a deleted entity, replacing its pending delete', () => {
+      const store = new SyncStore(collection, null, { historySize: 3 });
+      const entity = { _id: randomString(), title: 'a' };
+      return store.save(entity)
+        .then(() => store.removeById(entity._id))
+        .then(() => store.revert(entity._id, 1))
+        .then(() => store.findById(entity._id).toPromise())
+        .then((restoredEntity) => {
+          expect(restoredEntity.title).toEqual('a');
+          return store.pendingSyncEntities();
+        })
+        .then((syncItems) => {
+          expect(syncItems.length).toEqual(1);
+          expect(syncItems[0].state.operation).toEqual(SyncOperation.Update);
+        });
+    });
+
+    it('should delete the entity, when it is reverted to a deleted version', () => {
+      const store = new SyncStore(collection, null, { historySize: 3 });
+      const entity = { _id: randomString(), title: 'a' };
+      return store.save(entity)
+        .then(() => store.removeById(entity._id))
+        .then(() => store.revert(entity._id, 1))
+        .then(() => store.revert(entity._id, 2))
+        .then((result) => {
+          expect(result).toEqual(null);
+          return store.pendingSyncCount();
+        })
+        .then((count) => {
+          expect(count).toEqual(1);
+          return store.find().toPromise();
+        })
+        .then((entities) => {
+          expect(entities).toEqual([]);
+        });
+    });
+
+    it('should return an error for a version, which is not in the history', () => {
+      const store = new SyncStore(collection, null, { historySize: 3 });
+      const entity = { _id: randomString(), title: 'a' };
+      return store.save(entity)
+        .then(() => store.revert(entity._id, 5))
+        .then(() => Promise.reject(new Error('Should not happen')))
+        .catch((error) => {
+          expect(error).toBeA(NotFoundError);
+          expect(error.message).toContain('Version 5 of the entity');
+        });
+    });
+  });
+
   describe('push', () => {
     it('should push the entities to the backend', () => {
       const store = new SyncStore(collection);
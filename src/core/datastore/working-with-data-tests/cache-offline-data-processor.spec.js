@@ -6,6 +6,7 @@ import { OperationType, Operation } from '../operations';
 import { CacheOfflineDataProcessor } from '../processors';
 import { KinveyError, NotFoundError } from '../../errors';
 import { Query } from '../../query';
+import { queryCacheCollectionName } from '../querycache';
 import { randomString } from '../../utils';
 import { KinveyObservable } from '../../observable';
 import {
@@ -289,7 +290,7 @@ describe('CacheOfflineDataProcessor', () => {
           return dataProcessor.process(operation, options)
             .then(() => {
               const spy = syncManagerMock.removeSyncItemsForIds;
-              return validateSpyCalls(spy, 1, [collection, [entityId]]);
+              return validateSpyCalls(spy, 1, [collection, [entityId], offlineRepoMock]);
             });
         });
 
@@ -298,7 +299,7 @@ describe('CacheOfflineDataProcessor', () => {
           return dataProcessor.process(operation, options)
             .then(() => {
               const spy = syncManagerMock.addDeleteEvent;
-              validateSpyCalls(spy, 1, [collection, [entity]]);
+              validateSpyCalls(spy, 1, [collection, [entity], offlineRepoMock]);
             });
         });
 
@@ -377,7 +378,7 @@ describe('CacheOfflineDataProcessor', () => {
         offlineRepoMock.create.andReturn(Promise.resolve(cloneDeep(entity)));
         return dataProcessor.process(operation, options)
           .then(() => {
-            validateSpyCalls(syncManagerMock.addCreateEvent, 1, [collection, entity]);
+            validateSpyCalls(syncManagerMock.addCreateEvent, 1, [collection, entity, offlineRepoMock]);
           });
       });
 
@@ -416,7 +417,7 @@ describe('CacheOfflineDataProcessor', () => {
         networkRepoMock.create.andReturn(Promise.resolve(networkEntityMock));
         return dataProcessor.process(operation, options)
           .then(() => {
-            validateSpyCalls(syncManagerMock.removeSyncItemForEntityId, 1, [collection, entityId]);
+            validateSpyCalls(syncManagerMock.removeSyncItemForEntityId, 1, [collection, entityId, offlineRepoMock]);
           });
       });
     });
@@ -444,7 +445,7 @@ describe('CacheOfflineDataProcessor', () => {
         offlineRepoMock.update.andReturn(Promise.resolve(cloneDeep(entity)));
         return dataProcessor.process(operation, options)
           .then(() => {
-            validateSpyCalls(syncManagerMock.addUpdateEvent, 1, [collection, entity]);
+            validateSpyCalls(syncManagerMock.addUpdateEvent, 1, [collection, entity, offlineRepoMock, []]);
           });
       });
 
@@ -472,7 +473,50 @@ describe('CacheOfflineDataProcessor', () => {
         return dataProcessor.process(operation, options)
           .then(() => {
             const spy = syncManagerMock.removeSyncItemForEntityId;
-            validateSpyCalls(spy, 1, [collection, networkEntityMock._id]);
+            validateSpyCalls(spy, 1, [collection, networkEntityMock._id, offlineRepoMock]);
+          });
+      });
+    });
+
+    describe('operation type Patch', () => {
+      let changes;
+
+      before(() => {
+        operationType = OperationType.Patch;
+      });
+
+      beforeEach(() => {
+        changes = { title: 'changed' };
+        operation = new Operation(operationType, collection, null, changes, entityId);
+        offlineRepoMock.update.andReturn(Promise.resolve(Object.assign({}, entity, changes)));
+      });
+
+      it('should call SyncManager.addPatchEvent()', () => {
+        return dataProcessor.process(operation, options)
+          .then(() => {
+            const patchedEntity = Object.assign({}, entity, changes);
+            const expectedArgs = [collection, patchedEntity, changes, offlineRepoMock, {}];
+            validateSpyCalls(syncManagerMock.addPatchEvent, 1, expectedArgs);
+          });
+      });
+
+      it('should call NetworkRepo.patchOrUpdate() with the patched entity and the changes', () => {
+        return dataProcessor.process(operation, options)
+          .then(() => {
+            const patchedEntity = Object.assign({}, entity, changes);
+            validateSpyCalls(networkRepoMock.patchOrUpdate, 1, [collection, patchedEntity, changes, options]);
+          });
+      });
+
+      it('should update the offline entity and remove the sync item, when the network patch succeeds', () => {
+        const networkEntityMock = { _id: entityId, title: 'changed', updatedBy: 'server' };
+        networkRepoMock.patchOrUpdate.andReturn(Promise.resolve(networkEntityMock));
+        return dataProcessor.process(operation, options)
+          .then((result) => {
+            expect(result).toEqual(networkEntityMock);
+            expect(offlineRepoMock.update.calls[1].arguments[1]).toEqual(networkEntityMock);
+            const spy = syncManagerMock.removeSyncItemForEntityId;
+            validateSpyCalls(spy, 1, [collection, entityId, offlineRepoMock]);
           });
       });
     });
@@ -518,7 +562,8 @@ describe('CacheOfflineDataProcessor', () => {
           offlineRepoMock.deleteById.andReturn(Promise.resolve(1));
           return dataProcessor.process(operation, options)
             .then(() => {
-              validateSpyCalls(syncManagerMock.addDeleteEvent, 1, [collection, addExpectedCreateEntityMeta(entity)]);
+              const expectedEntity = addExpectedCreateEntityMeta(entity);
+              validateSpyCalls(syncManagerMock.addDeleteEvent, 1, [collection, expectedEntity, offlineRepoMock]);
             });
         });
       });
@@ -538,7 +583,7 @@ describe('CacheOfflineDataProcessor', () => {
         it('should call SyncManager.removeSyncItemForEntityId() if network call succeeds', () => {
           return dataProcessor.process(operation, options)
             .then(() => {
-              validateSpyCalls(syncManagerMock.removeSyncItemForEntityId, 1, [collection, entityId]);
+              validateSpyCalls(syncManagerMock.removeSyncItemForEntityId, 1, [collection, entityId, offlineRepoMock]);
             });
         });
 
@@ -563,7 +608,7 @@ describe('CacheOfflineDataProcessor', () => {
             .then(() => {
               validateSpyCalls(offlineRepoMock.deleteById, 0);
               validateSpyCalls(syncManagerMock.removeSyncItemForEntityId, 0);
-              validateSpyCalls(syncManagerMock.addDeleteEvent, 1, [collection, entity]);
+              validateSpyCalls(syncManagerMock.addDeleteEvent, 1, [collection, entity, offlineRepoMock]);
             });
         });
       });
@@ -582,14 +627,16 @@ describe('CacheOfflineDataProcessor', () => {
       it('should call SyncManager.clearSync()', () => {
         return dataProcessor.process(operation, options)
           .then(() => {
-            validateSpyCalls(syncManagerMock.clearSync, 1, [collection, operation.query]);
+            validateSpyCalls(syncManagerMock.clearSync, 1, [collection, operation.query, offlineRepoMock]);
           });
       });
 
-      it('should call OfflineRepo.delete()', () => {
+      it('should call OfflineRepo.delete() for the query cache and the collection', () => {
         return dataProcessor.process(operation, options)
           .then(() => {
-            validateSpyCalls(offlineRepoMock.delete, 1, [collection, operation.query, options]);
+            const queryCacheQuery = new Query().equalTo('collectionName', collection);
+            const queryCacheArgs = [queryCacheCollectionName, queryCacheQuery];
+            validateSpyCalls(offlineRepoMock.delete, 2, queryCacheArgs, [collection, operation.query, options]);
           });
       });
     });
@@ -0,0 +1,149 @@
+import expect from 'expect';
+
+import { InmemoryOfflineRepository } from '../repositories';
+import { MemoryKeyValuePersister } from '../persisters';
+import { PromiseQueueByKey } from '../utils';
+import { syncCollectionName } from '../sync/utils';
+import { queryCacheCollectionName } from '../querycache';
+import { mockRequiresIn } from '../require-helper';
+import { Client } from '../../client';
+import { ValidationError } from '../../errors';
+import { randomString } from '../../utils';
+import { validateError } from './utils';
+
+const collection = 'books';
+
+describe('Cache snapshots', () => {
+  let cacheSnapshot;
+  let repo;
+  let entity;
+  let user;
+  let syncItem;
+  let queryCacheItem;
+
+  function createRepo() {
+    const newRepo = new InmemoryOfflineRepository(new MemoryKeyValuePersister(), new PromiseQueueByKey());
+    // every repository gets its own namespace in the shared memory storage
+    const appKey = randomString();
+    newRepo._getAppKey = () => appKey;
+    return newRepo;
+  }
+
+  function useRepo(offlineRepo) {
+    const repositoryProvider = { getOfflineRepository: () => Promise.resolve(offlineRepo) };
+    cacheSnapshot = mockRequiresIn(__dirname, '../cache-snapshot', { './repositories': { repositoryProvider } });
+  }
+
+  function expectInvalidSnapshot(snapshot, message) {
+    return cacheSnapshot.importCacheSnapshot(snapshot)
+      .then(() => Promise.reject(new Error('Should not happen')))
+      .catch((err) => {
+        validateError(err, ValidationError, message);
+      });
+  }
+
+  before(() => {
+    Client.init({ appKey: randomString(), appSecret: randomString() });
+  });
+
+  beforeEach(() => {
+    entity = { _id: randomString(), title: 'a' };
+    user = { _id: randomString(), username: 'user', password: 'secret', _kmd: { authtoken: 'token', lmt: '1' } };
+    syncItem = {
+      _id: randomString(),
+      entityId: user._id,
+      collection: 'user',
+      state: { operation: 'PUT', changes: { password: 'secret', email: 'user@example.com' } }
+    };
+    queryCacheItem = { _id: randomString(), collectionName: collection, lastRequest: new Date().toISOString() };
+    repo = createRepo();
+    useRepo(repo);
+    return repo.create(collection, entity)
+      .then(() => repo.create('user', user))
+      .then(() => repo.create(syncCollectionName, syncItem))
+      .then(() => repo.create(queryCacheCollectionName, queryCacheItem));
+  });
+
+  it('should export all collections, with the sync queue and the query cache', () => {
+    return cacheSnapshot.exportCacheSnapshot()
+      .then((snapshot) => {
+        expect(snapshot.version).toBe(1);
+        expect(snapshot.appKey).toBe(Client.sharedInstance().appKey);
+        expect(snapshot.collections).toEqual({
+          [collection]: [entity],
+          user: [user],
+          [syncCollectionName]: [syncItem],
+          [queryCacheCollectionName]: [queryCacheItem]
+        });
+      });
+  });
+
+  it('should leave out the auth fields, when they are scrubbed', () => {
+    return cacheSnapshot.exportCacheSnapshot({ scrubAuthFields: true })
+      .then(({ collections }) => {
+        expect(collections.user).toEqual([{ _id: user._id, username: 'user', _kmd: { lmt: '1' } }]);
+        expect(collections[syncCollectionName][0].state.changes).toEqual({ email: 'user@example.com' });
+        expect(collections[collection]).toEqual([entity]);
+      });
+  });
+
+  it('should replace the offline data with the snapshot', () => {
+    const targetRepo = createRepo();
+    let snapshot;
+    return cacheSnapshot.exportCacheSnapshot()
+      .then((result) => {
+        snapshot = JSON.stringify(result);
+        useRepo(targetRepo);
+        return targetRepo.create(collection, { _id: randomString() });
+      })
+      .then(() => targetRepo.create('stale', { _id: randomString() }))
+      .then(() => cacheSnapshot.importCacheSnapshot(snapshot, { scrubAuthFields: true }))
+      .then((counts) => {
+        expect(counts).toEqual({ [collection]: 1, user: 1, [syncCollectionName]: 1, [queryCacheCollectionName]: 1 });
+        return Promise.all([
+          targetRepo.read(collection),
+          targetRepo.read('stale'),
+          targetRepo.read('user'),
+          targetRepo.read(syncCollectionName)
+        ]);
+      })
+      .then(([entities, staleEntities, users, syncItems]) => {
+        expect(entities).toEqual([entity]);
+        expect(staleEntities).toEqual([]);
+        expect(users[0]._kmd).toEqual({ lmt: '1' });
+        expect(syncItems[0].entityId).toBe(user._id);
+      });
+  });
+
+  it('should not import a snapshot of another version', () => {
+    return expectInvalidSnapshot({ version: 2, collections: {} }, 'Invalid cache snapshot: version must be 1');
+  });
+
+  it('should not import a snapshot, which is not valid JSON', () => {
+    return expectInvalidSnapshot('{"version":', 'Invalid cache snapshot');
+  });
+
+  it('should not import any entity of a snapshot with invalid entities', () => {
+    const snapshot = {
+      version: 1,
+      collections: {
+        [collection]: [{ title: 'b' }, { _id: '1' }, { _id: '1' }],
+        [syncCollectionName]: {}
+      }
+    };
+    return cacheSnapshot.importCacheSnapshot(snapshot)
+      .then(() => Promise.reject(new Error('Should not happen')))
+      .catch((err) => {
+        expect(err).toBeA(ValidationError);
+        expect(err.errors).toEqual([
+          { field: `collections.${collection}[0]._id`, message: 'is required' },
+          { field: `collections.${collection}[2]._id`, message: 'is the same as the _id of another entity: 1' },
+          { field: `collections.${syncCollectionName}`, message: 'must be an array of entities' }
+        ]);
+        return repo.read(collection);
+      })
+      .then((entities) => {
+        expect(entities).toEqual([entity]);
+      });
+  });
+});
@@ -0,0 +1,229 @@
+import expect from 'expect';
+
+import {
+  setCollectionTtl,
+  cacheTimesCollectionName,
+  getCacheTimeRecords,
+  isCacheExpired,
+  isCacheSweepDue
+} from '../cache-ttl';
+import { DataStoreEvent, ChangeSource, onDataStoreEvent } from '../store-events';
+import { mockRequiresIn } from '../require-helper';
+import { OperationType, Operation } from '../operations';
+import { CacheOfflineDataProcessor } from '../processors';
+import { ReadPolicy } from '../read-policy';
+import { InmemoryOfflineRepository } from '../repositories';
+import { MemoryKeyValuePersister } from '../persisters';
+import { PromiseQueueByKey } from '../utils';
+import { applyQueryToDataset } from '../repositories/utils';
+import { KinveyError } from '../../errors';
+import { Query } from '../../query';
+import { randomString } from '../../utils';
+import { createPromiseSpy, getRepoMock, getSyncManagerMock, validateSpyCalls } from './utils';
+
+const ttl = 60 * 1000;
+
+function getCacheTimeRecord(collection, entity, ageInMs) {
+  const [record] = getCacheTimeRecords(collection, entity);
+  record.cachedAt = new Date(Date.now() - ageInMs).toISOString();
+  return record;
+}
+
+describe('Cache ttl', () => {
+  let collection;
+
+  beforeEach(() => {
+    collection = randomString();
+  });
+
+  describe('setCollectionTtl()', () => {
+    it('should throw an error for an invalid ttl', () => {
+      expect(() => setCollectionTtl(collection, -1)).toThrow(KinveyError);
+      expect(() => setCollectionTtl(collection, '1000')).toThrow(KinveyError);
+    });
+  });
+
+  describe('getCacheTimeRecords()', () => {
+    it('should return no records for a collection without a ttl', () => {
+      expect(getCacheTimeRecords(collection, { _id: randomString() })).toEqual([]);
+    });
+
+    it('should return the cache time of each entity, without changing the entities', () => {
+      const entity = { _id: randomString(), _kmd: { lmt: '2018-01-01T00:00:00.000Z' } };
+      setCollectionTtl(collection, ttl);
+      const [record] = getCacheTimeRecords(collection, [entity]);
+      expect(entity).toEqual({ _id: entity._id, _kmd: { lmt: '2018-01-01T00:00:00.000Z' } });
+      expect(record.collectionName).toBe(collection);
+      expect(record.entityId).toBe(entity._id);
+      expect(isCacheExpired(record.cachedAt, ttl)).toBe(false);
+      expect(isCacheExpired(record.cachedAt, ttl, Date.now() + ttl + 1)).toBe(true);
+    });
+  });
+
+  it('should not expire entities without a cache time', () => {
+    expect(isCacheExpired(undefined, ttl)).toBe(false);
+  });
+
+  describe('InmemoryOfflineRepository', () => {
+    let repo;
+
+    beforeEach(() => {
+      repo = new InmemoryOfflineRepository(new MemoryKeyValuePersister(), new PromiseQueueByKey());
+      const appKey = randomString();
+      repo._getAppKey = () => appKey;
+      setCollectionTtl(collection, ttl);
+    });
+
+    it('should keep the cache times apart from the entities', () => {
+      const entity = { _id: randomString(), _kmd: { lmt: '2018-01-01T00:00:00.000Z' } };
+      const savedEntity = { _id: entity._id, _kmd: { lmt: '2018-01-01T00:00:00.000Z' } };
+      return repo.create(collection, [entity])
+        .then((result) => {
+          expect(result).toEqual([savedEntity]);
+          expect(entity).toEqual(savedEntity);
+          return repo.read(collection);
+        })
+        .then((entities) => {
+          expect(entities).toEqual([savedEntity]);
+          return repo.read(cacheTimesCollectionName);
+        })
+        .then((records) => {
+          expect(records.length).toBe(1);
+          expect(records[0].entityId).toBe(entity._id);
+        });
+    });
+
+    it('should record the cache times of the entities written in a transaction', () => {
+      const entity = { _id: randomString() };
+      return repo.transaction(transaction => transaction.update(collection, entity))
+        .then(() => repo.readById(collection, entity._id))
+        .then((savedEntity) => {
+          expect(savedEntity).toEqual({ _id: entity._id });
+          return repo.read(cacheTimesCollectionName);
+        })
+        .then((records) => {
+          expect(records.map(r => r.entityId)).toEqual([entity._id]);
+        });
+    });
+  });
+
+  describe('SyncManager', () => {
+    let offlineRepoMock;
+    let syncStateManagerMock;
+    let clearQueryCacheSpy;
+    let syncManager;
+    let freshEntity;
+    let expiredEntity;
+    let pendingEntity;
+
+    beforeEach(() => {
+      setCollectionTtl(collection, ttl);
+      freshEntity = { _id: randomString() };
+      expiredEntity = { _id: randomString() };
+      pendingEntity = { _id: randomString() };
+      const cacheTimeRecords = [
+        getCacheTimeRecord(collection, freshEntity, 1000),
+        getCacheTimeRecord(collection, expiredEntity, 2 * ttl),
+        getCacheTimeRecord(collection, pendingEntity, 2 * ttl)
+      ];
+      offlineRepoMock = getRepoMock({ delete: 1 });
+      offlineRepoMock.entities = [freshEntity, expiredEntity, pendingEntity];
+      offlineRepoMock.read = expect.createSpy().andCall((coll, query) => {
+        const data = coll === cacheTimesCollectionName ? cacheTimeRecords : offlineRepoMock.entities;
+        return Promise.resolve(applyQueryToDataset(data, query));
+      });
+      syncStateManagerMock = { getSyncItems: createPromiseSpy([{ entityId: pendingEntity._id }]) };
+      clearQueryCacheSpy = createPromiseSpy();
+      const requireMocks = {
+        '../repositories': { repositoryProvider: { getOfflineRepository: () => Promise.resolve(offlineRepoMock) } },
+        '../querycache': { clearQueryCache: clearQueryCacheSpy }
+      };
+      const ProxiedSyncManager = mockRequiresIn(__dirname, '../sync/sync-manager', requireMocks, 'SyncManager');
+      syncManager = new ProxiedSyncManager(getRepoMock(), syncStateManagerMock);
+    });
+
+    it('should leave out the expired entities, which are not pending push', () => {
+      return syncManager.excludeExpiredEntities(collection, [freshEntity, expiredEntity, pendingEntity])
+        .then((entities) => {
+          expect(entities).toEqual([freshEntity, pendingEntity]);
+          validateSpyCalls(syncStateManagerMock.getSyncItems, 1, [collection, [expiredEntity._id, pendingEntity._id]]);
+        });
+    });
+
+    it('should purge the expired entities and clear the query cache', () => {
+      const handlerSpy = expect.createSpy();
+      const removeHandler = onDataStoreEvent(collection, DataStoreEvent.Remove, handlerSpy);
+      return syncManager.purgeExpiredEntities(collection)
+        .then((count) => {
+          removeHandler();
+          expect(count).toBe(1);
+          const cacheTimesQuery = new Query().contains('_id', [getCacheTimeRecords(collection, expiredEntity)[0]._id]);
+          validateSpyCalls(
+            offlineRepoMock.delete,
+            2,
+            [collection, new Query().contains('_id', [expiredEntity._id])],
+            [cacheTimesCollectionName, cacheTimesQuery]
+          );
+          validateSpyCalls(clearQueryCacheSpy, 1, [collection]);
+          validateSpyCalls(handlerSpy, 1, [{ collection, ids: [expiredEntity._id], source: ChangeSource.Expiry }]);
+          expect(isCacheSweepDue(collection)).toBe(false);
+        });
+    });
+
+    it('should not clear the query cache, if no entity expired', () => {
+      offlineRepoMock.entities = [freshEntity];
+      return syncManager.purgeExpiredEntities(collection)
+        .then((count) => {
+          expect(count).toBe(0);
+          expect(offlineRepoMock.delete).toNotHaveBeenCalled();
+          expect(clearQueryCacheSpy).toNotHaveBeenCalled();
+        });
+    });
+  });
+
+  describe('CacheOfflineDataProcessor', () => {
+    it('should not emit the expired entities from the cache', () => {
+      const freshEntity = { _id: randomString() };
+      const expiredEntity = { _id: randomString() };
+      const networkEntity = { _id: randomString() };
+      const offlineRepoMock = getRepoMock({ read: [freshEntity, expiredEntity] });
+      const networkRepoMock = getRepoMock({ read: { data: [networkEntity] } });
+      const syncManagerMock = getSyncManagerMock();
+      syncManagerMock.excludeExpiredEntities = createPromiseSpy([freshEntity]);
+      syncManagerMock.purgeExpiredEntities = createPromiseSpy(1);
+      const processor = new CacheOfflineDataProcessor(syncManagerMock, networkRepoMock);
+      // proxyquire can't reliably mock this, so overwriting private property :(
+      processor._getRepository = () => Promise.resolve(offlineRepoMock);
+      const onNextSpy = expect.createSpy();
+      setCollectionTtl(collection, ttl);
+
+      return processor.process(new Operation(OperationType.Read, collection), {})
+        .forEach(onNextSpy)
+        .then(() => {
+          validateSpyCalls(syncManagerMock.excludeExpiredEntities, 1, [collection, [freshEntity, expiredEntity]]);
+          validateSpyCalls(onNextSpy, 2, [[freshEntity]], [[networkEntity]]);
+          validateSpyCalls(syncManagerMock.purgeExpiredEntities, 1, [collection]);
+        });
+    });
+
+    it('should not fail the read, when the expired entities can not be removed', () => {
+      const networkEntity = { _id: randomString() };
+      const networkRepoMock = getRepoMock({ read: { data: [networkEntity] } });
+      const syncManagerMock = getSyncManagerMock();
+      syncManagerMock.excludeExpiredEntities = createPromiseSpy([]);
+      syncManagerMock.purgeExpiredEntities = () => {
+        throw new KinveyError('The sweep failed');
+      };
+      const processor = new CacheOfflineDataProcessor(syncManagerMock, networkRepoMock);
+      processor._getRepository = () => Promise.resolve(getRepoMock({ read: [] }));
+      const onNextSpy = expect.createSpy();
+      setCollectionTtl(collection, ttl);
+
+      return processor.process(new Operation(OperationType.Read, collection), { readPolicy: ReadPolicy.NetworkFirst })
+        .forEach(onNextSpy)
+        .then(() => {
+          validateSpyCalls(onNextSpy, 1, [[networkEntity]]);
+        });
+    });
+  });
+});
@@ -0,0 +1,148 @@
+import expect from 'expect';
+
+import { setCollectionIndexes, getIndexValues, getIndexPlan } from '../collection-indexes';
+import { KeyValueStoreOfflineRepository } from '../repositories';
+import { KeyValueStorePersister, SqlKeyValueStorePersister } from '../persisters';
+import { PromiseQueueByKey } from '../utils';
+import { KinveyError } from '../../errors';
+import { Query } from '../../query';
+import { randomString } from '../../utils';
+import { createPromiseSpy, validateSpyCalls } from './utils';
+
+describe('Collection indexes', () => {
+  let collection;
+
+  beforeEach(() => {
+    collection = randomString();
+  });
+
+  it('should throw an error for invalid indexes', () => {
+    expect(() => setCollectionIndexes(collection, 'status')).toThrow(KinveyError);
+    expect(() => setCollectionIndexes(collection, ['status', ''])).toThrow(KinveyError);
+  });
+
+  describe('getIndexValues()', () => {
+    it('should return the string and number values of a field, searching the arrays along its path', () => {
+      const entity = { owners: [{ _id: 'a' }, { _id: 'b' }, { _id: true }], tags: ['x', 'x', 1] };
+      expect(getIndexValues(entity, 'owners._id')).toEqual(['a', 'b']);
+      expect(getIndexValues(entity, 'tags')).toEqual(['x', 1]);
+      expect(getIndexValues(entity, 'missing')).toEqual([]);
+    });
+  });
+
+  describe('getIndexPlan()', () => {
+    const indexes = ['status', 'owner._id', 'year'];
+
+    it('should prefer the equality filter with the fewest values', () => {
+      const query = new Query()
+        .contains('status', ['new', 'done'])
+        .equalTo('owner._id', '1')
+        .greaterThan('year', 2000);
+      expect(getIndexPlan(query, indexes)).toEqual({ field: 'owner._id', values: ['1'] });
+    });
+
+    it('should combine the bounds of a range filter', () => {
+      const query = new Query().greaterThan('year', 2000).lessThanOrEqualTo('year', 2010);
+      expect(getIndexPlan(query, indexes)).toEqual({
+        field: 'year',
+        lower: 2000,
+        lowerOpen: true,
+        upper: 2010,
+        upperOpen: false
+      });
+    });
+
+    it('should use the conditions of an $and filter', () => {
+      const query = new Query().equalTo('status', 'new').and(new Query().equalTo('title', 'A'));
+      expect(getIndexPlan(query, indexes)).toEqual({ field: 'status', values: ['new'] });
+    });
+
+    it('should return null, if no indexed field has an equality or range filter', () => {
+      expect(getIndexPlan(new Query().equalTo('title', 'A'), indexes)).toBe(null);
+      expect(getIndexPlan(new Query().notEqualTo('status', 'new'), indexes)).toBe(null);
+      expect(getIndexPlan(new Query().equalTo('status', 'new').or(new Query()), indexes)).toBe(null);
+      expect(getIndexPlan(undefined, indexes)).toBe(null);
+    });
+  });
+
+  describe('KeyValueStoreOfflineRepository', () => {
+    let persister;
+    let repository;
+    let newEntity;
+    let doneEntity;
+
+    beforeEach(() => {
+      newEntity = { _id: randomString(), status: 'new' };
+      doneEntity = { _id: randomString(), status: 'done' };
+      persister = new KeyValueStorePersister();
+      persister.read = createPromiseSpy([newEntity, doneEntity]);
+      persister.readEntitiesByIndex = createPromiseSpy([newEntity, doneEntity]);
+      repository = new KeyValueStoreOfflineRepository(persister, new PromiseQueueByKey());
+      setCollectionIndexes(collection, ['status']);
+    });
+
+    it('should read the candidates by the index, and apply the query to them', () => {
+      const query = new Query().equalTo('status', 'new');
+      return repository.read(collection, query)
+        .then((entities) => {
+          expect(entities).toEqual([newEntity]);
+          validateSpyCalls(persister.readEntitiesByIndex, 1, [collection, { field: 'status', values: ['new'] }]);
+          expect(persister.read).toNotHaveBeenCalled();
+        });
+    });
+
+    it('should read all entities, if the query can not use an index', () => {
+      return repository.count(collection, new Query().equalTo('title', 'A'))
+        .then((count) => {
+          expect(count).toBe(0);
+          validateSpyCalls(persister.read, 1, [collection]);
+          expect(persister.readEntitiesByIndex).toNotHaveBeenCalled();
+        });
+    });
+  });
+
+  describe('SqlKeyValueStorePersister', () => {
+    let sqlModule;
+    let persister;
+    let entity;
+
+    beforeEach(() => {
+      entity = { _id: randomString(), status: 'new', tags: ['a', 'b'] };
+      sqlModule = {
+        openTransaction: expect.createSpy().andCall((c, query) => Promise.resolve(Array.isArray(query) ? [] : [entity]))
+      };
+      persister = new SqlKeyValueStorePersister(sqlModule);
+      setCollectionIndexes(collection, ['status', 'tags']);
+    });
+
+    it('should write the index rows along with the entities', () => {
+      return persister.writeEntities(collection, [entity])
+        .then(() => {
+          const queries = sqlModule.openTransaction.calls[0].arguments[1];
+          const indexRows = queries
+            .filter(([sql]) => sql.indexOf('INSERT INTO') === 0)
+            .map(([, parameters]) => parameters);
+          expect(indexRows).toEqual([
+            [entity._id, 'status', 'new'],
+            [entity._id, 'tags', 'a'],
+            [entity._id, 'tags', 'b']
+          ]);
+        });
+    });
+
+    it('should build the index once, and then read the entities by it', () => {
+      const indexPlan = { field: 'tags', values: ['a', 'c'] };
+      return persister.readEntitiesByIndex(collection, indexPlan)
+        .then(() => persister.readEntitiesByIndex(collection, indexPlan))
+        .then((entities) => {
+          expect(entities).toEqual([entity]);
+          // the entities are read and their index rows written once, then each read is a single query
+          expect(sqlModule.openTransaction.calls.length).toBe(4);
+          const [, sql, parameters] = sqlModule.openTransaction.calls[3].arguments;
+          expect(sql).toBe(`SELECT value FROM #{collection} WHERE key IN (SELECT key FROM "${collection}#index"`
+            + ' WHERE field = ? AND value IN (?, ?))');
+          expect(parameters).toEqual(['tags', 'a', 'c']);
+        });
+    });
+  });
+});
@@ -1,8 +1,10 @@
 import expect from 'expect';
 
 import { randomString } from '../../utils';
+import { KinveyError, NotFoundError } from '../../errors';
 
 import { OperationType } from '../operations';
+import { SyncOperation } from '../sync';
 import { DataStoreType } from '../datastore';
 import { Query } from '../../query';
 import { Aggregation } from '../../aggregation';
@@ -100,6 +102,18 @@ describe('Data stores delegate correctly to data processor', () => {
           });
       });
 
+      it('patch()', () => {
+        const id = randomString();
+        const changes = { test: true };
+        return store.patch(id, changes, testOptions)
+          .then(() => {
+            expect(spy.calls.length).toBe(1);
+            const operation = spy.calls[0].arguments[0];
+            validateOperationObj(operation, OperationType.Patch, collection, undefined, operation.data, id);
+            expect(operation.data).toEqual(changes);
+          });
+      });
+
       it('save() with _id', () => {
         const entity = { _id: randomString(), test: true };
         return store.save(entity, testOptions)
@@ -144,3 +158,135 @@ describe('Data stores delegate correctly to data processor', () => {
     });
   });
 });
+
+describe('Data stores batch methods', () => {
+  dataStoreTypes.forEach((type) => {
+    describe(`${type}Store`, () => {
+      const isSyncStore = type === DataStoreType.Sync;
+      /** @type {NetworkStore} */
+      let store;
+      let processorMock;
+
+      beforeEach(() => {
+        processorMock = {
+          process: expect.createSpy().andCall((op) => {
+            if (op.type === OperationType.Read) {
+              return Promise.resolve([]);
+            }
+            if (op.type === OperationType.DeleteById) {
+              return Promise.resolve(1);
+            }
+            const entities = [].concat(op.data).map(e => Object.assign({ _id: randomString() }, e));
+            return Promise.resolve(Array.isArray(op.data) ? entities : entities[0]);
+          })
+        };
+        store = datastoreFactory[type](collection, processorMock);
+      });
+
+      it('should reject when the entities are not an array', () => {
+        return store.createMany({})
+          .then(() => Promise.reject(new Error('Should not happen')))
+          .catch((err) => {
+            expect(err).toBeA(KinveyError);
+          });
+      });
+
+      it('createMany() should return a result per entity, in order', () => {
+        const entities = [{ title: 'a' }, { title: 'b' }];
+        return store.createMany(entities)
+          .then((results) => {
+            expect(results.length).toBe(2);
+            results.forEach((result, i) => {
+              expect(result.operation).toBe(SyncOperation.Create);
+              expect(result.entity.title).toBe(entities[i].title);
+              expect(result._id).toBe(result.entity._id);
+              expect(result.error).toNotExist();
+            });
+
+            if (isSyncStore) {
+              expect(processorMock.process.calls.length).toBe(1);
+              const operation = processorMock.process.calls[0].arguments[0];
+              expect(operation.type).toBe(OperationType.Create);
+              expect(operation.data).toEqual(entities);
+            } else {
+              expect(processorMock.process.calls.length).toBe(2);
+            }
+          });
+      });
+
+      it('saveMany() should update the entities with an _id and create the rest', () => {
+        const entities = [{ _id: randomString() }, { title: 'new' }];
+        return store.saveMany(entities)
+          .then((results) => {
+            expect(results.map(r => r.operation)).toEqual([SyncOperation.Update, SyncOperation.Create]);
+            expect(results[0]._id).toBe(entities[0]._id);
+          });
+      });
+
+      it('updateMany() should return an error result for entities without an _id', () => {
+        const entities = [{ title: 'no id' }, { _id: randomString() }];
+        return store.updateMany(entities)
+          .then((results) => {
+            expect(results[0].error).toBeA(KinveyError);
+            expect(results[1].error).toNotExist();
+            expect(results[1]._id).toBe(entities[1]._id);
+          });
+      });
+
+      it('should return an error result for the entities of a failed operation', () => {
+        processorMock.process = expect.createSpy().andReturn(Promise.reject(new KinveyError('test')));
+        return store.updateMany([{ _id: randomString() }])
+          .then((results) => {
+            expect(results.length).toBe(1);
+            expect(results[0].error).toBeA(KinveyError);
+          });
+      });
+
+      it('should not run more than maxConcurrency operations at the same time', () => {
+        let running = 0;
+        let maxRunning = 0;
+        processorMock.process = expect.createSpy().andCall((op) => {
+          running += 1;
+          maxRunning = Math.max(maxRunning, running);
+          return new Promise(resolve => setTimeout(resolve, 5))
+            .then(() => {
+              running -= 1;
+              return op.data;
+            });
+        });
+        const entities = [1, 2, 3, 4, 5].map(() => ({ _id: randomString() }));
+        return store.updateMany(entities, { maxConcurrency: 2 })
+          .then(() => {
+            expect(maxRunning).toBeLessThanOrEqualTo(isSyncStore ? 1 : 2);
+          });
+      });
+
+      if (isSyncStore) {
+        it('removeByIds() should delete the existing entities in a single operation', () => {
+          const existingId = randomString();
+          const missingId = randomString();
+          processorMock.process = expect.createSpy().andCall((op) => {
+            return Promise.resolve(op.type === OperationType.Read ? [{ _id: existingId }] : 1);
+          });
+          return store.removeByIds([existingId, missingId])
+            .then((results) => {
+              expect(results[0]).toEqual({ _id: existingId, operation: SyncOperation.Delete });
+              expect(results[1].error).toBeA(NotFoundError);
+              const deleteCalls = processorMock.process.calls
+                .filter(call => call.arguments[0].type === OperationType.Delete);
+              expect(deleteCalls.length).toBe(1);
+            });
+        });
+      } else {
+        it('removeByIds() should remove the entities one by one', () => {
+          const ids = [randomString(), randomString()];
+          return store.removeByIds(ids)
+            .then((results) => {
+              expect(results).toEqual(ids.map(_id => ({ _id, operation: SyncOperation.Delete })));
+              expect(processorMock.process.calls.length).toBe(2);
+            });
+        });
+      }
+    });
+  });
+});
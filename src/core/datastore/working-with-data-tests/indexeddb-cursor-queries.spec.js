@@ -0,0 +1,220 @@
+import expect from 'expect';
+
+import { setCollectionIndexes } from '../collection-indexes';
+import { IndexedDbKeyValueStorePersister } from '../persisters';
+import { Query } from '../../query';
+import { randomString } from '../../utils';
+
+function isValidKey(value) {
+  return typeof value === 'string' || (typeof value === 'number' && !Number.isNaN(value))
+    || value instanceof Date || Array.isArray(value);
+}
+
+function getKeyType(key) {
+  if (Array.isArray(key)) {
+    return 'array';
+  }
+  return key instanceof Date ? 'date' : typeof key;
+}
+
+// the order of the keys in IndexedDB: numbers, dates, strings, arrays
+function compareKeys(a, b) {
+  const rank = key => ['number', 'date', 'string', 'array'].indexOf(getKeyType(key));
+  if (rank(a) !== rank(b)) {
+    return rank(a) - rank(b);
+  }
+  if (a === b) {
+    return 0;
+  }
+  return a < b ? -1 : 1;
+}
+
+// the keys of a multi entry index, like IndexedDB reads them by the key path - it doesn't step into arrays
+function getKeyPathValues(entity, keyPath) {
+  const value = keyPath.split('.')
+    .reduce((result, name) => (result && !Array.isArray(result) ? result[name] : undefined), entity);
+  if (Array.isArray(value)) {
+    return value.filter(isValidKey).filter((key, i, keys) => keys.indexOf(key) === i);
+  }
+  return isValidKey(value) ? [value] : [];
+}
+
+// an object store, which implements the cursors the persister opens, and counts the records they read
+function createObjectStore(entities, indexNames) {
+  const store = { readCount: 0, openedCursors: [] };
+
+  function openCursor(records, source, range, direction) {
+    const request = {};
+    const matchingRecords = records.filter(record => !range || range.includes(record.key));
+    if (direction === 'prev') {
+      matchingRecords.reverse();
+    }
+    store.openedCursors.push({ source, direction });
+
+    const readRecord = (position) => {
+      setTimeout(() => {
+        const record = matchingRecords[position];
+        const cursor = record ? {
+          value: record.value,
+          primaryKey: record.value._id,
+          continue: () => readRecord(position + 1)
+        } : null;
+        store.readCount += record ? 1 : 0;
+        request.onsuccess({ target: { result: cursor } });
+      });
+    };
+
+    readRecord(0);
+    return request;
+  }
+
+  store.indexNames = indexNames;
+  store.openCursor = (range, direction) => {
+    const records = entities.map(value => ({ key: value._id, value }));
+    return openCursor(records, 'store', range, direction);
+  };
+  store.index = (field) => {
+    if (indexNames.indexOf(field) === -1) {
+      throw new Error(`The ${field} index was not found.`);
+    }
+
+    return {
+      openCursor: (range, direction) => {
+        const records = entities
+          .reduce((result, value) => result.concat(getKeyPathValues(value, field).map(key => ({ key, value }))), [])
+          .sort((a, b) => compareKeys(a.key, b.key));
+        return openCursor(records, field, range, direction);
+      }
+    };
+  };
+  return store;
+}
+
+describe('IndexedDB cursor queries', () => {
+  const KeyRange = {
+    only: value => ({ includes: key => key === value }),
+    bound: (lower, upper, lowerOpen, upperOpen) => ({
+      includes: key => (lowerOpen ? key > lower : key >= lower) && (upperOpen ? key < upper : key <= upper)
+    }),
+    lowerBound: (lower, open) => ({ includes: key => (open ? key > lower : key >= lower) }),
+    upperBound: (upper, open) => ({ includes: key => (open ? key < upper : key <= upper) })
+  };
+  let previousKeyRange;
+  let collection;
+  let entities;
+  let store;
+  let persister;
+
+  before(() => {
+    previousKeyRange = global.IDBKeyRange;
+    global.IDBKeyRange = KeyRange;
+  });
+
+  after(() => {
+    global.IDBKeyRange = previousKeyRange;
+  });
+
+  beforeEach(() => {
+    collection = randomString();
+    entities = [
+      { _id: '1', year: 1999, status: 'new' },
+      { _id: '2', year: 2005, status: 'done' },
+      { _id: '3', year: 2010, status: 'new' },
+      { _id: '4', year: 2015, status: 'new' },
+      { _id: '5', status: 'new' }
+    ];
+    setCollectionIndexes(collection, ['year']);
+    store = createObjectStore(entities, ['year']);
+    persister = new IndexedDbKeyValueStorePersister();
+    persister._openTransaction = (c, write, success) => {
+      store.writeTransactions = (store.writeTransactions || 0) + (write ? 1 : 0);
+      return success({ objectStore: () => store });
+    };
+  });
+
+  it('should read the index in the order of the sort, and stop at the limit', () => {
+    const query = new Query()
+      .greaterThan('year', 2000)
+      .equalTo('status', 'new')
+      .descending('year');
+    query.limit = 1;
+    return persister.readEntitiesByQuery(collection, query)
+      .then((result) => {
+        expect(result).toEqual({ entities: [entities[3]], complete: true });
+        expect(store.openedCursors).toEqual([{ source: 'year', direction: 'prev' }]);
+        expect(store.readCount).toBe(1);
+      });
+  });
+
+  it('should apply the skip while reading the index', () => {
+    const query = new Query().contains('year', [2015, 1999, 2005]).ascending('year');
+    query.skip = 1;
+    return persister.readEntitiesByQuery(collection, query)
+      .then((result) => {
+        expect(result).toEqual({ entities: [entities[1], entities[3]], complete: true });
+        expect(store.openedCursors.length).toBe(3);
+      });
+  });
+
+  it('should keep the matching entities only, when the sort can not be read from the index', () => {
+    const query = new Query()
+      .greaterThanOrEqualTo('year', 2005)
+      .equalTo('status', 'new')
+      .descending('_id');
+    query.limit = 1;
+    return persister.readEntitiesByQuery(collection, query)
+      .then((result) => {
+        expect(result).toEqual({ entities: [entities[2], entities[3]], complete: false });
+        expect(store.openedCursors).toEqual([{ source: 'year', direction: 'next' }]);
+      });
+  });
+
+  it('should evaluate the filter with a cursor over the object store, if no index can be used', () => {
+    const query = new Query().equalTo('status', 'new');
+    query.skip = 1;
+    query.limit = 2;
+    return persister.readEntitiesByQuery(collection, query)
+      .then((result) => {
+        expect(result).toEqual({ entities: [entities[2], entities[3]], complete: true });
+        expect(store.openedCursors).toEqual([{ source: 'store', direction: 'next' }]);
+        expect(store.readCount).toBe(4);
+      });
+  });
+
+  it('should not read the index of a field, whose path steps into an array', () => {
+    const orders = [
+      { _id: '1', items: [{ product: 'a' }, { product: 'b' }] },
+      { _id: '2', items: [{ product: 'c' }] },
+      { _id: '3', customer: { country: 'BG' } }
+    ];
+    const query = new Query().equalTo('items.product', 'b');
+    setCollectionIndexes(collection, ['items.product']);
+    store = createObjectStore(orders, ['items.product']);
+    return persister.readEntitiesByQuery(collection, query)
+      .then((result) => {
+        expect(result).toEqual({ entities: [orders[0]], complete: true });
+        expect(store.openedCursors).toEqual([{ source: 'store', direction: 'next' }]);
+      });
+  });
+
+  it('should read the values of a $in filter in the order of the index, the numbers before the strings', () => {
+    const query = new Query().contains('year', ['2000', 2015, '1990', 1999]).ascending('year');
+    entities.push({ _id: '6', year: '2000' }, { _id: '7', year: '1990' });
+    return persister.readEntitiesByQuery(collection, query)
+      .then((result) => {
+        expect(result.entities.map(entity => entity._id)).toEqual(['1', '4', '7', '6']);
+        expect(result.complete).toBe(true);
+      });
+  });
+
+  it('should read the whole object store, without creating the index, when the index is missing', () => {
+    const query = new Query().greaterThan('year', 2000).ascending('year');
+    store = createObjectStore(entities, []);
+    return persister.readEntitiesByQuery(collection, query)
+      .then((result) => {
+        expect(result).toEqual({ entities: [entities[1], entities[2], entities[3]], complete: false });
+        expect(store.openedCursors).toEqual([{ source: 'store', direction: 'next' }]);
+        expect(store.writeTransactions).toBe(0);
+      });
+  });
+});
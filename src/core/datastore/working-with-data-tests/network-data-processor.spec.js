@@ -37,7 +37,7 @@ describe('NetworkDataProcessor', () => {
         });
     });
 
-    const validOperationTypes = omit(OperationType, 'Clear');
+    const validOperationTypes = omit(OperationType, ['Clear', 'Revert']);
     each(validOperationTypes, (operationType, operationName) => {
       describe(`processing a ${operationName} operation`, () => {
         let operation;
@@ -52,6 +52,7 @@ describe('NetworkDataProcessor', () => {
             [OperationType.Read]: [collection, operation.query, options],
             [OperationType.ReadById]: [collection, operation.entityId, options],
             [OperationType.Update]: [collection, operation.data, options],
+            [OperationType.Patch]: [collection, operation.entityId, operation.data, options],
             [OperationType.Delete]: [collection, operation.query, options],
             [OperationType.DeleteById]: [collection, operation.entityId, options],
             [OperationType.Count]: [collection, operation.query, options],
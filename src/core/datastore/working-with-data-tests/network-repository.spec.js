@@ -0,0 +1,56 @@
+import expect from 'expect';
+
+import { NetworkRepository } from '../repositories';
+import { FeatureUnavailableError, KinveyError } from '../../errors';
+import { randomString } from '../../utils';
+import { createPromiseSpy, validateError, validateSpyCalls } from './utils';
+
+const collection = 'books';
+
+describe('NetworkRepository', () => {
+  describe('patchOrUpdate()', () => {
+    /** @type {NetworkRepository} */
+    let repo;
+    let entity;
+    let changes;
+    let options;
+
+    beforeEach(() => {
+      repo = new NetworkRepository();
+      changes = { title: 'changed' };
+      entity = { _id: randomString(), title: 'changed', author: 'someone' };
+      options = { timeout: 10 };
+      repo.update = createPromiseSpy(entity);
+    });
+
+    it('should send only the changes', () => {
+      repo.patch = createPromiseSpy(entity);
+      return repo.patchOrUpdate(collection, entity, changes, options)
+        .then((result) => {
+          expect(result).toBe(entity);
+          validateSpyCalls(repo.patch, 1, [collection, entity._id, changes, options]);
+          validateSpyCalls(repo.update, 0);
+        });
+    });
+
+    [new FeatureUnavailableError(), new KinveyError('Method not allowed', null, 405)].forEach((err) => {
+      it(`should send the whole entity, when the patch fails with a ${err.name} with code ${err.code}`, () => {
+        repo.patch = createPromiseSpy(err, true);
+        return repo.patchOrUpdate(collection, entity, changes, options)
+          .then(() => {
+            validateSpyCalls(repo.update, 1, [collection, entity, options]);
+          });
+      });
+    });
+
+    it('should return other errors', () => {
+      repo.patch = createPromiseSpy(new KinveyError('test'), true);
+      return repo.patchOrUpdate(collection, entity, changes, options)
+        .then(() => Promise.reject(new Error('Should not happen')))
+        .catch((err) => {
+          validateError(err, KinveyError, 'test');
+          validateSpyCalls(repo.update, 0);
+        });
+    });
+  });
+});
@@ -1,10 +1,12 @@
+import expect from 'expect';
 import each from 'lodash/each';
 import omit from 'lodash/omit';
 
 import { OperationType, Operation } from '../operations';
 import { mockRequiresIn } from '../require-helper';
-import { KinveyError } from '../../errors';
+import { KinveyError, NotFoundError } from '../../errors';
 import { Query } from '../../query';
+import { queryCacheCollectionName } from '../querycache';
 import {
   getRepoMock,
   validateError,
@@ -68,14 +70,53 @@ describe('OfflineDataProcessor', () => {
       it('should call SyncManager.clearSync()', () => {
         return dataProcessor.process(operation, options)
           .then(() => {
-            validateSpyCalls(syncManagerMock.clearSync, 1, [collection, operation.query]);
+            validateSpyCalls(syncManagerMock.clearSync, 1, [collection, operation.query, repoMock]);
           });
       });
 
-      it('should call OfflineRepo.delete()', () => {
+      it('should call OfflineRepo.delete() for the query cache and the collection', () => {
         return dataProcessor.process(operation, options)
           .then(() => {
-            validateSpyCalls(repoMock.delete, 1, [collection, operation.query, options]);
+            const queryCacheQuery = new Query().equalTo('collectionName', collection);
+            const queryCacheArgs = [queryCacheCollectionName, queryCacheQuery];
+            validateSpyCalls(repoMock.delete, 2, queryCacheArgs, [collection, operation.query, options]);
+          });
+      });
+
+      it('should clear the sync items, the query cache and the entities in a single transaction', () => {
+        return dataProcessor.process(operation, options)
+          .then(() => {
+            expect(repoMock.transaction.calls.length).toBe(1);
+          });
+      });
+    });
+
+    describe('processing a Revert operation', () => {
+      before(() => {
+        operationType = OperationType.Revert;
+      });
+
+      beforeEach(() => {
+        operation = new Operation(operationType, collection, null, 1, entityId);
+      });
+
+      it('should call SyncManager.addRevertEvent() with the reverted entity', () => {
+        const revertedEntity = { _id: entityId, title: 'a' };
+        repoMock.read = createPromiseSpy([{ _id: entityId, versions: [{ version: 1, entity: revertedEntity }] }]);
+        repoMock.update = createPromiseSpy(revertedEntity);
+        return dataProcessor.process(operation, options)
+          .then(() => {
+            validateSpyCalls(syncManagerMock.addRevertEvent, 1, [collection, revertedEntity, repoMock]);
+            expect(repoMock.transaction.calls.length).toBe(1);
+          });
+      });
+
+      it('should return an error for a version, which is not in the history', () => {
+        return dataProcessor.process(operation, options)
+          .then(() => Promise.reject(new Error('Should not happen')))
+          .catch((err) => {
+            validateError(err, NotFoundError, 'Version 1 of the entity');
+            validateSpyCalls(syncManagerMock.addRevertEvent, 0);
           });
       });
     });
@@ -98,7 +139,7 @@ describe('OfflineDataProcessor', () => {
         return dataProcessor.process(operation, options)
           .then(() => {
             validateSpyCalls(repoMock.delete, 1, [collection, operation.query, options]);
-            validateSpyCalls(syncManagerMock.addDeleteEvent, 1, [collection, matchingEntitiesMock]);
+            validateSpyCalls(syncManagerMock.addDeleteEvent, 1, [collection, matchingEntitiesMock, repoMock]);
           });
       });
 
@@ -137,7 +178,7 @@ describe('OfflineDataProcessor', () => {
         repoMock.readById = createPromiseSpy(entity);
         return dataProcessor.process(operation, options)
           .then(() => {
-            validateSpyCalls(syncManagerMock.addDeleteEvent, 1, [collection, entity]);
+            validateSpyCalls(syncManagerMock.addDeleteEvent, 1, [collection, entity, repoMock]);
           });
       });
     });
@@ -154,11 +195,45 @@ describe('OfflineDataProcessor', () => {
           });
       });
 
-      it('should call SyncManager.addUpdateEvent()', () => {
+      it('should call SyncManager.addUpdateEvent() with the entities before the update', () => {
+        const previousEntity = { _id: entityId, title: 'original' };
+        repoMock.read = createPromiseSpy([previousEntity]);
+        repoMock.update = createPromiseSpy(entity);
+        return dataProcessor.process(operation, options)
+          .then(() => {
+            validateSpyCalls(repoMock.read, 1, [collection, new Query().contains('_id', [entityId])]);
+            validateSpyCalls(syncManagerMock.addUpdateEvent, 1, [collection, entity, repoMock, [previousEntity]]);
+          });
+      });
+    });
+
+    describe('processing a Patch operation', () => {
+      before(() => {
+        operationType = OperationType.Patch;
+      });
+
+      beforeEach(() => {
+        operation = new Operation(operationType, collection, null, { title: 'changed' }, entityId);
+      });
+
+      it('should call OfflineRepo.update() with the changes applied to the offline entity', () => {
+        repoMock.readById = createPromiseSpy({ _id: entityId, title: 'original', author: 'someone' });
+        return dataProcessor.process(operation, options)
+          .then(() => {
+            validateSpyCalls(repoMock.readById, 1, [collection, entityId]);
+            const expectedEntity = { _id: entityId, title: 'changed', author: 'someone' };
+            validateSpyCalls(repoMock.update, 1, [collection, expectedEntity, options]);
+          });
+      });
+
+      it('should call SyncManager.addPatchEvent() with the changes and the entity before the patch', () => {
+        const previousEntity = { _id: entityId, title: 'original' };
+        repoMock.readById = createPromiseSpy(previousEntity);
         repoMock.update = createPromiseSpy(entity);
         return dataProcessor.process(operation, options)
           .then(() => {
-            validateSpyCalls(syncManagerMock.addUpdateEvent, 1, [collection, entity]);
+            const expectedArgs = [collection, entity, operation.data, repoMock, previousEntity];
+            validateSpyCalls(syncManagerMock.addPatchEvent, 1, expectedArgs);
           });
       });
     });
@@ -190,7 +265,7 @@ describe('OfflineDataProcessor', () => {
         repoMock.create = createPromiseSpy(entity);
         return dataProcessor.process(operation, options)
           .then(() => {
-            validateSpyCalls(syncManagerMock.addCreateEvent, 1, [collection, entity]);
+            validateSpyCalls(syncManagerMock.addCreateEvent, 1, [collection, entity, repoMock]);
           });
       });
     });
@@ -220,7 +295,7 @@ describe('OfflineDataProcessor', () => {
         repoMock.deleteById = createPromiseSpy(1);
         return dataProcessor.process(operation, options)
           .then(() => {
-            validateSpyCalls(syncManagerMock.addDeleteEvent, 1, [collection, entity]);
+            validateSpyCalls(syncManagerMock.addDeleteEvent, 1, [collection, entity, repoMock]);
           });
       });
 
@@ -234,7 +309,7 @@ describe('OfflineDataProcessor', () => {
       });
     });
 
-    const alreadyTestedOps = ['Clear', 'Delete', 'DeleteById', 'Update', 'Create', 'DeleteById'];
+    const alreadyTestedOps = ['Clear', 'Delete', 'DeleteById', 'Update', 'Patch', 'Create', 'DeleteById', 'Revert'];
     const remainingOps = omit(OperationType, alreadyTestedOps);
 
     each(remainingOps, (operationType, operationName) => {
@@ -0,0 +1,107 @@
+import expect from 'expect';
+
+import { EntityCipher, isEncryptedEntity, encryptedEntityField } from '../persisters/entity-cipher';
+import { MemoryKeyValuePersister, KeyValueStorePersister } from '../persisters';
+import { EncryptionError } from '../../errors';
+import { Query } from '../../query';
+import { randomString } from '../../utils';
+import { createPromiseSpy, validateError } from './utils';
+
+describe('Offline encryption', () => {
+  const currentKey = 'current';
+  const previousKey = 'previous';
+  let key;
+  let entity;
+
+  function getPersister(cipher) {
+    const persister = new MemoryKeyValuePersister();
+    persister._getCipher = () => cipher;
+    return persister;
+  }
+
+  beforeEach(() => {
+    key = randomString();
+    entity = { _id: randomString(), title: 'secret', tags: ['a'] };
+  });
+
+  it('should store the entities encrypted, and read them decrypted', () => {
+    const persister = getPersister(new EntityCipher(currentKey));
+    return persister.write(key, [entity])
+      .then(() => persister._readFromPersistance(key))
+      .then(([storedEntity]) => {
+        expect(isEncryptedEntity(storedEntity)).toBe(true);
+        expect(Object.keys(storedEntity)).toEqual(['_id', encryptedEntityField]);
+        expect(storedEntity._id).toBe(entity._id);
+        expect(JSON.stringify(storedEntity)).toNotInclude('secret');
+        return persister.read(key);
+      })
+      .then((entities) => {
+        expect(entities).toEqual([entity]);
+      });
+  });
+
+  it('should throw an EncryptionError, when the entities were encrypted with another key', () => {
+    return getPersister(new EntityCipher(previousKey)).write(key, [entity])
+      .then(() => getPersister(new EntityCipher(currentKey)).read(key))
+      .then(() => Promise.reject(new Error('Should not happen')))
+      .catch((err) => {
+        validateError(err, EncryptionError, 'The offline data could not be decrypted.'
+          + ' It was encrypted with a different encryption key.');
+      });
+  });
+
+  it('should throw an EncryptionError, when an encrypted entity was modified', () => {
+    const persister = getPersister(new EntityCipher(currentKey));
+    return persister.write(key, [entity])
+      .then(() => persister._readFromPersistance(key))
+      .then(([storedEntity]) => {
+        storedEntity._id = randomString();
+        return persister._writeToPersistance(key, [storedEntity]);
+      })
+      .then(() => persister.read(key))
+      .then(() => Promise.reject(new Error('Should not happen')))
+      .catch((err) => {
+        expect(err).toBeA(EncryptionError);
+        expect(err.message).toMatch(/has been modified or corrupted/);
+      });
+  });
+
+  it('should decrypt the entities encrypted with a previous key, and encrypt them again with the current key', () => {
+    const rotatingPersister = getPersister(new EntityCipher(currentKey, [previousKey]));
+    return getPersister(new EntityCipher(previousKey)).write(key, [entity])
+      .then(() => rotatingPersister.read(key))
+      .then(entities => rotatingPersister.write(key, entities))
+      .then(() => getPersister(new EntityCipher(currentKey)).read(key))
+      .then((entities) => {
+        expect(entities).toEqual([entity]);
+      });
+  });
+
+  it('should read the entities stored before the encryption was enabled', () => {
+    return getPersister(null).write(key, [entity])
+      .then(() => getPersister(new EntityCipher(currentKey)).read(key))
+      .then((entities) => {
+        expect(entities).toEqual([entity]);
+      });
+  });
+
+  it('should throw an EncryptionError, when the entities are encrypted, but there is no encryption key', () => {
+    return getPersister(new EntityCipher(currentKey)).write(key, [entity])
+      .then(() => getPersister(null).read(key))
+      .then(() => Promise.reject(new Error('Should not happen')))
+      .catch((err) => {
+        expect(err).toBeA(EncryptionError);
+      });
+  });
+
+  it('should not apply queries in the database to encrypted entities', () => {
+    const persister = new KeyValueStorePersister();
+    persister._getCipher = () => new EntityCipher(currentKey);
+    persister._readEntitiesByQueryFromPersistance = createPromiseSpy({ entities: [], complete: true });
+    return persister.readEntitiesByQuery(key, new Query().equalTo('title', 'secret'))
+      .then((result) => {
+        expect(result).toBe(null);
+        expect(persister._readEntitiesByQueryFromPersistance).toNotHaveBeenCalled();
+      });
+  });
+});
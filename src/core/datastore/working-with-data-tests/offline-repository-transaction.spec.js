@@ -0,0 +1,161 @@
+import expect from 'expect';
+
+import { InmemoryOfflineRepository } from '../repositories';
+import { MemoryKeyValuePersister } from '../persisters';
+import { PromiseQueueByKey } from '../utils';
+import { KinveyError, NotFoundError } from '../../errors';
+import { Query } from '../../query';
+import { randomString } from '../../utils';
+import { validateError } from './utils';
+
+const collection = 'books';
+const syncCollection = 'kinvey_sync';
+
+describe('OfflineRepository transactions', () => {
+  /** @type {InmemoryOfflineRepository} */
+  let repo;
+  let persister;
+
+  beforeEach(() => {
+    persister = new MemoryKeyValuePersister();
+    repo = new InmemoryOfflineRepository(persister, new PromiseQueueByKey());
+    // every test gets its own namespace in the shared memory storage
+    const appKey = randomString();
+    repo._getAppKey = () => appKey;
+  });
+
+  it('should persist the writes to all collections when fn resolves', () => {
+    const entity = { _id: randomString() };
+    const syncItem = { _id: randomString(), entityId: entity._id };
+    return repo.transaction((txn) => {
+      return txn.create(collection, entity)
+        .then(() => txn.create(syncCollection, syncItem));
+    })
+      .then(() => Promise.all([repo.read(collection), repo.read(syncCollection)]))
+      .then(([entities, syncItems]) => {
+        expect(entities).toEqual([entity]);
+        expect(syncItems).toEqual([syncItem]);
+      });
+  });
+
+  it('should resolve with the result of fn', () => {
+    return repo.transaction(() => 'result')
+      .then((result) => {
+        expect(result).toBe('result');
+      });
+  });
+
+  it('should persist none of the writes when fn rejects', () => {
+    const existing = { _id: randomString(), title: 'original' };
+    return repo.create(collection, existing)
+      .then(() => {
+        return repo.transaction((txn) => {
+          return txn.update(collection, { _id: existing._id, title: 'changed' })
+            .then(() => txn.create(syncCollection, { _id: randomString() }))
+            .then(() => Promise.reject(new KinveyError('test')));
+        });
+      })
+      .then(() => Promise.reject(new Error('Should not happen')))
+      .catch((err) => {
+        validateError(err, KinveyError, 'test');
+        return Promise.all([repo.read(collection), repo.read(syncCollection)]);
+      })
+      .then(([entities, syncItems]) => {
+        expect(entities).toEqual([existing]);
+        expect(syncItems).toEqual([]);
+      });
+  });
+
+  it('should persist none of the writes when the commit fails', () => {
+    persister._writeManyToPersistance = () => Promise.reject(new KinveyError('write failed'));
+    return repo.transaction(txn => txn.create(collection, { _id: randomString() }))
+      .then(() => Promise.reject(new Error('Should not happen')))
+      .catch((err) => {
+        validateError(err, KinveyError, 'write failed');
+        return repo.read(collection);
+      })
+      .then((entities) => {
+        expect(entities).toEqual([]);
+      });
+  });
+
+  it('should include the staged writes in reads within the transaction', () => {
+    const deleted = { _id: randomString(), count: 1 };
+    const updated = { _id: randomString(), count: 2 };
+    const created = { _id: randomString(), count: 3 };
+    return repo.create(collection, [deleted, updated])
+      .then(() => {
+        return repo.transaction((txn) => {
+          return txn.deleteById(collection, deleted._id)
+            .then(() => txn.update(collection, Object.assign({}, updated, { count: 4 })))
+            .then(() => txn.create(collection, created))
+            .then(() => txn.read(collection, new Query().greaterThan('count', 2)));
+        });
+      })
+      .then((entities) => {
+        expect(entities.map(e => e._id)).toEqual([updated._id, created._id]);
+      });
+  });
+
+  it('should reject readById() for an entity deleted within the transaction', () => {
+    const entity = { _id: randomString() };
+    return repo.create(collection, entity)
+      .then(() => {
+        return repo.transaction((txn) => {
+          return txn.delete(collection, new Query().equalTo('_id', entity._id))
+            .then(() => txn.readById(collection, entity._id));
+        });
+      })
+      .then(() => Promise.reject(new Error('Should not happen')))
+      .catch((err) => {
+        validateError(err, NotFoundError, entity._id);
+        return repo.readById(collection, entity._id);
+      })
+      .then((persistedEntity) => {
+        expect(persistedEntity).toEqual(entity);
+      });
+  });
+
+  it('should not lose writes made outside of the transaction before it is committed', () => {
+    const outside = { _id: randomString() };
+    const inside = { _id: randomString() };
+    return repo.transaction((txn) => {
+      return txn.create(collection, inside)
+        .then(() => repo.create(collection, outside));
+    })
+      .then(() => repo.read(collection))
+      .then((entities) => {
+        expect(entities).toEqual([outside, inside]);
+      });
+  });
+
+  it('should not allow writes after the transaction is committed', () => {
+    let transaction;
+    return repo.transaction((txn) => {
+      transaction = txn;
+    })
+      .then(() => transaction.create(collection, { _id: randomString() }))
+      .then(() => Promise.reject(new Error('Should not happen')))
+      .catch((err) => {
+        validateError(err, KinveyError, 'already committed');
+      });
+  });
+
+  it('should call the afterCommit callbacks only when the transaction is committed', () => {
+    const committedSpy = expect.createSpy();
+    const rolledBackSpy = expect.createSpy();
+    return repo.transaction(txn => txn.afterCommit(committedSpy))
+      .then(() => {
+        return repo.transaction((txn) => {
+          txn.afterCommit(rolledBackSpy);
+          return Promise.reject(new KinveyError('test'));
+        });
+      })
+      .then(() => Promise.reject(new Error('Should not happen')))
+      .catch((err) => {
+        validateError(err, KinveyError, 'test');
+        expect(committedSpy.calls.length).toBe(1);
+        expect(rolledBackSpy.calls.length).toBe(0);
+      });
+  });
+});
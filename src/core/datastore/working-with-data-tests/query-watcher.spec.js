@@ -0,0 +1,139 @@
+import expect from 'expect';
+
+import { watchOfflineCollection } from '../query-watcher';
+import {
+  InmemoryOfflineRepository,
+  onOfflineCollectionChange,
+  notifyOfflineCollectionChange
+} from '../repositories';
+import { MemoryKeyValuePersister } from '../persisters';
+import { PromiseQueueByKey } from '../utils';
+import { randomString } from '../../utils';
+
+function getCountingReader() {
+  let readCount = 0;
+  return () => {
+    readCount += 1;
+    return Promise.resolve(readCount);
+  };
+}
+
+function waitForNextTick() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+describe('watchOfflineCollection()', () => {
+  let collection;
+
+  beforeEach(() => {
+    collection = randomString();
+  });
+
+  it('should emit the result right away and again after the collection changes', () => {
+    const results = [];
+    const subscription = watchOfflineCollection(collection, getCountingReader())
+      .subscribe(result => results.push(result));
+
+    return waitForNextTick()
+      .then(() => {
+        notifyOfflineCollectionChange(collection);
+        notifyOfflineCollectionChange(randomString());
+        return waitForNextTick();
+      })
+      .then(() => {
+        expect(results).toEqual([1, 2]);
+        subscription.unsubscribe();
+      });
+  });
+
+  it('should read once more for the changes made while reading', () => {
+    const results = [];
+    const subscription = watchOfflineCollection(collection, getCountingReader())
+      .subscribe(result => results.push(result));
+
+    notifyOfflineCollectionChange(collection);
+    notifyOfflineCollectionChange(collection);
+    notifyOfflineCollectionChange(collection);
+    return waitForNextTick()
+      .then(() => {
+        expect(results).toEqual([1, 2]);
+        subscription.unsubscribe();
+      });
+  });
+
+  it('should stop reading after unsubscribing', () => {
+    const readSpy = expect.createSpy().andReturn(Promise.resolve([]));
+    const subscription = watchOfflineCollection(collection, readSpy)
+      .subscribe(() => { });
+
+    return waitForNextTick()
+      .then(() => {
+        subscription.unsubscribe();
+        notifyOfflineCollectionChange(collection);
+        return waitForNextTick();
+      })
+      .then(() => {
+        expect(readSpy.calls.length).toBe(1);
+      });
+  });
+
+  it('should emit an error if reading fails', () => {
+    const error = new Error('read failed');
+    return watchOfflineCollection(collection, () => Promise.reject(error))
+      .toPromise()
+      .then(() => Promise.reject(new Error('should not happen')))
+      .catch((err) => {
+        expect(err).toBe(error);
+      });
+  });
+});
+
+describe('Offline repository change notifications', () => {
+  let repo;
+  let collection;
+  let handlerSpy;
+  let removeHandler;
+
+  beforeEach(() => {
+    repo = new InmemoryOfflineRepository(new MemoryKeyValuePersister(), new PromiseQueueByKey());
+    const appKey = randomString();
+    repo._getAppKey = () => appKey;
+    collection = randomString();
+    handlerSpy = expect.createSpy();
+    removeHandler = onOfflineCollectionChange(collection, handlerSpy);
+  });
+
+  afterEach(() => {
+    removeHandler();
+  });
+
+  it('should notify after entities are created, updated and removed', () => {
+    const entity = { _id: randomString() };
+    return repo.create(collection, entity)
+      .then(() => repo.update(collection, entity))
+      .then(() => repo.deleteById(collection, entity._id))
+      .then(() => {
+        expect(handlerSpy.calls.length).toBe(3);
+      });
+  });
+
+  it('should notify once after a transaction commits', () => {
+    return repo.transaction((txn) => {
+      return txn.create(collection, { _id: randomString() })
+        .then(() => txn.create(collection, { _id: randomString() }));
+    })
+      .then(() => {
+        expect(handlerSpy.calls.length).toBe(1);
+      });
+  });
+
+  it('should not notify when a transaction is rolled back', () => {
+    return repo.transaction((txn) => {
+      return txn.create(collection, { _id: randomString() })
+        .then(() => Promise.reject(new Error('rollback')));
+    })
+      .catch(() => {
+        expect(handlerSpy.calls.length).toBe(0);
+      });
+  });
+});
@@ -0,0 +1,226 @@
+import expect from 'expect';
+
+import {
+  getQueryWindow,
+  isQueryWindowMaterialized,
+  markQueryWindowMaterialized,
+  markQueryDeltaSetApplied,
+  canApplyDeltaSet,
+  setQueryCacheLimits
+} from '../querycache';
+import { Query } from '../../query';
+import { KinveyError } from '../../errors';
+import { mockRequiresIn } from '../require-helper';
+import { randomString } from '../../utils';
+import { getRepoMock, validateSpyCalls } from './utils';
+
+function getPagedQuery(skip, limit) {
+  const query = new Query();
+  query.skip = skip;
+  query.limit = limit;
+  return query;
+}
+
+describe('Query cache windows', () => {
+  const firstRequest = '2018-01-01T00:00:00.000Z';
+  const secondRequest = '2018-01-02T00:00:00.000Z';
+
+  describe('getQueryWindow()', () => {
+    it('should return null for a query without skip and limit', () => {
+      expect(getQueryWindow(new Query().equalTo('title', 'test'))).toBe(null);
+      expect(getQueryWindow()).toBe(null);
+    });
+
+    it('should return the skip and limit of a paged query', () => {
+      expect(getQueryWindow(getPagedQuery(10, 5))).toEqual({ skip: 10, limit: 5 });
+      expect(getQueryWindow(getPagedQuery(10))).toEqual({ skip: 10, limit: null });
+    });
+  });
+
+  describe('isQueryWindowMaterialized()', () => {
+    it('should return false, if the query was not fetched', () => {
+      expect(isQueryWindowMaterialized({}, null)).toBe(false);
+      expect(isQueryWindowMaterialized(null, null)).toBe(false);
+    });
+
+    it('should return true for any window, if the whole result was fetched', () => {
+      const cachedQuery = markQueryWindowMaterialized({}, firstRequest);
+      expect(isQueryWindowMaterialized(cachedQuery, getQueryWindow(getPagedQuery(20, 10)))).toBe(true);
+    });
+
+    it('should return true, if the window and the pages before it were fetched', () => {
+      const cachedQuery = markQueryWindowMaterialized({}, firstRequest, { skip: 0, limit: 10 });
+      markQueryWindowMaterialized(cachedQuery, secondRequest, { skip: 10, limit: 10 });
+      expect(isQueryWindowMaterialized(cachedQuery, { skip: 10, limit: 10 })).toBe(true);
+      expect(isQueryWindowMaterialized(cachedQuery, { skip: 15, limit: 10 })).toBe(false);
+      expect(isQueryWindowMaterialized(cachedQuery, null)).toBe(false);
+    });
+
+    it('should return false, if a page before the window was not fetched', () => {
+      const cachedQuery = markQueryWindowMaterialized({}, firstRequest, { skip: 10, limit: 10 });
+      expect(isQueryWindowMaterialized(cachedQuery, { skip: 10, limit: 10 })).toBe(false);
+    });
+  });
+
+  describe('markQueryWindowMaterialized()', () => {
+    it('should keep the earliest request, when another page is fetched', () => {
+      const cachedQuery = markQueryWindowMaterialized({}, firstRequest, { skip: 0, limit: 10 });
+      markQueryWindowMaterialized(cachedQuery, secondRequest, { skip: 10, limit: 10 });
+      expect(cachedQuery.lastRequest).toBe(firstRequest);
+      expect(cachedQuery.pages).toEqual([
+        { skip: 0, limit: 10, requestStart: firstRequest },
+        { skip: 10, limit: 10, requestStart: secondRequest }
+      ]);
+    });
+
+    it('should stop tracking the pages, when the whole result is fetched', () => {
+      const cachedQuery = markQueryWindowMaterialized({}, firstRequest, { skip: 0, limit: 10 });
+      markQueryWindowMaterialized(cachedQuery, secondRequest);
+      expect(cachedQuery.lastRequest).toBe(secondRequest);
+      expect(cachedQuery.pages).toNotExist();
+    });
+
+    it('should count the full requests', () => {
+      const cachedQuery = markQueryWindowMaterialized({}, firstRequest, { skip: 0, limit: 10 });
+      markQueryWindowMaterialized(cachedQuery, secondRequest);
+      expect(cachedQuery.fullRequests).toBe(2);
+      expect(cachedQuery.lastUsed).toExist();
+    });
+  });
+
+  describe('markQueryDeltaSetApplied()', () => {
+    it('should set the last request and count the delta set requests', () => {
+      const cachedQuery = markQueryDeltaSetApplied(markQueryWindowMaterialized({}, firstRequest), secondRequest);
+      expect(cachedQuery.lastRequest).toBe(secondRequest);
+      expect(cachedQuery.deltaSetRequests).toBe(1);
+      expect(cachedQuery.fullRequests).toBe(1);
+    });
+
+    it('should set the request of the pages', () => {
+      const cachedQuery = markQueryWindowMaterialized({}, firstRequest, { skip: 0, limit: 10 });
+      markQueryWindowMaterialized(cachedQuery, firstRequest, { skip: 10, limit: 10 });
+      markQueryDeltaSetApplied(cachedQuery, secondRequest);
+      expect(cachedQuery.pages.map(page => page.requestStart)).toEqual([secondRequest, secondRequest]);
+    });
+  });
+
+  describe('canApplyDeltaSet()', () => {
+    const changed = [{ _id: randomString() }];
+    const deleted = [{ _id: randomString() }];
+
+    it('should return true, if the whole result was fetched', () => {
+      const cachedQuery = markQueryWindowMaterialized({}, firstRequest);
+      expect(canApplyDeltaSet(cachedQuery, { changed, deleted })).toBe(true);
+    });
+
+    it('should return false for deleted entities, if the query is paged', () => {
+      const cachedQuery = markQueryWindowMaterialized({}, firstRequest, { skip: 0, limit: 10 });
+      expect(canApplyDeltaSet(cachedQuery, { changed: [], deleted })).toBe(false);
+      expect(canApplyDeltaSet(cachedQuery, { changed, deleted: [] })).toBe(true);
+    });
+
+    it('should return false for changed entities, if the pages were fetched at different times', () => {
+      const cachedQuery = markQueryWindowMaterialized({}, firstRequest, { skip: 0, limit: 10 });
+      markQueryWindowMaterialized(cachedQuery, secondRequest, { skip: 10, limit: 10 });
+      expect(canApplyDeltaSet(cachedQuery, { changed, deleted: [] })).toBe(false);
+      expect(canApplyDeltaSet(cachedQuery, { changed: [], deleted: [] })).toBe(true);
+    });
+  });
+});
+
+describe('Query cache limits', () => {
+  const now = Date.now();
+  let collection;
+  let repoMock;
+  let querycache;
+
+  function getCachedQuery(ageInMs, deltaSetRequests = 0, fullRequests = 1) {
+    const lastUsed = new Date(now - ageInMs).toISOString();
+    return {
+      _id: randomString(),
+      collectionName: collection,
+      query: '',
+      lastUsed,
+      deltaSetRequests,
+      fullRequests
+    };
+  }
+
+  function getDeleteQuery(cachedQueries) {
+    return new Query().contains('_id', cachedQueries.map(cachedQuery => cachedQuery._id));
+  }
+
+  beforeEach(() => {
+    collection = randomString();
+    repoMock = getRepoMock();
+    const repositoryProvider = { getOfflineRepository: () => Promise.resolve(repoMock) };
+    querycache = mockRequiresIn(__dirname, '../querycache', { './repositories': { repositoryProvider } });
+  });
+
+  it('should throw an error for an invalid limit', () => {
+    expect(() => setQueryCacheLimits(collection, 'limits')).toThrow(KinveyError);
+    expect(() => setQueryCacheLimits(collection, { maxEntries: 0 })).toThrow(KinveyError);
+    expect(() => setQueryCacheLimits(collection, { maxAge: '1' })).toThrow(KinveyError);
+  });
+
+  it('should not evict any query, if the collection has no limits', () => {
+    return querycache.evictCachedQueries(collection)
+      .then((count) => {
+        expect(count).toBe(0);
+        expect(repoMock.read).toNotHaveBeenCalled();
+      });
+  });
+
+  it('should evict the least recently used queries above maxEntries', () => {
+    const cachedQueries = [getCachedQuery(3000), getCachedQuery(1000), getCachedQuery(2000)];
+    repoMock.read = expect.createSpy().andReturn(Promise.resolve(cachedQueries));
+    querycache.setQueryCacheLimits(collection, { maxEntries: 2 });
+    return querycache.evictCachedQueries(collection)
+      .then(() => {
+        validateSpyCalls(repoMock.delete, 1, ['_QueryCache', getDeleteQuery([cachedQueries[0]])]);
+      });
+  });
+
+  it('should evict the queries not used for longer than maxAge', () => {
+    const cachedQueries = [getCachedQuery(1000), getCachedQuery(60000), getCachedQuery(90000)];
+    repoMock.read = expect.createSpy().andReturn(Promise.resolve(cachedQueries));
+    querycache.setQueryCacheLimits(collection, { maxAge: 30000 });
+    return querycache.evictCachedQueries(collection)
+      .then(() => {
+        validateSpyCalls(repoMock.delete, 1, ['_QueryCache', getDeleteQuery(cachedQueries.slice(1))]);
+      });
+  });
+
+  it('should apply the limits when a query is updated', () => {
+    const cachedQueries = [getCachedQuery(1000), getCachedQuery(2000)];
+    repoMock.read = expect.createSpy().andReturn(Promise.resolve(cachedQueries));
+    querycache.setQueryCacheLimits(collection, { maxEntries: 1 });
+    return querycache.updateCachedQuery(cachedQueries[0])
+      .then(() => {
+        validateSpyCalls(repoMock.delete, 1, ['_QueryCache', getDeleteQuery([cachedQueries[1]])]);
+      });
+  });
+
+  it('should list the cached queries, the most recently used first', () => {
+    const cachedQuery = getCachedQuery(2000);
+    cachedQuery.query = JSON.stringify(new Query().equalTo('title', 'A').ascending('title').toQueryString());
+    repoMock.read = expect.createSpy().andReturn(Promise.resolve([cachedQuery, getCachedQuery(1000, 2)]));
+    return querycache.getCachedQueries(collection)
+      .then(([first, second]) => {
+        expect(first.deltaSetRequests).toBe(2);
+        expect(first.query.toQueryString()).toEqual(new Query().toQueryString());
+        expect(second.lastUsed).toBe(cachedQuery.lastUsed);
+        expect(second.query.filter).toEqual({ title: 'A' });
+        expect(second.query.sort).toEqual({ title: 1 });
+      });
+  });
+
+  it('should sum up the requests of the cached queries', () => {
+    const cachedQueries = [getCachedQuery(1000, 2, 1), getCachedQuery(2000, 3, 2)];
+    repoMock.read = expect.createSpy().andReturn(Promise.resolve(cachedQueries));
+    return querycache.getQueryCacheStats(collection)
+      .then((stats) => {
+        expect(stats).toEqual({ cachedQueries: 2, deltaSetRequests: 5, fullRequests: 3 });
+      });
+  });
+});
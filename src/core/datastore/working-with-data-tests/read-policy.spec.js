@@ -0,0 +1,134 @@
+import expect from 'expect';
+
+import { CacheOfflineDataProcessor } from '../processors';
+import { OperationType, Operation } from '../operations';
+import { ReadPolicy } from '../read-policy';
+import { DataStoreType } from '../datastore';
+import { KinveyError, NetworkConnectionError, ServerError } from '../../errors';
+import { Query } from '../../query';
+import { randomString } from '../../utils';
+import {
+  createPromiseSpy,
+  datastoreFactory,
+  getRepoMock,
+  getSyncManagerMock,
+  validateError,
+  validateSpyCalls
+} from './utils';
+
+const collection = 'books';
+
+describe('Read policies', () => {
+  let offlineRepoMock;
+  let networkRepoMock;
+  let dataProcessor;
+  let onNextSpy;
+  let cachedEntity;
+  let networkEntity;
+
+  function read(readPolicy) {
+    const operation = new Operation(OperationType.Read, collection, new Query());
+    return dataProcessor.process(operation, { readPolicy }).forEach(onNextSpy);
+  }
+
+  function readById(readPolicy) {
+    const operation = new Operation(OperationType.ReadById, collection, null, null, cachedEntity._id);
+    return dataProcessor.process(operation, { readPolicy }).forEach(onNextSpy);
+  }
+
+  beforeEach(() => {
+    cachedEntity = { _id: randomString(), title: 'cached' };
+    networkEntity = { _id: cachedEntity._id, title: 'network' };
+    offlineRepoMock = getRepoMock({ read: [cachedEntity], readById: cachedEntity });
+    networkRepoMock = getRepoMock({ read: [networkEntity], readById: networkEntity });
+    dataProcessor = new CacheOfflineDataProcessor(getSyncManagerMock(), networkRepoMock);
+    // proxyquire can't reliably mock this, so overwriting private property :(
+    dataProcessor._getRepository = () => Promise.resolve(offlineRepoMock);
+    onNextSpy = expect.createSpy();
+  });
+
+  it('should emit the cached and then the network result by default', () => {
+    return read()
+      .then(() => {
+        validateSpyCalls(onNextSpy, 2, [[cachedEntity]], [[networkEntity]]);
+      });
+  });
+
+  it('should emit only the cached result with CacheOnly', () => {
+    return read(ReadPolicy.CacheOnly)
+      .then(() => {
+        validateSpyCalls(onNextSpy, 1, [[cachedEntity]]);
+        expect(networkRepoMock.read).toNotHaveBeenCalled();
+      });
+  });
+
+  it('should emit only the network result, after saving it in the cache, with NetworkOnlyThenCache', () => {
+    return read(ReadPolicy.NetworkOnlyThenCache)
+      .then(() => {
+        validateSpyCalls(onNextSpy, 1, [[networkEntity]]);
+        validateSpyCalls(offlineRepoMock.create, 1, [collection, [networkEntity]]);
+      });
+  });
+
+  it('should not fetch a cached entity with CacheFirst', () => {
+    return readById(ReadPolicy.CacheFirst)
+      .then(() => {
+        validateSpyCalls(onNextSpy, 1, [cachedEntity]);
+        expect(networkRepoMock.readById).toNotHaveBeenCalled();
+      });
+  });
+
+  it('should fetch the result of a query, which was not fetched before, with CacheFirst', () => {
+    return read(ReadPolicy.CacheFirst)
+      .then(() => {
+        validateSpyCalls(onNextSpy, 1, [[networkEntity]]);
+      });
+  });
+
+  it('should emit the cached result, if the backend can not be reached, with NetworkFirst', () => {
+    networkRepoMock.read = createPromiseSpy(new NetworkConnectionError(), true);
+    return read(ReadPolicy.NetworkFirst)
+      .then(() => {
+        validateSpyCalls(onNextSpy, 1, [[cachedEntity]]);
+      });
+  });
+
+  it('should return other errors with NetworkFirst', () => {
+    networkRepoMock.readById = createPromiseSpy(new ServerError(), true);
+    return readById(ReadPolicy.NetworkFirst)
+      .then(() => Promise.reject(new Error('Should not happen')))
+      .catch((err) => {
+        expect(err).toBeA(ServerError);
+        expect(onNextSpy).toNotHaveBeenCalled();
+      });
+  });
+
+  describe('CacheStore', () => {
+    it('should throw an error for an invalid read policy of the store', () => {
+      expect(() => datastoreFactory[DataStoreType.Cache](collection, {}, null, { readPolicy: 'invalid' }))
+        .toThrow(KinveyError);
+    });
+
+    it('should pass the read policy of the store to the processor, unless it is passed to find()', () => {
+      const processorMock = { process: createPromiseSpy([]) };
+      const store = datastoreFactory[DataStoreType.Cache](collection, processorMock, null, {
+        readPolicy: ReadPolicy.CacheOnly
+      });
+      return store.find(null, { readPolicy: ReadPolicy.NetworkFirst }).toPromise()
+        .then(() => store.findById(randomString()).toPromise())
+        .then(() => {
+          expect(processorMock.process.calls[0].arguments[1].readPolicy).toBe(ReadPolicy.NetworkFirst);
+          expect(processorMock.process.calls[1].arguments[1].readPolicy).toBe(ReadPolicy.CacheOnly);
+        });
+    });
+
+    it('should return an error for an invalid read policy passed to find()', () => {
+      const store = datastoreFactory[DataStoreType.Cache](collection, {});
+      return store.find(null, { readPolicy: 'invalid' }).toPromise()
+        .then(() => Promise.reject(new Error('Should not happen')))
+        .catch((err) => {
+          validateError(err, KinveyError, 'Invalid read policy');
+        });
+    });
+  });
+});
@@ -0,0 +1,82 @@
+import expect from 'expect';
+
+import { resolveReferences } from '../reference-resolver';
+import { DataStoreType } from '../datastore';
+import { Query } from '../../query';
+import { KinveyObservable } from '../../observable';
+import { datastoreFactory } from './utils';
+
+const collection = 'books';
+
+function ref(refCollection, _id) {
+  return { _type: 'KinveyRef', _collection: refCollection, _id };
+}
+
+function getFetchSpy(entitiesByCollection) {
+  return expect.createSpy().andCall((refCollection, ids) => {
+    const entities = (entitiesByCollection[refCollection] || []).filter(e => ids.indexOf(e._id) > -1);
+    return Promise.resolve(entities);
+  });
+}
+
+describe('resolveReferences()', () => {
+  const owners = [{ _id: 'o1', name: 'first' }, { _id: 'o2', name: 'second' }];
+  const products = [{ _id: 'p1', maker: ref('owners', 'o2') }];
+
+  it('should fetch the referenced entities with one call per collection', () => {
+    const fetchSpy = getFetchSpy({ owners });
+    const entities = [{ owner: ref('owners', 'o1') }, { owner: ref('owners', 'o2') }, { owner: ref('owners', 'o1') }];
+    return resolveReferences(entities, ['owner'], fetchSpy)
+      .then((result) => {
+        expect(fetchSpy.calls.length).toBe(1);
+        expect(fetchSpy.calls[0].arguments).toEqual(['owners', ['o1', 'o2']]);
+        expect(result.map(e => e.owner.name)).toEqual(['first', 'second', 'first']);
+      });
+  });
+
+  it('should resolve references in arrays and nested fields', () => {
+    const fetchSpy = getFetchSpy({ owners, products });
+    const entities = [{ items: [{ product: ref('products', 'p1') }], details: { author: ref('owners', 'o1') } }];
+    return resolveReferences(entities, ['items.product.maker', 'details.author'], fetchSpy)
+      .then(([entity]) => {
+        expect(entity.items[0].product.maker).toEqual(owners[1]);
+        expect(entity.details.author).toEqual(owners[0]);
+      });
+  });
+
+  it('should not modify the passed entities', () => {
+    const entities = [{ owner: ref('owners', 'o1') }];
+    return resolveReferences(entities, ['owner'], getFetchSpy({ owners }))
+      .then(() => {
+        expect(entities[0].owner).toEqual(ref('owners', 'o1'));
+      });
+  });
+
+  it('should leave references to entities which were not found', () => {
+    const entities = [{ owner: ref('owners', 'missing') }];
+    return resolveReferences(entities, ['owner'], getFetchSpy({ owners }))
+      .then(([entity]) => {
+        expect(entity.owner).toEqual(ref('owners', 'missing'));
+      });
+  });
+});
+
+describe('Resolving references on find()', () => {
+  [DataStoreType.Network, DataStoreType.Sync].forEach((type) => {
+    it(`should resolve the references in the results of ${type}Store.find()`, () => {
+      const processorMock = {
+        process: () => Promise.resolve([{ _id: 'b1', owner: ref('owners', 'o1') }])
+      };
+      const store = datastoreFactory[type](collection, processorMock);
+      const owner = { _id: 'o1', name: 'first' };
+      store._fetchReferencedEntities = expect.createSpy().andReturn(Promise.resolve([owner]));
+      const stream = store.find(new Query().resolve('owner'));
+      expect(stream).toBeA(KinveyObservable);
+      return stream.toPromise()
+        .then(([book]) => {
+          expect(book.owner).toEqual(owner);
+          expect(store._fetchReferencedEntities.calls[0].arguments[0]).toBe('owners');
+        });
+    });
+  });
+});
@@ -0,0 +1,144 @@
+import expect from 'expect';
+
+import { getSchemaErrors, setCollectionSchema, validateEntities } from '../schema-validation';
+import { DataStoreType } from '../datastore';
+import { OperationType, Operation } from '../operations';
+import { mockRequiresIn } from '../require-helper';
+import { KinveyError, ValidationError } from '../../errors';
+import { randomString } from '../../utils';
+import { datastoreFactory, getRepoMock, getSyncManagerMock, validateError } from './utils';
+
+const bookSchema = {
+  type: 'object',
+  required: ['title'],
+  additionalProperties: false,
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    year: { type: 'integer', minimum: 1450 },
+    format: { enum: ['paperback', 'hardcover'] },
+    tags: { type: 'array', items: { type: 'string' } },
+    author: {
+      type: 'object',
+      required: ['name'],
+      properties: { name: { type: 'string' } }
+    }
+  }
+};
+
+describe('Schema validation', () => {
+  describe('getSchemaErrors()', () => {
+    it('should return no errors for a valid entity', () => {
+      const entity = {
+        _id: '1',
+        _kmd: {},
+        title: 'A',
+        year: 2000,
+        tags: ['a'],
+        author: { name: 'B' }
+      };
+      expect(getSchemaErrors(entity, bookSchema)).toEqual([]);
+    });
+
+    it('should return an error per invalid field', () => {
+      const entity = {
+        year: 1000.5,
+        format: 'ebook',
+        tags: ['a', 1],
+        author: {},
+        pages: 10
+      };
+      expect(getSchemaErrors(entity, bookSchema)).toEqual([
+        { field: 'title', message: 'is required' },
+        { field: 'year', message: 'must be of type integer' },
+        { field: 'format', message: 'must be one of "paperback", "hardcover"' },
+        { field: 'tags[1]', message: 'must be of type string' },
+        { field: 'author.name', message: 'is required' },
+        { field: 'pages', message: 'is not allowed' }
+      ]);
+    });
+
+    it('should not check the required fields of a partial entity', () => {
+      expect(getSchemaErrors({ year: 1000 }, bookSchema, true)).toEqual([
+        { field: 'year', message: 'must be at least 1450' }
+      ]);
+    });
+  });
+
+  describe('validateEntities()', () => {
+    let collection;
+
+    beforeEach(() => {
+      collection = randomString();
+    });
+
+    it('should return null, if the collection has no schema', () => {
+      expect(validateEntities(collection, { title: 1 })).toBe(null);
+    });
+
+    it('should return a ValidationError with the index of the invalid entity in the fields', () => {
+      setCollectionSchema(collection, bookSchema);
+      const err = validateEntities(collection, [{ title: 'A' }, { title: '' }]);
+      validateError(err, ValidationError, '[1].title must be at least 1 characters long');
+      expect(err.errors).toEqual([{ field: '[1].title', message: 'must be at least 1 characters long' }]);
+    });
+
+    it('should use the schema of the collection for tagged stores', () => {
+      setCollectionSchema(collection, bookSchema);
+      expect(validateEntities(`${collection}.mytag`, {})).toBeA(ValidationError);
+    });
+
+    it('should throw an error for an invalid schema', () => {
+      expect(() => setCollectionSchema(collection, 'schema')).toThrow(KinveyError);
+    });
+  });
+
+  describe('on save', () => {
+    let collection;
+    let repoMock;
+
+    beforeEach(() => {
+      collection = randomString();
+      setCollectionSchema(collection, bookSchema);
+      repoMock = getRepoMock();
+    });
+
+    [
+      ['../processors/network-data-processor', 'NetworkDataProcessor'],
+      ['../processors/offline-data-processor', 'OfflineDataProcessor']
+    ].forEach(([path, className]) => {
+      it(`should reject with a ValidationError, without writing the entity, in ${className}`, () => {
+        const repositoryProvider = {
+          getNetworkRepository: () => repoMock,
+          getOfflineRepository: () => Promise.resolve(repoMock)
+        };
+        const requireMocks = { '../repositories': { repositoryProvider } };
+        const ProxiedProcessor = mockRequiresIn(__dirname, path, requireMocks, className);
+        const processor = new ProxiedProcessor(getSyncManagerMock());
+        return processor.process(new Operation(OperationType.Create, collection, null, { title: 5 }))
+          .then(() => Promise.reject(new Error('Should not happen')))
+          .catch((err) => {
+            validateError(err, ValidationError, 'title must be of type string');
+            expect(repoMock.create).toNotHaveBeenCalled();
+            expect(repoMock.transaction).toNotHaveBeenCalled();
+          });
+      });
+    });
+
+    it('should return an error for the invalid entities only, in a SyncStore batch', () => {
+      const store = datastoreFactory[DataStoreType.Sync](collection, {
+        process: operation => Promise.resolve(operation.data)
+      });
+      return store.createMany([{ title: 'A' }, { title: 5 }])
+        .then(([validResult, invalidResult]) => {
+          expect(validResult.error).toNotExist();
+          expect(invalidResult.error).toBeA(ValidationError);
+        });
+    });
+
+    it('should register the schema passed to the store', () => {
+      const otherCollection = randomString();
+      datastoreFactory[DataStoreType.Network](otherCollection, {}, null, { schema: bookSchema });
+      expect(validateEntities(otherCollection, {})).toBeA(ValidationError);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+import expect from 'expect';
+
+import { translateQuery } from '../persisters/sql-query-translator';
+import { SqlKeyValueStorePersister, sqliteCollectionsMaster } from '../persisters';
+import { Query } from '../../query';
+import { randomString } from '../../utils';
+import { validateSpyCalls } from './utils';
+
+function anyItem(condition) {
+  return 'EXISTS (SELECT 1 FROM json_each(entity.value, ?) AS item'
+    + ` WHERE (item.key IS NULL OR typeof(item.key) = 'integer') AND (${condition}))`;
+}
+
+describe('SQL query translation', () => {
+  describe('translateQuery()', () => {
+    it('should translate the filter, sort, skip and limit', () => {
+      const query = new Query()
+        .equalTo('status', 'new')
+        .ascending('title');
+      query.skip = 10;
+      query.limit = 5;
+      expect(translateQuery(query)).toEqual({
+        sql: `SELECT value FROM #{collection} AS entity WHERE (${anyItem('(item.type = \'text\' AND item.value = ?)')})`
+          + ' ORDER BY json_extract(entity.value, ?) ASC LIMIT ? OFFSET ?',
+        parameters: ['$."status"', 'new', '$."title"', 5, 10],
+        complete: true
+      });
+    });
+
+    it('should compare the values of each type separately', () => {
+      const query = new Query().contains('tags', ['a', 1]);
+      expect(translateQuery(query)).toEqual({
+        // the conditions of a field with operators are grouped, too
+        sql: `SELECT value FROM #{collection} AS entity WHERE ((${anyItem('(item.type = \'text\' AND item.value IN (?))'
+          + ' OR (item.type IN (\'integer\', \'real\') AND item.value IN (?))')}))`,
+        parameters: ['$."tags"', 'a', 1],
+        complete: true
+      });
+    });
+
+    it('should leave out the conditions, which can not be translated, along with the sort and limit', () => {
+      const query = new Query()
+        .greaterThan('year', 2000)
+        .matches('title', '^A')
+        .descending('year');
+      query.limit = 5;
+      const translation = translateQuery(query);
+      expect(translation.sql).toBe(`SELECT value FROM #{collection} AS entity WHERE ((${anyItem('(item.type IN'
+        + ' (\'integer\', \'real\') AND item.value > ?)')}))`);
+      expect(translation.parameters).toEqual(['$."year"', 2000]);
+      expect(translation.complete).toBe(false);
+    });
+
+    it('should not translate an $or with a condition, which can not be translated', () => {
+      const query = new Query().equalTo('status', 'new').or(new Query().equalTo('owner._id', '1'));
+      expect(translateQuery(query)).toBe(null);
+    });
+  });
+
+  describe('SqlKeyValueStorePersister', () => {
+    let collection;
+    let entity;
+
+    beforeEach(() => {
+      collection = randomString();
+      entity = { _id: randomString(), status: 'new' };
+    });
+
+    function getSqlModuleMock(isJsonSupported) {
+      return {
+        openTransaction: expect.createSpy().andCall((c) => {
+          if (c === sqliteCollectionsMaster) {
+            return Promise.resolve(isJsonSupported ? [1] : []);
+          }
+          return Promise.resolve([entity]);
+        })
+      };
+    }
+
+    it('should apply the query in the database, if the JSON functions are supported', () => {
+      const sqlModule = getSqlModuleMock(true);
+      const persister = new SqlKeyValueStorePersister(sqlModule);
+      const query = new Query().equalTo('status', 'new');
+      const { sql, parameters } = translateQuery(query);
+      return persister.readEntitiesByQuery(collection, query)
+        .then((result) => {
+          expect(result).toEqual({ entities: [entity], complete: true });
+          expect(sqlModule.openTransaction.calls.length).toBe(2);
+          expect(sqlModule.openTransaction.calls[1].arguments).toEqual([collection, sql, parameters]);
+        });
+    });
+
+    it('should not apply the query in the database, if the JSON functions are not supported', () => {
+      const sqlModule = getSqlModuleMock(false);
+      const persister = new SqlKeyValueStorePersister(sqlModule);
+      return persister.readEntitiesByQuery(collection, new Query())
+        .then(() => persister.readEntitiesByQuery(collection, new Query()))
+        .then((result) => {
+          expect(result).toBe(null);
+          // the support is checked once
+          validateSpyCalls(sqlModule.openTransaction, 1, [
+            sqliteCollectionsMaster,
+            'SELECT json_extract(\'{"supported":1}\', \'$.supported\') AS value',
+            []
+          ]);
+        });
+    });
+  });
+});
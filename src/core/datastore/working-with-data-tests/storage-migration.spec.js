@@ -0,0 +1,261 @@
+import expect from 'expect';
+
+import { InmemoryOfflineRepository, repositoryProvider, StorageProvider } from '../repositories';
+import { MemoryKeyValuePersister } from '../persisters';
+import { PromiseQueueByKey } from '../utils';
+import { syncCollectionName } from '../sync/utils';
+import { queryCacheCollectionName } from '../querycache';
+import { SyncStore } from '../syncstore';
+import { Query } from '../../query';
+import { Client } from '../../client';
+import { KinveyError } from '../../errors';
+import { randomString } from '../../utils';
+import { validateError } from './utils';
+
+const collection = 'books';
+
+describe('Offline storage migration', () => {
+  const queue = new PromiseQueueByKey();
+  let entity;
+  let syncItem;
+  let queryCacheItem;
+
+  // every repository gets its own namespace in the shared memory storage
+  function createRepo() {
+    const repo = new InmemoryOfflineRepository(new MemoryKeyValuePersister(), queue);
+    const appKey = randomString();
+    repo._getAppKey = () => appKey;
+    return repo;
+  }
+
+  function addOfflineData(repo) {
+    return repo.create(collection, [entity, { _id: randomString() }])
+      .then(() => repo.create(syncCollectionName, syncItem))
+      .then(() => repo.create(queryCacheCollectionName, queryCacheItem));
+  }
+
+  beforeEach(() => {
+    entity = { _id: randomString(), title: 'a' };
+    syncItem = { _id: randomString(), entityId: entity._id, collection };
+    queryCacheItem = { _id: randomString(), collectionName: collection, lastRequest: new Date().toISOString() };
+  });
+
+  describe('copyTo()', () => {
+    let sourceRepo;
+    let targetRepo;
+
+    beforeEach(() => {
+      sourceRepo = createRepo();
+      targetRepo = createRepo();
+    });
+
+    it('should copy the entities, the sync queue and the query cache', () => {
+      return addOfflineData(sourceRepo)
+        .then(() => sourceRepo.copyTo(targetRepo))
+        .then((counts) => {
+          expect(counts).toEqual({ [collection]: 2, [syncCollectionName]: 1, [queryCacheCollectionName]: 1 });
+          return Promise.all([
+            targetRepo.readById(collection, entity._id),
+            targetRepo.read(syncCollectionName),
+            targetRepo.read(queryCacheCollectionName)
+          ]);
+        })
+        .then(([copiedEntity, syncItems, queryCacheItems]) => {
+          expect(copiedEntity).toEqual(entity);
+          expect(syncItems).toEqual([syncItem]);
+          expect(queryCacheItems).toEqual([queryCacheItem]);
+        });
+    });
+
+    it('should replace the offline data of the target repository', () => {
+      return addOfflineData(sourceRepo)
+        .then(() => targetRepo.create(collection, { _id: randomString() }))
+        .then(() => targetRepo.create('stale', { _id: randomString() }))
+        .then(() => sourceRepo.copyTo(targetRepo))
+        .then(() => Promise.all([targetRepo.count(collection), targetRepo._getAllCollections()]))
+        .then(([count, collections]) => {
+          expect(count).toBe(2);
+          expect(collections).toExclude('stale');
+        });
+    });
+
+    it('should reject, when the count of a copied collection differs', () => {
+      const { _persister: persister } = targetRepo;
+      persister._writeToPersistance = (key, entities) => {
+        return MemoryKeyValuePersister.prototype._writeToPersistance.call(persister, key, entities.slice(1));
+      };
+      return addOfflineData(sourceRepo)
+        .then(() => sourceRepo.copyTo(targetRepo))
+        .then(() => Promise.reject(new Error('Should not happen')))
+        .catch((err) => {
+          const errMsg = 'collection could not be copied. 0 of its 1 entities are in the target storage.';
+          validateError(err, KinveyError, errMsg);
+        });
+    });
+  });
+
+  describe('repositoryProvider.migrateOfflineRepository()', () => {
+    let supportedStorages;
+    let sourceRepo;
+    let targetRepo;
+
+    before(() => {
+      supportedStorages = repositoryProvider.getSupportedStorages();
+      Client.init({ appKey: randomString(), appSecret: randomString() });
+    });
+
+    beforeEach(() => {
+      targetRepo = createRepo();
+      repositoryProvider.setSupportedRepoBuilders({
+        [StorageProvider.Memory]: q => new InmemoryOfflineRepository(new MemoryKeyValuePersister(), q),
+        [StorageProvider.LocalStorage]: () => targetRepo
+      });
+      return repositoryProvider.getOfflineRepository()
+        .then((repo) => {
+          sourceRepo = repo;
+          return sourceRepo.clear();
+        })
+        .then(() => addOfflineData(sourceRepo));
+    });
+
+    afterEach(() => {
+      return repositoryProvider.migrateOfflineRepository(StorageProvider.Memory)
+        .then(() => {
+          const builders = {};
+          supportedStorages.forEach((storage) => {
+            builders[storage] = q => new InmemoryOfflineRepository(new MemoryKeyValuePersister(), q);
+          });
+          repositoryProvider.setSupportedRepoBuilders(builders);
+        });
+    });
+
+    it('should switch to the storage provider, once the offline data is copied', () => {
+      return repositoryProvider.migrateOfflineRepository(StorageProvider.LocalStorage)
+        .then((counts) => {
+          expect(counts[syncCollectionName]).toBe(1);
+          expect(Client.sharedInstance().storage).toBe(StorageProvider.LocalStorage);
+          return repositoryProvider.getOfflineRepository();
+        })
+        .then((repo) => {
+          expect(repo).toBe(targetRepo);
+          return Promise.all([targetRepo.read(syncCollectionName), sourceRepo.read(syncCollectionName)]);
+        })
+        .then(([targetSyncItems, sourceSyncItems]) => {
+          expect(targetSyncItems).toEqual([syncItem]);
+          expect(sourceSyncItems).toEqual([]);
+        });
+    });
+
+    it('should make the operations started during the migration use the new repository', () => {
+      const migrationPromise = repositoryProvider.migrateOfflineRepository(StorageProvider.LocalStorage);
+      return repositoryProvider.getOfflineRepository()
+        .then((repo) => {
+          expect(repo).toBe(targetRepo);
+          return migrationPromise;
+        });
+    });
+
+    it('should make the stores created before the migration use the new repository', () => {
+      const store = new SyncStore(collection);
+      const newEntity = { _id: randomString(), title: 'b' };
+      return store.save({ _id: randomString() })
+        .then(() => store.pendingSyncCount())
+        .then(() => repositoryProvider.migrateOfflineRepository(StorageProvider.LocalStorage))
+        .then(() => store.save(newEntity))
+        .then(() => {
+          return Promise.all([
+            targetRepo.readById(collection, newEntity._id),
+            targetRepo.read(syncCollectionName, new Query().equalTo('entityId', newEntity._id))
+          ]);
+        })
+        .then(([savedEntity, syncItems]) => {
+          expect(savedEntity).toInclude(newEntity);
+          expect(syncItems.length).toBe(1);
+          expect(syncItems[0].collection).toBe(collection);
+        });
+    });
+
+    it('should keep the storage provider and its offline data, when the migration fails', () => {
+      targetRepo._saveAll = () => Promise.reject(new KinveyError('The storage is full'));
+      return repositoryProvider.migrateOfflineRepository(StorageProvider.LocalStorage)
+        .then(() => Promise.reject(new Error('Should not happen')))
+        .catch((err) => {
+          validateError(err, KinveyError, 'The storage is full');
+          expect(Client.sharedInstance().storage).toBe(StorageProvider.Memory);
+          return repositoryProvider.getOfflineRepository();
+        })
+        .then((repo) => {
+          expect(repo).toBe(sourceRepo);
+          return repo.read(syncCollectionName);
+        })
+        .then((syncItems) => {
+          expect(syncItems).toEqual([syncItem]);
+        });
+    });
+
+    it('should fail the writes of an operation, which got the previous repository, instead of losing them', () => {
+      const { _saveAll: saveAll } = targetRepo;
+      let writesPromise;
+      // the writes are made, while the entities are copied
+      targetRepo._saveAll = (...args) => {
+        if (args[0] === collection && !writesPromise) {
+          const writes = [
+            sourceRepo.create(collection, { _id: randomString() }),
+            sourceRepo.create(randomString(), { _id: randomString() })
+          ];
+          writesPromise = Promise.all(writes.map(write => write.then(() => null, err => err)));
+        }
+        return saveAll.apply(targetRepo, args);
+      };
+
+      return repositoryProvider.migrateOfflineRepository(StorageProvider.LocalStorage)
+        .then((counts) => {
+          expect(counts[collection]).toBe(2);
+          return writesPromise;
+        })
+        .then((errors) => {
+          errors.forEach(err => validateError(err, KinveyError, 'moved to another storage provider'));
+          return Promise.all([targetRepo.count(collection), sourceRepo._getAllCollections()]);
+        })
+        .then(([count, sourceCollections]) => {
+          expect(count).toBe(2);
+          expect(sourceCollections).toEqual([]);
+        });
+    });
+
+    it('should keep the offline data, when a collection was changed during the copy', () => {
+      const { _saveAll: saveAll } = targetRepo;
+      const otherCollection = randomString();
+      let changePromise;
+      // written without the lock, like by another tab
+      targetRepo._saveAll = (...args) => {
+        if (args[0] === collection && !changePromise) {
+          changePromise = sourceRepo._saveAll(otherCollection, [{ _id: randomString() }]);
+        }
+        return saveAll.apply(targetRepo, args);
+      };
+
+      return repositoryProvider.migrateOfflineRepository(StorageProvider.LocalStorage)
+        .then(() => Promise.reject(new Error('Should not happen')))
+        .catch((err) => {
+          validateError(err, KinveyError, `The "${otherCollection}" collection was changed, while it was moved.`);
+          expect(Client.sharedInstance().storage).toBe(StorageProvider.Memory);
+          return Promise.all([
+            sourceRepo.count(collection),
+            sourceRepo.create(otherCollection, { _id: randomString() })
+          ]);
+        })
+        .then(([count]) => {
+          expect(count).toBe(2);
+        });
+    });
+
+    it('should reject, when the storage provider is not available', () => {
+      return repositoryProvider.migrateOfflineRepository(StorageProvider.WebSQL)
+        .then(() => Promise.reject(new Error('Should not happen')))
+        .catch((err) => {
+          validateError(err, KinveyError, 'is not available in this environment');
+        });
+    });
+  });
+});
@@ -0,0 +1,219 @@
+import expect from 'expect';
+
+import { InmemoryOfflineRepository } from '../repositories';
+import { MemoryKeyValuePersister, getStorageQuotaError } from '../persisters';
+import { PromiseQueueByKey } from '../utils';
+import { syncCollectionName } from '../sync/utils';
+import { queryCacheCollectionName } from '../querycache';
+import { mockRequiresIn } from '../require-helper';
+import { KinveyError, StorageQuotaError } from '../../errors';
+import { randomString } from '../../utils';
+import { validateError } from './utils';
+
+const collection = 'books';
+const otherCollection = 'authors';
+
+describe('Storage quota', () => {
+  let storageQuota;
+  let repo;
+
+  function serializeFilter(filter) {
+    return JSON.stringify({ query: JSON.stringify(filter) });
+  }
+
+  function readIds(collectionName) {
+    return repo.read(collectionName)
+      .then(entities => entities.map(entity => entity._id).sort());
+  }
+
+  beforeEach(() => {
+    repo = new InmemoryOfflineRepository(new MemoryKeyValuePersister(), new PromiseQueueByKey());
+    // every repository gets its own namespace in the shared memory storage
+    const appKey = randomString();
+    repo._getAppKey = () => appKey;
+    const repositoryProvider = { getOfflineRepository: () => Promise.resolve(repo) };
+    storageQuota = mockRequiresIn(__dirname, '../storage-quota', { './repositories': { repositoryProvider } });
+  });
+
+  describe('getStorageUsage()', () => {
+    it('should report the bytes of each collection, and their total', () => {
+      const entity = { _id: '1', title: 'ä' };
+      return repo.create(collection, entity)
+        .then(() => storageQuota.getStorageUsage())
+        .then((usage) => {
+          const bytes = JSON.stringify([entity]).length + 1;
+          expect(usage).toEqual({ totalBytes: bytes, collections: { [collection]: bytes } });
+        });
+    });
+  });
+
+  describe('setStorageQuota()', () => {
+    it('should throw, when maxBytes is not a positive number', () => {
+      expect(() => storageQuota.setStorageQuota({ maxBytes: -1 }))
+        .toThrow(/Invalid maxBytes of the storage quota/);
+    });
+
+    it('should throw, when the eviction policy is not supported', () => {
+      expect(() => storageQuota.setStorageQuota({ maxBytes: 1, evictionPolicy: 'Random' }))
+        .toThrow(/Invalid eviction policy of the storage quota: Random/);
+    });
+
+    it('should default to the least recently used collection eviction policy', () => {
+      storageQuota.setStorageQuota({ maxBytes: 1 });
+      expect(storageQuota.getStorageQuota().evictionPolicy)
+        .toBe(storageQuota.StorageEvictionPolicy.LeastRecentlyUsedCollection);
+    });
+  });
+
+  describe('enforceStorageQuota()', () => {
+    it('should evict the least recently used collection, except the entities with pending sync items', () => {
+      const syncItem = { _id: randomString(), entityId: '2', collection, state: { operation: 'PUT' } };
+      const queryCacheItem = { _id: randomString(), collectionName: collection, query: '' };
+      storageQuota.setStorageQuota({ maxBytes: 200 });
+      return repo.create(collection, [{ _id: '1', title: randomString() }, { _id: '2', title: randomString() }])
+        .then(() => repo.create(otherCollection, { _id: '3', name: randomString() }))
+        .then(() => repo.create(syncCollectionName, syncItem))
+        .then(() => repo.create(queryCacheCollectionName, queryCacheItem))
+        .then(() => {
+          storageQuota.markCollectionUsed(collection);
+          return storageQuota.enforceStorageQuota();
+        })
+        .then((freedBytes) => {
+          expect(freedBytes).toBeGreaterThan(0);
+          return Promise.all([
+            readIds(collection),
+            readIds(otherCollection),
+            readIds(syncCollectionName),
+            readIds(queryCacheCollectionName)
+          ]);
+        })
+        .then(([bookIds, authorIds, syncItemIds, queryCacheIds]) => {
+          expect(bookIds).toEqual(['2']);
+          expect(authorIds).toEqual([]);
+          expect(syncItemIds).toEqual([syncItem._id]);
+          expect(queryCacheIds).toEqual([]);
+        });
+    });
+
+    it('should evict the oldest cached query, except the entities of a later one', () => {
+      const oldQuery = {
+        _id: randomString(),
+        collectionName: collection,
+        query: serializeFilter({ genre: 'a' }),
+        lastRequest: new Date(1000).toISOString()
+      };
+      const laterQuery = {
+        _id: randomString(),
+        collectionName: collection,
+        query: serializeFilter({ author: 'x' }),
+        lastRequest: new Date(2000).toISOString()
+      };
+      const evictionPolicy = storageQuota.StorageEvictionPolicy.OldestCachedQuery;
+      storageQuota.setStorageQuota({ maxBytes: 1, evictionPolicy });
+      return repo.create(collection, [
+        { _id: '1', genre: 'a', author: 'y' },
+        { _id: '2', genre: 'a', author: 'x' },
+        { _id: '3', genre: 'b', author: 'x' }
+      ])
+        .then(() => repo.create(queryCacheCollectionName, [oldQuery, laterQuery]))
+        .then(() => storageQuota.evictCache(1))
+        .then(() => Promise.all([readIds(collection), readIds(queryCacheCollectionName)]))
+        .then(([bookIds, queryCacheIds]) => {
+          expect(bookIds).toEqual(['2', '3']);
+          expect(queryCacheIds).toEqual([laterQuery._id]);
+        });
+    });
+
+    it('should measure only the collections changed since the previous call', () => {
+      const readCollections = [];
+      let exportCount = 0;
+      storageQuota.setStorageQuota({ maxBytes: 200 });
+      return repo.create(collection, { _id: '1', title: randomString() })
+        .then(() => repo.create(otherCollection, { _id: '2', name: randomString() }))
+        .then(() => storageQuota.enforceStorageQuota())
+        .then((freedBytes) => {
+          expect(freedBytes).toBe(0);
+          const { exportCollections, read } = repo;
+          repo.exportCollections = (...args) => {
+            exportCount += 1;
+            return exportCollections.apply(repo, args);
+          };
+          repo.read = (collectionName, query) => {
+            readCollections.push(collectionName);
+            return read.call(repo, collectionName, query);
+          };
+          storageQuota.markCollectionUsed(otherCollection);
+          return repo.update(collection, { _id: '1', title: new Array(200).join('a') });
+        })
+        .then(() => storageQuota.enforceStorageQuota())
+        .then((freedBytes) => {
+          expect(freedBytes).toBeGreaterThan(0);
+          expect(readCollections).toEqual([collection]);
+          // by the eviction only
+          expect(exportCount).toBe(1);
+          return Promise.all([readIds(collection), readIds(otherCollection)]);
+        })
+        .then(([bookIds, authorIds]) => {
+          expect(bookIds).toEqual([]);
+          expect(authorIds).toEqual(['2']);
+        });
+    });
+
+    it('should not evict anything, when the offline data is within the quota', () => {
+      storageQuota.setStorageQuota({ maxBytes: 10000 });
+      return repo.create(collection, { _id: '1' })
+        .then(() => storageQuota.enforceStorageQuota())
+        .then((freedBytes) => {
+          expect(freedBytes).toBe(0);
+          return readIds(collection);
+        })
+        .then((ids) => {
+          expect(ids).toEqual(['1']);
+        });
+    });
+  });
+
+  describe('evictOnStorageQuotaError()', () => {
+    it('should evict the cache, and reject with the StorageQuotaError', () => {
+      storageQuota.setStorageQuota({});
+      return repo.create(collection, { _id: '1' })
+        .then(() => storageQuota.evictOnStorageQuotaError(new StorageQuotaError()))
+        .then(() => Promise.reject(new Error('Should not happen')))
+        .catch((err) => {
+          validateError(err, StorageQuotaError, 'The quota of the offline storage is exceeded.');
+          return readIds(collection);
+        })
+        .then((ids) => {
+          expect(ids).toEqual([]);
+        });
+    });
+
+    it('should not evict the cache for other errors', () => {
+      storageQuota.setStorageQuota({});
+      return repo.create(collection, { _id: '1' })
+        .then(() => storageQuota.evictOnStorageQuotaError(new KinveyError('The write failed')))
+        .then(() => Promise.reject(new Error('Should not happen')))
+        .catch((err) => {
+          validateError(err, KinveyError, 'The write failed');
+          return readIds(collection);
+        })
+        .then((ids) => {
+          expect(ids).toEqual(['1']);
+        });
+    });
+  });
+
+  describe('getStorageQuotaError()', () => {
+    it('should return a StorageQuotaError for the quota errors of the browsers', () => {
+      const quotaError = { name: 'QuotaExceededError', code: 22, message: 'The quota has been exceeded.' };
+      const err = getStorageQuotaError(quotaError, 'the books collection');
+      expect(err).toBeA(StorageQuotaError);
+      expect(err.message).toContain('the books collection');
+      expect(err.debug).toBe(quotaError.message);
+    });
+
+    it('should return null for other errors', () => {
+      expect(getStorageQuotaError(new Error('Something else'), 'the books collection')).toBe(null);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+import expect from 'expect';
+
+import { DataStoreEvent, ChangeSource, onDataStoreEvent, emitDataStoreEvent } from '../store-events';
+import { DataStoreType } from '../datastore';
+import { OperationType, Operation } from '../operations';
+import { mockRequiresIn } from '../require-helper';
+import { KinveyError } from '../../errors';
+import { randomString } from '../../utils';
+import { datastoreFactory, getRepoMock, getSyncManagerMock, validateError, validateSpyCalls } from './utils';
+
+describe('DataStore events', () => {
+  let collection;
+  let handlerSpy;
+
+  beforeEach(() => {
+    collection = randomString();
+    handlerSpy = expect.createSpy();
+  });
+
+  describe('on()', () => {
+    let store;
+
+    beforeEach(() => {
+      store = datastoreFactory[DataStoreType.Network](collection, {});
+    });
+
+    it('should throw an error for an invalid event', () => {
+      try {
+        store.on('invalid', handlerSpy);
+        throw new Error('Should not happen');
+      } catch (err) {
+        validateError(err, KinveyError, 'Invalid event');
+      }
+    });
+
+    it('should throw an error if the handler is not a function', () => {
+      try {
+        store.on(DataStoreEvent.Create, {});
+        throw new Error('Should not happen');
+      } catch (err) {
+        validateError(err, KinveyError, 'must be a function');
+      }
+    });
+
+    it('should call the handler for the events of the collection only', () => {
+      store.on(DataStoreEvent.Create, handlerSpy);
+      emitDataStoreEvent(collection, DataStoreEvent.Create, ['1'], ChangeSource.Local);
+      emitDataStoreEvent(collection, DataStoreEvent.Update, ['1'], ChangeSource.Local);
+      emitDataStoreEvent(randomString(), DataStoreEvent.Create, ['2'], ChangeSource.Local);
+      validateSpyCalls(handlerSpy, 1, [{ collection, ids: ['1'], source: ChangeSource.Local }]);
+      store.off(DataStoreEvent.Create, handlerSpy);
+    });
+
+    it('should return a function, which removes the handler', () => {
+      const removeHandler = store.on(DataStoreEvent.Remove, handlerSpy);
+      removeHandler();
+      emitDataStoreEvent(collection, DataStoreEvent.Remove, ['1'], ChangeSource.Local);
+      expect(handlerSpy.calls.length).toBe(0);
+    });
+
+    it('should not fail the emitting code, when a handler throws', () => {
+      const removeHandler = store.on(DataStoreEvent.Pull, () => {
+        throw new Error('handler error');
+      });
+      emitDataStoreEvent(collection, DataStoreEvent.Pull, [], ChangeSource.Pull);
+      removeHandler();
+    });
+
+    it('should emit an update event for the entities received from the live service', () => {
+      const receiver = { onMessage: expect.createSpy() };
+      const entity = { _id: randomString() };
+      const removeHandler = store.on(DataStoreEvent.Update, handlerSpy);
+      store._wrapLiveReceiver(receiver).onMessage(entity);
+      removeHandler();
+      validateSpyCalls(receiver.onMessage, 1, [entity]);
+      validateSpyCalls(handlerSpy, 1, [{ collection, ids: [entity._id], source: ChangeSource.Live }]);
+    });
+  });
+
+  describe('emitted by the data processors', () => {
+    let repoMock;
+    let removeHandler;
+
+    function getProcessor(path, className, repositoryProvider, ...constructorArgs) {
+      const requireMocks = { '../repositories': { repositoryProvider } };
+      const ProxiedProcessor = mockRequiresIn(__dirname, path, requireMocks, className);
+      return new ProxiedProcessor(...constructorArgs);
+    }
+
+    beforeEach(() => {
+      repoMock = getRepoMock();
+    });
+
+    afterEach(() => {
+      removeHandler();
+    });
+
+    it('should emit a create event with the ids of the entities created offline', () => {
+      const entity = { _id: randomString() };
+      repoMock.create = expect.createSpy().andReturn(Promise.resolve(entity));
+      const processor = getProcessor('../processors/offline-data-processor', 'OfflineDataProcessor', {
+        getOfflineRepository: () => Promise.resolve(repoMock)
+      }, getSyncManagerMock());
+      removeHandler = onDataStoreEvent(collection, DataStoreEvent.Create, handlerSpy);
+      return processor.process(new Operation(OperationType.Create, collection, null, entity))
+        .then(() => {
+          validateSpyCalls(handlerSpy, 1, [{ collection, ids: [entity._id], source: ChangeSource.Local }]);
+        });
+    });
+
+    it('should emit a remove event when an entity is removed over the network', () => {
+      const entityId = randomString();
+      const processor = getProcessor('../processors/network-data-processor', 'NetworkDataProcessor', {
+        getNetworkRepository: () => repoMock
+      });
+      removeHandler = onDataStoreEvent(collection, DataStoreEvent.Remove, handlerSpy);
+      return processor.process(new Operation(OperationType.DeleteById, collection, null, null, entityId))
+        .then(() => {
+          validateSpyCalls(handlerSpy, 1, [{ collection, ids: [entityId], source: ChangeSource.Local }]);
+        });
+    });
+
+    it('should not emit a remove event when no entity was removed', () => {
+      repoMock.deleteById = expect.createSpy().andReturn(Promise.resolve(0));
+      const processor = getProcessor('../processors/network-data-processor', 'NetworkDataProcessor', {
+        getNetworkRepository: () => repoMock
+      });
+      removeHandler = onDataStoreEvent(collection, DataStoreEvent.Remove, handlerSpy);
+      return processor.process(new Operation(OperationType.DeleteById, collection, null, null, randomString()))
+        .then(() => {
+          expect(handlerSpy.calls.length).toBe(0);
+        });
+    });
+  });
+});
@@ -1,10 +1,13 @@
 import expect from 'expect';
+import pick from 'lodash/pick';
 
-import { SyncOperation } from '../sync';
+import { SyncOperation, ConflictResolutionStrategy, setConflictResolver, SyncProgress } from '../sync';
 import { randomString } from '../../utils';
 import { Query } from '../../query';
 import { mockRequiresIn } from '../require-helper';
-import { KinveyError, NotFoundError, SyncError } from '../../errors';
+import { DataStoreEvent, ChangeSource, onDataStoreEvent } from '../store-events';
+import { setCollectionSchema } from '../schema-validation';
+import { KinveyError, NotFoundError, SyncError, ValidationError } from '../../errors';
 import {
   createPromiseSpy,
   getRepoMock,
@@ -219,6 +222,16 @@ describe('SyncManager delegating to repos and SyncStateManager', () => {
                 validateSpyCalls(spy, 1, [collection, entityId]);
               });
           });
+
+          it('should emit the push event with the ids of the pushed entities', () => {
+            const handlerSpy = expect.createSpy();
+            const removeHandler = onDataStoreEvent(collection, DataStoreEvent.Push, handlerSpy);
+            return syncManager.push(collection)
+              .then(() => {
+                removeHandler();
+                validateSpyCalls(handlerSpy, 1, [{ collection, ids: [entityId], source: ChangeSource.Push }]);
+              });
+          });
         });
 
         describe('update()', () => {
@@ -251,6 +264,18 @@ describe('SyncManager delegating to repos and SyncStateManager', () => {
                 validateSpyCalls(spy, 1, [collection, networkReponseEntityMock._id]);
               });
           });
+
+          it('should call NetworkRepo.patchOrUpdate() with the changes, when the sync item has them', () => {
+            const changes = { title: 'changed' };
+            syncItemsMock[0].state.changes = changes;
+            networkRepoMock.patchOrUpdate = createPromiseSpy(networkReponseEntityMock);
+            return syncManager.push(collection)
+              .then(() => {
+                validateSpyCalls(networkRepoMock.patchOrUpdate, 1, [collection, entityToBeSyncedMock, changes]);
+                validateSpyCalls(networkRepoMock.update, 0);
+                validateSpyCalls(offlineRepoMock.update, 1, [collection, networkReponseEntityMock]);
+              });
+          });
         });
 
         describe('delete()', () => {
@@ -281,6 +306,145 @@ describe('SyncManager delegating to repos and SyncStateManager', () => {
     });
   });
 
+  describe('push() with a conflict resolver', () => {
+    let entityId;
+    let localEntity;
+    let serverEntity;
+
+    beforeEach(() => {
+      entityId = randomString();
+      localEntity = { _id: entityId, title: 'local', _kmd: { lmt: '2018-01-01T00:00:00.000Z' } };
+      serverEntity = { _id: entityId, title: 'server', author: 'Kinvey', _kmd: { lmt: '2018-02-01T00:00:00.000Z' } };
+      syncStateManagerMock.getSyncItems = createPromiseSpy([getSyncItemMock(SyncOperation.Update, entityId)]);
+      offlineRepoMock.readById = createPromiseSpy(localEntity);
+      networkRepoMock.readById = createPromiseSpy(serverEntity);
+    });
+
+    afterEach(() => {
+      setConflictResolver(collection, null);
+    });
+
+    it('should not read the server entity, when no resolver is set', () => {
+      return syncManager.push(collection)
+        .then(() => {
+          validateSpyCalls(networkRepoMock.readById, 0);
+          validateSpyCalls(networkRepoMock.update, 1, [collection, localEntity]);
+        });
+    });
+
+    it('should push the entity as is, when the server entity was not modified', () => {
+      serverEntity._kmd.lmt = localEntity._kmd.lmt;
+      setConflictResolver(collection, ConflictResolutionStrategy.ServerWins);
+      return syncManager.push(collection)
+        .then((results) => {
+          validateSpyCalls(networkRepoMock.readById, 1, [collection, entityId]);
+          validateSpyCalls(networkRepoMock.update, 1, [collection, localEntity]);
+          expect(results[0].conflict).toNotExist();
+        });
+    });
+
+    it('should keep the server entity and remove the sync item, with the ServerWins strategy', () => {
+      setConflictResolver(collection, ConflictResolutionStrategy.ServerWins);
+      return syncManager.push(collection)
+        .then((results) => {
+          validateSpyCalls(networkRepoMock.update, 0);
+          validateSpyCalls(offlineRepoMock.update, 1, [collection, serverEntity]);
+          validateSpyCalls(syncStateManagerMock.removeSyncItemForEntityId, 1, [collection, entityId]);
+          expect(results[0].entity).toEqual(serverEntity);
+          expect(results[0].conflict).toEqual({
+            serverEntity,
+            resolved: true,
+            strategy: ConflictResolutionStrategy.ServerWins
+          });
+        });
+    });
+
+    it('should push the local entity, with the ClientWins strategy', () => {
+      setConflictResolver(collection, ConflictResolutionStrategy.ClientWins);
+      return syncManager.push(collection)
+        .then((results) => {
+          validateSpyCalls(networkRepoMock.update, 1, [collection, localEntity]);
+          expect(results[0].conflict.resolved).toBe(true);
+        });
+    });
+
+    it('should push the merged entity, with the Merge strategy', () => {
+      setConflictResolver(collection, ConflictResolutionStrategy.Merge);
+      return syncManager.push(collection)
+        .then(() => {
+          const expectedEntity = { _id: entityId, title: 'local', author: 'Kinvey', _kmd: serverEntity._kmd };
+          validateSpyCalls(networkRepoMock.update, 1, [collection, expectedEntity]);
+        });
+    });
+
+    it('should keep the fields changed only on the backend, with the Merge strategy', () => {
+      const syncItem = getSyncItemMock(SyncOperation.Update, entityId);
+      syncItem.state.base = { _id: entityId, title: 'synced', author: 'someone', year: 2000 };
+      localEntity.author = 'someone';
+      serverEntity.title = 'synced';
+      syncStateManagerMock.getSyncItems = createPromiseSpy([syncItem]);
+      setConflictResolver(collection, ConflictResolutionStrategy.Merge);
+      return syncManager.push(collection)
+        .then(() => {
+          // the title was changed and the year removed locally, while the author was changed on the backend
+          const expectedEntity = { _id: entityId, title: 'local', author: 'Kinvey', _kmd: serverEntity._kmd };
+          validateSpyCalls(networkRepoMock.update, 1, [collection, expectedEntity]);
+        });
+    });
+
+    it('should merge only the fields of a pending patch, with the Merge strategy', () => {
+      const syncItem = getSyncItemMock(SyncOperation.Update, entityId);
+      syncItem.state.changes = { title: 'local' };
+      localEntity.author = 'someone';
+      syncStateManagerMock.getSyncItems = createPromiseSpy([syncItem]);
+      setConflictResolver(collection, ConflictResolutionStrategy.Merge);
+      return syncManager.push(collection)
+        .then(() => {
+          const expectedEntity = { _id: entityId, title: 'local', author: 'Kinvey', _kmd: serverEntity._kmd };
+          validateSpyCalls(networkRepoMock.update, 1, [collection, expectedEntity]);
+        });
+    });
+
+    it('should push the entity returned by a custom resolver', () => {
+      const resolvedEntity = { _id: entityId, title: 'resolved' };
+      const resolver = expect.createSpy().andReturn(Promise.resolve(resolvedEntity));
+      setConflictResolver(collection, resolver);
+      return syncManager.push(collection)
+        .then((results) => {
+          expect(resolver.calls[0].arguments[0].localEntity).toEqual(localEntity);
+          expect(resolver.calls[0].arguments[0].serverEntity).toEqual(serverEntity);
+          expect(resolver.calls[0].arguments[0].baseEntity).toBe(null);
+          validateSpyCalls(networkRepoMock.update, 1, [collection, resolvedEntity]);
+          expect(results[0].conflict.strategy).toBe('custom');
+        });
+    });
+
+    it('should leave the sync item and report the conflict, when a custom resolver returns nothing', () => {
+      setConflictResolver(collection, () => undefined);
+      return syncManager.push(collection)
+        .then((results) => {
+          validateSpyCalls(networkRepoMock.update, 0);
+          validateSpyCalls(syncStateManagerMock.removeSyncItemForEntityId, 0);
+          expect(results[0].error).toBeA(SyncError);
+          expect(results[0].conflict).toEqual({ serverEntity, resolved: false });
+        });
+    });
+
+    it('should detect a conflict for a delete, using the last modified time stored in the sync item', () => {
+      const syncItem = getSyncItemMock(SyncOperation.Delete, entityId);
+      syncItem.state.lmt = localEntity._kmd.lmt;
+      syncStateManagerMock.getSyncItems = createPromiseSpy([syncItem]);
+      offlineRepoMock.readById = createPromiseSpy(new NotFoundError(), true);
+      setConflictResolver(collection, ConflictResolutionStrategy.ServerWins);
+      return syncManager.push(collection)
+        .then((results) => {
+          validateSpyCalls(networkRepoMock.deleteById, 0);
+          validateSpyCalls(offlineRepoMock.update, 1, [collection, serverEntity]);
+          expect(results[0].conflict.resolved).toBe(true);
+        });
+    });
+  });
+
   describe('pull()', () => {
     const query = new Query();
     const optionName = 'test';
@@ -343,6 +507,32 @@ describe('SyncManager delegating to repos and SyncStateManager', () => {
         });
     });
 
+    it('should emit the pull event with the ids of the pulled entities', () => {
+      const serverItemsMock = [{ _id: randomString() }, { _id: randomString() }];
+      const handlerSpy = expect.createSpy();
+      const removeHandler = onDataStoreEvent(collection, DataStoreEvent.Pull, handlerSpy);
+      networkRepoMock.read = createPromiseSpy(serverItemsMock);
+      offlineRepoMock.update = createPromiseSpy(serverItemsMock);
+      return syncManager.pull(collection, query, options)
+        .then(() => {
+          removeHandler();
+          const ids = serverItemsMock.map(e => e._id);
+          validateSpyCalls(handlerSpy, 1, [{ collection, ids, source: ChangeSource.Pull }]);
+        });
+    });
+
+    it('should not save the pulled entities, when they do not match the schema and validatePulledData is set', () => {
+      const pullCollection = randomString();
+      setCollectionSchema(pullCollection, { required: ['title'] }, { validatePulledData: true });
+      networkRepoMock.read = createPromiseSpy([{ _id: randomString() }]);
+      return syncManager.pull(pullCollection, query, options)
+        .then(() => Promise.reject(new Error('Should not happen')))
+        .catch((err) => {
+          validateError(err, ValidationError, 'title is required');
+          expect(offlineRepoMock.update).toNotHaveBeenCalled();
+        });
+    });
+
     describe('when using auto pagination', () => {
       let options = { autoPagination: true };
       const backendEntityCount = 31500;
@@ -476,6 +666,100 @@ describe('SyncManager delegating to repos and SyncStateManager', () => {
     });
   });
 
+  describe('progress and cancellation', () => {
+    let reported;
+    let progress;
+
+    function progressState(operation, done, total) {
+      return {
+        operation,
+        done,
+        total,
+        failed: 0,
+        cancelled: false
+      };
+    }
+
+    function getProgress(onNext) {
+      reported = [];
+      return new SyncProgress({
+        next: (p) => {
+          reported.push(pick(p, ['operation', 'done', 'total', 'failed', 'cancelled']));
+          if (onNext) {
+            onNext(p);
+          }
+        }
+      });
+    }
+
+    beforeEach(() => {
+      const entityIds = [randomString(), randomString()];
+      const syncItems = entityIds.map(id => getSyncItemMock(SyncOperation.Update, id));
+      syncStateManagerMock.getSyncItems = createPromiseSpy(syncItems);
+      offlineRepoMock.readById = createPromiseSpy({ _id: entityIds[0] });
+    });
+
+    it('should report the progress of a push', () => {
+      progress = getProgress();
+      return syncManager.push(collection, { progress })
+        .then(() => {
+          expect(reported[0]).toEqual(progressState('push', 0, 2));
+          expect(reported[2]).toEqual(progressState('push', 2, 2));
+        });
+    });
+
+    it('should count the items which failed to push', () => {
+      networkRepoMock.update = createPromiseSpy(new KinveyError('test'), true);
+      progress = getProgress();
+      return syncManager.push(collection, { progress })
+        .then(() => {
+          expect(reported[2].failed).toBe(2);
+        });
+    });
+
+    it('should not push the remaining items, when the push is cancelled', () => {
+      progress = getProgress(p => p.cancel());
+      return syncManager.push(collection, { progress })
+        .then((results) => {
+          validateSpyCalls(networkRepoMock.update, 0);
+          expect(results).toEqual([]);
+          expect(reported[reported.length - 1].cancelled).toBe(true);
+        });
+    });
+
+    it('should not pull, when the pull is cancelled before it starts', () => {
+      progress = getProgress();
+      progress.cancel();
+      return syncManager.pull(collection, null, { progress })
+        .then((result) => {
+          validateSpyCalls(networkRepoMock.read, 0);
+          expect(result).toBe(0);
+        });
+    });
+
+    it('should report the progress of a paginated pull, page by page', () => {
+      networkRepoMock.count = createPromiseSpy(3);
+      utilsMock.splitQueryIntoPages.andReturn([new Query(), new Query(), new Query()]);
+      progress = getProgress();
+      return syncManager.pull(collection, null, { autoPagination: true, progress })
+        .then(() => {
+          expect(reported[0]).toEqual(progressState('pull', 0, 3));
+          expect(reported[3]).toEqual(progressState('pull', 3, 3));
+        });
+    });
+
+    it('should not request the remaining pages, when a paginated pull is cancelled', () => {
+      networkRepoMock.count = createPromiseSpy(3);
+      utilsMock.splitQueryIntoPages.andReturn([new Query(), new Query(), new Query()]);
+      progress = getProgress(p => p.cancel());
+      return syncManager.pull(collection, null, { autoPagination: true, progress })
+        .then((result) => {
+          validateSpyCalls(networkRepoMock.read, 0);
+          expect(result).toBe(0);
+        });
+    });
+  });
+
   describe('getSyncItemCount()', () => {
     it('should return an error if no collection name is passed', () => {
       return syncManager.getSyncItemCount()
@@ -567,7 +851,18 @@ describe('SyncManager delegating to repos and SyncStateManager', () => {
       return syncManager.clearSync(collection, query)
         .then(() => {
           const spy = syncStateManagerMock.removeSyncItemsForIds;
-          validateSpyCalls(spy, 1, [collection, entitiesMock.map(e => e._id)]);
+          validateSpyCalls(spy, 1, [collection, entitiesMock.map(e => e._id), undefined]);
+        });
+    });
+
+    it('should read the entities and remove their sync items within a transaction, when one is passed', () => {
+      const query = new Query();
+      const txnMock = getRepoMock({ read: [{ _id: randomString() }] });
+      return syncManager.clearSync(collection, query, txnMock)
+        .then(() => {
+          validateSpyCalls(offlineRepoMock.read, 0);
+          validateSpyCalls(txnMock.read, 1, [collection, query]);
+          expect(syncStateManagerMock.removeSyncItemsForIds.calls[0].arguments[2]).toBe(txnMock);
         });
     });
 
@@ -576,7 +871,7 @@ describe('SyncManager delegating to repos and SyncStateManager', () => {
         .then(() => {
           validateSpyCalls(offlineRepoMock.read, 0);
           const spy = syncStateManagerMock.removeAllSyncItems;
-          validateSpyCalls(spy, 1, [collection]);
+          validateSpyCalls(spy, 1, [collection, undefined]);
         });
     });
   });
@@ -584,6 +879,8 @@ describe('SyncManager delegating to repos and SyncStateManager', () => {
   ['Create', 'Delete', 'Update'].forEach((eventName) => {
     eventName = `${eventName[0]}${eventName.substring(1).toLowerCase()}`;
     const methodName = `add${eventName}Event`;
+    // the entities before an update are passed on, as the base versions of the sync items
+    const extraArgs = eventName === 'Update' ? [undefined] : [];
 
     describe(`${methodName}()`, () => {
       it('should return an error if no entities are passed', () => {
@@ -607,7 +904,18 @@ describe('SyncManager delegating to repos and SyncStateManager', () => {
         return syncManager[methodName](collection, entitiesMock)
           .then(() => {
             const spy = syncStateManagerMock[methodName];
-            validateSpyCalls(spy, 1, [collection, entitiesMock]);
+            validateSpyCalls(spy, 1, [collection, entitiesMock, undefined, ...extraArgs]);
+          });
+      });
+
+      it(`should pass the transaction to SyncStateManager.${methodName}()`, () => {
+        const entitiesMock = [{ _id: randomString() }];
+        const txnMock = { afterCommit: expect.createSpy() };
+        return syncManager[methodName](collection, entitiesMock, txnMock)
+          .then(() => {
+            const spy = syncStateManagerMock[methodName];
+            validateSpyCalls(spy, 1, [collection, entitiesMock, txnMock, ...extraArgs]);
+            expect(txnMock.afterCommit.calls.length).toBe(1);
           });
       });
     });
@@ -0,0 +1,155 @@
+import expect from 'expect';
+
+import { SyncScheduler } from '../sync';
+import { NetworkConnectionError, KinveyError } from '../../errors';
+import { createPromiseSpy, validateSpyCalls } from './utils';
+
+const collection = 'books';
+
+function getStoreMock() {
+  return {
+    collection,
+    push: createPromiseSpy([]),
+    pull: createPromiseSpy(0),
+    pendingSyncCount: createPromiseSpy(0),
+    syncManager: {
+      isPushInProgress: expect.createSpy().andReturn(false)
+    }
+  };
+}
+
+function getConnectivityDetectorMock(isOnline = true) {
+  const detector = {
+    handler: null,
+    isOnline: () => isOnline,
+    onChange: (handler) => {
+      detector.handler = handler;
+      return () => {
+        detector.handler = null;
+      };
+    }
+  };
+  return detector;
+}
+
+describe('SyncScheduler', () => {
+  let storeMock;
+  /** @type {SyncScheduler} */
+  let scheduler;
+
+  beforeEach(() => {
+    storeMock = getStoreMock();
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+  });
+
+  it('should push and then pull with the provided query and options', () => {
+    const query = {};
+    const syncOptions = { timeout: 10 };
+    scheduler = new SyncScheduler(storeMock, { query, syncOptions }).start();
+    return scheduler.syncNow()
+      .then((result) => {
+        validateSpyCalls(storeMock.push, 1, [syncOptions]);
+        validateSpyCalls(storeMock.pull, 1, [query, syncOptions]);
+        expect(result).toEqual({ push: [], pull: 0 });
+      });
+  });
+
+  it('should emit events for the progress of the sync', () => {
+    const events = [];
+    scheduler = new SyncScheduler(storeMock).start();
+    ['syncStart', 'pushComplete', 'pullComplete', 'syncComplete'].forEach((eventName) => {
+      scheduler.on(eventName, () => events.push(eventName));
+    });
+    return scheduler.syncNow()
+      .then(() => {
+        expect(events).toEqual(['syncStart', 'pushComplete', 'pullComplete', 'syncComplete']);
+      });
+  });
+
+  it('should skip the sync while a push for the collection is in progress', () => {
+    const skipSpy = expect.createSpy();
+    storeMock.syncManager.isPushInProgress = expect.createSpy().andReturn(true);
+    scheduler = new SyncScheduler(storeMock).start();
+    scheduler.on('syncSkipped', skipSpy);
+    return scheduler.syncNow()
+      .then(() => {
+        validateSpyCalls(storeMock.push, 0);
+        expect(skipSpy.calls.length).toBe(1);
+      });
+  });
+
+  it('should skip the sync when the connectivity detector reports the device is offline', () => {
+    const connectivityDetector = getConnectivityDetectorMock(false);
+    scheduler = new SyncScheduler(storeMock, { connectivityDetector }).start();
+    return scheduler.syncNow()
+      .then(() => {
+        validateSpyCalls(storeMock.push, 0);
+      });
+  });
+
+  it('should sync when the connectivity comes back', () => {
+    const connectivityDetector = getConnectivityDetectorMock();
+    scheduler = new SyncScheduler(storeMock, { connectivityDetector }).start();
+    const completePromise = new Promise(resolve => scheduler.on('syncComplete', resolve));
+    connectivityDetector.handler(true);
+    return completePromise
+      .then(() => {
+        validateSpyCalls(storeMock.push, 1, [undefined]);
+      });
+  });
+
+  it('should remove the connectivity handler when stopped', () => {
+    const connectivityDetector = getConnectivityDetectorMock();
+    scheduler = new SyncScheduler(storeMock, { connectivityDetector }).start();
+    scheduler.stop();
+    expect(connectivityDetector.handler).toBe(null);
+  });
+
+  it('should sync when the number of pending changes reaches the threshold', () => {
+    storeMock.pendingSyncCount = createPromiseSpy(3);
+    scheduler = new SyncScheduler(storeMock, { pendingChangesThreshold: 3 }).start();
+    return scheduler.handleLocalChange()
+      .then(() => {
+        validateSpyCalls(storeMock.push, 1, [undefined]);
+      });
+  });
+
+  it('should not sync when the number of pending changes is below the threshold', () => {
+    storeMock.pendingSyncCount = createPromiseSpy(2);
+    scheduler = new SyncScheduler(storeMock, { pendingChangesThreshold: 3 }).start();
+    return scheduler.handleLocalChange()
+      .then(() => {
+        validateSpyCalls(storeMock.push, 0);
+      });
+  });
+
+  it('should back off exponentially after network errors', () => {
+    const retryDelays = [];
+    storeMock.pull = createPromiseSpy(new NetworkConnectionError(), true);
+    scheduler = new SyncScheduler(storeMock, { initialBackoff: 100, maxBackoff: 300 }).start();
+    scheduler.on('syncError', ({ retryIn }) => retryDelays.push(retryIn));
+    return scheduler.syncNow()
+      .then(() => scheduler._trigger('retry'))
+      .then(() => scheduler._trigger('retry'))
+      .then(() => {
+        expect(retryDelays).toEqual([100, 200, 300]);
+      });
+  });
+
+  it('should not schedule a retry after other errors', () => {
+    let syncError;
+    storeMock.push = createPromiseSpy(new KinveyError('test'), true);
+    scheduler = new SyncScheduler(storeMock).start();
+    scheduler.on('syncError', (e) => {
+      syncError = e;
+    });
+    return scheduler.syncNow()
+      .then(() => {
+        expect(syncError.error).toBeA(KinveyError);
+        expect(syncError.retryIn).toBe(undefined);
+      });
+  });
+});
@@ -1,7 +1,7 @@
-// import expect from 'expect';
+import expect from 'expect';
 import { SyncOperation } from '../sync';
 import { mockRequiresIn } from '../require-helper';
-import { getRepoMock, validateSpyCalls, addExpectedCreateEntityMeta } from './utils';
+import { getRepoMock, validateSpyCalls, addExpectedCreateEntityMeta, createPromiseSpy } from './utils';
 import { randomString, ensureArray } from '../../utils';
 import { Query } from '../../query';
 
@@ -101,6 +101,97 @@ describe('SyncStateManager', () => {
           });
       });
     });
+
+    it('should keep the entity before the update as the base version', () => {
+      const previousEntity = { _id: entity._id, title: 'synced' };
+      return stateManager.addUpdateEvent(collection, entity, undefined, [previousEntity])
+        .then(() => {
+          validateSpyCalls(offlineRepoMock.read, 1, [expectedSynCollection, getSyncItemsQuery(entity)]);
+          removeIdsFromSpyCall(offlineRepoMock.create);
+          expect(offlineRepoMock.create.calls[0].arguments[1][0].state.base).toEqual(previousEntity);
+        });
+    });
+
+    it('should keep the base version of an existing sync item', () => {
+      const existingItem = buildSyncItem(entity, SyncOperation.Update);
+      existingItem.state.base = { _id: entity._id, title: 'synced' };
+      offlineRepoMock.read = createPromiseSpy([existingItem]);
+      return stateManager.addUpdateEvent(collection, entity, undefined, [{ _id: entity._id, title: 'pending' }])
+        .then(() => {
+          expect(offlineRepoMock.create.calls[0].arguments[1][0].state.base).toEqual(existingItem.state.base);
+        });
+    });
+
+    it('should not keep a base version for an entity, which is not on the backend yet', () => {
+      const previousEntity = { _id: entity._id, _kmd: { local: true } };
+      return stateManager.addUpdateEvent(collection, entity, undefined, [previousEntity])
+        .then(() => {
+          expect(offlineRepoMock.create.calls[0].arguments[1][0].state.base).toNotExist();
+        });
+    });
+  });
+
+  describe('addPatchEvent()', () => {
+    function getCreatedSyncItem() {
+      removeIdsFromSpyCall(offlineRepoMock.create);
+      return offlineRepoMock.create.calls[0].arguments[1][0];
+    }
+
+    it('should create an update sync item with the changes, when the entity has no sync item', () => {
+      return stateManager.addPatchEvent(collection, entity, { title: 'new' })
+        .then(() => {
+          const expectedItem = buildSyncItem(entity, SyncOperation.Update);
+          expectedItem.state.changes = { title: 'new' };
+          expect(getCreatedSyncItem()).toEqual(expectedItem);
+        });
+    });
+
+    it('should keep the entity before the patch as the base version', () => {
+      const previousEntity = { _id: entity._id, title: 'synced' };
+      return stateManager.addPatchEvent(collection, entity, { title: 'new' }, undefined, previousEntity)
+        .then(() => {
+          expect(getCreatedSyncItem().state.base).toEqual(previousEntity);
+        });
+    });
+
+    it('should merge the changes with the changes of the existing sync item', () => {
+      const existingItem = buildSyncItem(entity, SyncOperation.Update);
+      existingItem.state.changes = { title: 'old', author: 'someone' };
+      offlineRepoMock.read = createPromiseSpy([existingItem]);
+      return stateManager.addPatchEvent(collection, entity, { title: 'new', year: 2000 })
+        .then(() => {
+          const expectedQuery = new Query().equalTo('entityId', entity._id);
+          validateSpyCalls(offlineRepoMock.read, 1, [expectedSynCollection, expectedQuery]);
+          expect(getCreatedSyncItem().state.changes).toEqual({ title: 'new', author: 'someone', year: 2000 });
+        });
+    });
+
+    [SyncOperation.Create, SyncOperation.Update].forEach((syncOp) => {
+      it(`should keep an existing ${syncOp} sync item without changes`, () => {
+        offlineRepoMock.read = createPromiseSpy([buildSyncItem(entity, syncOp)]);
+        return stateManager.addPatchEvent(collection, entity, { title: 'new' })
+          .then(() => {
+            validateSpyCalls(offlineRepoMock.delete, 0);
+            validateSpyCalls(offlineRepoMock.create, 0);
+          });
+      });
+    });
+  });
+
+  describe('with a transaction', () => {
+    it('should write the sync items through the transaction, instead of the repository', () => {
+      const txnMock = getRepoMock();
+      return stateManager.addUpdateEvent(collection, entity, txnMock)
+        .then(() => {
+          validateSpyCalls(offlineRepoMock.delete, 0);
+          validateSpyCalls(offlineRepoMock.create, 0);
+          const expectedQuery = new Query().contains('entityId', [entity._id]);
+          validateSpyCalls(txnMock.delete, 1, [expectedSynCollection, expectedQuery]);
+          removeIdsFromSpyCall(txnMock.create);
+          const expectedItems = getExpectedSyncItems(entity, SyncOperation.Update);
+          validateSpyCalls(txnMock.create, 1, [expectedSynCollection, expectedItems]);
+        });
+    });
   });
 
   describe('addDeleteEvent()', () => {
@@ -73,17 +73,22 @@ export function createPromiseSpy(value, reject = false) {
  * @returns {RepoMock}
  */
 export function getRepoMock(results = {}) {
-  return {
+  const repoMock = {
     read: createPromiseSpy(results.read || []),
     readById: createPromiseSpy(results.readById || {}),
     create: createPromiseSpy(results.create || {}),
     deleteById: createPromiseSpy(results.deleteById || 1),
     update: createPromiseSpy(results.update || {}),
+    patch: createPromiseSpy(results.patch || {}),
+    patchOrUpdate: createPromiseSpy(results.patchOrUpdate || {}),
     delete: createPromiseSpy(results.delete || 1e6),
     group: createPromiseSpy(results.group || null),
     clear: createPromiseSpy(results.clear || null),
     count: createPromiseSpy(results.count || 1e6),
   };
+  // the mock is its own transaction, so writes made in a transaction are recorded by the same spies
+  repoMock.transaction = expect.createSpy().andCall(fn => Promise.resolve().then(() => fn(repoMock)));
+  return repoMock;
 }
 
 /**
@@ -96,6 +101,8 @@ export function getSyncManagerMock() {
     removeSyncItemsForIds: createPromiseSpy(),
     addCreateEvent: createPromiseSpy(),
     addUpdateEvent: createPromiseSpy(),
+    addPatchEvent: createPromiseSpy(),
+    addRevertEvent: createPromiseSpy(),
     addDeleteEvent: createPromiseSpy(),
     clearSync: createPromiseSpy(),
     push: createPromiseSpy()
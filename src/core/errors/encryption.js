@@ -0,0 +1,12 @@
+import { BaseError } from './base';
+
+export function EncryptionError(message, debug, code, kinveyRequestId) {
+  this.name = 'EncryptionError';
+  this.message = message || 'Unable to encrypt or decrypt the offline data.';
+  this.debug = debug || undefined;
+  this.code = code || undefined;
+  this.kinveyRequestId = kinveyRequestId || undefined;
+  this.stack = (new Error()).stack;
+}
+EncryptionError.prototype = Object.create(BaseError.prototype);
+EncryptionError.prototype.constructor = EncryptionError;
@@ -7,6 +7,7 @@ export * from './base';
 export * from './bl';
 export * from './corsDisabled';
 export * from './duplicateEndUsers';
+export * from './encryption';
 export * from './featureUnavailable';
 export * from './incompleteRequestBody';
 export * from './indirectCollectionAccessDisallowed';
@@ -34,7 +35,9 @@ export * from './query';
 export * from './resultSetSizeExceeded';
 export * from './server';
 export * from './staleRequest';
+export * from './storageQuota';
 export * from './sync';
 export * from './timeout';
 export * from './userAlreadyExists';
+export * from './validation';
 export * from './writesToCollectionDisallowed';
@@ -0,0 +1,12 @@
+import { BaseError } from './base';
+
+export function StorageQuotaError(message, debug, code, kinveyRequestId) {
+  this.name = 'StorageQuotaError';
+  this.message = message || 'The quota of the offline storage is exceeded.';
+  this.debug = debug || undefined;
+  this.code = code || undefined;
+  this.kinveyRequestId = kinveyRequestId || undefined;
+  this.stack = (new Error()).stack;
+}
+StorageQuotaError.prototype = Object.create(BaseError.prototype);
+StorageQuotaError.prototype.constructor = StorageQuotaError;
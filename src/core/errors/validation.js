@@ -0,0 +1,13 @@
+import { BaseError } from './base';
+
+export function ValidationError(message, errors, debug, code, kinveyRequestId) {
+  this.name = 'ValidationError';
+  this.message = message || 'The entity is not valid.';
+  this.errors = errors || [];
+  this.debug = debug || undefined;
+  this.code = code || undefined;
+  this.kinveyRequestId = kinveyRequestId || undefined;
+  this.stack = (new Error()).stack;
+}
+ValidationError.prototype = Object.create(BaseError.prototype);
+ValidationError.prototype.constructor = ValidationError;
@@ -39,7 +39,16 @@ export { Aggregation } from './aggregation';
 export { AuthorizationGrant } from './identity';
 export { Client } from './client';
 export { CustomEndpoint } from './endpoint';
-export { DataStore, DataStoreType, SyncOperation } from './datastore';
+export {
+  DataStore,
+  DataStoreType,
+  DataStoreEvent,
+  ChangeSource,
+  SyncOperation,
+  ConflictResolutionStrategy,
+  ReadPolicy,
+  StorageEvictionPolicy
+} from './datastore';
 export { LiveServiceFacade as LiveService } from './live';
 export { Files } from './files';
 export { Log } from './log';
@@ -57,6 +66,7 @@ export {
   BLError,
   CORSDisabledError,
   DuplicateEndUsersError,
+  EncryptionError,
   FeatureUnavailableError,
   IncompleteRequestBodyError,
   IndirectCollectionAccessDisallowedError,
@@ -81,8 +91,10 @@ export {
   QueryError,
   ServerError,
   StaleRequestError,
+  StorageQuotaError,
   SyncError,
   TimeoutError,
   UserAlreadyExistsError,
+  ValidationError,
   WritesToCollectionDisallowedError
 } from './errors';
@@ -9,7 +9,8 @@ const mobilePlatformsConcurrentPulls = 2;
 export const platformConfigs = {
   base: {
     maxConcurrentPushRequests: 100,
-    maxConcurrentPullRequests: 32
+    maxConcurrentPullRequests: 32,
+    maxConcurrentBatchRequests: 10
   },
 
   [platformName.nativeScript]: {
@@ -0,0 +1,180 @@
+import isPlainObject from 'lodash/isPlainObject';
+import { QueryError } from './errors';
+import { isDefined, isNumber } from './utils';
+
+// the backend measures the $maxDistance of $nearSphere in miles
+const EARTH_RADIUS_IN_MILES = 3959;
+const LOGICAL_OPERATORS = ['$and', '$or', '$nor'];
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+function isCoordinate(value) {
+  return Array.isArray(value) && isNumber(value[0]) && isNumber(value[1]);
+}
+
+/**
+ * @private
+ * Returns the great-circle distance between two coordinates, using the haversine formula.
+ * @param {Array<number, number>} from The coordinate (longitude, latitude).
+ * @param {Array<number, number>} to The coordinate (longitude, latitude).
+ * @returns {number} The distance in miles.
+ */
+export function getDistanceInMiles(from, to) {
+  const deltaLatitude = toRadians(to[1] - from[1]);
+  const deltaLongitude = toRadians(to[0] - from[0]);
+  const a = (Math.sin(deltaLatitude / 2) ** 2)
+    + (Math.cos(toRadians(from[1])) * Math.cos(toRadians(to[1])) * (Math.sin(deltaLongitude / 2) ** 2));
+  return 2 * EARTH_RADIUS_IN_MILES * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function isNear(coord, center, maxDistance) {
+  return isCoordinate(coord) && (!isNumber(maxDistance) || getDistanceInMiles(coord, center) <= maxDistance);
+}
+
+function isWithinBox(coord, box) {
+  const [bottomLeft, upperRight] = box;
+  return coord[0] >= bottomLeft[0] && coord[0] <= upperRight[0]
+    && coord[1] >= bottomLeft[1] && coord[1] <= upperRight[1];
+}
+
+// ray casting - counts the edges of the polygon, which a horizontal ray from the coordinate crosses
+function isWithinPolygon(coord, polygon) {
+  const [x, y] = coord;
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i, i += 1) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > y) !== (yj > y) && x < ((((xj - xi) * (y - yi)) / (yj - yi)) + xi)) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+function isWithin(coord, shape) {
+  if (!isCoordinate(coord)) {
+    return false;
+  }
+
+  if (Array.isArray(shape.$box)) {
+    return isWithinBox(coord, shape.$box);
+  }
+
+  if (Array.isArray(shape.$polygon)) {
+    return isWithinPolygon(coord, shape.$polygon);
+  }
+
+  throw new QueryError('$within must be used with $box or $polygon.');
+}
+
+/**
+ * @private
+ * Creates a RegExp, which matches like the backend does for the $regex and $options of a filter.
+ * Besides the i and m options, the x option (ignore whitespace and # comments)
+ * and the s option (dot matches all characters, including newlines) are supported.
+ * @param {string|RegExp} regex
+ * @param {string} [options]
+ * @throws {QueryError} For an unsupported option.
+ * @returns {RegExp}
+ */
+export function toRegExp(regex, options = '') {
+  const isRegExp = regex instanceof RegExp;
+  const source = isRegExp ? regex.source : regex;
+  let flags = `${isRegExp && regex.ignoreCase ? 'i' : ''}${isRegExp && regex.multiline ? 'm' : ''}`;
+  let extended = false;
+  let dotMatchesAll = false;
+
+  options.split('').forEach((option) => {
+    if (option === 'i' || option === 'm') {
+      flags = flags.indexOf(option) === -1 ? `${flags}${option}` : flags;
+    } else if (option === 'x') {
+      extended = true;
+    } else if (option === 's') {
+      dotMatchesAll = true;
+    } else {
+      throw new QueryError(`The ${option} $regex option is not supported.`);
+    }
+  });
+
+  let result = '';
+  let inCharacterClass = false;
+  let inComment = false;
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+
+    if (inComment) {
+      // the source of a RegExp has its line breaks escaped
+      if (char === '\\' && (source[i + 1] === 'n' || source[i + 1] === 'r')) {
+        inComment = false;
+        i += 1;
+      } else {
+        inComment = char !== '\n' && char !== '\r';
+      }
+    } else if (char === '\\') {
+      result += source.substr(i, 2);
+      i += 1;
+    } else if (inCharacterClass) {
+      inCharacterClass = char !== ']';
+      result += char;
+    } else if (extended && char === '#') {
+      inComment = true;
+    } else if (!extended || !/\s/.test(char)) {
+      inCharacterClass = char === '[';
+      result += dotMatchesAll && char === '.' ? '[\\s\\S]' : char;
+    }
+  }
+
+  return new RegExp(result, flags);
+}
+
+/**
+ * @private
+ * Rewrites the geo and $regex conditions of a filter, so that sift can evaluate them:
+ * $nearSphere (with $maxDistance) and $within ($box or $polygon) become $where functions,
+ * and $regex with $options becomes a RegExp.
+ * @param {Object} filter
+ * @returns {Object} A new filter. The filter that is passed is not changed.
+ */
+export function prepareFilter(filter) {
+  const prepared = {};
+  const geoTests = [];
+
+  Object.keys(filter).forEach((key) => {
+    const value = filter[key];
+
+    if (LOGICAL_OPERATORS.indexOf(key) !== -1 && Array.isArray(value)) {
+      prepared[key] = value.map(prepareFilter);
+    } else if (key === '$nearSphere') {
+      geoTests.push(coord => isNear(coord, value, filter.$maxDistance));
+    } else if (key === '$within') {
+      geoTests.push(coord => isWithin(coord, value));
+    } else if (key === '$regex') {
+      prepared.$regex = toRegExp(value, filter.$options);
+    } else if (key !== '$maxDistance' && key !== '$options') {
+      prepared[key] = isPlainObject(value) ? prepareFilter(value) : value;
+    }
+  });
+
+  if (geoTests.length > 0) {
+    prepared.$where = coord => geoTests.every(test => test(coord));
+  }
+
+  return prepared;
+}
+
+/**
+ * @private
+ * Returns the field and coordinate of the $nearSphere condition of the filter, which the results are sorted by.
+ * @param {Object} filter
+ * @returns {{field: string, coord: Array<number, number>}|null}
+ */
+export function getNearSphere(filter) {
+  const field = Object.keys(filter)
+    .find(key => isPlainObject(filter[key]) && isDefined(filter[key].$nearSphere));
+  return field ? { field, coord: filter[field].$nearSphere } : null;
+}
@@ -1,12 +1,15 @@
 import sift from 'sift';
 import isPlainObject from 'lodash/isPlainObject';
 import defaults from 'lodash/defaults';
+import isString from 'lodash/isString';
 import { QueryError } from './errors';
 import { nested, isDefined, isNumber } from './utils';
 import { Log } from './log';
+import { prepareFilter, getNearSphere, getDistanceInMiles } from './query-operators';
 
 const PROTECTED_FIELDS = ['_id', '_acl'];
-const UNSUPPORTED_CONDITIONS = ['$nearSphere'];
+// GeoJSON operators, which the SDK does not create and which are not evaluated locally
+const UNSUPPORTED_CONDITIONS = ['$near', '$geoWithin', '$geoIntersects'];
 
 /**
  * The Query class is used to query for a subset of
@@ -72,6 +75,13 @@ export class Query {
      */
     this.skip = options.skip;
 
+    /**
+     * Fields with references to entities of other collections, which are resolved on find.
+     *
+     * @type {string[]}
+     */
+    this._resolveFields = [];
+
     /**
      * Maintain reference to the parent query in case the query is part of a
      * join.
@@ -193,32 +203,28 @@ export class Query {
     }
   }
 
+  /**
+   * @type {string[]}
+   */
+  get resolveFields() {
+    if (isDefined(this._parent)) {
+      return this._parent.resolveFields;
+    }
+
+    return this._resolveFields;
+  }
+
   /**
    * Returns true or false depending on if the query is able to be processed offline.
    *
    * @returns {boolean} True if the query is supported offline otherwise false.
    */
   isSupportedOffline() {
-    return Object.keys(this.filter).reduce((supported, key) => {
-      if (supported) {
-        const value = this.filter[key];
-        return UNSUPPORTED_CONDITIONS.some((unsupportedConditions) => {
-          if (!value) {
-            return true;
-          }
-
-          if (typeof value !== 'object') {
-            return true;
-          }
-
-          return !Object.keys(value).some((condition) => {
-            return condition === unsupportedConditions;
-          });
-        });
-      }
-
-      return supported;
-    }, true);
+    return Object.keys(this.filter).every((key) => {
+      const value = this.filter[key];
+      return !isPlainObject(value)
+        || !Object.keys(value).some(condition => UNSUPPORTED_CONDITIONS.indexOf(condition) !== -1);
+    });
   }
 
   /**
@@ -647,6 +653,32 @@ export class Query {
     return this.addFilter(field, '$size', size);
   }
 
+  /**
+   * Resolves references to entities of other collections, when the query is used to find entities.
+   * A reference is an object like { _type: 'KinveyRef', _collection: 'owners', _id: '...' } and it is
+   * replaced with the referenced entity. References in nested fields or in arrays are resolved
+   * by passing the path to them, like 'items.product'.
+   *
+   * @param {string[]|string} fields Fields with references.
+   * @throws {QueryError} `fields` must be of type `string` or `string[]`.
+   * @returns {Query} The query.
+   */
+  resolve(fields) {
+    fields = isString(fields) ? [fields] : fields;
+
+    if (!Array.isArray(fields) || !fields.every(isString)) {
+      throw new QueryError('fields to resolve must be a string or an Array of strings');
+    }
+
+    if (isDefined(this._parent)) {
+      this._parent.resolve(fields);
+    } else {
+      this._resolveFields = this._resolveFields.concat(fields);
+    }
+
+    return this;
+  }
+
   /**
    * Adds an ascending sort modifier to the query. Sorts by `field`, ascending.
    *
@@ -787,13 +819,13 @@ export class Query {
 
     // Apply the query
     const json = this.toPlainObject();
-    data = sift(json.filter, data);
+    data = sift(prepareFilter(json.filter), data);
 
     Log.debug('Data length after applying query filter', json.filter, data.length);
 
     /* eslint-disable no-restricted-syntax, no-prototype-builtins  */
     // Sorting.
-    if (isDefined(json.sort)) {
+    if (isDefined(json.sort) && Object.keys(json.sort).length > 0) {
       Log.debug('Sorting data', json.sort);
       data.sort((a, b) => {
         for (const field in json.sort) {
@@ -822,6 +854,16 @@ export class Query {
     }
     /* eslint-enable no-restricted-syntax, no-prototype-builtins */
 
+    // Without a sort, $nearSphere sorts from nearest to farthest.
+    const nearSphere = getNearSphere(json.filter);
+    if (isDefined(nearSphere) && (!isDefined(json.sort) || Object.keys(json.sort).length === 0)) {
+      Log.debug('Sorting data by distance', nearSphere);
+      data = data
+        .map(item => ({ item, distance: getDistanceInMiles(nested(item, nearSphere.field), nearSphere.coord) }))
+        .sort((a, b) => a.distance - b.distance)
+        .map(({ item }) => item);
+    }
+
     // Remove fields
     if (Array.isArray(json.fields) && json.fields.length > 0) {
       const fields = [].concat(json.fields, PROTECTED_FIELDS);
@@ -109,10 +109,42 @@ describe('Query', () => {
     });
   });
 
+  describe('resolve()', () => {
+    it('should throw an error on invalid arguments', () => {
+      expect(() => {
+        const query = new Query();
+        query.resolve([{}]);
+      }).to.throw(/fields to resolve/);
+    });
+
+    it('should add the fields to resolve', () => {
+      const query = new Query();
+      query.resolve('owner').resolve(['items.product']);
+      expect(query.resolveFields).to.deep.equal(['owner', 'items.product']);
+    });
+
+    it('should set the fields to resolve on the parent query when chained', () => {
+      const query = new Query();
+      query.equalTo('foo', 'bar').or().equalTo('foo', 'baz').resolve('owner');
+      expect(query.resolveFields).to.deep.equal(['owner']);
+    });
+
+    it('should not add the fields to resolve to the query string', () => {
+      const query = new Query();
+      query.resolve('owner');
+      expect(query.toQueryString()).to.deep.equal({});
+    });
+  });
+
   describe('isSupportedOffline()', () => {
-    it('should be false when trying to filter geo queries', () => {
+    it('should be true for geo queries', () => {
       const query = new Query();
       query.near('loc', [0, 0]);
+      expect(query.isSupportedOffline()).to.equal(true);
+    });
+
+    it('should be false for GeoJSON queries', () => {
+      const query = new Query({ filter: { loc: { $geoWithin: { $centerSphere: [[0, 0], 1] } } } });
       expect(query.isSupportedOffline()).to.equal(false);
     });
 
@@ -782,6 +814,19 @@ describe('Query', () => {
         expect(query.toPlainObject().filter).to.have.property(field);
         expect(query.toPlainObject().filter[field]).to.include({ $options: 'mxs' });
       });
+
+      it('should process the extended and dotMatchesAll options like the backend.', () => {
+        const entity1 = { name: 'foo\nbar' };
+        const entity2 = { name: 'foobar' };
+        const query = new Query();
+        query.matches('name', '^foo # the prefix\n .bar', { extended: true, dotMatchesAll: true });
+        expect(query.process([entity1, entity2])).to.deep.equal([entity1]);
+      });
+
+      it('should throw an error when processing an unsupported option.', () => {
+        const query = new Query({ filter: { name: { $regex: '^foo', $options: 'u' } } });
+        expect(() => query.process([])).to.throw(/The u \$regex option is not supported/);
+      });
     });
   });
 
@@ -814,6 +859,14 @@ describe('Query', () => {
       const query = new Query().near(randomString(), [-1, 1]);
       expect(query).to.be.an.instanceof(Query);
     });
+
+    it('should process the entities within maxDistance, from nearest to farthest', () => {
+      const boston = { loc: [-71.06, 42.36] };
+      const plovdiv = { loc: [24.75, 42.14] };
+      const sofia = { loc: [23.32, 42.7] };
+      const query = new Query().near('loc', [23.33, 42.69], 100);
+      expect(query.process([boston, plovdiv, sofia, {}])).to.deep.equal([sofia, plovdiv]);
+    });
   });
 
   describe('withinBox()', () => {
@@ -843,6 +896,13 @@ describe('Query', () => {
       const query = new Query().withinBox(randomString(), [-1, -1], [1, 1]);
       expect(query).to.be.an.instanceof(Query);
     });
+
+    it('should process the entities within the box', () => {
+      const inside = { loc: [0.5, -0.5] };
+      const outside = { loc: [2, 0] };
+      const query = new Query().withinBox('loc', [-1, -1], [1, 1]);
+      expect(query.process([inside, outside])).to.deep.equal([inside]);
+    });
   });
 
   describe('withinPolygon()', () => {
@@ -865,6 +925,13 @@ describe('Query', () => {
       const query = new Query().withinPolygon(randomString(), [[-1, -1], [-1, 1], [1, 1]]);
       expect(query).to.be.an.instanceof(Query);
     });
+
+    it('should process the entities within the polygon', () => {
+      const inside = { loc: [-0.5, 0.5] };
+      const outside = { loc: [0.5, -0.5] };
+      const query = new Query().withinPolygon('loc', [[-1, -1], [-1, 1], [1, 1]]);
+      expect(query.process([inside, outside])).to.deep.equal([inside]);
+    });
   });
 
   describe('size()', () => {
@@ -1292,8 +1359,7 @@ describe('Query', () => {
   describe('process()', () => {
     it('throw an error when a query is not supported locally', () => {
       expect(() => {
-        const query = new Query();
-        query.near('loc', [0, 0]);
+        const query = new Query({ filter: { loc: { $geoWithin: { $centerSphere: [[0, 0], 1] } } } });
         return query.process([]);
       }).to.throw(/This query is not able to run locally./);
     });
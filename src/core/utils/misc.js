@@ -99,11 +99,17 @@ function _forEachAsync(array, func) {
 
 /**
  * @private
+ * Once shouldStop() returns true, no more items are passed to func.
  */
-export function forEachAsync(array, func, maxConcurrentCount = Infinity) {
+export function forEachAsync(array, func, maxConcurrentCount = Infinity, shouldStop) {
   const queue = new PromiseQueue(maxConcurrentCount);
   return _forEachAsync(array, (item) => {
-    return queue.enqueue(() => func(item));
+    return queue.enqueue(() => {
+      if (shouldStop && shouldStop()) {
+        return Promise.resolve();
+      }
+      return func(item);
+    });
   });
 }
 
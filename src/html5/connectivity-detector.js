@@ -0,0 +1,25 @@
+import { setConnectivityDetector } from '../core/datastore';
+
+const browserConnectivityDetector = {
+  isOnline() {
+    return !global.navigator || global.navigator.onLine !== false;
+  },
+
+  onChange(handler) {
+    if (typeof global.addEventListener !== 'function') {
+      return () => { };
+    }
+
+    const onOnline = () => handler(true);
+    const onOffline = () => handler(false);
+    global.addEventListener('online', onOnline);
+    global.addEventListener('offline', onOffline);
+
+    return () => {
+      global.removeEventListener('online', onOnline);
+      global.removeEventListener('offline', onOffline);
+    };
+  }
+};
+
+setConnectivityDetector(browserConnectivityDetector);
@@ -1,6 +1,7 @@
 import pick from 'lodash/pick';
 import { StorageProvider as StorageProviderEnum, repositoryProvider } from '../core/datastore';
 import './offline-data-storage';
+import './connectivity-detector';
 
 export * from './kinvey';
 export { Files } from './files';
@@ -11,24 +11,25 @@ import {
   BrowserKeyValuePersister
 } from '../core/datastore';
 
+// the entities are encrypted at rest, if the client has an encryptionKey
 const webSqlBuilder = (queue) => {
   const sqlModule = new WebSqlSqlModule(Html5Client.sharedInstance().appKey);
-  const persister = new SqlKeyValueStorePersister(sqlModule);
+  const persister = new SqlKeyValueStorePersister(sqlModule).enableEncryption();
   return new KeyValueStoreOfflineRepository(persister, queue);
 };
 
 const indexedDbBuilder = (queue) => {
-  const persister = new IndexedDbKeyValueStorePersister();
+  const persister = new IndexedDbKeyValueStorePersister().enableEncryption();
   return new KeyValueStoreOfflineRepository(persister, queue);
 };
 
 const localStorageBuilder = (queue) => {
-  const persister = new BrowserKeyValuePersister(global.localStorage);
+  const persister = new BrowserKeyValuePersister(global.localStorage).enableEncryption();
   return new InmemoryOfflineRepository(persister, queue);
 };
 
 const sessionStorageBuilder = (queue) => {
-  const persister = new BrowserKeyValuePersister(global.sessionStorage);
+  const persister = new BrowserKeyValuePersister(global.sessionStorage).enableEncryption();
   return new InmemoryOfflineRepository(persister, queue);
 };
 
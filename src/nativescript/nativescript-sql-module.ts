@@ -82,4 +82,35 @@ export class NativescriptSqlModule {
           });
       });
   }
+
+  openMultiCollectionTransaction(statements: any[][]) {
+    const collections = statements
+      .map(statement => statement[0])
+      .filter((collection, index, all) => all.indexOf(collection) === index);
+
+    return new NativeScriptSQLite(this._databaseName, { key: this._encryptionKey })
+      .then((db) => {
+        const createTables = () => collections.reduce((prev, collection) => {
+          return prev.then(() => db.execSQL(`CREATE TABLE IF NOT EXISTS "${collection}"`
+            + ' (key BLOB PRIMARY KEY NOT NULL, value BLOB NOT NULL)'));
+        }, Promise.resolve());
+
+        const executeStatements = () => statements.reduce((prev, [collection, sql, parameters]) => {
+          return prev.then(() => db.execSQL(sql.replace('#{collection}', `"${collection}"`), parameters));
+        }, Promise.resolve());
+
+        return db.execSQL('BEGIN TRANSACTION')
+          .then(createTables)
+          .then(executeStatements)
+          .then(() => db.execSQL('COMMIT'))
+          .then(() => db.close())
+          .then(() => true)
+          .catch((error) => {
+            return db.execSQL('ROLLBACK')
+              .catch(() => null)
+              .then(() => db.close())
+              .then(() => Promise.reject(error));
+          });
+      });
+  }
 }
@@ -0,0 +1,360 @@
+import fs from 'fs';
+import path from 'path';
+import { Promise } from 'es6-promise';
+import keyBy from 'lodash/keyBy';
+
+import { KinveyError } from '../core/errors';
+import { KeyValueStorePersister, getStorageQuotaError } from '../core/datastore';
+
+const collectionFileExtension = '.json';
+const tempFileExtension = '.tmp';
+const lockFileName = 'kinvey.lock';
+const takeoverFileExtension = '.takeover';
+const journalFileName = 'kinvey-journal.json';
+const lockRetryInterval = 25;
+const lockTimeout = 10000;
+// a lock held longer is stale, even if its pid is running - the pid may have been reused by another process
+const staleLockAge = 60000;
+// the disk is full, or the disk quota of the user is exceeded
+const quotaErrorCodes = ['ENOSPC', 'EDQUOT'];
+
+// the operations of a process on a directory run one after another, so they don't wait for their own lock
+const pendingOperations = {};
+
+function callFs(method, ...args) {
+  return new Promise((resolve, reject) => {
+    fs[method](...args, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+}
+
+function ignoreMissingFile(err) {
+  return err.code === 'ENOENT' ? null : Promise.reject(err);
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isProcessRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+function getLockContent() {
+  return `${process.pid}:${Date.now()}`;
+}
+
+// the pid is not written yet, right after the lock file is created. A lock written without
+// the time it was acquired is stale only, if its process is not running
+function isStaleLock(content) {
+  const [pid, acquiredAt] = content.split(':').map(value => parseInt(value, 10));
+  if (Number.isNaN(pid)) {
+    return false;
+  }
+  return !isProcessRunning(pid) || (!Number.isNaN(acquiredAt) && Date.now() - acquiredAt > staleLockAge);
+}
+
+// the file is synced to the disk, before it replaces the previous one
+function writeFileDurably(filePath, data) {
+  return callFs('open', filePath, 'w')
+    .then((fd) => {
+      return callFs('write', fd, data)
+        .then(() => callFs('fsync', fd))
+        .then(() => callFs('close', fd), err => callFs('close', fd).then(() => Promise.reject(err)));
+    });
+}
+
+function writeFileAtomically(filePath, data) {
+  const tempFilePath = `${filePath}${tempFileExtension}`;
+  return writeFileDurably(tempFilePath, data)
+    .then(() => callFs('rename', tempFilePath, filePath));
+}
+
+// A stale lock is removed by one process at a time - the one, which created the takeover file. Otherwise
+// a process could remove the lock, which another process acquired right after removing the stale lock.
+function removeStaleLock(lockPath, staleContent) {
+  const takeoverPath = `${lockPath}${takeoverFileExtension}`;
+  return callFs('writeFile', takeoverPath, `${process.pid}`, { flag: 'wx' })
+    .then(() => {
+      return callFs('readFile', lockPath, 'utf8')
+        .then(content => (content === staleContent ? callFs('unlink', lockPath) : null))
+        .catch(ignoreMissingFile)
+        .then(
+          () => callFs('unlink', takeoverPath),
+          err => callFs('unlink', takeoverPath).then(() => Promise.reject(err))
+        );
+    }, (err) => {
+      if (err.code !== 'EEXIST') {
+        return Promise.reject(err);
+      }
+
+      // the process, which created the takeover file, ended before removing it
+      return callFs('stat', takeoverPath)
+        .then(stats => (Date.now() - stats.mtime.getTime() > lockTimeout ?
+          callFs('unlink', takeoverPath) : wait(lockRetryInterval)))
+        .catch(ignoreMissingFile);
+    });
+}
+
+// The lock file holds the pid of the process, which holds the lock, and the time it was acquired. The lock
+// of a process, which ended without releasing it, is removed. The directory should be on a local file system.
+function acquireLock(lockPath, startedAt = Date.now()) {
+  return callFs('writeFile', lockPath, getLockContent(), { flag: 'wx' })
+    .catch((err) => {
+      if (err.code !== 'EEXIST') {
+        return Promise.reject(err);
+      }
+
+      return callFs('readFile', lockPath, 'utf8')
+        .then((content) => {
+          if (isStaleLock(content)) {
+            return removeStaleLock(lockPath, content);
+          }
+
+          if (Date.now() - startedAt > lockTimeout) {
+            return Promise.reject(new KinveyError(`Unable to lock the ${path.dirname(lockPath)} storage directory.`
+              + ` It is locked by the process ${content}.`));
+          }
+
+          return wait(lockRetryInterval);
+        }, ignoreMissingFile)
+        .then(() => acquireLock(lockPath, startedAt));
+    });
+}
+
+function makeDirectory(directory) {
+  return callFs('mkdir', directory)
+    .catch((err) => {
+      if (err.code === 'EEXIST') {
+        return null;
+      }
+
+      if (err.code === 'ENOENT') {
+        return makeDirectory(path.dirname(directory))
+          .then(() => makeDirectory(directory));
+      }
+
+      return Promise.reject(err);
+    });
+}
+
+function upsertEntities(allEntities, entities) {
+  const entitiesById = keyBy(entities, '_id');
+  const result = allEntities.map((entity) => {
+    const upsertedEntity = entitiesById[entity._id];
+    delete entitiesById[entity._id];
+    return upsertedEntity || entity;
+  });
+  return result.concat(entities.filter(entity => entitiesById[entity._id] === entity));
+}
+
+/**
+ * @private
+ * Keeps the entities of each collection in a JSON file of a directory. Files are replaced atomically,
+ * and the changes to several collections are committed through a journal. The directory is locked
+ * during every write, so several processes can use it. Reads don't need the lock.
+ */
+export class FileKeyValueStorePersister extends KeyValueStorePersister {
+  /** @type {string} */
+  _directory;
+
+  /**
+   * @param {string} directory The directory of the files. It is created, if it doesn't exist.
+   */
+  constructor(directory) {
+    super();
+    this._directory = path.resolve(directory);
+  }
+
+  getKeys() {
+    return this._withReadAccess(() => {
+      return callFs('readdir', this._directory)
+        .catch(ignoreMissingFile)
+        .then((fileNames) => {
+          return (fileNames || [])
+            .filter(fileName => path.extname(fileName) === collectionFileExtension && fileName !== journalFileName)
+            .map(fileName => decodeURIComponent(path.basename(fileName, collectionFileExtension)));
+        });
+    });
+  }
+
+  // protected methods
+
+  _readFromPersistance(collection) {
+    return this._withReadAccess(() => this._readCollection(collection));
+  }
+
+  _writeToPersistance(collection, entities) {
+    if (!entities) {
+      return Promise.reject(new KinveyError('Invalid or missing entities array'));
+    }
+
+    return this._withLock(() => this._writeCollections({ [collection]: entities }));
+  }
+
+  _writeManyToPersistance(valuesByKey) {
+    return this._withLock(() => this._writeCollections(valuesByKey))
+      .then(() => true);
+  }
+
+  _deleteFromPersistance(collection) {
+    return this._withLock(() => {
+      return callFs('unlink', this._getFilePath(collection))
+        .catch(ignoreMissingFile);
+    });
+  }
+
+  _readEntityFromPersistance(collection, entityId) {
+    return this._withReadAccess(() => this._readCollection(collection))
+      .then(entities => entities.find(entity => entity._id === entityId));
+  }
+
+  _writeEntitiesToPersistance(collection, entities) {
+    return this._withLock(() => {
+      return this._readCollection(collection)
+        .then(allEntities => this._writeCollections({ [collection]: upsertEntities(allEntities, entities) }));
+    });
+  }
+
+  _deleteEntityFromPersistance(collection, entityId) {
+    return this._withLock(() => {
+      return this._readCollection(collection)
+        .then((allEntities) => {
+          const remainingEntities = allEntities.filter(entity => entity._id !== entityId);
+          const deletedCount = allEntities.length - remainingEntities.length;
+
+          if (deletedCount === 0) {
+            return 0;
+          }
+
+          return this._writeCollections({ [collection]: remainingEntities })
+            .then(() => deletedCount);
+        });
+    });
+  }
+
+  _commitChangesToPersistance(changesByCollection) {
+    return this._withLock(() => {
+      const collections = Object.keys(changesByCollection);
+      const entitiesByCollection = {};
+
+      const promises = collections.map((collection) => {
+        const { upserts = [], deletedIds = [] } = changesByCollection[collection];
+        return this._readCollection(collection)
+          .then((allEntities) => {
+            const remainingEntities = allEntities.filter(entity => deletedIds.indexOf(entity._id) === -1);
+            entitiesByCollection[collection] = upsertEntities(remainingEntities, upserts);
+          });
+      });
+
+      return Promise.all(promises)
+        .then(() => this._writeCollections(entitiesByCollection));
+    });
+  }
+
+  // private methods
+
+  _getFilePath(collection) {
+    return path.join(this._directory, `${encodeURIComponent(collection)}${collectionFileExtension}`);
+  }
+
+  _readCollection(collection) {
+    return callFs('readFile', this._getFilePath(collection), 'utf8')
+      .then((content) => {
+        try {
+          return JSON.parse(content);
+        } catch (err) {
+          return Promise.reject(new KinveyError(`The ${collection} collection file is corrupted.`, err.message));
+        }
+      }, err => (err.code === 'ENOENT' ? [] : Promise.reject(err)));
+  }
+
+  // A single file is replaced by renaming it. For several files, the journal lists the files, once they are
+  // all written - then the commit is complete, even if the process ends before renaming all of them.
+  _writeCollections(entitiesByCollection) {
+    const filePaths = Object.keys(entitiesByCollection).map(collection => this._getFilePath(collection));
+
+    if (filePaths.length === 0) {
+      return Promise.resolve();
+    }
+
+    if (filePaths.length === 1) {
+      const [collection] = Object.keys(entitiesByCollection);
+      return writeFileAtomically(filePaths[0], JSON.stringify(entitiesByCollection[collection]))
+        .catch(err => this._rejectWriteError(err));
+    }
+
+    const tempFilePromises = Object.keys(entitiesByCollection).map((collection, index) => {
+      const data = JSON.stringify(entitiesByCollection[collection]);
+      return writeFileDurably(`${filePaths[index]}${tempFileExtension}`, data);
+    });
+    const fileNames = filePaths.map(filePath => path.basename(filePath));
+
+    return Promise.all(tempFilePromises)
+      .then(() => writeFileAtomically(this._getJournalPath(), JSON.stringify(fileNames)))
+      .catch(err => this._rejectWriteError(err))
+      .then(() => this._completeCommit());
+  }
+
+  _rejectWriteError(err) {
+    const storageName = `the ${this._directory} storage directory`;
+    return Promise.reject(getStorageQuotaError(err, storageName, quotaErrorCodes.indexOf(err.code) > -1) || err);
+  }
+
+  _getJournalPath() {
+    return path.join(this._directory, journalFileName);
+  }
+
+  // renames the files listed in the journal of a commit, which wasn't completed
+  _completeCommit() {
+    const journalPath = this._getJournalPath();
+
+    return callFs('readFile', journalPath, 'utf8')
+      .then((content) => {
+        const fileNames = JSON.parse(content);
+        return fileNames.reduce((prev, fileName) => {
+          const filePath = path.join(this._directory, fileName);
+          return prev
+            .then(() => callFs('rename', `${filePath}${tempFileExtension}`, filePath))
+            .catch(ignoreMissingFile);
+        }, Promise.resolve())
+          .then(() => callFs('unlink', journalPath));
+      }, ignoreMissingFile);
+  }
+
+  _withLock(operation) {
+    const lockPath = path.join(this._directory, lockFileName);
+    const previousOperation = pendingOperations[this._directory] || Promise.resolve();
+
+    const result = previousOperation
+      .then(() => this._ensureDirectory())
+      .then(() => acquireLock(lockPath))
+      .then(() => {
+        const release = () => callFs('unlink', lockPath).catch(ignoreMissingFile);
+        return this._completeCommit()
+          .then(() => operation())
+          .then(value => release().then(() => value), err => release().then(() => Promise.reject(err)));
+      });
+
+    pendingOperations[this._directory] = result.catch(() => null);
+    return result;
+  }
+
+  // A read doesn't lock the directory, as every file is replaced atomically. Only while a journal is left,
+  // the commit is completed under the lock first, so the read doesn't miss the collections it replaces.
+  _withReadAccess(operation) {
+    const previousOperation = pendingOperations[this._directory] || Promise.resolve();
+
+    return previousOperation
+      .then(() => callFs('access', this._getJournalPath()).then(() => true, ignoreMissingFile))
+      .then(hasJournal => (hasJournal ? this._withLock(operation) : operation()));
+  }
+
+  _ensureDirectory() {
+    return makeDirectory(this._directory);
+  }
+}
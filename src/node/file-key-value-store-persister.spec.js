@@ -0,0 +1,271 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import expect from 'expect';
+
+import { FileKeyValueStorePersister } from './file-key-value-store-persister';
+import {
+  KeyValueStoreOfflineRepository,
+  InmemoryOfflineRepository,
+  MemoryKeyValuePersister
+} from '../core/datastore';
+import { PromiseQueueByKey } from '../core/datastore/utils';
+import { Query } from '../core/query';
+import { randomString } from '../core/utils';
+
+describe('FileKeyValueStorePersister', () => {
+  let directory;
+  let persister;
+
+  function readFile(fileName) {
+    return JSON.parse(fs.readFileSync(path.join(directory, fileName), 'utf8'));
+  }
+
+  function removeDirectory(dirPath) {
+    if (fs.existsSync(dirPath)) {
+      fs.readdirSync(dirPath).forEach(fileName => fs.unlinkSync(path.join(dirPath, fileName)));
+      fs.rmdirSync(dirPath);
+    }
+  }
+
+  beforeEach(() => {
+    directory = path.join(os.tmpdir(), `kinvey-${randomString()}`);
+    persister = new FileKeyValueStorePersister(directory);
+  });
+
+  afterEach(() => {
+    removeDirectory(directory);
+  });
+
+  it('should write the entities of a collection to a file, and read them', () => {
+    const entities = [{ _id: '1', title: 'a' }, { _id: '2', title: 'b' }];
+    return persister.write('books', entities)
+      .then(() => {
+        expect(readFile('books.json')).toEqual(entities);
+        return persister.read('books');
+      })
+      .then((result) => {
+        expect(result).toEqual(entities);
+        expect(fs.existsSync(path.join(directory, 'kinvey.lock'))).toBe(false);
+      });
+  });
+
+  it('should return the collections, which have a file', () => {
+    return persister.write('books', [])
+      .then(() => persister.write('kinvey_sync', []))
+      .then(() => persister.getKeys())
+      .then((keys) => {
+        expect(keys.sort()).toEqual(['books', 'kinvey_sync']);
+      });
+  });
+
+  it('should upsert and delete entities', () => {
+    return persister.write('books', [{ _id: '1', title: 'a' }, { _id: '2', title: 'b' }])
+      .then(() => persister.writeEntities('books', [{ _id: '2', title: 'c' }, { _id: '3', title: 'd' }]))
+      .then(() => persister.deleteEntity('books', '1'))
+      .then(() => persister.read('books'))
+      .then((entities) => {
+        expect(entities).toEqual([{ _id: '2', title: 'c' }, { _id: '3', title: 'd' }]);
+      });
+  });
+
+  it('should commit the changes to several collections', () => {
+    return persister.write('books', [{ _id: '1' }, { _id: '2' }])
+      .then(() => persister.commitChanges({
+        books: { deletedIds: ['1'], upserts: [{ _id: '3' }] },
+        kinvey_sync: { upserts: [{ _id: 's1', entityId: '3' }] }
+      }))
+      .then(() => {
+        expect(readFile('books.json')).toEqual([{ _id: '2' }, { _id: '3' }]);
+        expect(readFile('kinvey_sync.json')).toEqual([{ _id: 's1', entityId: '3' }]);
+        expect(fs.readdirSync(directory).sort()).toEqual(['books.json', 'kinvey_sync.json']);
+      });
+  });
+
+  it('should complete a commit, which was interrupted after its journal was written', () => {
+    return persister.write('books', [{ _id: '1' }])
+      .then(() => {
+        fs.writeFileSync(path.join(directory, 'books.json.tmp'), JSON.stringify([{ _id: '2' }]));
+        fs.writeFileSync(path.join(directory, 'kinvey_sync.json.tmp'), JSON.stringify([{ _id: 's1' }]));
+        const journal = JSON.stringify(['books.json', 'kinvey_sync.json']);
+        fs.writeFileSync(path.join(directory, 'kinvey-journal.json'), journal);
+        return persister.read('books');
+      })
+      .then((entities) => {
+        expect(entities).toEqual([{ _id: '2' }]);
+        expect(readFile('kinvey_sync.json')).toEqual([{ _id: 's1' }]);
+        expect(fs.existsSync(path.join(directory, 'kinvey-journal.json'))).toBe(false);
+      });
+  });
+
+  it('should ignore the files of a commit, which was interrupted before its journal was written', () => {
+    return persister.write('books', [{ _id: '1' }])
+      .then(() => {
+        fs.writeFileSync(path.join(directory, 'books.json.tmp'), JSON.stringify([{ _id: '2' }]));
+        return persister.read('books');
+      })
+      .then((entities) => {
+        expect(entities).toEqual([{ _id: '1' }]);
+      });
+  });
+
+  it('should remove the lock of a process, which is not running', () => {
+    fs.mkdirSync(directory);
+    // a pid above the maximum pid of the supported platforms
+    fs.writeFileSync(path.join(directory, 'kinvey.lock'), '99999999');
+    return persister.write('books', [{ _id: '1' }])
+      .then(() => persister.read('books'))
+      .then((entities) => {
+        expect(entities).toEqual([{ _id: '1' }]);
+        expect(fs.existsSync(path.join(directory, 'kinvey.lock'))).toBe(false);
+      });
+  });
+
+  it('should remove a lock, which was held for too long, even if its pid is running', () => {
+    fs.mkdirSync(directory);
+    // the pid may have been reused by another process
+    fs.writeFileSync(path.join(directory, 'kinvey.lock'), `${process.pid}:${Date.now() - (2 * 60 * 1000)}`);
+    return persister.write('books', [{ _id: '1' }])
+      .then(() => persister.read('books'))
+      .then((entities) => {
+        expect(entities).toEqual([{ _id: '1' }]);
+        expect(fs.existsSync(path.join(directory, 'kinvey.lock'))).toBe(false);
+      });
+  });
+
+  it('should read without the lock', () => {
+    return persister.write('books', [{ _id: '1' }])
+      .then(() => {
+        // held by another process, which is running
+        fs.writeFileSync(path.join(directory, 'kinvey.lock'), `${process.ppid}:${Date.now()}`);
+        return Promise.all([persister.read('books'), persister.getKeys()]);
+      })
+      .then(([entities, keys]) => {
+        expect(entities).toEqual([{ _id: '1' }]);
+        expect(keys).toEqual(['books']);
+      });
+  });
+
+  it('should not create the directory on a read', () => {
+    return Promise.all([persister.read('books'), persister.getKeys()])
+      .then(([entities, keys]) => {
+        expect(entities).toEqual([]);
+        expect(keys).toEqual([]);
+        expect(fs.existsSync(directory)).toBe(false);
+      });
+  });
+
+  it('should keep the entities written by another process, while the entities matching a query are deleted', () => {
+    const otherPersister = new FileKeyValueStorePersister(directory);
+    const repo = new KeyValueStoreOfflineRepository(persister, new PromiseQueueByKey());
+    const { read } = persister;
+    // the other process writes right after the entities are read for the delete
+    persister.read = (...args) => {
+      return read.apply(persister, args)
+        .then(entities => otherPersister.writeEntities('books', [{ _id: '3', title: 'b' }]).then(() => entities));
+    };
+
+    return otherPersister.write('books', [{ _id: '1', title: 'a' }, { _id: '2', title: 'b' }])
+      .then(() => repo.delete('books', new Query().equalTo('title', 'a')))
+      .then((deletedCount) => {
+        expect(deletedCount).toBe(1);
+        return otherPersister.read('books');
+      })
+      .then((entities) => {
+        expect(entities).toEqual([{ _id: '2', title: 'b' }, { _id: '3', title: 'b' }]);
+      });
+  });
+
+  it('should fail the writes made while the entities are moved to another repository, instead of losing them', () => {
+    const repo = new KeyValueStoreOfflineRepository(persister, new PromiseQueueByKey());
+    const targetRepo = new InmemoryOfflineRepository(new MemoryKeyValuePersister(), new PromiseQueueByKey());
+    const appKey = randomString();
+    targetRepo._getAppKey = () => appKey;
+    const { _saveAll: saveAll } = targetRepo;
+    let writesPromise;
+    targetRepo._saveAll = (...args) => {
+      if (!writesPromise) {
+        const writes = [repo.update('books', { _id: '2' }), repo.deleteById('books', '1')];
+        writesPromise = Promise.all(writes.map(write => write.then(() => null, err => err)));
+      }
+      return saveAll.apply(targetRepo, args);
+    };
+
+    return repo.create('books', [{ _id: '1' }])
+      .then(() => repo.moveTo(targetRepo))
+      .then((counts) => {
+        expect(counts).toEqual({ books: 1 });
+        return writesPromise;
+      })
+      .then((errors) => {
+        errors.forEach(err => expect(err.message).toInclude('moved to another storage provider'));
+        return Promise.all([targetRepo.read('books'), persister.getKeys()]);
+      })
+      .then(([entities, keys]) => {
+        expect(entities).toEqual([{ _id: '1' }]);
+        expect(keys).toEqual([]);
+      });
+  });
+
+  it('should let one persister at a time take over the lock of a process, which is not running', () => {
+    // the persisters of other processes are simulated by a link to the directory, so their operations aren't queued
+    const otherDirectory = `${directory}-link`;
+    const lockPath = path.join(directory, 'kinvey.lock');
+    const { readFile, writeFile } = fs;
+    let resumeStaleLockRead = null;
+    const restoreFs = () => {
+      fs.readFile = readFile;
+      fs.writeFile = writeFile;
+      fs.unlinkSync(otherDirectory);
+    };
+    fs.mkdirSync(directory);
+    fs.symlinkSync(directory, otherDirectory);
+    fs.writeFileSync(lockPath, '99999999');
+
+    // the first persister reads the stale lock, but acts on it only after the other one has acquired the lock
+    fs.readFile = (filePath, ...args) => {
+      const callback = args.pop();
+      readFile(filePath, ...args, (...result) => {
+        if (filePath === lockPath && !resumeStaleLockRead) {
+          resumeStaleLockRead = () => callback(...result);
+        } else {
+          callback(...result);
+        }
+      });
+    };
+    fs.writeFile = (filePath, ...args) => {
+      const callback = args.pop();
+      writeFile(filePath, ...args, (err) => {
+        callback(err);
+        if (!err && filePath === path.join(otherDirectory, 'kinvey.lock')) {
+          resumeStaleLockRead();
+        }
+      });
+    };
+
+    const otherPersister = new FileKeyValueStorePersister(otherDirectory);
+    return Promise.all([
+      persister.writeEntities('books', [{ _id: '1' }]),
+      otherPersister.writeEntities('books', [{ _id: '2' }])
+    ])
+      .then(() => persister.read('books'))
+      .then((entities) => {
+        // the first persister waited for the lock of the other one
+        expect(entities).toEqual([{ _id: '2' }, { _id: '1' }]);
+        expect(fs.readdirSync(directory)).toEqual(['books.json']);
+      })
+      .then(restoreFs, (err) => {
+        restoreFs();
+        return Promise.reject(err);
+      });
+  });
+
+  it('should run the operations of a process one after another', () => {
+    const writes = [1, 2, 3, 4, 5].map(id => persister.writeEntities('books', [{ _id: `${id}` }]));
+    return Promise.all(writes)
+      .then(() => persister.read('books'))
+      .then((entities) => {
+        expect(entities.map(entity => entity._id)).toEqual(['1', '2', '3', '4', '5']);
+      });
+  });
+});
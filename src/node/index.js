@@ -0,0 +1,6 @@
+import pick from 'lodash/pick';
+import { StorageProvider as StorageProviderEnum, repositoryProvider } from '../core/datastore';
+import './offline-data-storage';
+
+const supportedStorageProviders = repositoryProvider.getSupportedStorages();
+export const StorageProvider = pick(StorageProviderEnum, supportedStorageProviders);
@@ -0,0 +1,33 @@
+import os from 'os';
+import path from 'path';
+
+import { Client } from '../core/client';
+import {
+  repositoryProvider,
+  StorageProvider,
+  KeyValueStoreOfflineRepository,
+  InmemoryOfflineRepository,
+  MemoryKeyValuePersister
+} from '../core/datastore';
+import { FileKeyValueStorePersister } from './file-key-value-store-persister';
+
+const defaultStoragePath = path.join(os.homedir(), '.kinvey');
+
+const memoryBuilder = (queue) => {
+  const persister = new MemoryKeyValuePersister();
+  return new InmemoryOfflineRepository(persister, queue);
+};
+
+// the files of an app are kept in a directory named by its app key
+const fileSystemBuilder = (queue) => {
+  const { appKey, storagePath } = Client.sharedInstance();
+  const persister = new FileKeyValueStorePersister(path.join(storagePath || defaultStoragePath, appKey));
+  return new KeyValueStoreOfflineRepository(persister, queue);
+};
+
+const repoConstructors = {
+  [StorageProvider.Memory]: memoryBuilder,
+  [StorageProvider.FileSystem]: fileSystemBuilder
+};
+
+repositoryProvider.setSupportedRepoBuilders(repoConstructors);
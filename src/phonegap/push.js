@@ -15,8 +15,6 @@ const DEVICE_COLLECTION = '__device';
 let phonegapPush;
 
 export class PushNotification extends EventEmitter {
-  _offlineRepoPromise;
-
   get pathname() {
     return `/${PUSH_NAMESPACE}/${this.client.appKey}`;
   }
@@ -243,10 +241,7 @@ export class PushNotification extends EventEmitter {
   }
 
   _getOfflineRepository() {
-    if (!this._offlineRepoPromise) {
-      this._offlineRepoPromise = repositoryProvider.getOfflineRepository();
-    }
-    return this._offlineRepoPromise;
+    return repositoryProvider.getOfflineRepository();
   }
 }
 